@@ -0,0 +1,83 @@
+/**
+ * Rules for students escalating their own complaints. Admins with the
+ * complaint_manage permission are not bound by them.
+ */
+const { COMPLAINT_PRIORITIES, normalizeStatus, normalizePriority } = require('./taxonomy');
+
+const parseList = (value, fallback) => {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+};
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const ESCALATION_RULES = {
+  // Statuses in which a complaint can still be escalated
+  allowedStatuses: parseList(process.env.ESCALATION_ALLOWED_STATUSES, ['PENDING', 'IN_REVIEW']).map(normalizeStatus).filter(Boolean),
+  // Time a complaint must be open before its first escalation
+  minAgeHours: parseNumber(process.env.ESCALATION_MIN_AGE_HOURS, 24),
+  // Time between two escalations of the same complaint
+  cooldownHours: parseNumber(process.env.ESCALATION_COOLDOWN_HOURS, 24),
+  // Escalations a student may make per complaint
+  maxEscalations: parseNumber(process.env.ESCALATION_MAX_PER_COMPLAINT, 2)
+};
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+const parseTimestamp = (value) => new Date(`${String(value).replace(' ', 'T')}Z`);
+
+/**
+ * Get the priority one step above the current one
+ * @param {string} priority - Current priority
+ * @returns {string|null} Next priority, or null if already the highest
+ */
+const getNextPriority = (priority) => {
+  const current = COMPLAINT_PRIORITIES.find(p => p.value === normalizePriority(priority));
+  const next = COMPLAINT_PRIORITIES.find(p => p.code === (current ? current.code + 1 : 0));
+  return next ? next.value : null;
+};
+
+/**
+ * Decide whether a student may escalate a complaint
+ * @param {Object} complaint - Complaint row
+ * @param {Array} escalations - Earlier escalation events for the complaint (complaint_events rows)
+ * @param {Date} [now] - Current time
+ * @returns {Object} { allowed, reason, newPriority }
+ */
+const evaluateStudentEscalation = (complaint, escalations, now = new Date()) => {
+  const rules = ESCALATION_RULES;
+  const deny = (reason) => ({ allowed: false, reason, newPriority: null });
+
+  if (!rules.allowedStatuses.includes(normalizeStatus(complaint.status))) {
+    return deny(`Complaints can only be escalated while ${rules.allowedStatuses.join(' or ')}`);
+  }
+
+  const newPriority = getNextPriority(complaint.priority);
+  if (!newPriority) {
+    return deny('Complaint already has the highest priority');
+  }
+
+  if (escalations.length >= rules.maxEscalations) {
+    return deny(`A complaint can be escalated at most ${rules.maxEscalations} time(s)`);
+  }
+
+  const hoursSince = (timestamp) => (now - parseTimestamp(timestamp)) / (60 * 60 * 1000);
+
+  if (hoursSince(complaint.created_at) < rules.minAgeHours) {
+    return deny(`Complaints can be escalated ${rules.minAgeHours} hour(s) after submission`);
+  }
+
+  const lastEscalation = escalations[escalations.length - 1];
+  if (lastEscalation && hoursSince(lastEscalation.created_at) < rules.cooldownHours) {
+    return deny(`Wait ${rules.cooldownHours} hour(s) between escalations`);
+  }
+
+  return { allowed: true, reason: null, newPriority };
+};
+
+module.exports = {
+  ESCALATION_RULES,
+  getNextPriority,
+  evaluateStudentEscalation
+};
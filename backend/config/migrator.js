@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// 003_add_complaint_assignee.js
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Label a migration the way its file is named
+ * @param {Object} migration - Object with version and name
+ * @returns {string} e.g. 001_initial_schema
+ */
+const formatMigration = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+/**
+ * Versioned schema migrations for the SQLite database.
+ *
+ * Each file in backend/migrations exports `up` and `down`, which receive
+ * `{ run, all, columnExists }` bound to the connection being migrated. Every
+ * migration runs in its own transaction together with its schema_migrations row,
+ * so a failed migration leaves the database at the previous version.
+ */
+class Migrator {
+  constructor(db, migrationsDir = MIGRATIONS_DIR) {
+    this.db = db;
+    this.migrationsDir = migrationsDir;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ insertId: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Helpers handed to migration files
+   * @returns {Object} run, all and columnExists
+   */
+  helpers() {
+    return {
+      run: (sql, params) => this.run(sql, params),
+      all: (sql, params) => this.all(sql, params),
+      columnExists: async (table, column) => {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        return columns.some(existing => existing.name === column);
+      }
+    };
+  }
+
+  /**
+   * Load migration files in version order
+   * @returns {Array<Object>} Migrations with version, name, checksum, up and down
+   */
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir).filter(file => MIGRATION_FILE_PATTERN.test(file));
+
+    const migrations = files.map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const filePath = path.join(this.migrationsDir, file);
+      const migration = require(filePath);
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return {
+        version: parseInt(version, 10),
+        name,
+        description: migration.description || name,
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+        up: migration.up,
+        down: migration.down
+      };
+    }).sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  async ensureMigrationsTable() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        checksum VARCHAR(64) NOT NULL, -- sha256 of the migration file when it was applied
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Applied migrations, oldest first
+   * @returns {Promise<Array>} schema_migrations rows
+   */
+  async getApplied() {
+    await this.ensureMigrationsTable();
+    return this.all('SELECT * FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * Compare migration files with the database
+   * @returns {Promise<Object>} Current version, per-migration state and versions applied but missing on disk
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      migrations: migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          description: migration.description,
+          applied: !!row,
+          appliedAt: row ? row.applied_at : null,
+          modified: !!row && row.checksum !== migration.checksum
+        };
+      }),
+      unknown: applied
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+    };
+  }
+
+  /**
+   * Run one migration step inside a transaction
+   */
+  async runInTransaction(step) {
+    await this.run('BEGIN IMMEDIATE');
+    try {
+      await step();
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @returns {Promise<Array<Object>>} Migrations that were applied
+   */
+  async migrate() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    // A database written by a newer version must not be run by older code
+    const unknown = applied.filter(row => !migrations.some(migration => migration.version === row.version));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Database has migrations this version does not know: ${unknown.map(formatMigration).join(', ')}`
+      );
+    }
+
+    migrations
+      .filter(migration => appliedByVersion.has(migration.version) && appliedByVersion.get(migration.version).checksum !== migration.checksum)
+      .forEach(migration => console.warn(`⚠️ Migration ${formatMigration(migration)} changed after it was applied`));
+
+    const pending = migrations.filter(migration => !appliedByVersion.has(migration.version));
+    const newlyApplied = [];
+
+    for (const migration of pending) {
+      console.log(`🧩 Applying migration ${formatMigration(migration)}...`);
+      await this.runInTransaction(async () => {
+        await migration.up(this.helpers());
+        await this.run(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+      newlyApplied.push({ version: migration.version, name: migration.name });
+    }
+
+    return newlyApplied;
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   * @param {Object} [options]
+   * @param {number} [options.steps] - Number of migrations to roll back
+   * @param {number} [options.to] - Roll back every migration above this version (overrides steps)
+   * @returns {Promise<Array<Object>>} Migrations that were rolled back
+   */
+  async rollback({ steps = 1, to = null } = {}) {
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+
+    const targets = (to !== null
+      ? applied.filter(row => row.version > to)
+      : applied.slice(-steps)
+    ).reverse();
+
+    const rolledBack = [];
+    for (const row of targets) {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${formatMigration(row)}: migration file not found`);
+      }
+
+      console.log(`↩️ Rolling back migration ${formatMigration(migration)}...`);
+      await this.runInTransaction(async () => {
+        await migration.down(this.helpers());
+        await this.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      rolledBack.push({ version: migration.version, name: migration.name });
+    }
+
+    return rolledBack;
+  }
+}
+
+module.exports = {
+  Migrator,
+  MIGRATIONS_DIR,
+  formatMigration
+};
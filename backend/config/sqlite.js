@@ -1,159 +1,36 @@
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const { Migrator, formatMigration } = require('./migrator');
 
-// Create database file in the backend directory
-const dbPath = path.join(__dirname, '..', 'grievance_system.db');
+// Create database file in the backend directory (SQLITE_DB_PATH points elsewhere, e.g. for tests)
+const dbPath = process.env.SQLITE_DB_PATH || path.join(__dirname, '..', 'grievance_system.db');
 const db = new sqlite3.Database(dbPath);
 
-// Initialize database with tables
-const initializeDatabase = () => {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Create users table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          student_id VARCHAR(50) UNIQUE NOT NULL,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          password_hash VARCHAR(255) NOT NULL,
-          full_name VARCHAR(255) NOT NULL,
-          role VARCHAR(20) DEFAULT 'student',
-          wallet_address VARCHAR(42),
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Create complaints table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS complaints (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          student_id VARCHAR(50) NOT NULL,
-          title VARCHAR(255) NOT NULL,
-          description TEXT NOT NULL,
-          category VARCHAR(50) NOT NULL,
-          priority VARCHAR(20) DEFAULT 'medium',
-          status VARCHAR(20) DEFAULT 'pending',
-          blockchain_hash VARCHAR(66),
-          blockchain_id INTEGER,
-          ipfs_hash VARCHAR(100),
-          ai_sentiment REAL,
-          similarity_score REAL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (student_id) REFERENCES users(student_id)
-        )
-      `);
-
-      // Create sessions table for session-based authentication
-      db.run(`
-        CREATE TABLE IF NOT EXISTS user_sessions (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER NOT NULL,
-          session_id VARCHAR(100) UNIQUE NOT NULL,
-          token_hash VARCHAR(255) NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          expires_at DATETIME NOT NULL,
-          is_active BOOLEAN DEFAULT 1,
-          user_agent TEXT,
-          ip_address VARCHAR(45),
-          FOREIGN KEY (user_id) REFERENCES users(id)
-        )
-      `);
-
-      // Create admins table for admin authentication
-      db.run(`
-        CREATE TABLE IF NOT EXISTS admins (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          admin_id VARCHAR(50) UNIQUE NOT NULL,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          password_hash VARCHAR(255) NOT NULL,
-          full_name VARCHAR(255) NOT NULL,
-          role VARCHAR(20) DEFAULT 'admin',
-          wallet_address VARCHAR(42),
-          permissions TEXT DEFAULT 'block_create,block_view,complaint_manage',
-          is_active BOOLEAN DEFAULT 1,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Create complaint_blocks table to track which complaints are in which blocks
-      db.run(`
-        CREATE TABLE IF NOT EXISTS complaint_blocks (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          block_id INTEGER NOT NULL,
-          complaint_id INTEGER NOT NULL,
-          complaint_hash VARCHAR(64) NOT NULL,
-          inclusion_order INTEGER NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (complaint_id) REFERENCES complaints(id),
-          FOREIGN KEY (block_id) REFERENCES block_metadata(id),
-          UNIQUE(block_id, complaint_id)
-        )
-      `);
-
-      // Create block_metadata table to store blockchain block information
-      db.run(`
-        CREATE TABLE IF NOT EXISTS block_metadata (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          block_number INTEGER UNIQUE NOT NULL,
-          merkle_root VARCHAR(64) NOT NULL,
-          transaction_hash VARCHAR(66),
-          block_hash VARCHAR(66),
-          complaint_count INTEGER NOT NULL DEFAULT 0,
-          total_priority_score REAL NOT NULL DEFAULT 0,
-          top_category VARCHAR(50),
-          category_stats TEXT, -- JSON string of category statistics
-          sentiment_stats TEXT, -- JSON string of sentiment analysis
-          gas_used INTEGER,
-          created_by_admin_id INTEGER NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          blockchain_timestamp DATETIME,
-          ipfs_metadata_hash VARCHAR(100),
-          FOREIGN KEY (created_by_admin_id) REFERENCES admins(id)
-        )
-      `);
-
-      // Create block_creation_log table to track block creation history
-      db.run(`
-        CREATE TABLE IF NOT EXISTS block_creation_log (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          admin_id INTEGER NOT NULL,
-          block_id INTEGER NOT NULL,
-          complaints_processed INTEGER NOT NULL,
-          processing_time_ms INTEGER,
-          merkle_tree_depth INTEGER,
-          classification_summary TEXT, -- JSON summary of AI classification
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (admin_id) REFERENCES admins(id),
-          FOREIGN KEY (block_id) REFERENCES block_metadata(id)
-        )
-      `);
-
-      // Add indexes for better performance
-      db.run(`CREATE INDEX IF NOT EXISTS idx_complaints_created_at ON complaints(created_at)`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_complaint_blocks_block_id ON complaint_blocks(block_id)`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_block_metadata_created_at ON block_metadata(created_at)`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_complaints_category ON complaints(category)`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_complaints_status ON complaints(status)`);
-
-      console.log('✅ SQLite database initialized successfully');
-      resolve();
-    });
-  });
+// How long a statement waits for another connection's write transaction before SQLITE_BUSY
+const BUSY_TIMEOUT_MS = parseInt(process.env.SQLITE_BUSY_TIMEOUT_MS, 10) || 5000;
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+// Bring the database schema up to date by applying pending migrations (backend/migrations)
+const initializeDatabase = async () => {
+  const applied = await new Migrator(db).migrate();
+
+  if (applied.length > 0) {
+    console.log(`🧩 Applied ${applied.length} migration(s): ${applied.map(formatMigration).join(', ')}`);
+  }
+  console.log('✅ SQLite database initialized successfully');
 };
 
 // Database query functions
-const query = (sql, params = []) => {
+const runQuery = (connection, sql, params = []) => {
   return new Promise((resolve, reject) => {
     if (sql.trim().toUpperCase().startsWith('SELECT')) {
-      db.all(sql, params, (err, rows) => {
+      connection.all(sql, params, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
     } else {
-      db.run(sql, params, function(err) {
+      connection.run(sql, params, function(err) {
         if (err) reject(err);
         else resolve({ 
           insertId: this.lastID, 
@@ -165,6 +42,102 @@ const query = (sql, params = []) => {
   });
 };
 
+const query = (sql, params = []) => runQuery(db, sql, params);
+
+/**
+ * Run work in a write transaction on a dedicated connection, so statements other
+ * requests send through `query` meanwhile are never swept into it (they wait on
+ * the busy timeout instead). Rolled back if work throws.
+ * @param {Function} work - async (tx) => result; use tx.query like query
+ * @returns {Promise<*>} Result of work
+ */
+const withTransaction = async (work) => {
+  const connection = await new Promise((resolve, reject) => {
+    const opened = new sqlite3.Database(dbPath, (err) => {
+      if (err) reject(err);
+      else resolve(opened);
+    });
+  });
+  connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+  const tx = { query: (sql, params) => runQuery(connection, sql, params) };
+
+  try {
+    // IMMEDIATE takes the write lock up front, so reads inside the transaction see the final state
+    await tx.query('BEGIN IMMEDIATE');
+    try {
+      const result = await work(tx);
+      await tx.query('COMMIT');
+      return result;
+    } catch (error) {
+      await tx.query('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  } finally {
+    await new Promise(resolve => connection.close(() => resolve()));
+  }
+};
+
+// Process that owns the database file (the API, or a restore replacing the file)
+const pidPath = `${dbPath}.pid`;
+
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Record this process as the owner of the database file in <db>.pid. Fails
+ * while another running process owns it; a file left by a crashed process is
+ * taken over.
+ * @param {string} owner - What this process is (api, restore), shown to the other one
+ * @returns {Promise<boolean>} true if claimed now, false if this process already owned it
+ */
+const claimDatabase = async (owner) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      await fs.promises.writeFile(pidPath, `${process.pid} ${owner}\n`, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const [pid, holder] = (await fs.promises.readFile(pidPath, 'utf8').catch(() => '')).trim().split(' ');
+    if (Number(pid) === process.pid) {
+      return false;
+    }
+    if (pid && isProcessRunning(Number(pid))) {
+      const error = new Error(`Database ${dbPath} is in use by ${holder || 'another process'} (pid ${pid})`);
+      error.code = 'DATABASE_IN_USE';
+      throw error;
+    }
+
+    console.warn(`⚠️ Removing stale database PID file of process ${pid || 'unknown'}`);
+    await fs.promises.rm(pidPath, { force: true });
+  }
+
+  throw new Error(`Could not claim database ${dbPath}`);
+};
+
+/**
+ * Remove <db>.pid if this process owns it. Synchronous so exit handlers can call it.
+ */
+const releaseDatabase = () => {
+  try {
+    const [pid] = fs.readFileSync(pidPath, 'utf8').trim().split(' ');
+    if (Number(pid) === process.pid) {
+      fs.rmSync(pidPath, { force: true });
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
 // Close database connection gracefully
 const closeDatabase = () => {
   return new Promise((resolve, reject) => {
@@ -183,7 +156,11 @@ const closeDatabase = () => {
 
 module.exports = {
   db,
+  dbPath,
   initializeDatabase,
   query,
-  closeDatabase
+  withTransaction,
+  closeDatabase,
+  claimDatabase,
+  releaseDatabase
 };
@@ -0,0 +1,197 @@
+/**
+ * Complaint taxonomy shared by SQLite, the ComplaintRegistry contract and the frontend.
+ *
+ * Numeric codes are what goes on-chain, so they are stable: never renumber or
+ * reuse a code. New entries get the next free code.
+ */
+
+// Stored in complaints.category and encoded as uint16 on-chain
+const COMPLAINT_CATEGORIES = [
+  { code: 1, value: 'Academic', label: 'Academic Issues' },
+  { code: 2, value: 'Harassment', label: 'Harassment' },
+  { code: 3, value: 'Infrastructure', label: 'Infrastructure' },
+  { code: 4, value: 'FoodServices', label: 'Food Services' },
+  { code: 5, value: 'HostelIssues', label: 'Hostel Issues' },
+  { code: 6, value: 'FinancialIssues', label: 'Financial Issues' },
+  { code: 7, value: 'AdministrativeIssues', label: 'Administrative Issues' },
+  { code: 8, value: 'TechnicalIssues', label: 'Technical Issues' },
+  { code: 9, value: 'Other', label: 'Other' }
+];
+
+// Codes match the ComplaintRegistry Status enum
+const COMPLAINT_STATUSES = [
+  { code: 0, value: 'PENDING', label: 'Pending', variant: 'warning' },
+  { code: 1, value: 'IN_REVIEW', label: 'In Review', variant: 'info' },
+  { code: 2, value: 'RESOLVED', label: 'Resolved', variant: 'success' },
+  { code: 3, value: 'REJECTED', label: 'Rejected', variant: 'danger' },
+  { code: 4, value: 'CLOSED', label: 'Closed', variant: 'secondary' }
+];
+
+// Codes match the ComplaintRegistry Priority enum
+const COMPLAINT_PRIORITIES = [
+  { code: 0, value: 'low', label: 'Low', variant: 'success' },
+  { code: 1, value: 'medium', label: 'Medium', variant: 'warning' },
+  { code: 2, value: 'high', label: 'High', variant: 'danger' }
+];
+
+// Allowed next statuses, mirroring ComplaintRegistry._isValidStatusTransition
+const STATUS_TRANSITIONS = {
+  PENDING: ['IN_REVIEW', 'REJECTED'],
+  IN_REVIEW: ['RESOLVED', 'REJECTED'],
+  RESOLVED: ['CLOSED'],
+  REJECTED: ['CLOSED'],
+  CLOSED: []
+};
+
+// Status spellings used before the taxonomy existed
+const LEGACY_STATUS_ALIASES = {
+  SUBMITTED: 'PENDING',
+  IN_PROGRESS: 'IN_REVIEW',
+  INPROGRESS: 'IN_REVIEW',
+  UNDER_REVIEW: 'IN_REVIEW'
+};
+
+const DEFAULT_STATUS = 'PENDING';
+const DEFAULT_PRIORITY = 'medium';
+
+/**
+ * Find a taxonomy entry by value, ignoring case
+ * @param {Array} entries - Taxonomy list
+ * @param {string} value - Value to look up
+ * @returns {Object|null} Matching entry
+ */
+const findEntry = (entries, value) => {
+  if (typeof value !== 'string') return null;
+  const wanted = value.trim().toLowerCase();
+  return entries.find(entry => entry.value.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Map a category (any case) to its canonical value
+ * @param {string} category - Category value
+ * @returns {string|null} Canonical value, or null if unknown
+ */
+const normalizeCategory = (category) => {
+  const entry = findEntry(COMPLAINT_CATEGORIES, category);
+  return entry ? entry.value : null;
+};
+
+/**
+ * Map a status (any case, including legacy spellings) to its canonical value
+ * @param {string} status - Status value
+ * @returns {string|null} Canonical value, or null if unknown
+ */
+const normalizeStatus = (status) => {
+  if (typeof status !== 'string') return null;
+  const upper = status.trim().toUpperCase();
+  const entry = findEntry(COMPLAINT_STATUSES, LEGACY_STATUS_ALIASES[upper] || upper);
+  return entry ? entry.value : null;
+};
+
+/**
+ * Map a priority (any case) to its canonical value
+ * @param {string} priority - Priority value
+ * @returns {string|null} Canonical value, or null if unknown
+ */
+const normalizePriority = (priority) => {
+  const entry = findEntry(COMPLAINT_PRIORITIES, priority);
+  return entry ? entry.value : null;
+};
+
+/**
+ * Get the on-chain code for a category
+ * @param {string} category - Category value
+ * @returns {number} uint16 category code
+ */
+const getCategoryCode = (category) => {
+  const entry = findEntry(COMPLAINT_CATEGORIES, category);
+  if (!entry) throw new Error(`Unknown complaint category: ${category}`);
+  return entry.code;
+};
+
+/**
+ * Get the on-chain code for a status
+ * @param {string} status - Status value
+ * @returns {number} Status enum code
+ */
+const getStatusCode = (status) => {
+  const entry = findEntry(COMPLAINT_STATUSES, normalizeStatus(status));
+  if (!entry) throw new Error(`Unknown complaint status: ${status}`);
+  return entry.code;
+};
+
+/**
+ * Get the on-chain code for a priority
+ * @param {string} priority - Priority value
+ * @returns {number} Priority enum code
+ */
+const getPriorityCode = (priority) => {
+  const entry = findEntry(COMPLAINT_PRIORITIES, priority);
+  if (!entry) throw new Error(`Unknown complaint priority: ${priority}`);
+  return entry.code;
+};
+
+/**
+ * List the statuses a complaint may move to next
+ * @param {string} status - Current status
+ * @returns {Array<string>} Canonical next statuses (empty for terminal or unknown statuses)
+ */
+const getAllowedTransitions = (status) => {
+  return STATUS_TRANSITIONS[normalizeStatus(status)] || [];
+};
+
+/**
+ * Check a status change against the contract's transition graph
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const isValidStatusTransition = (fromStatus, toStatus) => {
+  return getAllowedTransitions(fromStatus).includes(normalizeStatus(toStatus));
+};
+
+const fromCode = (entries, code) => {
+  const entry = entries.find(candidate => candidate.code === Number(code));
+  return entry ? entry.value : null;
+};
+
+const categoryFromCode = (code) => fromCode(COMPLAINT_CATEGORIES, code);
+const statusFromCode = (code) => fromCode(COMPLAINT_STATUSES, code);
+const priorityFromCode = (code) => fromCode(COMPLAINT_PRIORITIES, code);
+
+/**
+ * Full taxonomy as served to clients
+ * @returns {Object} Categories, statuses, priorities and status transitions
+ */
+const getTaxonomy = () => ({
+  categories: COMPLAINT_CATEGORIES,
+  statuses: COMPLAINT_STATUSES,
+  priorities: COMPLAINT_PRIORITIES,
+  transitions: STATUS_TRANSITIONS,
+  defaults: {
+    status: DEFAULT_STATUS,
+    priority: DEFAULT_PRIORITY
+  }
+});
+
+module.exports = {
+  COMPLAINT_CATEGORIES,
+  COMPLAINT_STATUSES,
+  COMPLAINT_PRIORITIES,
+  STATUS_TRANSITIONS,
+  LEGACY_STATUS_ALIASES,
+  DEFAULT_STATUS,
+  DEFAULT_PRIORITY,
+  normalizeCategory,
+  normalizeStatus,
+  normalizePriority,
+  getCategoryCode,
+  getStatusCode,
+  getPriorityCode,
+  getAllowedTransitions,
+  isValidStatusTransition,
+  categoryFromCode,
+  statusFromCode,
+  priorityFromCode,
+  getTaxonomy
+};
@@ -1,6 +1,179 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { query } = require('../config/sqlite');
 
-const authenticateToken = (req, res, next) => {
+// Permissions stored in the comma-separated admins.permissions column
+const PERMISSIONS = {
+  COMPLAINT_MANAGE: 'complaint_manage',
+  BLOCK_CREATE: 'block_create',
+  BLOCK_VIEW: 'block_view',
+  OPS_CONTROL: 'ops_control'
+};
+
+// Values of admins.role; only super admins may create other admins
+const ADMIN_ROLES = {
+  ADMIN: 'admin',
+  SUPER_ADMIN: 'super_admin'
+};
+
+// Principal types carried in the `typ` claim and user_sessions.principal_type
+const PRINCIPAL_TYPES = {
+  STUDENT: 'student',
+  ADMIN: 'admin'
+};
+
+const TOKEN_LIFETIMES = {
+  [PRINCIPAL_TYPES.STUDENT]: '24h',
+  [PRINCIPAL_TYPES.ADMIN]: '8h'
+};
+
+/**
+ * Get the JWT signing secret
+ * @returns {string} Secret from JWT_SECRET
+ */
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret || !secret.trim()) {
+    throw new Error('JWT_SECRET is not set. Refusing to sign or verify tokens without a secret.');
+  }
+  return secret;
+};
+
+/**
+ * Fail fast at startup when authentication is not configured
+ */
+const assertAuthConfigured = () => {
+  getJwtSecret();
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Split an admins.permissions value into a list
+ * @param {string} permissions - Comma-separated permissions
+ * @returns {Array<string>} Permission names
+ */
+const parsePermissions = (permissions) => {
+  return (permissions || '')
+    .split(',')
+    .map(permission => permission.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Load the current state of a principal from the database
+ * @param {string} type - Principal type
+ * @param {number} id - users.id or admins.id
+ * @returns {Promise<Object|null>} Principal, or null if the account is gone or disabled
+ */
+const loadPrincipal = async (type, id) => {
+  if (type === PRINCIPAL_TYPES.STUDENT) {
+    const users = await query(
+      'SELECT id, student_id, email, full_name, wallet_address FROM users WHERE id = ?',
+      [id]
+    );
+    if (users.length === 0) return null;
+
+    return {
+      type,
+      role: type,
+      id: users[0].id,
+      studentId: users[0].student_id,
+      email: users[0].email,
+      fullName: users[0].full_name,
+      walletAddress: users[0].wallet_address
+    };
+  }
+
+  if (type === PRINCIPAL_TYPES.ADMIN) {
+    const admins = await query(
+      'SELECT id, admin_id, email, full_name, role, permissions FROM admins WHERE id = ? AND is_active = 1',
+      [id]
+    );
+    if (admins.length === 0) return null;
+
+    return {
+      type,
+      role: type,
+      id: admins[0].id,
+      admin_id: admins[0].admin_id,
+      email: admins[0].email,
+      fullName: admins[0].full_name,
+      adminRole: admins[0].role,
+      isSuperAdmin: admins[0].role === ADMIN_ROLES.SUPER_ADMIN,
+      permissions: parsePermissions(admins[0].permissions)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Sign a JWT for a principal and record it in user_sessions so it can be revoked
+ * @param {string} type - Principal type
+ * @param {number} id - users.id or admins.id
+ * @param {Object} [req] - Request the login came from (user agent and IP are stored)
+ * @returns {Promise<Object>} { token, sessionId, expiresAt }
+ */
+const issueToken = async (type, id, req = null) => {
+  const sessionId = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: String(id), typ: type, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: TOKEN_LIFETIMES[type] }
+  );
+  const expiresAt = new Date(jwt.decode(token).exp * 1000).toISOString();
+
+  await query(`
+    INSERT INTO user_sessions (
+      user_id, principal_type, session_id, token_hash, expires_at, user_agent, ip_address
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id,
+    type,
+    sessionId,
+    hashToken(token),
+    expiresAt,
+    req ? req.get('user-agent') || null : null,
+    req ? req.ip : null
+  ]);
+
+  return { token, sessionId, expiresAt };
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSession = async (sessionId) => {
+  const result = await query(
+    'UPDATE user_sessions SET is_active = 0 WHERE session_id = ? AND is_active = 1',
+    [sessionId]
+  );
+  return result.changes;
+};
+
+/**
+ * Revoke every session of a principal, optionally keeping one
+ * @param {string} type - Principal type
+ * @param {number} id - users.id or admins.id
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the caller's)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (type, id, exceptSessionId = null) => {
+  const result = await query(`
+    UPDATE user_sessions SET is_active = 0
+    WHERE principal_type = ? AND user_id = ? AND is_active = 1 AND session_id != ?
+  `, [type, id, exceptSessionId || '']);
+  return result.changes;
+};
+
+/**
+ * Verify a bearer token against its session and attach the principal as req.user.
+ * Authentication failures (missing, invalid, expired or revoked token) are 401.
+ */
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -8,14 +181,52 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let claims;
+  try {
+    claims = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  if (!claims.sid || !Object.values(PRINCIPAL_TYPES).includes(claims.typ)) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const sessions = await query(`
+      SELECT session_id, token_hash, expires_at, is_active
+      FROM user_sessions
+      WHERE session_id = ? AND principal_type = ? AND user_id = ?
+    `, [claims.sid, claims.typ, claims.sub]);
+
+    const session = sessions[0];
+    if (!session || !session.is_active || session.token_hash !== hashToken(token) ||
+        new Date(session.expires_at) < new Date()) {
+      return res.status(401).json({ error: 'Session has been revoked or has expired' });
+    }
+
+    const principal = await loadPrincipal(claims.typ, Number(claims.sub));
+    if (!principal) {
+      return res.status(401).json({ error: 'Account is disabled or no longer exists' });
     }
-    
-    req.user = user;
+
+    req.user = principal;
+    req.sessionId = claims.sid;
     next();
-  });
+  } catch (error) {
+    console.error('Token verification error:', error);
+    res.status(500).json({ error: 'Failed to verify token' });
+  }
+};
+
+/**
+ * Authenticate the request only when it carries a bearer token
+ */
+const authenticateOptional = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
 };
 
 const requireRole = (roles) => {
@@ -24,7 +235,7 @@ const requireRole = (roles) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!roles.includes(req.user.type)) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -32,7 +243,60 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Require an admin holding a permission. The principal is loaded from the database
+ * on every request, so revoking a permission takes effect before the token expires.
+ * @param {string} permission - Permission the route needs
+ * @param {Object} [options]
+ * @param {boolean} [options.allowStudents] - Let students through; the route applies its own ownership rules
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission, { allowStudents = false } = {}) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.user.type === PRINCIPAL_TYPES.STUDENT && allowStudents) {
+      return next();
+    }
+
+    if (req.user.type !== PRINCIPAL_TYPES.ADMIN || !req.user.permissions.includes(permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Require a super admin
+ */
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.type !== PRINCIPAL_TYPES.ADMIN || !req.user.isSuperAdmin) {
+    return res.status(403).json({ error: 'Super admin privileges required' });
+  }
+
+  next();
+};
+
 module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  PRINCIPAL_TYPES,
+  getJwtSecret,
+  assertAuthConfigured,
+  parsePermissions,
+  issueToken,
+  revokeSession,
+  revokeAllSessions,
   authenticateToken,
-  requireRole
+  authenticateOptional,
+  requireRole,
+  requirePermission,
+  requireSuperAdmin
 };
@@ -0,0 +1,258 @@
+/**
+ * Initial schema: every table that config/sqlite.js used to create inline.
+ *
+ * Databases created before migrations existed already have some or all of these
+ * tables, so creation is idempotent and columns added after the first release
+ * are filled in when missing.
+ */
+
+// Columns introduced after the first release, added to older database files
+const LEGACY_ADDED_COLUMNS = [
+  { table: 'block_metadata', column: 'merkle_scheme', definition: "VARCHAR(32) DEFAULT 'sha256-sorted'" },
+  { table: 'complaint_blocks', column: 'leaf_encoding', definition: 'TEXT' },
+  { table: 'block_metadata', column: 'anchor_status', definition: "VARCHAR(16) DEFAULT 'pending'" },
+  { table: 'block_metadata', column: 'anchor_attempts', definition: 'INTEGER DEFAULT 0' },
+  { table: 'block_metadata', column: 'anchor_error', definition: 'TEXT' },
+  { table: 'block_metadata', column: 'onchain_block_number', definition: 'INTEGER' },
+  { table: 'block_metadata', column: 'anchored_at', definition: 'DATETIME' },
+  { table: 'user_sessions', column: 'principal_type', definition: "VARCHAR(16) NOT NULL DEFAULT 'student'" }
+];
+
+// Every table created above, dropped in reverse order on rollback
+const TABLES = [
+  'users',
+  'complaints',
+  'complaint_events',
+  'user_sessions',
+  'auth_nonces',
+  'admins',
+  'admin_invitations',
+  'ops_audit_log',
+  'complaint_blocks',
+  'block_metadata',
+  'block_creation_log'
+];
+
+module.exports = {
+  description: 'Initial schema',
+
+  async up({ run, columnExists }) {
+    // Create users table
+    await run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        student_id VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        full_name VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'student',
+        wallet_address VARCHAR(42),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create complaints table
+    await run(`
+      CREATE TABLE IF NOT EXISTS complaints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        student_id VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        priority VARCHAR(20) DEFAULT 'medium',
+        status VARCHAR(20) DEFAULT 'PENDING',
+        blockchain_hash VARCHAR(66),
+        blockchain_id INTEGER,
+        ipfs_hash VARCHAR(100),
+        ai_sentiment REAL,
+        similarity_score REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(student_id)
+      )
+    `);
+
+    // Create complaint_events table: append-only audit timeline per complaint
+    await run(`
+      CREATE TABLE IF NOT EXISTS complaint_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        complaint_id INTEGER NOT NULL,
+        event_type VARCHAR(32) NOT NULL, -- submitted, status_changed, escalated, block_included, chain_anchored
+        actor_type VARCHAR(16) NOT NULL, -- student, admin or system
+        actor_id VARCHAR(50),
+        from_value VARCHAR(20), -- previous status or priority
+        to_value VARCHAR(20), -- new status or priority
+        message TEXT,
+        image_path VARCHAR(255),
+        details TEXT, -- JSON string of event specific data
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (complaint_id) REFERENCES complaints(id)
+      )
+    `);
+
+    // Create sessions table for session-based authentication (one row per issued JWT)
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL, -- users.id for students, admins.id for admins
+        principal_type VARCHAR(16) NOT NULL DEFAULT 'student',
+        session_id VARCHAR(100) UNIQUE NOT NULL,
+        token_hash VARCHAR(255) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        is_active BOOLEAN DEFAULT 1,
+        user_agent TEXT,
+        ip_address VARCHAR(45)
+      )
+    `);
+
+    // Create auth_nonces table for wallet sign-in challenges (single use, expiring)
+    await run(`
+      CREATE TABLE IF NOT EXISTS auth_nonces (
+        nonce VARCHAR(64) PRIMARY KEY,
+        wallet_address VARCHAR(42) NOT NULL,
+        message TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME
+      )
+    `);
+
+    // Create admins table for admin authentication
+    await run(`
+      CREATE TABLE IF NOT EXISTS admins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        full_name VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        wallet_address VARCHAR(42),
+        permissions TEXT DEFAULT 'block_create,block_view,complaint_manage',
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create admin_invitations table: single-use, expiring tokens for creating admins
+    await run(`
+      CREATE TABLE IF NOT EXISTS admin_invitations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the token; the token itself is only shown once
+        email VARCHAR(255), -- when set, only this email can accept the invitation
+        permissions TEXT NOT NULL,
+        created_by_admin_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        used_by_admin_id INTEGER,
+        FOREIGN KEY (created_by_admin_id) REFERENCES admins(id),
+        FOREIGN KEY (used_by_admin_id) REFERENCES admins(id)
+      )
+    `);
+
+    // Create ops_audit_log table: who ran which operations action, why, and how it ended
+    await run(`
+      CREATE TABLE IF NOT EXISTS ops_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action VARCHAR(32) NOT NULL, -- shutdown, restart, emergency_stop
+        admin_id INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        parameters TEXT, -- JSON string of the request options (services, force)
+        outcome VARCHAR(16) NOT NULL, -- initiated, succeeded, failed or rejected
+        details TEXT, -- JSON string of results or the error
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admins(id)
+      )
+    `);
+
+    // Create complaint_blocks table to track which complaints are in which blocks
+    await run(`
+      CREATE TABLE IF NOT EXISTS complaint_blocks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_id INTEGER NOT NULL,
+        complaint_id INTEGER NOT NULL,
+        complaint_hash VARCHAR(64) NOT NULL,
+        inclusion_order INTEGER NOT NULL,
+        leaf_encoding TEXT, -- ABI-encoded leaf preimage (keccak scheme only)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (complaint_id) REFERENCES complaints(id),
+        FOREIGN KEY (block_id) REFERENCES block_metadata(id),
+        UNIQUE(block_id, complaint_id)
+      )
+    `);
+
+    // Create block_metadata table to store blockchain block information
+    await run(`
+      CREATE TABLE IF NOT EXISTS block_metadata (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_number INTEGER UNIQUE NOT NULL,
+        merkle_root VARCHAR(66) NOT NULL,
+        merkle_scheme VARCHAR(32) DEFAULT 'sha256-sorted',
+        transaction_hash VARCHAR(66),
+        block_hash VARCHAR(66),
+        complaint_count INTEGER NOT NULL DEFAULT 0,
+        total_priority_score REAL NOT NULL DEFAULT 0,
+        top_category VARCHAR(50),
+        category_stats TEXT, -- JSON string of category statistics
+        sentiment_stats TEXT, -- JSON string of sentiment analysis
+        gas_used INTEGER,
+        created_by_admin_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        blockchain_timestamp DATETIME,
+        ipfs_metadata_hash VARCHAR(100),
+        anchor_status VARCHAR(16) DEFAULT 'pending', -- pending until ComplaintBlockRegistry confirms it
+        anchor_attempts INTEGER DEFAULT 0,
+        anchor_error TEXT,
+        onchain_block_number INTEGER, -- block number assigned by ComplaintBlockRegistry
+        anchored_at DATETIME,
+        FOREIGN KEY (created_by_admin_id) REFERENCES admins(id)
+      )
+    `);
+
+    // Create block_creation_log table to track block creation history
+    await run(`
+      CREATE TABLE IF NOT EXISTS block_creation_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        block_id INTEGER NOT NULL,
+        complaints_processed INTEGER NOT NULL,
+        processing_time_ms INTEGER,
+        merkle_tree_depth INTEGER,
+        classification_summary TEXT, -- JSON summary of AI classification
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admins(id),
+        FOREIGN KEY (block_id) REFERENCES block_metadata(id)
+      )
+    `);
+
+    for (const { table, column, definition } of LEGACY_ADDED_COLUMNS) {
+      if (!(await columnExists(table, column))) {
+        await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`🧩 Added column ${table}.${column}`);
+      }
+    }
+
+    // Add indexes for better performance
+    await run(`CREATE INDEX IF NOT EXISTS idx_complaints_created_at ON complaints(created_at)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_complaint_blocks_block_id ON complaint_blocks(block_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_block_metadata_created_at ON block_metadata(created_at)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_complaints_category ON complaints(category)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_complaints_status ON complaints(status)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_complaint_events_complaint_id ON complaint_events(complaint_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_ops_audit_log_created_at ON ops_audit_log(created_at)`);
+
+    // Indexes on added columns can only be created once the columns exist
+    await run('CREATE INDEX IF NOT EXISTS idx_user_sessions_principal ON user_sessions(principal_type, user_id)');
+  },
+
+  async down({ run }) {
+    for (const table of [...TABLES].reverse()) {
+      await run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,58 @@
+const { normalizeStatus, normalizePriority } = require('../config/taxonomy');
+
+/**
+ * Data fixes for complaints stored before the shared taxonomy and complaint_events existed.
+ * Rolling back keeps the data: the canonical values and timeline events stay valid.
+ */
+module.exports = {
+  description: 'Normalize stored taxonomy values and backfill complaint timelines',
+
+  async up({ run, all }) {
+    // Rewrite statuses and priorities stored before the shared taxonomy to their canonical values
+    const rows = await all('SELECT DISTINCT status, priority FROM complaints');
+
+    for (const { status, priority } of rows) {
+      const canonicalStatus = normalizeStatus(status);
+      if (canonicalStatus && canonicalStatus !== status) {
+        await run('UPDATE complaints SET status = ? WHERE status = ?', [canonicalStatus, status]);
+        console.log(`🧩 Normalized complaint status ${status} -> ${canonicalStatus}`);
+      }
+
+      const canonicalPriority = normalizePriority(priority);
+      if (canonicalPriority && canonicalPriority !== priority) {
+        await run('UPDATE complaints SET priority = ? WHERE priority = ?', [canonicalPriority, priority]);
+        console.log(`🧩 Normalized complaint priority ${priority} -> ${canonicalPriority}`);
+      }
+    }
+
+    // Give existing complaints a starting timeline.
+    // Only submissions and block inclusions can be reconstructed; earlier status changes were never kept.
+    const submitted = await run(`
+      INSERT INTO complaint_events (complaint_id, event_type, actor_type, actor_id, to_value, created_at)
+      SELECT c.id, 'submitted', 'student', c.student_id, 'PENDING', c.created_at
+      FROM complaints c
+      WHERE NOT EXISTS (
+        SELECT 1 FROM complaint_events e WHERE e.complaint_id = c.id AND e.event_type = 'submitted'
+      )
+    `);
+
+    const included = await run(`
+      INSERT INTO complaint_events (complaint_id, event_type, actor_type, actor_id, details, created_at)
+      SELECT cb.complaint_id, 'block_included', 'admin', bm.created_by_admin_id,
+             '{"blockNumber":' || bm.block_number || ',"inclusionOrder":' || cb.inclusion_order || '}',
+             cb.created_at
+      FROM complaint_blocks cb
+      JOIN block_metadata bm ON cb.block_id = bm.id
+      WHERE NOT EXISTS (
+        SELECT 1 FROM complaint_events e
+        WHERE e.complaint_id = cb.complaint_id AND e.event_type = 'block_included'
+      )
+    `);
+
+    if (submitted.changes + included.changes > 0) {
+      console.log(`🧩 Backfilled ${submitted.changes + included.changes} complaint timeline events`);
+    }
+  },
+
+  async down() {}
+};
@@ -0,0 +1,23 @@
+/**
+ * Named locks shared by every process using the database, e.g. so only one
+ * block can be sealed at a time. Locks expire so a crashed holder cannot block forever.
+ */
+module.exports = {
+  description: 'Advisory locks',
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS advisory_locks (
+        name VARCHAR(64) PRIMARY KEY,
+        token VARCHAR(64) NOT NULL, -- random value only the holder knows; required to release
+        holder VARCHAR(100), -- who holds the lock, e.g. admin:2
+        acquired_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS advisory_locks');
+  }
+};
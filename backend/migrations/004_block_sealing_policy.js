@@ -0,0 +1,42 @@
+/**
+ * Automatic block sealing: a single-row policy table and the system principal
+ * that scheduled blocks are attributed to. The principal is an inactive admin
+ * row, so it satisfies created_by_admin_id but can never sign in.
+ */
+module.exports = {
+  description: 'Block sealing policy and system principal',
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS block_sealing_policy (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        enabled BOOLEAN NOT NULL DEFAULT 0,
+        interval_minutes INTEGER, -- seal every N minutes after the latest block; NULL disables
+        complaint_threshold INTEGER, -- seal once N complaints are waiting; NULL disables
+        seal_on_critical BOOLEAN NOT NULL DEFAULT 0, -- seal as soon as a critical-sentiment complaint arrives
+        updated_by_admin_id INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by_admin_id) REFERENCES admins(id)
+      )
+    `);
+
+    await run('INSERT OR IGNORE INTO block_sealing_policy (id) VALUES (1)');
+
+    await run(`
+      INSERT OR IGNORE INTO admins (admin_id, email, password_hash, full_name, role, permissions, is_active)
+      VALUES ('system', 'system@grievance.local', '!', 'Automatic Sealing', 'system', 'block_create,block_view', 0)
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS block_sealing_policy');
+
+    // Keep the principal if blocks were already attributed to it
+    await run(`
+      DELETE FROM admins
+      WHERE admin_id = 'system'
+        AND NOT EXISTS (SELECT 1 FROM block_metadata WHERE created_by_admin_id = admins.id)
+        AND NOT EXISTS (SELECT 1 FROM block_creation_log WHERE admin_id = admins.id)
+    `);
+  }
+};
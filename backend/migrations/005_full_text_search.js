@@ -0,0 +1,145 @@
+/**
+ * Full-text search over complaints and sealed blocks (SQLite FTS5).
+ *
+ * complaint_search rows share their rowid with complaints.id and block_search
+ * rows with block_metadata.id. Triggers keep both indexes in step with the
+ * source tables, so no code path has to remember to update them.
+ */
+
+// Admin messages of one complaint: every message from its timeline, or the
+// single admin_message kept on complaints before the timeline existed
+const adminMessagesSql = (complaintId, legacyMessage) => `
+  COALESCE(
+    (SELECT group_concat(e.message, ' ') FROM complaint_events e
+     WHERE e.complaint_id = ${complaintId} AND e.actor_type = 'admin' AND e.message IS NOT NULL),
+    ${legacyMessage},
+    ''
+  )`;
+
+// Searchable block metadata: category names, creator and every hash a block is known by
+const blockColumnsSql = (block) => `
+  ${block}.top_category,
+  COALESCE((SELECT group_concat(key, ' ') FROM json_each(${block}.category_stats)), ''),
+  COALESCE((SELECT COALESCE(a.full_name, '') || ' ' || a.admin_id FROM admins a WHERE a.id = ${block}.created_by_admin_id), ''),
+  trim(COALESCE(${block}.merkle_root, '') || ' ' || COALESCE(${block}.transaction_hash, '') || ' ' ||
+       COALESCE(${block}.block_hash, '') || ' ' || COALESCE(${block}.ipfs_metadata_hash, ''))`;
+
+const TRIGGERS = [
+  'complaint_search_insert',
+  'complaint_search_update',
+  'complaint_search_delete',
+  'complaint_search_admin_message',
+  'block_search_insert',
+  'block_search_update',
+  'block_search_delete'
+];
+
+module.exports = {
+  description: 'Full-text search indexes for complaints and blocks',
+
+  async up({ run, columnExists }) {
+    // Written by PATCH /api/complaints/:id/status but missing from databases created from scratch
+    if (!(await columnExists('complaints', 'admin_message'))) {
+      await run('ALTER TABLE complaints ADD COLUMN admin_message TEXT');
+    }
+    if (!(await columnExists('complaints', 'admin_image_path'))) {
+      await run('ALTER TABLE complaints ADD COLUMN admin_image_path VARCHAR(255)');
+    }
+
+    await run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS complaint_search USING fts5(
+        title, description, category, admin_messages,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    await run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS block_search USING fts5(
+        top_category, categories, created_by, hashes,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS complaint_search_insert AFTER INSERT ON complaints BEGIN
+        INSERT INTO complaint_search (rowid, title, description, category, admin_messages)
+        VALUES (new.id, new.title, new.description, new.category, ${adminMessagesSql('new.id', 'new.admin_message')});
+      END
+    `);
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS complaint_search_update
+      AFTER UPDATE OF title, description, category, admin_message ON complaints BEGIN
+        UPDATE complaint_search
+        SET title = new.title, description = new.description, category = new.category,
+            admin_messages = ${adminMessagesSql('new.id', 'new.admin_message')}
+        WHERE rowid = new.id;
+      END
+    `);
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS complaint_search_delete AFTER DELETE ON complaints BEGIN
+        DELETE FROM complaint_search WHERE rowid = old.id;
+      END
+    `);
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS complaint_search_admin_message
+      AFTER INSERT ON complaint_events
+      WHEN new.actor_type = 'admin' AND new.message IS NOT NULL BEGIN
+        UPDATE complaint_search
+        SET admin_messages = ${adminMessagesSql('new.complaint_id', '(SELECT admin_message FROM complaints WHERE id = new.complaint_id)')}
+        WHERE rowid = new.complaint_id;
+      END
+    `);
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS block_search_insert AFTER INSERT ON block_metadata BEGIN
+        INSERT INTO block_search (rowid, top_category, categories, created_by, hashes)
+        SELECT new.id, ${blockColumnsSql('new')};
+      END
+    `);
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS block_search_update
+      AFTER UPDATE OF top_category, category_stats, created_by_admin_id, merkle_root,
+        transaction_hash, block_hash, ipfs_metadata_hash ON block_metadata BEGIN
+        DELETE FROM block_search WHERE rowid = new.id;
+        INSERT INTO block_search (rowid, top_category, categories, created_by, hashes)
+        SELECT new.id, ${blockColumnsSql('new')};
+      END
+    `);
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS block_search_delete AFTER DELETE ON block_metadata BEGIN
+        DELETE FROM block_search WHERE rowid = old.id;
+      END
+    `);
+
+    // Index everything stored so far
+    await run('DELETE FROM complaint_search');
+    await run(`
+      INSERT INTO complaint_search (rowid, title, description, category, admin_messages)
+      SELECT c.id, c.title, c.description, c.category, ${adminMessagesSql('c.id', 'c.admin_message')}
+      FROM complaints c
+    `);
+
+    await run('DELETE FROM block_search');
+    await run(`
+      INSERT INTO block_search (rowid, top_category, categories, created_by, hashes)
+      SELECT bm.id, ${blockColumnsSql('bm')}
+      FROM block_metadata bm
+    `);
+  },
+
+  async down({ run }) {
+    for (const trigger of TRIGGERS) {
+      await run(`DROP TRIGGER IF EXISTS ${trigger}`);
+    }
+    await run('DROP TABLE IF EXISTS complaint_search');
+    await run('DROP TABLE IF EXISTS block_search');
+    // admin_message and admin_image_path stay: they hold data the API still reads
+  }
+};
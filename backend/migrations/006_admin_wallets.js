@@ -0,0 +1,29 @@
+/**
+ * One admin per wallet. admins.wallet_address holds the wallet that carries an
+ * admin's on-chain roles; two admins sharing it would share those roles.
+ */
+
+module.exports = {
+  description: 'Unique admin wallet addresses',
+
+  async up({ run, all }) {
+    // The column was unused until on-chain roles; clear anything that would collide
+    const duplicates = await all(`
+      SELECT LOWER(wallet_address) AS wallet FROM admins
+      WHERE wallet_address IS NOT NULL
+      GROUP BY LOWER(wallet_address) HAVING COUNT(*) > 1
+    `);
+    for (const { wallet } of duplicates) {
+      await run('UPDATE admins SET wallet_address = NULL WHERE LOWER(wallet_address) = ?', [wallet]);
+    }
+
+    await run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_wallet_address
+      ON admins (wallet_address COLLATE NOCASE) WHERE wallet_address IS NOT NULL
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP INDEX IF EXISTS idx_admins_wallet_address');
+  }
+};
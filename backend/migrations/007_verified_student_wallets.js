@@ -0,0 +1,24 @@
+/**
+ * Student wallets are proven, not claimed. Registration used to store any
+ * wallet_address the caller sent, and MetaMask login trusts that column, so
+ * unproven links are dropped: students link their wallet again by signing a
+ * challenge (POST /api/auth/wallet). One student per wallet from here on.
+ */
+
+module.exports = {
+  description: 'Drop unproven student wallets and make wallet links unique',
+
+  async up({ run }) {
+    await run('UPDATE users SET wallet_address = NULL WHERE wallet_address IS NOT NULL');
+
+    await run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_wallet_address
+      ON users (wallet_address COLLATE NOCASE) WHERE wallet_address IS NOT NULL
+    `);
+  },
+
+  async down({ run }) {
+    // The dropped links were never proven; they are not restored
+    await run('DROP INDEX IF EXISTS idx_users_wallet_address');
+  }
+};
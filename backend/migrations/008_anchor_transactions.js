@@ -0,0 +1,21 @@
+/**
+ * Anchor transactions are recorded as soon as they are sent. A block whose
+ * createBlock transaction was sent but never confirmed (tx.wait() failed or the
+ * process died) stays pending; the retry worker checks this transaction, and the
+ * registry's BlockCreated events, before sending another one for the same root.
+ */
+
+module.exports = {
+  description: 'Record sent anchor transactions',
+
+  async up({ run, columnExists }) {
+    if (!(await columnExists('block_metadata', 'anchor_tx_hash'))) {
+      // Transaction of the latest anchor attempt; transaction_hash is only set once it is confirmed
+      await run('ALTER TABLE block_metadata ADD COLUMN anchor_tx_hash VARCHAR(66)');
+    }
+  },
+
+  async down({ run }) {
+    await run('ALTER TABLE block_metadata DROP COLUMN anchor_tx_hash');
+  }
+};
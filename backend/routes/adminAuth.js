@@ -1,18 +1,73 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { query } = require('../config/sqlite');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  PRINCIPAL_TYPES,
+  issueToken,
+  revokeSession,
+  revokeAllSessions,
+  authenticateToken,
+  authenticateOptional,
+  requireRole,
+  requireSuperAdmin
+} = require('../middleware/auth');
+const { adminInvitationService } = require('../services/adminInvitationService');
 
 const router = express.Router();
 
 /**
- * Admin registration endpoint
+ * Issue a single-use admin invitation (super admin only)
+ * POST /api/admin/auth/invitations
+ */
+router.post('/invitations', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const { permissions, email, expires_in_hours } = req.body;
+
+    const ttlHours = expires_in_hours === undefined ? undefined : Number(expires_in_hours);
+    if (ttlHours !== undefined && (!Number.isFinite(ttlHours) || ttlHours <= 0)) {
+      return res.status(400).json({ 
+        error: 'expires_in_hours must be a positive number' 
+      });
+    }
+
+    let invitation;
+    try {
+      invitation = await adminInvitationService.createInvitation({
+        createdBy: req.user.id,
+        permissions,
+        email,
+        ttlHours
+      });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    console.log(`✉️ Admin invitation ${invitation.id} issued by ${req.user.admin_id} (${invitation.permissions.join(',')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created. The token is only shown once.',
+      invitation
+    });
+
+  } catch (error) {
+    console.error('❌ Admin invitation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error while creating invitation' 
+    });
+  }
+});
+
+/**
+ * Admin registration endpoint. Requires a super admin token or an invitation token;
+ * with an invitation the permissions come from the invitation.
  * POST /api/admin/auth/register
  */
-router.post('/register', async (req, res) => {
+router.post('/register', authenticateOptional, async (req, res) => {
+  let invitation = null;
+
   try {
-    const { admin_id, email, password, full_name, permissions } = req.body;
+    const { admin_id, email, password, full_name, permissions, invitation_token } = req.body;
 
     // Validation
     if (!admin_id || !email || !password || !full_name) {
@@ -21,6 +76,31 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    const bySuperAdmin = req.user && req.user.type === PRINCIPAL_TYPES.ADMIN && req.user.isSuperAdmin;
+
+    if (!bySuperAdmin && !invitation_token) {
+      return res.status(req.user ? 403 : 401).json({ 
+        error: 'Admin registration requires a super admin token or an invitation token' 
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ 
+        error: 'Password must be at least 8 characters long' 
+      });
+    }
+
+    let grantedPermissions;
+    if (bySuperAdmin) {
+      try {
+        grantedPermissions = adminInvitationService.validatePermissions(
+          permissions || 'block_create,block_view,complaint_manage'
+        );
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+
     // Check if admin already exists
     const existingAdmin = await query(
       'SELECT id FROM admins WHERE admin_id = ? OR email = ?',
@@ -33,6 +113,15 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (!bySuperAdmin) {
+      try {
+        invitation = await adminInvitationService.claimInvitation(invitation_token, email);
+      } catch (invitationError) {
+        return res.status(403).json({ error: invitationError.message });
+      }
+      grantedPermissions = invitation.permissions;
+    }
+
     // Hash password
     const saltRounds = 12;
     const password_hash = await bcrypt.hash(password, saltRounds);
@@ -47,10 +136,14 @@ router.post('/register', async (req, res) => {
       email,
       password_hash,
       full_name,
-      permissions || 'block_create,block_view,complaint_manage'
+      grantedPermissions.join(',')
     ]);
 
-    console.log(`👨‍💼 New admin registered: ${admin_id} (${full_name})`);
+    if (invitation) {
+      await adminInvitationService.completeInvitation(invitation.id, result.insertId);
+    }
+
+    console.log(`👨‍💼 New admin registered: ${admin_id} (${full_name}) via ${invitation ? `invitation ${invitation.id}` : `super admin ${req.user.admin_id}`}`);
 
     res.status(201).json({
       success: true,
@@ -60,12 +153,19 @@ router.post('/register', async (req, res) => {
         admin_id,
         email,
         full_name,
-        permissions: permissions || 'block_create,block_view,complaint_manage'
+        permissions: grantedPermissions
       }
     });
 
   } catch (error) {
     console.error('❌ Admin registration error:', error);
+
+    if (invitation) {
+      await adminInvitationService.releaseInvitation(invitation.id).catch(releaseError => {
+        console.error('❌ Failed to release invitation:', releaseError);
+      });
+    }
+
     res.status(500).json({ 
       error: 'Internal server error during admin registration' 
     });
@@ -130,20 +230,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const tokenPayload = {
-      id: admin.id,
-      admin_id: admin.admin_id,
-      email: admin.email,
-      role: 'admin',
-      permissions: admin.permissions.split(',')
-    };
-
-    const token = jwt.sign(
-      tokenPayload,
-      process.env.JWT_SECRET,
-      { expiresIn: '8h' } // 8-hour session for admins
-    );
+    // Generate JWT token backed by a revocable 8-hour session
+    const { token, sessionId } = await issueToken(PRINCIPAL_TYPES.ADMIN, admin.id, req);
 
     // Update last login (you might want to add this field to schema)
     await query(
@@ -157,6 +245,7 @@ router.post('/login', async (req, res) => {
       success: true,
       message: 'Admin login successful',
       token,
+      sessionId,
       admin: {
         id: admin.id,
         admin_id: admin.admin_id,
@@ -179,7 +268,7 @@ router.post('/login', async (req, res) => {
  * Get admin profile
  * GET /api/admin/auth/profile
  */
-router.get('/profile', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/profile', authenticateToken, requireRole([PRINCIPAL_TYPES.ADMIN]), async (req, res) => {
   try {
     const adminResult = await query(`
       SELECT 
@@ -217,7 +306,7 @@ router.get('/profile', authenticateToken, requireRole(['admin']), async (req, re
  * Update admin profile
  * PUT /api/admin/auth/profile
  */
-router.put('/profile', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.put('/profile', authenticateToken, requireRole([PRINCIPAL_TYPES.ADMIN]), async (req, res) => {
   try {
     const { full_name, email } = req.body;
     const adminId = req.user.id;
@@ -282,7 +371,7 @@ router.put('/profile', authenticateToken, requireRole(['admin']), async (req, re
  * Change admin password
  * PUT /api/admin/auth/password
  */
-router.put('/password', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.put('/password', authenticateToken, requireRole([PRINCIPAL_TYPES.ADMIN]), async (req, res) => {
   try {
     const { current_password, new_password } = req.body;
     const adminId = req.user.id;
@@ -314,7 +403,7 @@ router.put('/password', authenticateToken, requireRole(['admin']), async (req, r
     // Verify current password
     const validPassword = await bcrypt.compare(current_password, adminResult[0].password_hash);
     if (!validPassword) {
-      return res.status(401).json({ 
+      return res.status(403).json({ 
         error: 'Current password is incorrect' 
       });
     }
@@ -330,11 +419,15 @@ router.put('/password', authenticateToken, requireRole(['admin']), async (req, r
       WHERE id = ?
     `, [new_password_hash, adminId]);
 
+    // Sign out every other device that still holds a token for the old password
+    const revokedSessions = await revokeAllSessions(PRINCIPAL_TYPES.ADMIN, adminId, req.sessionId);
+
     console.log(`🔒 Admin password changed: ${req.user.admin_id}`);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      revokedSessions
     });
 
   } catch (error) {
@@ -346,15 +439,14 @@ router.put('/password', authenticateToken, requireRole(['admin']), async (req, r
 });
 
 /**
- * Admin logout (invalidate token - client-side mainly)
+ * Admin logout (revokes the current session)
  * POST /api/admin/auth/logout
  */
-router.post('/logout', authenticateToken, requireRole(['admin']), (req, res) => {
+router.post('/logout', authenticateToken, requireRole([PRINCIPAL_TYPES.ADMIN]), async (req, res) => {
   try {
+    await revokeSession(req.sessionId);
     console.log(`👋 Admin logout: ${req.user.admin_id}`);
     
-    // Note: With JWT, we can't really "invalidate" the token server-side 
-    // without maintaining a blacklist. The client should delete the token.
     res.json({
       success: true,
       message: 'Admin logged out successfully'
@@ -368,11 +460,27 @@ router.post('/logout', authenticateToken, requireRole(['admin']), (req, res) =>
   }
 });
 
+/**
+ * Check that the current admin session is still active
+ * GET /api/admin/auth/validate-session
+ */
+router.get('/validate-session', authenticateToken, requireRole([PRINCIPAL_TYPES.ADMIN]), (req, res) => {
+  res.json({
+    success: true,
+    valid: true,
+    sessionId: req.sessionId,
+    principal: {
+      type: req.user.type,
+      id: req.user.id
+    }
+  });
+});
+
 /**
  * Verify admin token and permissions
  * GET /api/admin/auth/verify
  */
-router.get('/verify', authenticateToken, requireRole(['admin']), (req, res) => {
+router.get('/verify', authenticateToken, requireRole([PRINCIPAL_TYPES.ADMIN]), (req, res) => {
   try {
     res.json({
       success: true,
@@ -1,8 +1,17 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const { ethers } = require('ethers');
 const { query } = require('../config/sqlite');
+const { siweService } = require('../services/siweService');
+const {
+  PRINCIPAL_TYPES,
+  issueToken,
+  revokeSession,
+  revokeAllSessions,
+  authenticateToken,
+  requireRole
+} = require('../middleware/auth');
 const router = express.Router();
 
 // Register new user
@@ -18,7 +27,8 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { studentId, email, password, fullName, walletAddress } = req.body;
+    // Wallets are linked only by signing a challenge (POST /api/auth/wallet)
+    const { studentId, email, password, fullName } = req.body;
 
     // Check if user already exists
     const existingUser = await query(
@@ -38,9 +48,9 @@ router.post('/register', [
 
     // Insert new user
     const result = await query(
-      `INSERT INTO users (student_id, email, password_hash, full_name, wallet_address) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [studentId, email, passwordHash, fullName, walletAddress || null]
+      `INSERT INTO users (student_id, email, password_hash, full_name) 
+       VALUES (?, ?, ?, ?)`,
+      [studentId, email, passwordHash, fullName]
     );
 
     // Get the created user
@@ -49,18 +59,15 @@ router.post('/register', [
       [result.insertId]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: newUser[0].id, studentId: newUser[0].student_id },
-      process.env.JWT_SECRET || 'default-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Generate JWT token backed by a revocable session
+    const { token, sessionId } = await issueToken(PRINCIPAL_TYPES.STUDENT, newUser[0].id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       user: newUser[0],
-      token
+      token,
+      sessionId
     });
 
   } catch (error) {
@@ -103,12 +110,8 @@ router.post('/login', [
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, studentId: user.student_id },
-      process.env.JWT_SECRET || 'default-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Generate JWT token backed by a revocable session
+    const { token, sessionId } = await issueToken(PRINCIPAL_TYPES.STUDENT, user.id, req);
 
     // Return user data (excluding password)
     const userData = {
@@ -125,7 +128,8 @@ router.post('/login', [
       success: true,
       message: 'Login successful',
       user: userData,
-      token
+      token,
+      sessionId
     });
 
   } catch (error) {
@@ -136,9 +140,38 @@ router.post('/login', [
   }
 });
 
+// Issue a Sign-In with Ethereum challenge for a wallet
+router.get('/nonce/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const chainId = req.query.chainId ? parseInt(req.query.chainId, 10) : undefined;
+    if (chainId !== undefined && (!Number.isInteger(chainId) || chainId <= 0)) {
+      return res.status(400).json({ error: 'Invalid chain ID' });
+    }
+
+    const challenge = await siweService.createChallenge(address, chainId);
+
+    res.json({
+      success: true,
+      ...challenge
+    });
+
+  } catch (error) {
+    console.error('Nonce generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create sign-in challenge',
+      details: error.message 
+    });
+  }
+});
+
 // MetaMask login
 router.post('/metamask-login', [
-  body('walletAddress').notEmpty().withMessage('Wallet address is required'),
   body('signature').notEmpty().withMessage('Signature is required'),
   body('message').notEmpty().withMessage('Message is required')
 ], async (req, res) => {
@@ -148,45 +181,31 @@ router.post('/metamask-login', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { walletAddress, signature, message } = req.body;
+    const { signature, message } = req.body;
+
+    let walletAddress;
+    try {
+      walletAddress = await siweService.verifyLogin(message, signature);
+    } catch (verifyError) {
+      return res.status(401).json({ error: verifyError.message });
+    }
 
-    // Find user by wallet address
-    let users = await query(
-      'SELECT * FROM users WHERE wallet_address = ?',
+    // Only wallets already linked to a student account may sign in
+    const users = await query(
+      'SELECT * FROM users WHERE LOWER(wallet_address) = LOWER(?)',
       [walletAddress]
     );
 
-    let user;
     if (users.length === 0) {
-      // Create new user with wallet address
-      const result = await query(
-        `INSERT INTO users (student_id, email, password_hash, full_name, wallet_address, role) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          `wallet_${walletAddress.slice(-8)}`, // Generate student ID from wallet
-          `${walletAddress}@wallet.local`, // Generate email
-          'metamask_auth', // Placeholder password hash
-          'MetaMask User',
-          walletAddress,
-          'student'
-        ]
-      );
-
-      const newUsers = await query(
-        'SELECT * FROM users WHERE id = ?',
-        [result.insertId]
-      );
-      user = newUsers[0];
-    } else {
-      user = users[0];
+      return res.status(404).json({ 
+        error: 'No student account is linked to this wallet' 
+      });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, studentId: user.student_id },
-      process.env.JWT_SECRET || 'default-secret-key',
-      { expiresIn: '24h' }
-    );
+    const user = users[0];
+
+    // Generate JWT token backed by a revocable session
+    const { token, sessionId } = await issueToken(PRINCIPAL_TYPES.STUDENT, user.id, req);
 
     // Return user data
     const userData = {
@@ -203,7 +222,8 @@ router.post('/metamask-login', [
       success: true,
       message: 'MetaMask login successful',
       user: userData,
-      token
+      token,
+      sessionId
     });
 
   } catch (error) {
@@ -214,29 +234,12 @@ router.post('/metamask-login', [
   }
 });
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key');
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(400).json({ error: 'Invalid token.' });
-  }
-};
-
 // Get current user profile
-router.get('/profile', verifyToken, async (req, res) => {
+router.get('/profile', authenticateToken, requireRole([PRINCIPAL_TYPES.STUDENT]), async (req, res) => {
   try {
     const users = await query(
       'SELECT id, student_id, email, full_name, role, wallet_address, created_at FROM users WHERE id = ?',
-      [req.user.userId]
+      [req.user.id]
     );
 
     if (users.length === 0) {
@@ -263,4 +266,100 @@ router.get('/profile', verifyToken, async (req, res) => {
   }
 });
 
+// Link a wallet to the current student by signing a Sign-In with Ethereum challenge;
+// complaints are then recorded on-chain under it
+router.post('/wallet', authenticateToken, requireRole([PRINCIPAL_TYPES.STUDENT]), [
+  body('signature').notEmpty().withMessage('Signature is required'),
+  body('message').notEmpty().withMessage('Message is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let walletAddress;
+    try {
+      walletAddress = await siweService.verifyLogin(req.body.message, req.body.signature);
+    } catch (verifyError) {
+      return res.status(401).json({ error: verifyError.message });
+    }
+
+    const owners = await query(
+      'SELECT id FROM users WHERE LOWER(wallet_address) = LOWER(?) AND id != ?',
+      [walletAddress, req.user.id]
+    );
+    if (owners.length > 0) {
+      return res.status(409).json({ 
+        error: 'This wallet is linked to another student account' 
+      });
+    }
+
+    await query(
+      'UPDATE users SET wallet_address = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [walletAddress, req.user.id]
+    );
+
+    console.log(`👛 Wallet ${walletAddress} linked to student ${req.user.studentId}`);
+
+    res.json({
+      success: true,
+      message: 'Wallet linked',
+      walletAddress
+    });
+
+  } catch (error) {
+    console.error('Wallet link error:', error);
+    res.status(500).json({ 
+      error: 'Failed to link wallet' 
+    });
+  }
+});
+
+// Check that the current token's session is still active
+router.get('/validate-session', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    valid: true,
+    sessionId: req.sessionId,
+    principal: {
+      type: req.user.type,
+      id: req.user.id
+    }
+  });
+});
+
+// Log out: revoke the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Log out everywhere: revoke every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.type, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      revokedSessions: revoked
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
 module.exports = router;
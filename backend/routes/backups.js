@@ -0,0 +1,88 @@
+const express = require('express');
+const fs = require('fs');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+const { backupService } = require('../services/backupService');
+
+const router = express.Router();
+
+// Backups hold every account and complaint, so they are ops-only like the rest of the control plane
+router.use(authenticateToken, requirePermission(PERMISSIONS.OPS_CONTROL));
+
+/**
+ * List database backups, newest first
+ * GET /api/admin/backups
+ */
+router.get('/', async (req, res) => {
+  try {
+    const backups = await backupService.listBackups();
+
+    res.json({
+      success: true,
+      backups,
+      count: backups.length
+    });
+  } catch (error) {
+    console.error('❌ Error listing backups:', error);
+    res.status(500).json({
+      error: 'Failed to list backups',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Create a database backup now
+ * POST /api/admin/backups
+ */
+router.post('/', async (req, res) => {
+  try {
+    console.log(`📦 Backup requested by admin: ${req.user.admin_id}`);
+
+    const backup = await backupService.createBackup('manual');
+
+    res.status(201).json({
+      success: true,
+      backup
+    });
+  } catch (error) {
+    console.error('❌ Error creating backup:', error);
+    res.status(500).json({
+      error: 'Failed to create backup',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Download a backup; the recorded checksum is sent in X-Checksum-SHA256
+ * GET /api/admin/backups/:name/download
+ */
+router.get('/:name/download', async (req, res) => {
+  let filePath;
+  try {
+    filePath = backupService.getBackupPath(req.params.name);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const checksum = await backupService.readChecksum(req.params.name);
+    if (checksum) {
+      res.set('X-Checksum-SHA256', checksum);
+    }
+
+    res.download(filePath, req.params.name);
+  } catch (error) {
+    console.error('❌ Error downloading backup:', error);
+    res.status(500).json({
+      error: 'Failed to download backup',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
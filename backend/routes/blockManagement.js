@@ -1,14 +1,18 @@
 const express = require('express');
 const { blockService } = require('../services/blockService');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sealingPolicyService } = require('../services/sealingPolicyService');
+const { searchService } = require('../services/searchService');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
 
 const router = express.Router();
 
+const SEARCH_TYPES = ['blocks', 'complaints'];
+
 /**
  * Get block creation preview
  * GET /api/admin/blocks/preview
  */
-router.get('/preview', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/preview', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
   try {
     console.log(`👀 Block preview requested by admin: ${req.user.admin_id}`);
 
@@ -32,17 +36,10 @@ router.get('/preview', authenticateToken, requireRole(['admin']), async (req, re
  * Create a new complaint block
  * POST /api/admin/blocks/create
  */
-router.post('/create', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.post('/create', authenticateToken, requirePermission(PERMISSIONS.BLOCK_CREATE), async (req, res) => {
   try {
     console.log(`🏗️ Block creation requested by admin: ${req.user.admin_id}`);
 
-    // Check if admin has block creation permission
-    if (!req.user.permissions.includes('block_create')) {
-      return res.status(403).json({
-        error: 'Insufficient permissions for block creation'
-      });
-    }
-
     const result = await blockService.createBlock(req.user.id);
 
     res.json({
@@ -56,13 +53,22 @@ router.post('/create', authenticateToken, requireRole(['admin']), async (req, re
         topCategory: result.topCategory,
         totalPriorityScore: result.totalPriorityScore,
         processingTime: result.processingTime,
-        ipfsMetadataHash: result.ipfsMetadataHash
+        ipfsMetadataHash: result.ipfsMetadataHash,
+        anchor: result.anchor
       }
     });
 
   } catch (error) {
     console.error('❌ Error creating block:', error);
     
+    if (error.code === 'BLOCK_CREATION_IN_PROGRESS') {
+      return res.status(409).json({
+        error: 'Block creation already in progress',
+        message: error.message,
+        holder: error.holder
+      });
+    }
+
     if (error.message.includes('No unprocessed complaints')) {
       return res.status(400).json({
         error: 'No unprocessed complaints found',
@@ -78,73 +84,198 @@ router.post('/create', authenticateToken, requireRole(['admin']), async (req, re
 });
 
 /**
- * Get all blocks with pagination
- * GET /api/admin/blocks
+ * Read the orphan age threshold from a request
+ * @returns {number|null} Hours, the configured default when absent, or null if invalid
  */
-router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+const parseOrphanHours = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return blockService.orphanComplaintHours;
+  }
+  const hours = parseFloat(value);
+  return Number.isFinite(hours) && hours >= 0 ? hours : null;
+};
+
+/**
+ * List complaints that have waited too long without being sealed in a block
+ * GET /api/admin/blocks/orphans?hours=24
+ */
+router.get('/orphans', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
+    const hours = parseOrphanHours(req.query.hours);
+    if (hours === null) {
+      return res.status(400).json({ error: 'hours must be a non-negative number' });
+    }
 
-    console.log(`📋 Blocks list requested by admin: ${req.user.admin_id} (page: ${page})`);
+    console.log(`🧭 Orphaned complaints requested by admin: ${req.user.admin_id}`);
 
-    const blocks = await blockService.getAllBlocks(limit, offset);
+    const orphans = await blockService.getOrphanedComplaints(hours);
 
     res.json({
       success: true,
-      blocks,
-      pagination: {
-        page,
-        limit,
-        hasMore: blocks.length === limit
-      }
+      olderThanHours: hours,
+      count: orphans.length,
+      orphans
     });
 
   } catch (error) {
-    console.error('❌ Error fetching blocks:', error);
+    console.error('❌ Error fetching orphaned complaints:', error);
     res.status(500).json({
-      error: 'Failed to fetch blocks',
+      error: 'Failed to fetch orphaned complaints',
       details: error.message
     });
   }
 });
 
 /**
- * Get detailed information about a specific block
- * GET /api/admin/blocks/:blockNumber
+ * Force orphaned complaints into the next block, without waiting for newer complaints
+ * POST /api/admin/blocks/orphans/seal
  */
-router.get('/:blockNumber', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.post('/orphans/seal', authenticateToken, requirePermission(PERMISSIONS.BLOCK_CREATE), async (req, res) => {
   try {
-    const blockNumber = parseInt(req.params.blockNumber);
+    const hours = parseOrphanHours((req.body || {}).hours);
+    if (hours === null) {
+      return res.status(400).json({ error: 'hours must be a non-negative number' });
+    }
 
-    if (isNaN(blockNumber) || blockNumber < 1) {
+    const orphans = await blockService.getOrphanedComplaints(hours);
+    if (orphans.length === 0) {
       return res.status(400).json({
-        error: 'Invalid block number'
+        error: 'No orphaned complaints found',
+        message: 'Every complaint older than the threshold is already in a block.'
       });
     }
 
-    console.log(`🔍 Block details requested: ${blockNumber} by admin: ${req.user.admin_id}`);
+    console.log(`🧭 Sealing ${orphans.length} orphaned complaints, requested by admin: ${req.user.admin_id}`);
 
-    const blockDetails = await blockService.getBlockDetails(blockNumber);
+    const result = await blockService.createBlock(req.user.id, {
+      complaintIds: orphans.map(orphan => orphan.id)
+    });
 
     res.json({
       success: true,
-      block: blockDetails
+      message: `Sealed ${result.complaintCount} orphaned complaints`,
+      block: {
+        id: result.blockId,
+        number: result.blockNumber,
+        merkleRoot: result.merkleRoot,
+        complaintCount: result.complaintCount,
+        topCategory: result.topCategory,
+        totalPriorityScore: result.totalPriorityScore,
+        processingTime: result.processingTime,
+        ipfsMetadataHash: result.ipfsMetadataHash,
+        anchor: result.anchor
+      }
     });
 
   } catch (error) {
-    console.error('❌ Error fetching block details:', error);
-    
-    if (error.message.includes('not found')) {
-      return res.status(404).json({
-        error: 'Block not found',
+    console.error('❌ Error sealing orphaned complaints:', error);
+
+    if (error.code === 'BLOCK_CREATION_IN_PROGRESS') {
+      return res.status(409).json({
+        error: 'Block creation already in progress',
+        message: error.message,
+        holder: error.holder
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to seal orphaned complaints',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get the automatic sealing policy and when the next block will be sealed
+ * GET /api/admin/blocks/policy
+ */
+router.get('/policy', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
+  try {
+    const policy = await sealingPolicyService.getPolicy();
+    const schedule = await sealingPolicyService.getSchedule(policy);
+
+    res.json({
+      success: true,
+      policy,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching sealing policy:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sealing policy',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Update the automatic sealing policy
+ * PUT /api/admin/blocks/policy
+ */
+router.put('/policy', authenticateToken, requirePermission(PERMISSIONS.BLOCK_CREATE), async (req, res) => {
+  try {
+    const { enabled, intervalMinutes, complaintThreshold, sealOnCritical } = req.body || {};
+
+    console.log(`⏱️ Sealing policy update requested by admin: ${req.user.admin_id}`);
+
+    const policy = await sealingPolicyService.updatePolicy(
+      { enabled, intervalMinutes, complaintThreshold, sealOnCritical },
+      req.user.id
+    );
+    const schedule = await sealingPolicyService.getSchedule(policy);
+
+    res.json({
+      success: true,
+      message: 'Sealing policy updated',
+      policy,
+      schedule
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_POLICY') {
+      return res.status(400).json({
+        error: 'Invalid sealing policy',
         details: error.message
       });
     }
 
+    console.error('❌ Error updating sealing policy:', error);
     res.status(500).json({
-      error: 'Failed to fetch block details',
+      error: 'Failed to update sealing policy',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get all blocks with pagination
+ * GET /api/admin/blocks
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    console.log(`📋 Blocks list requested by admin: ${req.user.admin_id} (page: ${page})`);
+
+    const blocks = await blockService.getAllBlocks(limit, offset);
+
+    res.json({
+      success: true,
+      blocks,
+      pagination: {
+        page,
+        limit,
+        hasMore: blocks.length === limit
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching blocks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch blocks',
       details: error.message
     });
   }
@@ -154,7 +285,7 @@ router.get('/:blockNumber', authenticateToken, requireRole(['admin']), async (re
  * Get block statistics
  * GET /api/admin/blocks/stats/overview
  */
-router.get('/stats/overview', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
   try {
     console.log(`📊 Block statistics requested by admin: ${req.user.admin_id}`);
 
@@ -232,77 +363,98 @@ router.get('/stats/overview', authenticateToken, requireRole(['admin']), async (
 });
 
 /**
- * Search blocks by criteria
- * GET /api/admin/blocks/search
+ * Full-text search over sealed blocks or complaints, with facet counts and highlighted snippets
+ * GET /api/admin/blocks/search?q=&type=blocks|complaints&page=&limit=
  */
-router.get('/search', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/search', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
   try {
-    const { category, admin_id, from_date, to_date, min_complaints, max_complaints } = req.query;
+    const { q, type = 'blocks', page, limit } = req.query;
 
-    console.log(`🔍 Block search requested by admin: ${req.user.admin_id}`);
-
-    const { query } = require('../config/sqlite');
-
-    let whereConditions = [];
-    let queryParams = [];
-
-    if (category) {
-      whereConditions.push('bm.top_category = ?');
-      queryParams.push(category);
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `Invalid search type. Must be one of: ${SEARCH_TYPES.join(', ')}`
+      });
     }
 
-    if (admin_id) {
-      whereConditions.push('a.admin_id = ?');
-      queryParams.push(admin_id);
-    }
+    console.log(`🔍 ${type === 'blocks' ? 'Block' : 'Complaint'} search requested by admin: ${req.user.admin_id}`);
+
+    const search = type === 'blocks'
+      ? await searchService.searchBlocks({
+        q,
+        category: req.query.category,
+        adminId: req.query.admin_id,
+        anchorStatus: req.query.anchor_status,
+        fromDate: req.query.from_date,
+        toDate: req.query.to_date,
+        minComplaints: req.query.min_complaints,
+        maxComplaints: req.query.max_complaints,
+        page,
+        limit
+      })
+      : await searchService.searchComplaints({
+        q,
+        category: req.query.category,
+        status: req.query.status,
+        priority: req.query.priority,
+        fromDate: req.query.from_date,
+        toDate: req.query.to_date,
+        includeAdminMessages: true,
+        page,
+        limit
+      });
 
-    if (from_date) {
-      whereConditions.push('bm.created_at >= ?');
-      queryParams.push(from_date);
-    }
+    res.json({
+      success: true,
+      type,
+      ...search,
+      searchCriteria: req.query,
+      count: search.results.length
+    });
 
-    if (to_date) {
-      whereConditions.push('bm.created_at <= ?');
-      queryParams.push(to_date);
-    }
+  } catch (error) {
+    console.error('❌ Error searching blocks:', error);
+    res.status(500).json({
+      error: 'Failed to search blocks',
+      details: error.message
+    });
+  }
+});
 
-    if (min_complaints) {
-      whereConditions.push('bm.complaint_count >= ?');
-      queryParams.push(parseInt(min_complaints));
-    }
+/**
+ * Get detailed information about a specific block
+ * GET /api/admin/blocks/:blockNumber
+ */
+router.get('/:blockNumber', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
+  try {
+    const blockNumber = parseInt(req.params.blockNumber);
 
-    if (max_complaints) {
-      whereConditions.push('bm.complaint_count <= ?');
-      queryParams.push(parseInt(max_complaints));
+    if (isNaN(blockNumber) || blockNumber < 1) {
+      return res.status(400).json({
+        error: 'Invalid block number'
+      });
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-    const searchQuery = `
-      SELECT 
-        bm.*,
-        a.admin_id,
-        a.full_name as admin_name
-      FROM block_metadata bm
-      LEFT JOIN admins a ON bm.created_by_admin_id = a.id
-      ${whereClause}
-      ORDER BY bm.block_number DESC
-      LIMIT 50
-    `;
+    console.log(`🔍 Block details requested: ${blockNumber} by admin: ${req.user.admin_id}`);
 
-    const results = await query(searchQuery, queryParams);
+    const blockDetails = await blockService.getBlockDetails(blockNumber);
 
     res.json({
       success: true,
-      results,
-      searchCriteria: req.query,
-      count: results.length
+      block: blockDetails
     });
 
   } catch (error) {
-    console.error('❌ Error searching blocks:', error);
+    console.error('❌ Error fetching block details:', error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Block not found',
+        details: error.message
+      });
+    }
+
     res.status(500).json({
-      error: 'Failed to search blocks',
+      error: 'Failed to fetch block details',
       details: error.message
     });
   }
@@ -312,7 +464,7 @@ router.get('/search', authenticateToken, requireRole(['admin']), async (req, res
  * Export block data for analysis
  * GET /api/admin/blocks/:blockNumber/export
  */
-router.get('/:blockNumber/export', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/:blockNumber/export', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
   try {
     const blockNumber = parseInt(req.params.blockNumber);
 
@@ -375,4 +527,51 @@ router.get('/:blockNumber/export', authenticateToken, requireRole(['admin']), as
   }
 });
 
+/**
+ * Get a Merkle inclusion proof for a complaint in a block
+ * GET /api/admin/blocks/:blockNumber/proof/:complaintId
+ */
+router.get('/:blockNumber/proof/:complaintId', authenticateToken, requirePermission(PERMISSIONS.BLOCK_VIEW), async (req, res) => {
+  try {
+    const blockNumber = parseInt(req.params.blockNumber);
+    const complaintId = parseInt(req.params.complaintId);
+
+    if (isNaN(blockNumber) || blockNumber < 1) {
+      return res.status(400).json({
+        error: 'Invalid block number'
+      });
+    }
+
+    if (isNaN(complaintId) || complaintId < 1) {
+      return res.status(400).json({
+        error: 'Invalid complaint ID'
+      });
+    }
+
+    console.log(`🔐 Inclusion proof requested: complaint ${complaintId} in block ${blockNumber} by admin: ${req.user.admin_id}`);
+
+    const proof = await blockService.getInclusionProof(blockNumber, complaintId);
+
+    res.json({
+      success: true,
+      proof
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating inclusion proof:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Proof not available',
+        details: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to generate inclusion proof',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
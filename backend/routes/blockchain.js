@@ -63,7 +63,7 @@ router.post('/test-complaint', async (req, res) => {
       timestamp: new Date().toISOString()
     };
     
-    const result = await blockchainService.submitComplaint(testComplaint, 1);
+    const result = await blockchainService.submitComplaint(testComplaint);
     
     res.json({
       success: true,
@@ -103,28 +103,6 @@ router.get('/complaint/:id', async (req, res) => {
   }
 });
 
-// Graceful shutdown endpoint for blockchain services
-router.post('/shutdown', async (req, res) => {
-  try {
-    console.log('🔄 Blockchain service shutdown requested via API');
-    
-    // Perform blockchain service shutdown
-    await blockchainService.shutdown();
-    
-    res.json({
-      success: true,
-      message: 'Blockchain service shutdown completed',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Blockchain shutdown error:', error);
-    res.status(500).json({ 
-      error: 'Failed to shutdown blockchain service',
-      details: error.message
-    });
-  }
-});
-
 // Health check with detailed service status
 router.get('/health', async (req, res) => {
   try {
@@ -170,62 +148,6 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// Force reconnection to blockchain
-router.post('/reconnect', async (req, res) => {
-  try {
-    console.log('🔄 Blockchain reconnection requested');
-    
-    // Shutdown current connection
-    await blockchainService.shutdown();
-    
-    // Wait a moment for cleanup
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Reinitialize connection
-    const success = await blockchainService.initialize();
-    
-    res.json({
-      success: success,
-      message: success ? 'Blockchain reconnection successful' : 'Blockchain reconnection failed',
-      isConnected: blockchainService.isConnected,
-      network: blockchainService.networkId,
-      contractAddress: blockchainService.contractAddress,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Reconnection error:', error);
-    res.status(500).json({ 
-      error: 'Failed to reconnect to blockchain',
-      details: error.message
-    });
-  }
-});
-
-// Emergency stop for all blockchain operations
-router.post('/emergency-stop', async (req, res) => {
-  try {
-    console.log('🚨 Emergency stop requested for blockchain services');
-    
-    // Immediate shutdown without waiting
-    blockchainService.isConnected = false;
-    blockchainService.contract = null;
-    blockchainService.provider = null;
-    blockchainService.signer = null;
-    
-    res.json({
-      success: true,
-      message: 'Emergency stop completed - all blockchain operations halted',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Emergency stop error:', error);
-    res.status(500).json({ 
-      error: 'Emergency stop failed',
-      details: error.message
-    });
-  }
-});
-
 // Get detailed service metrics
 router.get('/metrics', async (req, res) => {
   try {
@@ -277,7 +199,7 @@ router.get('/metrics', async (req, res) => {
 // Test connection to specific blockchain network
 router.post('/test-connection', async (req, res) => {
   try {
-    const { rpcUrl = 'http://127.0.0.1:7545' } = req.body;
+    const { rpcUrl = blockchainService.rpcUrl } = req.body;
     
     console.log(`🔍 Testing connection to: ${rpcUrl}`);
     
@@ -401,6 +323,41 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Recompute a ComplaintRegistry block summary from events and compare it with the stored one
+router.get('/summaries/:blockId/verify', async (req, res) => {
+  try {
+    const blockId = parseInt(req.params.blockId);
+
+    if (isNaN(blockId) || blockId < 1) {
+      return res.status(400).json({ error: 'Invalid block summary ID' });
+    }
+
+    if (!blockchainService.isConnected || !blockchainService.contract) {
+      return res.status(503).json({ error: 'Blockchain not connected' });
+    }
+
+    console.log(`🔍 Verifying block summary ${blockId}`);
+
+    const verification = await blockchainService.verifyBlockSummary(blockId);
+
+    res.json({
+      success: true,
+      verification
+    });
+  } catch (error) {
+    console.error('Verify block summary error:', error);
+
+    if (/Invalid block ID/.test(error.message)) {
+      return res.status(404).json({ error: 'Block summary not found' });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to verify block summary',
+      details: error.message
+    });
+  }
+});
+
 // Test endpoint to submit a complaint to blockchain (for testing purposes)
 router.post('/test-submit', async (req, res) => {
   try {
@@ -0,0 +1,101 @@
+const express = require('express');
+const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { chainRoleService, CHAIN_ROLES } = require('../services/chainRoleService');
+const { opsService, OPS_ACTIONS, OPS_OUTCOMES } = require('../services/opsService');
+
+const router = express.Router();
+
+// On-chain roles decide who can change complaint statuses and anchor blocks
+router.use(authenticateToken, requireSuperAdmin);
+
+// Service error codes and the status they map to
+const ERROR_STATUS = {
+  INVALID_ROLES: 400,
+  INVALID_WALLET: 400,
+  ADMIN_NOT_FOUND: 404,
+  ADMIN_INACTIVE: 409,
+  PERMISSION_MISSING: 409,
+  WALLET_IN_USE: 409,
+  NOT_ROLE_ADMIN: 409,
+  CHAIN_UNAVAILABLE: 503
+};
+
+/**
+ * List admins with a wallet and the roles it holds on chain
+ * GET /api/admin/chain/roles
+ */
+router.get('/roles', async (req, res) => {
+  try {
+    const admins = await chainRoleService.listAdminRoles();
+
+    res.json({
+      success: true,
+      roles: Object.keys(CHAIN_ROLES),
+      admins
+    });
+  } catch (error) {
+    if (error.code === 'CHAIN_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+
+    console.error('❌ Chain role listing error:', error);
+    res.status(500).json({
+      error: 'Failed to list on-chain roles',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Set the on-chain roles of an admin's wallet; an empty roles list revokes them all
+ * POST /api/admin/chain/roles
+ */
+router.post('/roles', async (req, res) => {
+  const { adminId, walletAddress = null, roles } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!adminId || !reason) {
+    return res.status(400).json({ error: 'adminId and a reason are required' });
+  }
+
+  const audit = {
+    action: OPS_ACTIONS.CHAIN_ROLES,
+    adminId: req.user.id,
+    reason,
+    parameters: { adminId, walletAddress, roles },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null
+  };
+
+  try {
+    const result = await chainRoleService.syncAdminRoles({ adminId, walletAddress, roles });
+    const auditId = await opsService.recordAudit({ ...audit, outcome: OPS_OUTCOMES.SUCCEEDED, details: result });
+
+    console.log(`🔐 Chain roles of ${adminId} updated by ${req.user.admin_id}: ${reason}`);
+
+    res.json({
+      success: true,
+      ...result,
+      auditId
+    });
+  } catch (error) {
+    const status = ERROR_STATUS[error.code];
+    await opsService.recordAudit({
+      ...audit,
+      outcome: status && status < 500 ? OPS_OUTCOMES.REJECTED : OPS_OUTCOMES.FAILED,
+      details: { error: error.message, code: error.code || null }
+    }).catch(auditError => console.error('❌ Failed to audit chain role change:', auditError));
+
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('❌ Chain role update error:', error);
+    res.status(500).json({
+      error: 'Failed to update on-chain roles',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
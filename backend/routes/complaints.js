@@ -1,13 +1,31 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { ethers } = require('ethers');
 const { query } = require('../config/sqlite');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { analyzeSentiment, findSimilarComplaints } = require('../services/aiService');
 const { ipfsService } = require('../services/ipfsService');
 const { blockchainService } = require('../services/blockchainService');
+const { authenticateToken, requireRole, requirePermission, PERMISSIONS, PRINCIPAL_TYPES } = require('../middleware/auth');
+const { evaluateStudentEscalation } = require('../config/escalation');
+const { complaintEventService, COMPLAINT_EVENT_TYPES } = require('../services/complaintEventService');
+const { sealingPolicyService } = require('../services/sealingPolicyService');
+const { receiptService } = require('../services/receiptService');
+const { searchService } = require('../services/searchService');
+const {
+  COMPLAINT_CATEGORIES,
+  COMPLAINT_STATUSES,
+  COMPLAINT_PRIORITIES,
+  DEFAULT_PRIORITY,
+  DEFAULT_STATUS,
+  normalizeCategory,
+  normalizeStatus,
+  normalizePriority,
+  getAllowedTransitions,
+  isValidStatusTransition
+} = require('../config/taxonomy');
 const router = express.Router();
 
 // Configure multer for file uploads
@@ -46,22 +64,11 @@ const upload = multer({
   }
 });
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key', (err, user) => {
-    if (err) {
-      console.error('Token verification error:', err);
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
+// Remove an uploaded admin image when the request it came with is rejected
+const discardUploadedImage = (file) => {
+  if (!file) return;
+  fs.unlink(file.path, (unlinkErr) => {
+    if (unlinkErr) console.error('Error deleting file:', unlinkErr);
   });
 };
 
@@ -80,17 +87,17 @@ router.get('/', async (req, res) => {
 
     if (category) {
       queryStr += ` AND c.category = ?`;
-      queryParams.push(category);
+      queryParams.push(normalizeCategory(category) || category);
     }
 
     if (priority) {
       queryStr += ` AND c.priority = ?`;
-      queryParams.push(priority);
+      queryParams.push(normalizePriority(priority) || priority);
     }
 
     if (status) {
       queryStr += ` AND c.status = ?`;
-      queryParams.push(status);
+      queryParams.push(normalizeStatus(status) || status);
     }
 
     if (studentId) {
@@ -118,15 +125,20 @@ router.get('/', async (req, res) => {
 });
 
 // Get user's complaints
-router.get('/my-complaints', authenticateToken, async (req, res) => {
+router.get('/my-complaints', authenticateToken, requireRole([PRINCIPAL_TYPES.STUDENT]), async (req, res) => {
   try {
     const userComplaints = await query(
-      `SELECT c.*, u.full_name 
+      `SELECT c.*, u.full_name,
+              (SELECT COUNT(*) FROM complaint_events e
+               WHERE e.complaint_id = c.id AND e.event_type = 'escalated') as escalation_count,
+              (SELECT MIN(bm.block_number) FROM complaint_blocks cb
+               JOIN block_metadata bm ON bm.id = cb.block_id
+               WHERE cb.complaint_id = c.id) as block_number
        FROM complaints c 
        JOIN users u ON c.student_id = u.student_id 
        WHERE u.id = ? 
        ORDER BY c.created_at DESC`,
-      [req.user.userId]
+      [req.user.id]
     );
 
     res.json({
@@ -142,24 +154,65 @@ router.get('/my-complaints', authenticateToken, async (req, res) => {
   }
 });
 
+// Full-text search for the ledger; admin messages are only searched for admins
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, category, priority, status, from_date, to_date, page, limit } = req.query;
+
+    const search = await searchService.searchComplaints({
+      q,
+      category: category ? normalizeCategory(category) || category : undefined,
+      priority: priority ? normalizePriority(priority) || priority : undefined,
+      status: status ? normalizeStatus(status) || status : undefined,
+      fromDate: from_date,
+      toDate: to_date,
+      includeAdminMessages: req.user.type === PRINCIPAL_TYPES.ADMIN,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      complaints: search.results,
+      facets: search.facets,
+      pagination: search.pagination,
+      total: search.pagination.total
+    });
+
+  } catch (error) {
+    console.error('Search complaints error:', error);
+    res.status(500).json({
+      error: 'Failed to search complaints',
+      details: error.message
+    });
+  }
+});
+
 // Submit new complaint
 router.post('/submit', [
   body('title').notEmpty().withMessage('Title is required'),
   body('description').notEmpty().withMessage('Description is required'),
   body('category').notEmpty().withMessage('Category is required')
-], authenticateToken, async (req, res) => {
+    .custom(value => normalizeCategory(value) !== null)
+    .withMessage(`Category must be one of: ${COMPLAINT_CATEGORIES.map(c => c.value).join(', ')}`),
+  body('priority').optional()
+    .custom(value => normalizePriority(value) !== null)
+    .withMessage(`Priority must be one of: ${COMPLAINT_PRIORITIES.map(p => p.value).join(', ')}`)
+], authenticateToken, requireRole([PRINCIPAL_TYPES.STUDENT]), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, category, priority = 'medium', attachments } = req.body;
+    const { title, description, attachments } = req.body;
+    const category = normalizeCategory(req.body.category);
+    const priority = normalizePriority(req.body.priority || DEFAULT_PRIORITY);
 
     // Get user details
     const users = await query(
-      'SELECT student_id FROM users WHERE id = ?',
-      [req.user.userId]
+      'SELECT student_id, wallet_address FROM users WHERE id = ?',
+      [req.user.id]
     );
 
     if (users.length === 0) {
@@ -167,6 +220,7 @@ router.post('/submit', [
     }
 
     const studentId = users[0].student_id;
+    const studentWallet = ethers.isAddress(users[0].wallet_address || '') ? users[0].wallet_address : null;
 
     // AI Analysis
     let sentimentScore = 0;
@@ -197,37 +251,48 @@ router.post('/submit', [
         attachments: attachments || []
       };
       
-      const ipfsResult = await ipfsService.uploadComplaint(complaintData);
-      ipfsHash = ipfsResult.hash;
+      ipfsHash = await ipfsService.uploadComplaint(complaintData);
       console.log('📡 Complaint uploaded to IPFS:', ipfsHash);
     } catch (ipfsError) {
       console.warn('IPFS upload failed, continuing without it:', ipfsError.message);
-      ipfsHash = 'mock_hash_' + Date.now();
+      ipfsHash = null;
     }
 
+    // Students with a linked wallet record the complaint under it themselves,
+    // directly or through the relayer, once it is stored
+    const walletSubmission = !!studentWallet && !!ipfsHash && blockchainService.supportsStudentWallets();
+
     // Submit to blockchain
-    let blockchainHash = '';
-    let blockchainId = 0;
+    let blockchainHash = null;
+    let blockchainId = null;
+    let chainMode = null;
     
-    try {
-      const complaintData = {
-        title,
-        description,
-        category,
-        priority,
-        student_id: studentId,
-        timestamp: new Date().toISOString()
-      };
-      
-      const complaintResult = await blockchainService.submitComplaint(complaintData);
-      
-      blockchainHash = complaintResult.transactionHash;
-      blockchainId = complaintResult.complaintId;
-      console.log('🔗 Complaint submitted to blockchain:', blockchainHash);
-    } catch (blockchainError) {
-      console.warn('Blockchain submission failed, continuing without it:', blockchainError.message);
-      blockchainHash = 'mock_blockchain_' + Date.now();
-      blockchainId = Math.floor(Math.random() * 1000);
+    if (!walletSubmission) {
+      try {
+        const complaintData = {
+          title,
+          description,
+          category,
+          priority,
+          student_id: studentId,
+          ipfs_hash: ipfsHash,
+          timestamp: new Date().toISOString()
+        };
+        
+        const complaintResult = await blockchainService.submitComplaint(complaintData);
+        if (!complaintResult.success) {
+          throw new Error(complaintResult.error);
+        }
+        
+        blockchainHash = complaintResult.transactionHash;
+        blockchainId = complaintResult.complaintId;
+        chainMode = complaintResult.mock ? 'mock' : complaintResult.mode;
+        console.log(`🔗 Complaint submitted to blockchain (${chainMode}):`, blockchainHash);
+      } catch (blockchainError) {
+        console.warn('Blockchain submission failed, continuing without it:', blockchainError.message);
+        blockchainHash = 'mock_blockchain_' + Date.now();
+        blockchainId = Math.floor(Math.random() * 1000);
+      }
     }
 
     // Store in SQLite database
@@ -237,7 +302,7 @@ router.post('/submit', [
         blockchain_hash, blockchain_id, ipfs_hash, ai_sentiment, similarity_score
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        studentId, title, description, category, priority, 'pending',
+        studentId, title, description, category, priority, DEFAULT_STATUS,
         blockchainHash, blockchainId, ipfsHash, sentimentScore, similarityScore
       ]
     );
@@ -251,10 +316,35 @@ router.post('/submit', [
       [result.insertId]
     );
 
+    await complaintEventService.record({
+      complaintId: result.insertId,
+      eventType: COMPLAINT_EVENT_TYPES.SUBMITTED,
+      actorType: 'student',
+      actorId: studentId,
+      toValue: DEFAULT_STATUS,
+      details: { category, priority, ipfsHash, blockchainHash, chainMode }
+    });
+
+    // Critical complaints or a reached threshold may seal a block; do not make the student wait for it
+    sealingPolicyService.onComplaintSubmitted(newComplaint[0]);
+
+    // The complaint is stored either way; the request can be fetched again later
+    let chainSubmission = null;
+    if (walletSubmission) {
+      try {
+        chainSubmission = await blockchainService.buildSubmissionRequest(studentWallet, newComplaint[0]);
+      } catch (requestError) {
+        console.warn('Wallet submission request failed, the student can request it again:', requestError.message);
+      }
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Complaint submitted successfully',
+      message: walletSubmission
+        ? 'Complaint saved. Sign it with your wallet to record it on the blockchain.'
+        : 'Complaint submitted successfully',
       complaint: newComplaint[0],
+      chainSubmission,
       analysis: {
         sentiment: sentimentScore,
         similarity: similarityScore,
@@ -272,6 +362,234 @@ router.post('/submit', [
   }
 });
 
+// How long a student has to record a complaint from their wallet before an admin may record it unattributed
+const WALLET_SUBMISSION_GRACE_MINUTES = parseFloat(process.env.WALLET_SUBMISSION_GRACE_MINUTES) || 60;
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone
+const parseTimestamp = (value) => new Date(`${String(value).replace(' ', 'T')}Z`);
+
+// Service error codes of wallet submissions and the status they map to
+const WALLET_SUBMISSION_ERROR_STATUS = {
+  INVALID_SIGNATURE: 400,
+  REQUEST_EXPIRED: 400,
+  TX_FAILED: 400,
+  TX_MISMATCH: 400,
+  TX_PENDING: 409,
+  NO_IPFS_HASH: 409,
+  CHAIN_UNAVAILABLE: 503
+};
+
+/**
+ * Load a complaint of the requesting student that still has to be recorded
+ * under their wallet. Sends the error response and returns null when it cannot be.
+ * @returns {Promise<Object|null>} Complaint row
+ */
+const loadWalletSubmission = async (req, res) => {
+  if (req.user.type !== PRINCIPAL_TYPES.STUDENT) {
+    res.status(403).json({ error: 'Only the student who filed a complaint can record it from their wallet' });
+    return null;
+  }
+
+  const complaints = await query(
+    'SELECT id, student_id, category, priority, ipfs_hash, blockchain_id FROM complaints WHERE id = ?',
+    [req.params.id]
+  );
+
+  if (complaints.length === 0 || complaints[0].student_id !== req.user.studentId) {
+    res.status(404).json({ error: 'Complaint not found' });
+    return null;
+  }
+  if (complaints[0].blockchain_id !== null) {
+    res.status(409).json({ error: 'Complaint is already recorded on the blockchain' });
+    return null;
+  }
+  if (!ethers.isAddress(req.user.walletAddress || '')) {
+    res.status(409).json({ error: 'Link a wallet to your account first' });
+    return null;
+  }
+  if (!blockchainService.supportsStudentWallets()) {
+    res.status(503).json({ error: 'The blockchain cannot record complaints under student wallets right now' });
+    return null;
+  }
+
+  return complaints[0];
+};
+
+// Get the on-chain submission request of a complaint that is not recorded yet
+router.get('/:id/chain-submission', authenticateToken, async (req, res) => {
+  try {
+    const complaint = await loadWalletSubmission(req, res);
+    if (!complaint) return;
+
+    const chainSubmission = await blockchainService.buildSubmissionRequest(req.user.walletAddress, complaint);
+
+    res.json({
+      success: true,
+      chainSubmission
+    });
+
+  } catch (error) {
+    const status = WALLET_SUBMISSION_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Chain submission request error:', error);
+    res.status(500).json({ 
+      error: 'Failed to build the submission request',
+      details: error.message 
+    });
+  }
+});
+
+// Record a complaint under the student's wallet: relay their signed request
+// ({ signature, deadline }) or confirm a transaction they sent ({ transactionHash })
+router.post('/:id/chain-submission', authenticateToken, async (req, res) => {
+  try {
+    const { signature, deadline, transactionHash } = req.body;
+    const relayed = !!signature;
+
+    if (relayed ? !Number.isInteger(deadline) : !/^0x[0-9a-fA-F]{64}$/.test(transactionHash || '')) {
+      return res.status(400).json({ 
+        error: 'Send either signature and deadline (integer) or a transactionHash' 
+      });
+    }
+
+    const complaint = await loadWalletSubmission(req, res);
+    if (!complaint) return;
+
+    const submission = relayed
+      ? await blockchainService.relaySubmission(req.user.walletAddress, complaint, { signature, deadline })
+      : await blockchainService.confirmStudentSubmission(transactionHash, req.user.walletAddress, complaint);
+
+    // Only the first recording of a complaint counts
+    const result = await query(
+      'UPDATE complaints SET blockchain_hash = ?, blockchain_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND blockchain_id IS NULL',
+      [submission.transactionHash, submission.complaintId, complaint.id]
+    );
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Complaint is already recorded on the blockchain' });
+    }
+
+    await complaintEventService.record({
+      complaintId: complaint.id,
+      eventType: COMPLAINT_EVENT_TYPES.CHAIN_SUBMITTED,
+      actorType: 'student',
+      actorId: req.user.studentId,
+      details: {
+        mode: relayed ? 'relayed' : 'direct',
+        walletAddress: submission.student,
+        transactionHash: submission.transactionHash,
+        chainComplaintId: submission.complaintId
+      }
+    });
+
+    console.log(`🔗 Complaint ${complaint.id} recorded under ${submission.student} (${relayed ? 'relayed' : 'direct'})`);
+
+    res.json({
+      success: true,
+      message: 'Complaint recorded on the blockchain under your wallet',
+      blockchainHash: submission.transactionHash,
+      blockchainId: submission.complaintId,
+      walletAddress: submission.student,
+      blockNumber: submission.blockNumber
+    });
+
+  } catch (error) {
+    const status = WALLET_SUBMISSION_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Chain submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to record the complaint on the blockchain',
+      details: error.shortMessage || error.message 
+    });
+  }
+});
+
+// Record a complaint the student never recorded from their wallet: the backend
+// signer submits it unattributed once the grace period is over
+router.post('/:id/chain-submission/unattributed', authenticateToken, requirePermission(PERMISSIONS.COMPLAINT_MANAGE), async (req, res) => {
+  try {
+    const complaints = await query(
+      `SELECT id, student_id, title, description, category, priority, ipfs_hash, blockchain_id, created_at
+       FROM complaints WHERE id = ?`,
+      [req.params.id]
+    );
+
+    if (complaints.length === 0) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const complaint = complaints[0];
+    if (complaint.blockchain_id !== null) {
+      return res.status(409).json({ error: 'Complaint is already recorded on the blockchain' });
+    }
+
+    const availableAt = new Date(parseTimestamp(complaint.created_at).getTime() + WALLET_SUBMISSION_GRACE_MINUTES * 60 * 1000);
+    if (availableAt > new Date()) {
+      return res.status(409).json({
+        error: `The student can still record this complaint from their wallet until ${availableAt.toISOString()}`,
+        code: 'WALLET_SUBMISSION_GRACE',
+        availableAt: availableAt.toISOString()
+      });
+    }
+
+    // Without a chain submitComplaint would hand out a mock ID, which would unlock the status for nothing
+    if (!blockchainService.isConnected || !blockchainService.contract) {
+      return res.status(503).json({ error: 'The blockchain is not reachable', code: 'CHAIN_UNAVAILABLE' });
+    }
+
+    const submission = await blockchainService.submitComplaint(complaint);
+    if (!submission.success) {
+      return res.status(502).json({
+        error: 'Failed to record the complaint on the blockchain',
+        details: submission.error
+      });
+    }
+
+    // The student may have recorded it meanwhile; only the first recording counts
+    const result = await query(
+      'UPDATE complaints SET blockchain_hash = ?, blockchain_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND blockchain_id IS NULL',
+      [submission.transactionHash, submission.complaintId, complaint.id]
+    );
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'Complaint is already recorded on the blockchain' });
+    }
+
+    await complaintEventService.record({
+      complaintId: complaint.id,
+      eventType: COMPLAINT_EVENT_TYPES.CHAIN_SUBMITTED,
+      ...complaintEventService.actorFromPrincipal(req.user),
+      details: {
+        mode: submission.mode,
+        walletAddress: submission.student,
+        transactionHash: submission.transactionHash,
+        chainComplaintId: submission.complaintId
+      }
+    });
+
+    console.log(`🔗 Complaint ${complaint.id} recorded ${submission.mode} by admin ${req.user.id} after the wallet grace period`);
+
+    res.json({
+      success: true,
+      message: 'Complaint recorded on the blockchain without a student wallet',
+      blockchainHash: submission.transactionHash,
+      blockchainId: submission.complaintId,
+      mode: submission.mode
+    });
+
+  } catch (error) {
+    console.error('Unattributed chain submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to record the complaint on the blockchain',
+      details: error.message 
+    });
+  }
+});
+
 // Get complaint by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -302,11 +620,10 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Escalate complaint (admin only for now)
-router.patch('/:id/escalate', authenticateToken, async (req, res) => {
+// Escalate complaint: admins set any priority, students raise their own complaints one step
+router.patch('/:id/escalate', authenticateToken, requirePermission(PERMISSIONS.COMPLAINT_MANAGE, { allowStudents: true }), async (req, res) => {
   try {
     const complaintId = req.params.id;
-    const { newPriority = 'high' } = req.body;
 
     // Get current complaint
     const complaints = await query(
@@ -319,6 +636,35 @@ router.patch('/:id/escalate', authenticateToken, async (req, res) => {
     }
 
     const complaint = complaints[0];
+    let newPriority;
+
+    if (req.user.type === PRINCIPAL_TYPES.ADMIN) {
+      newPriority = normalizePriority(req.body.newPriority || 'high');
+
+      if (!newPriority) {
+        return res.status(400).json({ 
+          error: `Invalid priority. Must be one of: ${COMPLAINT_PRIORITIES.map(p => p.value).join(', ')}` 
+        });
+      }
+    } else {
+      if (complaint.student_id !== req.user.studentId) {
+        return res.status(403).json({ error: 'You can only escalate your own complaints' });
+      }
+
+      const escalations = await query(
+        `SELECT created_at FROM complaint_events
+         WHERE complaint_id = ? AND event_type = ?
+         ORDER BY created_at ASC, id ASC`,
+        [complaint.id, COMPLAINT_EVENT_TYPES.ESCALATED]
+      );
+
+      const decision = evaluateStudentEscalation(complaint, escalations);
+      if (!decision.allowed) {
+        return res.status(403).json({ error: decision.reason });
+      }
+
+      newPriority = decision.newPriority;
+    }
 
     // Update priority
     await query(
@@ -326,6 +672,14 @@ router.patch('/:id/escalate', authenticateToken, async (req, res) => {
       [newPriority, complaintId]
     );
 
+    await complaintEventService.record({
+      complaintId: complaint.id,
+      eventType: COMPLAINT_EVENT_TYPES.ESCALATED,
+      ...complaintEventService.actorFromPrincipal(req.user),
+      fromValue: complaint.priority,
+      toValue: newPriority
+    });
+
     // Try blockchain escalation (mock for now)
     try {
       await escalateComplaintOnBlockchain(complaint.blockchain_id, newPriority);
@@ -335,7 +689,9 @@ router.patch('/:id/escalate', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Complaint escalated successfully'
+      message: 'Complaint escalated successfully',
+      oldPriority: complaint.priority,
+      newPriority
     });
 
   } catch (error) {
@@ -346,31 +702,160 @@ router.patch('/:id/escalate', authenticateToken, async (req, res) => {
   }
 });
 
-// Update complaint status (admin only for now)
-router.patch('/:id/status', authenticateToken, upload.single('adminImage'), async (req, res) => {
+// Get the statuses a complaint can move to next
+router.get('/:id/transitions', authenticateToken, requirePermission(PERMISSIONS.COMPLAINT_MANAGE), async (req, res) => {
+  try {
+    const complaints = await query(
+      'SELECT id, status FROM complaints WHERE id = ?',
+      [req.params.id]
+    );
+
+    if (complaints.length === 0) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const status = normalizeStatus(complaints[0].status);
+    const allowed = getAllowedTransitions(status);
+
+    res.json({
+      success: true,
+      complaintId: complaints[0].id,
+      status,
+      transitions: COMPLAINT_STATUSES.filter(s => allowed.includes(s.value))
+    });
+
+  } catch (error) {
+    console.error('Get transitions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch status transitions' 
+    });
+  }
+});
+
+// Get the audit timeline of a complaint (students only see their own complaints)
+router.get('/:id/timeline', authenticateToken, async (req, res) => {
+  try {
+    const complaints = await query(
+      'SELECT id, student_id, status FROM complaints WHERE id = ?',
+      [req.params.id]
+    );
+
+    if (complaints.length === 0) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const complaint = complaints[0];
+    if (req.user.type !== PRINCIPAL_TYPES.ADMIN && complaint.student_id !== req.user.studentId) {
+      return res.status(403).json({ error: 'You can only view the timeline of your own complaints' });
+    }
+
+    const events = await complaintEventService.getTimeline(complaint.id);
+
+    res.json({
+      success: true,
+      complaintId: complaint.id,
+      status: normalizeStatus(complaint.status),
+      events
+    });
+
+  } catch (error) {
+    console.error('Get timeline error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch complaint timeline' 
+    });
+  }
+});
+
+// Download a signed inclusion receipt once the complaint is sealed (students only get their own).
+// ?includeLeafEncoding=true adds the leaf preimage, which holds the complaint's sealed fields
+router.get('/:id/receipt', authenticateToken, async (req, res) => {
+  try {
+    const complaints = await query(
+      'SELECT id, student_id FROM complaints WHERE id = ?',
+      [req.params.id]
+    );
+
+    if (complaints.length === 0) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const complaint = complaints[0];
+    if (req.user.type !== PRINCIPAL_TYPES.ADMIN && complaint.student_id !== req.user.studentId) {
+      return res.status(403).json({ error: 'You can only download receipts for your own complaints' });
+    }
+
+    const receipt = await receiptService.issueReceipt(complaint.id, {
+      includeLeafEncoding: req.query.includeLeafEncoding === 'true'
+    });
+
+    res.json({
+      success: true,
+      receipt
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_SEALED') {
+      return res.status(409).json({
+        error: 'Receipt not available yet',
+        message: 'A receipt can be downloaded once the complaint is sealed in a block.'
+      });
+    }
+
+    console.error('Get receipt error:', error);
+    res.status(500).json({ 
+      error: 'Failed to issue receipt',
+      details: error.message
+    });
+  }
+});
+
+// Update complaint status (requires complaint_manage)
+router.patch('/:id/status', authenticateToken, requirePermission(PERMISSIONS.COMPLAINT_MANAGE), upload.single('adminImage'), async (req, res) => {
   try {
     const complaintId = req.params.id;
-    const { status, adminMessage } = req.body;
+    const { adminMessage } = req.body;
 
     // Validate status values
-    const validStatuses = ['SUBMITTED', 'IN_PROGRESS', 'UNDER_REVIEW', 'RESOLVED', 'CLOSED', 'REJECTED'];
-    if (!validStatuses.includes(status)) {
+    const status = normalizeStatus(req.body.status);
+    if (!status) {
       return res.status(400).json({ 
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
+        error: `Invalid status. Must be one of: ${COMPLAINT_STATUSES.map(s => s.value).join(', ')}` 
       });
     }
 
-    // Get the complaint to get blockchain_id
+    // Get the complaint to get blockchain_id and current status
     const complaints = await query(
-      'SELECT blockchain_id FROM complaints WHERE id = ?',
+      'SELECT blockchain_id, status FROM complaints WHERE id = ?',
       [complaintId]
     );
 
     if (complaints.length === 0) {
+      discardUploadedImage(req.file);
       return res.status(404).json({ error: 'Complaint not found' });
     }
 
     const blockchainId = complaints[0].blockchain_id;
+    const currentStatus = normalizeStatus(complaints[0].status);
+
+    // A complaint the student still has to record from their wallet would reach the chain as PENDING
+    if (blockchainId === null) {
+      discardUploadedImage(req.file);
+      return res.status(409).json({
+        error: 'Complaint is not recorded on the blockchain yet. Its status can change once the student has submitted it, ' +
+          `or after ${WALLET_SUBMISSION_GRACE_MINUTES} minutes once an admin records it with POST /api/complaints/${complaintId}/chain-submission/unattributed.`,
+        code: 'AWAITING_CHAIN_SUBMISSION'
+      });
+    }
+
+    // Enforce the same transition graph as ComplaintRegistry
+    if (!isValidStatusTransition(currentStatus, status)) {
+      discardUploadedImage(req.file);
+      return res.status(409).json({
+        error: `Invalid status transition from ${currentStatus} to ${status}`,
+        currentStatus,
+        allowedTransitions: getAllowedTransitions(currentStatus)
+      });
+    }
 
     // Prepare update data
     let updateQuery = 'UPDATE complaints SET status = ?, updated_at = CURRENT_TIMESTAMP';
@@ -383,17 +868,35 @@ router.patch('/:id/status', authenticateToken, upload.single('adminImage'), asyn
     }
 
     // Add admin image path if uploaded
-    if (req.file) {
-      const relativePath = `uploads/admin-responses/${req.file.filename}`;
+    const imagePath = req.file ? `uploads/admin-responses/${req.file.filename}` : null;
+    if (imagePath) {
       updateQuery += ', admin_image_path = ?';
-      updateParams.push(relativePath);
+      updateParams.push(imagePath);
     }
 
-    updateQuery += ' WHERE id = ?';
-    updateParams.push(complaintId);
+    // Only apply if nobody changed the status since it was read
+    updateQuery += ' WHERE id = ? AND status = ?';
+    updateParams.push(complaintId, complaints[0].status);
 
     // Update status in database
-    await query(updateQuery, updateParams);
+    const result = await query(updateQuery, updateParams);
+
+    if (result.changes === 0) {
+      discardUploadedImage(req.file);
+      return res.status(409).json({
+        error: 'Complaint status changed while updating. Reload and try again.'
+      });
+    }
+
+    await complaintEventService.record({
+      complaintId: Number(complaintId),
+      eventType: COMPLAINT_EVENT_TYPES.STATUS_CHANGED,
+      ...complaintEventService.actorFromPrincipal(req.user),
+      fromValue: currentStatus,
+      toValue: status,
+      message: adminMessage && adminMessage.trim() ? adminMessage.trim() : null,
+      imagePath
+    });
 
     // Update status on blockchain
     try {
@@ -418,11 +921,7 @@ router.patch('/:id/status', authenticateToken, upload.single('adminImage'), asyn
     console.error('Update status error:', error);
     
     // Clean up uploaded file if there was an error
-    if (req.file) {
-      fs.unlink(req.file.path, (unlinkErr) => {
-        if (unlinkErr) console.error('Error deleting file:', unlinkErr);
-      });
-    }
+    discardUploadedImage(req.file);
     
     res.status(500).json({ 
       error: 'Failed to update complaint status' 
@@ -535,15 +1034,15 @@ router.get('/stats/overview', async (req, res) => {
     
     // Parse status results
     statusResult.forEach(row => {
-      switch(row.status.toLowerCase()) {
-        case 'pending':
-          pendingComplaints = row.count;
+      switch(normalizeStatus(row.status)) {
+        case 'PENDING':
+          pendingComplaints += row.count;
           break;
-        case 'resolved':
-          resolvedComplaints = row.count;
+        case 'RESOLVED':
+          resolvedComplaints += row.count;
           break;
-        case 'in_progress':
-          inProgressComplaints = row.count;
+        case 'IN_REVIEW':
+          inProgressComplaints += row.count;
           break;
       }
     });
@@ -0,0 +1,16 @@
+const express = require('express');
+const { getTaxonomy } = require('../config/taxonomy');
+const router = express.Router();
+
+/**
+ * Get complaint categories, statuses and priorities with their on-chain codes
+ * GET /api/meta/taxonomy
+ */
+router.get('/taxonomy', (req, res) => {
+  res.json({
+    success: true,
+    taxonomy: getTaxonomy()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+const { opsService, OPS_ACTIONS, OPS_OUTCOMES } = require('../services/opsService');
+
+const router = express.Router();
+
+// Every operations endpoint is admin-only and needs ops_control
+router.use(authenticateToken, requirePermission(PERMISSIONS.OPS_CONTROL));
+
+/**
+ * Check the reason and, for destructive actions, the confirmation token.
+ * Sends the error response and returns null when the request cannot proceed.
+ * @returns {Promise<Object|null>} Audit context for the action
+ */
+const authorizeAction = async (req, res, action, parameters) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400).json({ error: 'A reason is required for operations actions' });
+    return null;
+  }
+
+  const audit = {
+    action,
+    adminId: req.user.id,
+    reason,
+    parameters,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null
+  };
+
+  if (opsService.requiresConfirmation(action)) {
+    try {
+      opsService.consumeConfirmation(req.body.confirmationToken, action, req.user.id);
+    } catch (error) {
+      await opsService.recordAudit({ ...audit, outcome: OPS_OUTCOMES.REJECTED, details: { error: error.message } });
+      res.status(428).json({
+        error: error.message,
+        details: 'Request a token from POST /api/admin/ops/confirmations and resend it as confirmationToken'
+      });
+      return null;
+    }
+  }
+
+  return audit;
+};
+
+/**
+ * Issue a confirmation token for a destructive action
+ * POST /api/admin/ops/confirmations
+ */
+router.post('/confirmations', (req, res) => {
+  const action = typeof req.body.action === 'string' ? req.body.action.replace(/-/g, '_') : '';
+
+  if (!opsService.requiresConfirmation(action)) {
+    return res.status(400).json({
+      error: 'Invalid action',
+      details: `Confirmation tokens are issued for: ${OPS_ACTIONS.SHUTDOWN}, ${OPS_ACTIONS.EMERGENCY_STOP}`
+    });
+  }
+
+  const confirmation = opsService.createConfirmation(action, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    ...confirmation
+  });
+});
+
+/**
+ * Shut the API down, gracefully or immediately with force
+ * POST /api/admin/ops/shutdown
+ */
+router.post('/shutdown', async (req, res) => {
+  try {
+    const force = req.body.force === true;
+    const audit = await authorizeAction(req, res, OPS_ACTIONS.SHUTDOWN, { force });
+    if (!audit) return;
+
+    // The process will not be around to record the outcome
+    await opsService.recordAudit({ ...audit, outcome: OPS_OUTCOMES.INITIATED });
+    console.log(`🔄 System shutdown requested by admin ${req.user.admin_id} (force: ${force}): ${audit.reason}`);
+
+    res.json({
+      success: true,
+      message: 'System shutdown initiated',
+      force,
+      timestamp: new Date().toISOString()
+    });
+
+    // Perform shutdown after response is sent
+    setImmediate(async () => {
+      try {
+        if (force) {
+          console.log('🚨 Force shutdown requested');
+          opsService.emergencyStop(opsService.resolveServices());
+        } else {
+          await opsService.gracefulShutdown();
+        }
+        process.exit(0);
+      } catch (shutdownError) {
+        console.error('❌ Shutdown error:', shutdownError);
+        process.exit(1);
+      }
+    });
+  } catch (error) {
+    console.error('❌ Shutdown endpoint error:', error);
+    res.status(500).json({
+      error: 'Shutdown request failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Restart IPFS and/or blockchain services (restarting blockchain reconnects to the chain)
+ * POST /api/admin/ops/restart
+ */
+router.post('/restart', async (req, res) => {
+  let services;
+  try {
+    services = opsService.resolveServices(req.body.services);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const audit = await authorizeAction(req, res, OPS_ACTIONS.RESTART, { services });
+    if (!audit) return;
+
+    console.log(`🔄 Service restart (${services.join(', ')}) requested by admin ${req.user.admin_id}: ${audit.reason}`);
+
+    const results = await opsService.restartServices(services);
+    const success = Object.values(results).some(result => result.success);
+
+    const auditId = await opsService.recordAudit({
+      ...audit,
+      outcome: success ? OPS_OUTCOMES.SUCCEEDED : OPS_OUTCOMES.FAILED,
+      details: results
+    });
+
+    res.json({
+      success,
+      message: 'Service restart completed',
+      results,
+      auditId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Restart error:', error);
+    res.status(500).json({
+      error: 'Service restart failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Halt IPFS and/or blockchain services immediately
+ * POST /api/admin/ops/emergency-stop
+ */
+router.post('/emergency-stop', async (req, res) => {
+  let services;
+  try {
+    services = opsService.resolveServices(req.body.services);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const audit = await authorizeAction(req, res, OPS_ACTIONS.EMERGENCY_STOP, { services });
+    if (!audit) return;
+
+    console.log(`🚨 Emergency stop (${services.join(', ')}) requested by admin ${req.user.admin_id}: ${audit.reason}`);
+
+    opsService.emergencyStop(services);
+    const auditId = await opsService.recordAudit({ ...audit, outcome: OPS_OUTCOMES.SUCCEEDED });
+
+    res.json({
+      success: true,
+      message: `Emergency stop completed - ${services.join(', ')} halted`,
+      services,
+      auditId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Emergency stop error:', error);
+    res.status(500).json({
+      error: 'Emergency stop failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List the operations audit log
+ * GET /api/admin/ops/audit
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const action = req.query.action ? String(req.query.action).replace(/-/g, '_') : null;
+
+    const entries = await opsService.getAuditLog({ limit, action });
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching ops audit log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ops audit log',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
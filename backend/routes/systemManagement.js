@@ -1,7 +1,6 @@
 const express = require('express');
 const { ipfsService } = require('../services/ipfsService');
 const { blockchainService } = require('../services/blockchainService');
-const { closeDatabase } = require('../config/sqlite');
 const router = express.Router();
 
 // System-wide health check
@@ -93,136 +92,6 @@ router.get('/status', async (req, res) => {
   }
 });
 
-// Graceful shutdown endpoint
-router.post('/shutdown', async (req, res) => {
-  try {
-    const { force = false } = req.body;
-    
-    console.log(`🔄 System shutdown requested via API (force: ${force})`);
-    
-    // Send response immediately before shutting down
-    res.json({
-      success: true,
-      message: 'System shutdown initiated',
-      force: force,
-      timestamp: new Date().toISOString()
-    });
-
-    // Perform shutdown after response is sent
-    setImmediate(async () => {
-      try {
-        if (force) {
-          console.log('🚨 Force shutdown requested');
-          ipfsService.emergencyShutdown();
-          blockchainService.emergencyShutdown();
-          process.exit(0);
-        } else {
-          console.log('💾 Graceful shutdown initiated');
-          
-          // Shutdown services
-          await ipfsService.shutdown();
-          await blockchainService.shutdown();
-          await closeDatabase();
-          
-          console.log('✅ Graceful shutdown completed');
-          process.exit(0);
-        }
-      } catch (shutdownError) {
-        console.error('❌ Shutdown error:', shutdownError);
-        process.exit(1);
-      }
-    });
-  } catch (error) {
-    console.error('Shutdown endpoint error:', error);
-    res.status(500).json({ 
-      error: 'Shutdown request failed',
-      details: error.message
-    });
-  }
-});
-
-// Restart services
-router.post('/restart', async (req, res) => {
-  try {
-    console.log('🔄 Service restart requested');
-    
-    const results = {
-      ipfs: { success: false, message: '' },
-      blockchain: { success: false, message: '' }
-    };
-
-    // Restart IPFS service
-    try {
-      await ipfsService.shutdown();
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      const ipfsSuccess = await ipfsService.initialize();
-      results.ipfs = {
-        success: ipfsSuccess,
-        message: ipfsSuccess ? 'IPFS restarted successfully' : 'IPFS restart failed'
-      };
-    } catch (ipfsError) {
-      results.ipfs = {
-        success: false,
-        message: `IPFS restart error: ${ipfsError.message}`
-      };
-    }
-
-    // Restart blockchain service
-    try {
-      await blockchainService.shutdown();
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      const blockchainSuccess = await blockchainService.initialize();
-      results.blockchain = {
-        success: blockchainSuccess,
-        message: blockchainSuccess ? 'Blockchain restarted successfully' : 'Blockchain restart failed'
-      };
-    } catch (blockchainError) {
-      results.blockchain = {
-        success: false,
-        message: `Blockchain restart error: ${blockchainError.message}`
-      };
-    }
-
-    const overallSuccess = results.ipfs.success || results.blockchain.success;
-
-    res.json({
-      success: overallSuccess,
-      message: 'Service restart completed',
-      results: results,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Restart error:', error);
-    res.status(500).json({ 
-      error: 'Service restart failed',
-      details: error.message
-    });
-  }
-});
-
-// Emergency stop all services
-router.post('/emergency-stop', async (req, res) => {
-  try {
-    console.log('🚨 Emergency stop requested for all services');
-    
-    // Immediate emergency shutdown
-    ipfsService.emergencyShutdown();
-    blockchainService.emergencyShutdown();
-    
-    res.json({
-      success: true,
-      message: 'Emergency stop completed - all services halted',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Emergency stop error:', error);
-    res.status(500).json({ 
-      error: 'Emergency stop failed',
-      details: error.message
-    });
-  }
-});
-
 // System metrics and performance data
 router.get('/metrics', async (req, res) => {
   try {
@@ -0,0 +1,37 @@
+const express = require('express');
+const { receiptService } = require('../services/receiptService');
+const router = express.Router();
+
+/**
+ * Check a complaint inclusion receipt against SQLite and the registry contract (no login required)
+ * POST /api/verify/receipt
+ */
+router.post('/receipt', async (req, res) => {
+  try {
+    const receipt = req.body && req.body.receipt ? req.body.receipt : req.body;
+
+    const result = await receiptService.verifyReceipt(receipt);
+    console.log(`🧾 Receipt for complaint ${result.complaintId} checked: ${result.verdict}`);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_RECEIPT') {
+      return res.status(400).json({
+        error: 'Invalid receipt',
+        details: error.message
+      });
+    }
+
+    console.error('❌ Error verifying receipt:', error);
+    res.status(500).json({
+      error: 'Failed to verify receipt',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const { db, closeDatabase } = require('../config/sqlite');
+const { Migrator, formatMigration } = require('../config/migrator');
+
+const USAGE = `Usage:
+  node scripts/migrate.js status                 show applied and pending migrations
+  node scripts/migrate.js up                     apply pending migrations
+  node scripts/migrate.js rollback [--steps N]   roll back the last N migrations (default 1)
+  node scripts/migrate.js rollback --to V        roll back every migration above version V`;
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} needs a non-negative number`);
+  }
+  return value;
+};
+
+const printStatus = async (migrator) => {
+  const status = await migrator.status();
+
+  console.log(`🧩 Schema version: ${status.currentVersion}`);
+  status.migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    const modified = migration.modified ? '  (file changed since it was applied)' : '';
+    console.log(`   ${formatMigration(migration)}  ${state}${modified}`);
+  });
+  status.unknown.forEach(migration => {
+    console.log(`   ${formatMigration(migration)}  applied ${migration.appliedAt}  (no migration file)`);
+  });
+};
+
+/**
+ * Schema migration CLI. Stop the API before rolling back.
+ */
+const migrate = async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const migrator = new Migrator(db);
+
+  switch (command) {
+    case 'status':
+      await printStatus(migrator);
+      return 0;
+
+    case 'up': {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.map(formatMigration).join(', ')}`
+        : '✅ Database is up to date');
+      return 0;
+    }
+
+    case 'rollback': {
+      const to = readOption(args, '--to');
+      const steps = readOption(args, '--steps');
+      const rolledBack = await migrator.rollback({ steps: steps === null ? 1 : steps, to });
+      console.log(rolledBack.length > 0
+        ? `✅ Rolled back ${rolledBack.map(formatMigration).join(', ')}`
+        : '✅ Nothing to roll back');
+      return 0;
+    }
+
+    default:
+      console.log(USAGE);
+      return 1;
+  }
+};
+
+migrate()
+  .then(async (code) => {
+    await closeDatabase();
+    process.exit(code);
+  })
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
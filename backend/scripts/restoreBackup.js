@@ -0,0 +1,53 @@
+const { backupService } = require('../services/backupService');
+
+/**
+ * Restore grievance_system.db from a backup.
+ *
+ *   node scripts/restoreBackup.js                 list backups
+ *   node scripts/restoreBackup.js <name|path>     validate and restore (stop the API first)
+ *   node scripts/restoreBackup.js <name|path> --dry-run
+ */
+const restoreBackup = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const source = args.find(arg => !arg.startsWith('--'));
+
+  if (!source) {
+    const backups = await backupService.listBackups();
+    console.log(backups.length > 0 ? '📦 Available backups:' : '📦 No backups found');
+    backups.forEach(backup => {
+      console.log(`   ${backup.name}  ${backup.size} bytes  ${backup.checksum || 'no checksum'}`);
+    });
+    console.log('\nUsage: node scripts/restoreBackup.js <backup name or path> [--dry-run]');
+    return 0;
+  }
+
+  console.log(`🔍 Validating ${source}...`);
+  const result = await backupService.restoreBackup(source, { dryRun });
+
+  result.validation.warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+  result.validation.errors.forEach(error => console.log(`❌ ${error}`));
+
+  if (!result.validation.valid) {
+    console.log('❌ Backup failed validation; nothing was changed');
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log('✅ Backup is valid and compatible (dry run, nothing was changed)');
+  } else {
+    console.log(`✅ Restored ${result.source}`);
+    console.log(`   Previous database saved as ${result.safetyBackup}`);
+  }
+  return 0;
+};
+
+restoreBackup()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Restore failed:', error.message);
+    if (error.code === 'DATABASE_IN_USE') {
+      console.error('   Stop the API and run the restore again');
+    }
+    process.exit(1);
+  });
@@ -1,5 +1,71 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { query } = require('../config/sqlite');
+const { PERMISSIONS, ADMIN_ROLES } = require('../middleware/auth');
+
+// Passwords set by scripts/checkAdmin.js, start.sh and .env.example; accounts still using one are not promoted
+const WELL_KNOWN_PASSWORDS = ['admin123', 'change_this_password'];
+
+/**
+ * Make sure a super admin exists so further admins can be invited.
+ * BOOTSTRAP_ADMIN_ID / _EMAIL / _PASSWORD choose the account; an existing admin named by
+ * BOOTSTRAP_ADMIN_ID is promoted unless its password is a well-known default. On an empty
+ * admins table without a configured password, a random one is generated and printed once.
+ */
+const bootstrapSuperAdmin = async () => {
+  const superAdmins = await query('SELECT admin_id FROM admins WHERE role = ?', [ADMIN_ROLES.SUPER_ADMIN]);
+  if (superAdmins.length > 0) {
+    console.log(`ℹ️ Super admin already exists: ${superAdmins[0].admin_id}`);
+    return;
+  }
+
+  const adminId = process.env.BOOTSTRAP_ADMIN_ID || 'admin001';
+  const email = process.env.BOOTSTRAP_ADMIN_EMAIL || 'admin@example.com';
+  const allPermissions = Object.values(PERMISSIONS).join(',');
+
+  // Only promote when explicitly asked: the default ID may belong to an account with a well-known password
+  const existingAdmin = await query('SELECT id, password_hash FROM admins WHERE admin_id = ?', [adminId]);
+  if (existingAdmin.length > 0 && process.env.BOOTSTRAP_ADMIN_ID) {
+    for (const password of WELL_KNOWN_PASSWORDS) {
+      if (await bcrypt.compare(password, existingAdmin[0].password_hash)) {
+        console.warn(`⚠️ Not promoting ${adminId}: it still uses a well-known default password. Change it and restart.`);
+        return;
+      }
+    }
+
+    await query(
+      'UPDATE admins SET role = ?, permissions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [ADMIN_ROLES.SUPER_ADMIN, allPermissions, existingAdmin[0].id]
+    );
+    console.log(`✅ Promoted existing admin ${adminId} to super admin`);
+    return;
+  }
+
+  const admins = await query('SELECT COUNT(*) as count FROM admins');
+  const configuredPassword = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+
+  if (existingAdmin.length > 0 || (!configuredPassword && admins[0].count > 0)) {
+    console.warn('⚠️ No super admin exists. Set BOOTSTRAP_ADMIN_ID to an existing admin (or BOOTSTRAP_ADMIN_PASSWORD for a new one) and restart.');
+    return;
+  }
+
+  const password = configuredPassword || crypto.randomBytes(12).toString('base64url');
+  const saltRounds = 12;
+  const passwordHash = await bcrypt.hash(password, saltRounds);
+
+  await query(
+    `INSERT INTO admins (admin_id, email, password_hash, full_name, role, permissions, is_active) 
+     VALUES (?, ?, ?, ?, ?, ?, 1)`,
+    [adminId, email, passwordHash, 'Super Admin', ADMIN_ROLES.SUPER_ADMIN, allPermissions]
+  );
+
+  console.log('✅ Super admin created:');
+  console.log(`   Admin ID: ${adminId}`);
+  console.log(`   Email: ${email}`);
+  if (!configuredPassword) {
+    console.log(`   Password: ${password} (generated, shown only once; change it after logging in)`);
+  }
+};
 
 const createDefaultUsers = async () => {
   try {
@@ -30,34 +96,11 @@ const createDefaultUsers = async () => {
       console.log('ℹ️ Default student already exists');
     }
     
-    // Check if default admin already exists
-    const existingAdmin = await query(
-      'SELECT * FROM admins WHERE admin_id = ?',
-      ['admin001']
-    );
-    
-    if (existingAdmin.length === 0) {
-      // Create default admin
-      const saltRounds = 12;
-      const passwordHash = await bcrypt.hash('admin123', saltRounds);
-      
-      await query(
-        `INSERT INTO admins (admin_id, email, password_hash, full_name, permissions, is_active) 
-         VALUES (?, ?, ?, ?, ?, 1)`,
-        ['admin001', 'admin@example.com', passwordHash, 'Test Admin', 'block_create,block_view,complaint_manage']
-      );
-      
-      console.log('✅ Default admin created:');
-      console.log('   Admin ID: admin001');
-      console.log('   Password: admin123');
-      console.log('   Email: admin@example.com');
-    } else {
-      console.log('ℹ️ Default admin already exists');
-    }
+    await bootstrapSuperAdmin();
     
   } catch (error) {
     console.error('❌ Error creating default users:', error);
   }
 };
 
-module.exports = { createDefaultUsers };
+module.exports = { createDefaultUsers, bootstrapSuperAdmin };
@@ -11,11 +11,22 @@ const systemRoutes = require('./routes/system');
 const systemManagementRoutes = require('./routes/systemManagement');
 const adminAuthRoutes = require('./routes/adminAuth');
 const blockManagementRoutes = require('./routes/blockManagement');
+const metaRoutes = require('./routes/meta');
+const verifyRoutes = require('./routes/verify');
+const opsRoutes = require('./routes/ops');
+const backupRoutes = require('./routes/backups');
+const chainRoleRoutes = require('./routes/chainRoles');
 const { router: devRoutes } = require('./routes/dev');
-const { initializeDatabase } = require('./config/sqlite');
+const { initializeDatabase, claimDatabase, releaseDatabase } = require('./config/sqlite');
 const { ipfsService } = require('./services/ipfsService');
 const { blockchainService } = require('./services/blockchainService');
+const { blockService } = require('./services/blockService');
+const { opsService } = require('./services/opsService');
+const { backupService } = require('./services/backupService');
+const { sealingPolicyService } = require('./services/sealingPolicyService');
+const { chainRoleService } = require('./services/chainRoleService');
 const { createDefaultUsers } = require('./seeds/defaultUsers');
+const { assertAuthConfigured } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -51,6 +62,11 @@ app.use('/api/system', systemRoutes);
 app.use('/api/admin', systemManagementRoutes);
 app.use('/api/admin/auth', adminAuthRoutes);
 app.use('/api/admin/blocks', blockManagementRoutes);
+app.use('/api/admin/ops', opsRoutes);
+app.use('/api/admin/backups', backupRoutes);
+app.use('/api/admin/chain', chainRoleRoutes);
+app.use('/api/meta', metaRoutes);
+app.use('/api/verify', verifyRoutes);
 app.use('/api/dev', devRoutes);
 
 // Health check endpoint
@@ -77,8 +93,6 @@ app.use('*', (req, res) => {
 });
 
 // Graceful shutdown handlers
-const { closeDatabase } = require('./config/sqlite');
-
 process.on('SIGTERM', async () => {
   console.log('🔄 SIGTERM received, initiating graceful shutdown...');
   await gracefulShutdown();
@@ -94,13 +108,20 @@ const initializeServices = async () => {
   try {
     console.log('🚀 Initializing Student Grievance System...');
     
-    // Initialize database
-    console.log('📊 Initializing database...');
-    await initializeDatabase();
-    
     // Create default users for testing
     await createDefaultUsers();
     
+    // Find and repair blocks left half-written by an earlier crash
+    const consistency = await blockService.checkConsistency({
+      repair: process.env.BLOCK_CONSISTENCY_REPAIR !== 'false'
+    });
+    consistency.issues.forEach(issue => {
+      console.warn(`${issue.repaired ? '🧰 Repaired' : '⚠️ Found'} ${issue.type}: ${issue.message}` +
+        (issue.blockNumber ? ` (block ${issue.blockNumber})` : '') +
+        (issue.complaintId ? ` (complaint ${issue.complaintId})` : ''));
+    });
+    console.log(`🧱 Checked ${consistency.checkedBlocks} block(s), ${consistency.issues.length} issue(s)`);
+    
     // Initialize IPFS service
     console.log('📡 Initializing IPFS service...');
     await ipfsService.initialize();
@@ -109,6 +130,18 @@ const initializeServices = async () => {
     console.log('🔗 Initializing blockchain service...');
     await blockchainService.initialize();
     
+    // Take over contract admin if the deployment proposed the backend signer
+    await chainRoleService.acceptPendingAdmin()
+      .catch(error => console.warn('⚠️ Could not accept contract admin:', error.message));
+    
+    backupService.startScheduler();
+    
+    // Retry anchoring blocks that were sealed while the chain was unreachable
+    blockService.startAnchorRetryWorker();
+    
+    // Seal blocks automatically when the sealing policy says so
+    sealingPolicyService.start();
+    
     console.log('✅ All services initialized successfully');
     return true;
   } catch (error) {
@@ -119,6 +152,31 @@ const initializeServices = async () => {
 
 // Start server
 const startServer = async () => {
+  // Tokens cannot be issued or verified safely without a secret
+  try {
+    assertAuthConfigured();
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+
+  // A restore swaps the database file underneath any connection left open
+  try {
+    await claimDatabase('api');
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+
+  // Never serve requests against a schema the code does not match
+  try {
+    console.log('📊 Initializing database...');
+    await initializeDatabase();
+  } catch (error) {
+    console.error('❌ Database migration failed:', error.message);
+    process.exit(1);
+  }
+
   const servicesReady = await initializeServices();
   
   if (!servicesReady) {
@@ -129,8 +187,8 @@ const startServer = async () => {
     console.log(`✅ Student Grievance System API running on port ${PORT}`);
     console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
     console.log(`📊 Database: SQLite`);
-    console.log(`📡 IPFS: ${ipfsService.isConnected ? 'Connected' : 'Mock mode'}`);
-    console.log(`🔗 Blockchain: ${blockchainService.isConnected ? 'Connected to Ganache' : 'Mock mode'}`);
+    console.log(`📡 IPFS: ${ipfsService.isConnected ? 'Connected' : 'Local content store'}`);
+    console.log(`🔗 Blockchain: ${blockchainService.isConnected ? `Connected to chain ${blockchainService.networkId} at ${blockchainService.rpcUrl}` : 'Mock mode'}`);
   });
 };
 
@@ -186,68 +244,11 @@ process.on('SIGBREAK', () => {
   gracefulShutdown().then(() => process.exit(0));
 });
 
-const gracefulShutdown = async () => {
-  try {
-    console.log('💾 Shutting down services...');
-    
-    // Start shutdown procedures in parallel for faster shutdown
-    const shutdownPromises = [];
-    
-    // Shutdown IPFS service
-    console.log('📡 Shutting down IPFS service...');
-    shutdownPromises.push(
-      ipfsService.shutdown().catch(error => 
-        console.error('❌ IPFS shutdown error:', error)
-      )
-    );
-    
-    // Shutdown blockchain service
-    console.log('🔗 Shutting down blockchain service...');
-    shutdownPromises.push(
-      blockchainService.shutdown().catch(error => 
-        console.error('❌ Blockchain shutdown error:', error)
-      )
-    );
-    
-    // Wait for all service shutdowns to complete (with timeout)
-    try {
-      await Promise.race([
-        Promise.all(shutdownPromises),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Shutdown timeout')), 10000)
-        )
-      ]);
-      console.log('✅ All services shutdown completed');
-    } catch (timeoutError) {
-      console.warn('⚠️ Shutdown timeout reached, forcing emergency shutdown...');
-      // Emergency shutdown for unresponsive services
-      try {
-        ipfsService.emergencyShutdown();
-        blockchainService.emergencyShutdown();
-      } catch (emergencyError) {
-        console.error('❌ Emergency shutdown error:', emergencyError);
-      }
-    }
-    
-    // Close database connections
-    console.log('💾 Closing database connections...');
-    await closeDatabase();
-    
-    console.log('✅ Graceful shutdown completed');
-  } catch (error) {
-    console.error('❌ Error during graceful shutdown:', error);
-    
-    // Emergency cleanup as last resort
-    try {
-      console.log('🚨 Performing emergency cleanup...');
-      ipfsService.emergencyShutdown();
-      blockchainService.emergencyShutdown();
-      console.log('🚨 Emergency cleanup completed');
-    } catch (emergencyError) {
-      console.error('❌ Emergency cleanup failed:', emergencyError);
-    }
-  }
-};
+// Every shutdown path ends in process.exit; hand the database file back there
+process.on('exit', releaseDatabase);
+
+// Shared with POST /api/admin/ops/shutdown so signals and the API stop things the same way
+const gracefulShutdown = () => opsService.gracefulShutdown();
 
 // Start the server
 startServer();
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { query } = require('../config/sqlite');
+const { PERMISSIONS, parsePermissions } = require('../middleware/auth');
+
+const INVITATION_TTL_HOURS = parseFloat(process.env.ADMIN_INVITATION_TTL_HOURS) || 48;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Single-use, expiring invitations that let someone create an admin account.
+ * The invitation, not the person accepting it, decides the new admin's permissions.
+ */
+class AdminInvitationService {
+  /**
+   * Check a permission list against the known permissions
+   * @param {Array<string>|string} permissions - List or comma-separated string
+   * @returns {Array<string>} Normalized permission list
+   */
+  validatePermissions(permissions) {
+    const list = Array.isArray(permissions) ? permissions.map(p => String(p).trim()) : parsePermissions(permissions);
+    const known = Object.values(PERMISSIONS);
+    const unknown = list.filter(permission => !known.includes(permission));
+
+    if (list.length === 0) {
+      throw new Error('At least one permission is required');
+    }
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}. Must be among: ${known.join(', ')}`);
+    }
+
+    return [...new Set(list)];
+  }
+
+  /**
+   * Issue an invitation
+   * @param {Object} options
+   * @param {number} options.createdBy - admins.id of the issuing super admin
+   * @param {Array<string>|string} options.permissions - Permissions the new admin receives
+   * @param {string} [options.email] - Restrict the invitation to this email
+   * @param {number} [options.ttlHours] - Hours until the invitation expires
+   * @returns {Promise<Object>} Invitation including the raw token (only returned here)
+   */
+  async createInvitation({ createdBy, permissions, email = null, ttlHours = INVITATION_TTL_HOURS }) {
+    const permissionList = this.validatePermissions(permissions);
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+
+    const result = await query(`
+      INSERT INTO admin_invitations (token_hash, email, permissions, created_by_admin_id, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [hashToken(token), email ? email.toLowerCase() : null, permissionList.join(','), createdBy, expiresAt]);
+
+    return {
+      id: result.insertId,
+      token,
+      email: email ? email.toLowerCase() : null,
+      permissions: permissionList,
+      expiresAt
+    };
+  }
+
+  /**
+   * Reserve an invitation for an admin being created. Only one caller can claim a token.
+   * @param {string} token - Raw invitation token
+   * @param {string} email - Email of the admin being created
+   * @returns {Promise<Object>} Claimed invitation row with parsed permissions
+   */
+  async claimInvitation(token, email) {
+    const invitations = await query(
+      'SELECT * FROM admin_invitations WHERE token_hash = ?',
+      [hashToken(String(token))]
+    );
+
+    const invitation = invitations[0];
+    if (!invitation) {
+      throw new Error('Invalid invitation token');
+    }
+    if (invitation.used_at) {
+      throw new Error('Invitation has already been used');
+    }
+    if (new Date(invitation.expires_at) < new Date()) {
+      throw new Error('Invitation has expired');
+    }
+    if (invitation.email && invitation.email !== String(email).toLowerCase()) {
+      throw new Error('Invitation was issued for a different email address');
+    }
+
+    const claimed = await query(
+      'UPDATE admin_invitations SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [invitation.id]
+    );
+    if (claimed.changes !== 1) {
+      throw new Error('Invitation has already been used');
+    }
+
+    return {
+      ...invitation,
+      permissions: parsePermissions(invitation.permissions)
+    };
+  }
+
+  /**
+   * Record which admin an invitation created
+   * @param {number} invitationId - Invitation ID
+   * @param {number} adminId - admins.id of the new admin
+   */
+  async completeInvitation(invitationId, adminId) {
+    await query('UPDATE admin_invitations SET used_by_admin_id = ? WHERE id = ?', [adminId, invitationId]);
+  }
+
+  /**
+   * Make a claimed invitation usable again after admin creation failed
+   * @param {number} invitationId - Invitation ID
+   */
+  async releaseInvitation(invitationId) {
+    await query(
+      'UPDATE admin_invitations SET used_at = NULL WHERE id = ? AND used_by_admin_id IS NULL',
+      [invitationId]
+    );
+  }
+}
+
+const adminInvitationService = new AdminInvitationService();
+
+module.exports = {
+  AdminInvitationService,
+  adminInvitationService
+};
@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { db, dbPath, closeDatabase, claimDatabase, releaseDatabase } = require('../config/sqlite');
+const { Migrator } = require('../config/migrator');
+
+const BACKUP_DIR = process.env.DB_BACKUP_DIR
+  ? path.resolve(process.env.DB_BACKUP_DIR)
+  : path.join(__dirname, '../backups');
+const RETENTION_DAYS = parseFloat(process.env.DB_BACKUP_RETENTION_DAYS) || 7;
+const MAX_BACKUPS = parseInt(process.env.DB_BACKUP_MAX_COUNT, 10) || 30;
+const INTERVAL_HOURS = process.env.DB_BACKUP_INTERVAL_HOURS === undefined
+  ? 24
+  : parseFloat(process.env.DB_BACKUP_INTERVAL_HOURS);
+
+const BACKUP_TRIGGERS = ['manual', 'scheduled', 'shutdown', 'pre-restore'];
+
+// grievance_system_20250101T120000000Z_manual.db
+const BACKUP_NAME_PATTERN = new RegExp(`^grievance_system_(\\d{8}T\\d{9}Z)_(${BACKUP_TRIGGERS.join('|')})\\.db$`);
+
+/**
+ * Run a read query on a given sqlite3 connection
+ */
+const allOn = (database, sql, params = []) => new Promise((resolve, reject) => {
+  database.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Read table -> column names for a database connection
+ */
+const readSchema = async (database) => {
+  const tables = await allOn(database, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  const schema = {};
+
+  for (const { name } of tables) {
+    const columns = await allOn(database, `PRAGMA table_info("${name.replace(/"/g, '""')}")`);
+    schema[name] = columns.map(column => column.name);
+  }
+
+  return schema;
+};
+
+/**
+ * Online backups of grievance_system.db using SQLite's backup API, so the
+ * copy is consistent even while the API keeps writing. Each backup has a
+ * sha256sum-compatible `.sha256` file next to it.
+ */
+class BackupService {
+  constructor(backupDir = BACKUP_DIR) {
+    this.backupDir = backupDir;
+    this.scheduleTimer = null;
+    this.running = null;
+  }
+
+  /**
+   * Get the path of a backup by file name
+   * @param {string} name - Backup file name
+   * @returns {string} Absolute path inside the backup directory
+   */
+  getBackupPath(name) {
+    if (!BACKUP_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid backup name: ${name}`);
+    }
+    return path.join(this.backupDir, name);
+  }
+
+  /**
+   * Create a backup of the live database
+   * @param {string} [trigger] - manual, scheduled, shutdown or pre-restore
+   * @returns {Promise<Object>} Backup details
+   */
+  async createBackup(trigger = 'manual') {
+    if (!BACKUP_TRIGGERS.includes(trigger)) {
+      throw new Error(`Invalid backup trigger: ${trigger}`);
+    }
+
+    // One backup at a time; overlapping callers wait for the running one and start their own
+    while (this.running) {
+      await this.running.catch(() => {});
+    }
+
+    this.running = this.performBackup(trigger);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async performBackup(trigger) {
+    await fs.promises.mkdir(this.backupDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+    const name = `grievance_system_${stamp}_${trigger}.db`;
+    const filePath = this.getBackupPath(name);
+    const tempPath = `${filePath}.tmp`;
+
+    try {
+      await new Promise((resolve, reject) => {
+        const backup = db.backup(tempPath, (initError) => {
+          if (initError) return reject(initError);
+
+          // Copy every page in one step; the database is small enough not to need throttling
+          backup.step(-1, (stepError) => {
+            if (stepError) return reject(stepError);
+            if (!backup.completed) return reject(new Error('Backup did not complete'));
+            backup.finish(() => resolve());
+          });
+        });
+      });
+
+      const checksum = await sha256File(tempPath);
+      await fs.promises.rename(tempPath, filePath);
+      await fs.promises.writeFile(`${filePath}.sha256`, `${checksum}  ${name}\n`);
+
+      const { size } = await fs.promises.stat(filePath);
+      console.log(`📦 Database backup created: ${name}`);
+
+      const removed = await this.applyRetention();
+
+      return {
+        name,
+        trigger,
+        size,
+        checksum,
+        createdAt: new Date().toISOString(),
+        removed
+      };
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * List backups, newest first
+   * @returns {Promise<Array>} Backup name, trigger, size, checksum and creation time
+   */
+  async listBackups() {
+    if (!fs.existsSync(this.backupDir)) {
+      return [];
+    }
+
+    const names = (await fs.promises.readdir(this.backupDir)).filter(name => BACKUP_NAME_PATTERN.test(name));
+    const backups = [];
+
+    for (const name of names) {
+      const [, stamp, trigger] = name.match(BACKUP_NAME_PATTERN);
+      const filePath = path.join(this.backupDir, name);
+      const { size } = await fs.promises.stat(filePath);
+
+      backups.push({
+        name,
+        trigger,
+        size,
+        checksum: await this.readChecksum(name),
+        createdAt: new Date(
+          `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`
+        ).toISOString()
+      });
+    }
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Read the recorded checksum of a backup
+   * @param {string} name - Backup file name
+   * @returns {Promise<string|null>} sha256 hex, or null if no checksum file exists
+   */
+  async readChecksum(name) {
+    const checksumPath = `${this.getBackupPath(name)}.sha256`;
+    if (!fs.existsSync(checksumPath)) {
+      return null;
+    }
+    const content = await fs.promises.readFile(checksumPath, 'utf8');
+    return content.split(/\s+/)[0] || null;
+  }
+
+  /**
+   * Delete backups older than the retention period or beyond the maximum count.
+   * The newest backup is always kept.
+   * @returns {Promise<Array<string>>} Names of deleted backups
+   */
+  async applyRetention() {
+    const backups = await this.listBackups();
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    const expired = backups.slice(1).filter((backup, index) =>
+      index + 1 >= MAX_BACKUPS || new Date(backup.createdAt).getTime() < cutoff
+    );
+
+    for (const backup of expired) {
+      const filePath = this.getBackupPath(backup.name);
+      await fs.promises.rm(filePath, { force: true });
+      await fs.promises.rm(`${filePath}.sha256`, { force: true });
+      console.log(`🧹 Removed expired backup: ${backup.name}`);
+    }
+
+    return expired.map(backup => backup.name);
+  }
+
+  /**
+   * Check a backup file before restoring it: checksum, integrity and schema compatibility.
+   * A backup from an older schema version is fine (pending migrations run on startup),
+   * but one with migrations, tables or columns this version does not know is refused.
+   * @param {string} filePath - Backup file
+   * @param {string|null} expectedChecksum - Recorded sha256, if any
+   * @returns {Promise<Object>} { valid, errors, warnings }
+   */
+  async validateBackup(filePath, expectedChecksum = null) {
+    const errors = [];
+    const warnings = [];
+
+    if (!fs.existsSync(filePath)) {
+      return { valid: false, errors: [`Backup file not found: ${filePath}`], warnings };
+    }
+
+    if (expectedChecksum) {
+      const checksum = await sha256File(filePath);
+      if (checksum !== expectedChecksum) {
+        errors.push(`Checksum mismatch: expected ${expectedChecksum}, got ${checksum}`);
+      }
+    } else {
+      warnings.push('No recorded checksum; file contents were not verified');
+    }
+
+    // integrity_check of the FTS5 tables needs a writable connection, so check a
+    // scratch copy rather than the backup itself
+    const scratchDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'grievance-validate-'));
+    const scratchPath = path.join(scratchDir, path.basename(filePath));
+    let backupDb;
+    try {
+      await fs.promises.copyFile(filePath, scratchPath);
+      backupDb = await new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(scratchPath, sqlite3.OPEN_READWRITE, (err) => {
+          if (err) reject(err);
+          else resolve(connection);
+        });
+      });
+
+      const [integrity] = await allOn(backupDb, 'PRAGMA integrity_check');
+      if (!integrity || integrity.integrity_check !== 'ok') {
+        errors.push(`Integrity check failed: ${integrity ? integrity.integrity_check : 'no result'}`);
+      }
+
+      const knownVersions = new Migrator(db).loadMigrations().map(migration => migration.version);
+      const backupSchema = await readSchema(backupDb);
+      const currentSchema = await readSchema(db);
+
+      const backupVersions = backupSchema.schema_migrations
+        ? (await allOn(backupDb, 'SELECT version FROM schema_migrations')).map(row => row.version)
+        : [];
+      const unknownVersions = backupVersions.filter(version => !knownVersions.includes(version));
+      const pendingVersions = knownVersions.filter(version => !backupVersions.includes(version));
+
+      if (unknownVersions.length > 0) {
+        errors.push(`Backup has migrations this version does not know: ${unknownVersions.join(', ')}`);
+      }
+      if (pendingVersions.length > 0) {
+        warnings.push(`Migrations ${pendingVersions.join(', ')} will be applied to the backup on startup`);
+      }
+
+      // Without pending migrations the backup must have exactly the current schema
+      const reportMissing = (message) => (pendingVersions.length > 0 ? warnings : errors).push(message);
+
+      for (const [table, columns] of Object.entries(backupSchema)) {
+        if (!currentSchema[table]) {
+          errors.push(`Backup has table ${table}, which this version does not know`);
+          continue;
+        }
+        const unknown = columns.filter(column => !currentSchema[table].includes(column));
+        if (unknown.length > 0) {
+          errors.push(`Backup table ${table} has unknown columns: ${unknown.join(', ')}`);
+        }
+      }
+
+      for (const [table, columns] of Object.entries(currentSchema)) {
+        if (!backupSchema[table]) {
+          reportMissing(`Backup has no ${table} table`);
+          continue;
+        }
+        const missing = columns.filter(column => !backupSchema[table].includes(column));
+        if (missing.length > 0) {
+          reportMissing(`Backup table ${table} is missing columns: ${missing.join(', ')}`);
+        }
+      }
+    } catch (error) {
+      errors.push(`Could not read backup: ${error.message}`);
+    } finally {
+      if (backupDb) {
+        await new Promise(resolve => backupDb.close(() => resolve()));
+      }
+      await fs.promises.rm(scratchDir, { recursive: true, force: true });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Replace the live database with a backup. Refused with DATABASE_IN_USE while
+   * the API owns the database file, since its open connection would keep
+   * serving the replaced file; the current database is backed up first.
+   * @param {string} source - Backup name in the backup directory, or a path to a database file
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only validate
+   * @returns {Promise<Object>} Validation result, safety backup and restored file
+   */
+  async restoreBackup(source, { dryRun = false } = {}) {
+    const isName = BACKUP_NAME_PATTERN.test(source);
+    const filePath = isName ? this.getBackupPath(source) : path.resolve(source);
+    const expectedChecksum = isName ? await this.readChecksum(source) : null;
+
+    if (isName && !expectedChecksum) {
+      throw new Error(`Backup ${source} has no checksum file; refusing to restore it by name`);
+    }
+
+    const validation = await this.validateBackup(filePath, expectedChecksum);
+    if (!validation.valid || dryRun) {
+      return { restored: false, source: filePath, validation };
+    }
+
+    // Also keeps the API from starting until the swap is done
+    const claimed = await claimDatabase('restore');
+    let safetyBackup;
+    try {
+      safetyBackup = await this.createBackup('pre-restore');
+      await closeDatabase();
+
+      // Copy next to the live file first so the swap itself is a single rename
+      const stagingPath = `${dbPath}.restoring`;
+      await fs.promises.copyFile(filePath, stagingPath);
+      await fs.promises.rm(`${dbPath}-journal`, { force: true });
+      await fs.promises.rename(stagingPath, dbPath);
+    } finally {
+      if (claimed) releaseDatabase();
+    }
+
+    console.log(`♻️ Database restored from ${filePath}`);
+
+    return {
+      restored: true,
+      source: filePath,
+      safetyBackup: safetyBackup.name,
+      validation
+    };
+  }
+
+  /**
+   * Start scheduled backups
+   * @param {number} [intervalHours] - Hours between backups; 0 disables the schedule
+   */
+  startScheduler(intervalHours = INTERVAL_HOURS) {
+    if (this.scheduleTimer || !(intervalHours > 0)) {
+      return;
+    }
+
+    this.scheduleTimer = setInterval(() => {
+      this.createBackup('scheduled')
+        .catch(error => console.error('❌ Scheduled backup failed:', error.message));
+    }, intervalHours * 60 * 60 * 1000);
+
+    // Do not keep the process alive just for backups
+    this.scheduleTimer.unref();
+    console.log(`📦 Database backups scheduled every ${intervalHours}h (keeping ${RETENTION_DAYS} days, at most ${MAX_BACKUPS})`);
+  }
+
+  /**
+   * Stop scheduled backups
+   */
+  stopScheduler() {
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+      console.log('📦 Backup scheduler stopped');
+    }
+  }
+}
+
+const backupService = new BackupService();
+
+module.exports = {
+  BackupService,
+  backupService
+};
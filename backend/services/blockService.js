@@ -1,7 +1,19 @@
-const { query } = require('../config/sqlite');
-const { merkleTreeService } = require('./merkleTreeService');
+const { query, withTransaction } = require('../config/sqlite');
+const { merkleTreeService, MERKLE_SCHEMES } = require('./merkleTreeService');
 const { generateComplaintInsights } = require('./aiService');
 const { ipfsService } = require('./ipfsService');
+const { blockchainService } = require('./blockchainService');
+const { complaintEventService, COMPLAINT_EVENT_TYPES } = require('./complaintEventService');
+const { lockService } = require('./lockService');
+
+const ANCHOR_RETRY_INTERVAL_MS = parseInt(process.env.ANCHOR_RETRY_INTERVAL_MS, 10) || 60 * 1000;
+
+// Held while a block is sealed; expires in case the process dies mid-creation
+const BLOCK_CREATION_LOCK = 'block_creation';
+const BLOCK_CREATION_LOCK_TTL_MS = parseInt(process.env.BLOCK_CREATION_LOCK_TTL_MS, 10) || 10 * 60 * 1000;
+
+// Unsealed complaints older than this are reported as orphans
+const ORPHAN_COMPLAINT_HOURS = parseFloat(process.env.ORPHAN_COMPLAINT_HOURS) || 24;
 
 /**
  * Block Service for creating and managing complaint blocks
@@ -14,6 +26,9 @@ class BlockService {
       high: 2,      // sentiment 0.3-0.6
       normal: 1     // sentiment > 0.6
     };
+    this.orphanComplaintHours = ORPHAN_COMPLAINT_HOURS;
+    this.anchorRetryTimer = null;
+    this.anchoringRun = null;
   }
 
   /**
@@ -28,23 +43,22 @@ class BlockService {
   }
 
   /**
-   * Get unprocessed complaints since last block
-   * @returns {Array} Array of unprocessed complaints
+   * Get complaints that are not in any block yet.
+   * Membership is the only criterion: timestamps are not reliable (complaints created in the
+   * same second as a block, or restored from a backup, would otherwise be skipped forever).
+   * @param {Object} [options]
+   * @param {Array<number>} [options.complaintIds] - Only consider these complaints
+   * @returns {Array} Array of unprocessed complaints, oldest first
    */
-  async getUnprocessedComplaints() {
+  async getUnprocessedComplaints({ complaintIds = null } = {}) {
     try {
       console.log('📋 Fetching unprocessed complaints...');
 
-      // Get timestamp of last block creation
-      const lastBlockQuery = `
-        SELECT MAX(created_at) as last_block_time 
-        FROM block_metadata
-      `;
-      const lastBlockResult = await query(lastBlockQuery);
-      const lastBlockTime = lastBlockResult[0]?.last_block_time || '1970-01-01 00:00:00';
+      if (complaintIds && complaintIds.length === 0) {
+        return [];
+      }
 
-      // Get complaints created after last block
-      const complaintsQuery = `
+      const complaints = await query(`
         SELECT 
           c.id,
           c.student_id,
@@ -58,17 +72,14 @@ class BlockService {
           c.similarity_score,
           c.created_at
         FROM complaints c
-        WHERE c.created_at > ? 
-          AND c.id NOT IN (
-            SELECT cb.complaint_id 
-            FROM complaint_blocks cb
+        WHERE NOT EXISTS (
+            SELECT 1 FROM complaint_blocks cb WHERE cb.complaint_id = c.id
           )
-        ORDER BY c.created_at ASC
-      `;
-
-      const complaints = await query(complaintsQuery, [lastBlockTime]);
+          ${complaintIds ? `AND c.id IN (${complaintIds.map(() => '?').join(',')})` : ''}
+        ORDER BY c.created_at ASC, c.id ASC
+      `, complaintIds || []);
       
-      console.log(`📊 Found ${complaints.length} unprocessed complaints since ${lastBlockTime}`);
+      console.log(`📊 Found ${complaints.length} unprocessed complaints`);
       return complaints;
 
     } catch (error) {
@@ -77,6 +88,35 @@ class BlockService {
     }
   }
 
+  /**
+   * Get complaints that have waited longer than a threshold without being sealed in a block
+   * @param {number} olderThanHours - Minimum age in hours
+   * @returns {Promise<Array>} Orphaned complaints, oldest first, with their age in hours
+   */
+  async getOrphanedComplaints(olderThanHours = this.orphanComplaintHours) {
+    const orphans = await query(`
+      SELECT c.id, c.student_id, c.title, c.category, c.priority, c.status, c.created_at,
+             ROUND((julianday('now') - julianday(c.created_at)) * 24, 1) AS age_hours
+      FROM complaints c
+      WHERE NOT EXISTS (
+          SELECT 1 FROM complaint_blocks cb WHERE cb.complaint_id = c.id
+        )
+        AND c.created_at <= datetime('now', ?)
+      ORDER BY c.created_at ASC, c.id ASC
+    `, [`-${olderThanHours} hours`]);
+
+    return orphans.map(orphan => ({
+      id: orphan.id,
+      studentId: orphan.student_id,
+      title: orphan.title,
+      category: orphan.category,
+      priority: orphan.priority,
+      status: orphan.status,
+      createdAt: orphan.created_at,
+      ageHours: orphan.age_hours
+    }));
+  }
+
   /**
    * Classify and analyze complaints using AI
    * @param {Array} complaints - Array of complaint objects
@@ -193,68 +233,127 @@ class BlockService {
   }
 
   /**
-   * Create a new complaint block
+   * Create a new complaint block.
+   * Only one block is sealed at a time (advisory lock); a concurrent call fails
+   * with error.code BLOCK_CREATION_IN_PROGRESS. All block rows are written in one transaction.
    * @param {number} adminId - ID of the admin creating the block
+   * @param {Object} [options]
+   * @param {Array<number>} [options.complaintIds] - Seal only these unprocessed complaints
+   * @param {string} [options.actorType] - 'admin', or 'system' for the automatic sealing principal
    * @returns {Object} Block creation result
    */
-  async createBlock(adminId) {
+  async createBlock(adminId, { complaintIds = null, actorType = 'admin' } = {}) {
+    const lock = await lockService.acquire(BLOCK_CREATION_LOCK, `${actorType}:${adminId}`, BLOCK_CREATION_LOCK_TTL_MS);
+    if (!lock) {
+      const holder = await lockService.getHolder(BLOCK_CREATION_LOCK);
+      const error = new Error('Another block is being created. Try again when it has finished.');
+      error.code = 'BLOCK_CREATION_IN_PROGRESS';
+      error.holder = holder;
+      throw error;
+    }
+
+    let sealed;
     try {
-      console.log(`🏗️ Starting block creation by admin ${adminId}...`);
+      sealed = await this.sealBlock(adminId, { complaintIds, actorType });
+    } catch (error) {
+      console.error('❌ Error creating block:', error);
+      throw error;
+    } finally {
+      await lockService.release(lock).catch(releaseError =>
+        console.warn('⚠️ Failed to release block creation lock:', releaseError.message)
+      );
+    }
 
-      // Step 1: Get unprocessed complaints
-      const complaints = await this.getUnprocessedComplaints();
-      
-      if (complaints.length === 0) {
-        throw new Error('No unprocessed complaints found. Cannot create block.');
-      }
+    // Step 9: Anchor on-chain. Older pending blocks go first so registry order matches ours
+    const anchorResults = await this.anchorPendingBlocks();
+    const anchor = anchorResults.find(result => result.blockNumber === sealed.blockNumber) ||
+      { blockNumber: sealed.blockNumber, status: 'pending' };
 
-      const startTime = Date.now();
+    return {
+      ...sealed,
+      anchor
+    };
+  }
 
-      // Step 2: Classify complaints using AI
-      const classificationResults = await this.classifyComplaints(complaints);
+  /**
+   * Classify unprocessed complaints, build their Merkle tree and persist the block.
+   * Callers must hold the block creation lock.
+   * @param {number} adminId - ID of the admin creating the block
+   * @param {Object} [options]
+   * @param {Array<number>} [options.complaintIds] - Seal only these unprocessed complaints
+   * @param {string} [options.actorType] - Actor recorded on the block_included events
+   * @returns {Object} Sealed block (not yet anchored)
+   */
+  async sealBlock(adminId, { complaintIds = null, actorType = 'admin' } = {}) {
+    console.log(`🏗️ Starting block creation by ${actorType} ${adminId}...`);
+
+    // Step 1: Get unprocessed complaints
+    const complaints = await this.getUnprocessedComplaints({ complaintIds });
+    
+    if (complaints.length === 0) {
+      throw new Error('No unprocessed complaints found. Cannot create block.');
+    }
 
-      // Step 3: Build Merkle tree
-      console.log('🌳 Building Merkle tree...');
-      const merkleTree = merkleTreeService.buildMerkleTree(classificationResults.processedComplaints);
+    const startTime = Date.now();
 
-      if (!merkleTreeService.validateMerkleTree(merkleTree)) {
-        throw new Error('Invalid Merkle tree generated');
-      }
+    // Step 2: Classify complaints using AI
+    const classificationResults = await this.classifyComplaints(complaints);
 
-      // Step 4: Upload classification metadata to IPFS
-      const blockMetadata = {
-        complaintCount: complaints.length,
-        categoryStats: classificationResults.categoryGroups,
-        sentimentStats: classificationResults.sentimentStats,
-        topCategory: classificationResults.topCategory,
-        totalPriorityScore: classificationResults.totalPriorityScore,
-        merkleTreeStats: merkleTreeService.getTreeStats(merkleTree),
-        createdAt: new Date().toISOString()
-      };
+    // Step 3: Build Merkle tree
+    console.log('🌳 Building Merkle tree...');
+    const merkleTree = merkleTreeService.buildMerkleTree(classificationResults.processedComplaints);
 
-      let ipfsMetadataHash = '';
-      try {
-        ipfsMetadataHash = await ipfsService.uploadJSON(blockMetadata);
-        console.log(`📁 Block metadata uploaded to IPFS: ${ipfsMetadataHash}`);
-      } catch (ipfsError) {
-        console.warn('⚠️ IPFS upload failed, continuing without metadata hash:', ipfsError.message);
-      }
+    if (!merkleTreeService.validateMerkleTree(merkleTree)) {
+      throw new Error('Invalid Merkle tree generated');
+    }
+
+    // Step 4: Upload classification metadata to IPFS
+    const blockMetadata = {
+      complaintCount: complaints.length,
+      categoryStats: classificationResults.categoryGroups,
+      sentimentStats: classificationResults.sentimentStats,
+      topCategory: classificationResults.topCategory,
+      totalPriorityScore: classificationResults.totalPriorityScore,
+      merkleTreeStats: merkleTreeService.getTreeStats(merkleTree),
+      createdAt: new Date().toISOString()
+    };
 
+    let ipfsMetadataHash = '';
+    try {
+      ipfsMetadataHash = await ipfsService.uploadJSON(blockMetadata);
+      console.log(`📁 Block metadata uploaded to IPFS: ${ipfsMetadataHash}`);
+    } catch (ipfsError) {
+      console.warn('⚠️ IPFS upload failed, continuing without metadata hash:', ipfsError.message);
+    }
+
+    // Steps 5-8 commit together: a crash can no longer leave a block without its complaints
+    const { blockId, blockNumber, processingTime } = await withTransaction(async (tx) => {
       // Step 5: Get next block number
-      const blockNumberQuery = 'SELECT COALESCE(MAX(block_number), 0) + 1 as next_block_number FROM block_metadata';
-      const blockNumberResult = await query(blockNumberQuery);
-      const blockNumber = blockNumberResult[0].next_block_number;
+      const blockNumberResult = await tx.query(
+        'SELECT COALESCE(MAX(block_number), 0) + 1 as next_block_number FROM block_metadata'
+      );
+      const nextBlockNumber = blockNumberResult[0].next_block_number;
+
+      const complaintIds = merkleTree.leaves.map(leaf => leaf.complaintId);
+      const alreadySealed = await tx.query(
+        `SELECT complaint_id FROM complaint_blocks WHERE complaint_id IN (${complaintIds.map(() => '?').join(',')})`,
+        complaintIds
+      );
+      if (alreadySealed.length > 0) {
+        throw new Error(`Complaints already sealed in another block: ${alreadySealed.map(row => row.complaint_id).join(', ')}`);
+      }
 
       // Step 6: Save block metadata to database
-      const blockInsertResult = await query(`
+      const blockInsertResult = await tx.query(`
         INSERT INTO block_metadata (
-          block_number, merkle_root, complaint_count, total_priority_score,
+          block_number, merkle_root, merkle_scheme, complaint_count, total_priority_score,
           top_category, category_stats, sentiment_stats, created_by_admin_id,
           ipfs_metadata_hash
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
-        blockNumber,
+        nextBlockNumber,
         merkleTree.root,
+        merkleTree.scheme,
         complaints.length,
         classificationResults.totalPriorityScore,
         classificationResults.topCategory,
@@ -264,33 +363,32 @@ class BlockService {
         ipfsMetadataHash
       ]);
 
-      const blockId = blockInsertResult.insertId;
+      const insertedBlockId = blockInsertResult.insertId;
 
       // Step 7: Record complaint-block relationships
       console.log('💾 Recording complaint-block relationships...');
-      for (let i = 0; i < classificationResults.processedComplaints.length; i++) {
-        const complaint = classificationResults.processedComplaints[i];
-        const complaintHash = merkleTreeService.hashComplaint(complaint);
+      for (let i = 0; i < merkleTree.leaves.length; i++) {
+        const leaf = merkleTree.leaves[i];
         
-        await query(`
+        await tx.query(`
           INSERT INTO complaint_blocks (
-            block_id, complaint_id, complaint_hash, inclusion_order
-          ) VALUES (?, ?, ?, ?)
-        `, [blockId, complaint.id, complaintHash, i]);
+            block_id, complaint_id, complaint_hash, inclusion_order, leaf_encoding
+          ) VALUES (?, ?, ?, ?, ?)
+        `, [insertedBlockId, leaf.complaintId, leaf.hash, i, leaf.encoding]);
       }
 
       // Step 8: Log block creation
-      const processingTime = Date.now() - startTime;
-      await query(`
+      const elapsed = Date.now() - startTime;
+      await tx.query(`
         INSERT INTO block_creation_log (
           admin_id, block_id, complaints_processed, processing_time_ms,
           merkle_tree_depth, classification_summary
         ) VALUES (?, ?, ?, ?, ?, ?)
       `, [
         adminId,
-        blockId,
+        insertedBlockId,
         complaints.length,
-        processingTime,
+        elapsed,
         merkleTree.depth,
         JSON.stringify({
           topCategory: classificationResults.topCategory,
@@ -302,28 +400,370 @@ class BlockService {
         })
       ]);
 
-      console.log(`✅ Block ${blockNumber} created successfully!`);
-      console.log(`   📦 Block ID: ${blockId}`);
-      console.log(`   🔐 Merkle Root: ${merkleTree.root}`);
-      console.log(`   ⏱️ Processing Time: ${processingTime}ms`);
+      return { blockId: insertedBlockId, blockNumber: nextBlockNumber, processingTime: elapsed };
+    });
+
+    await complaintEventService.recordForBlock(blockNumber, {
+      eventType: COMPLAINT_EVENT_TYPES.BLOCK_INCLUDED,
+      actorType,
+      actorId: adminId,
+      details: { blockNumber, merkleRoot: merkleTree.root }
+    });
+
+    console.log(`✅ Block ${blockNumber} created successfully!`);
+    console.log(`   📦 Block ID: ${blockId}`);
+    console.log(`   🔐 Merkle Root: ${merkleTree.root}`);
+    console.log(`   ⏱️ Processing Time: ${processingTime}ms`);
+
+    return {
+      success: true,
+      blockId,
+      blockNumber,
+      merkleRoot: merkleTree.root,
+      complaintCount: complaints.length,
+      topCategory: classificationResults.topCategory,
+      totalPriorityScore: classificationResults.totalPriorityScore,
+      processingTime,
+      ipfsMetadataHash,
+      merkleTree,
+      classificationResults
+    };
+  }
 
+  /**
+   * Anchor a sealed block in ComplaintBlockRegistry and persist the on-chain data.
+   * Failures leave the block in the pending state for the retry worker. The
+   * transaction is recorded as soon as it is sent, and a root that an earlier
+   * attempt already anchored is picked up instead of being sent again.
+   * @param {number} blockNumber - Block number to anchor
+   * @returns {Object} Anchor status for the block
+   */
+  async anchorBlock(blockNumber) {
+    const blockResult = await query(`
+      SELECT block_number, merkle_root, complaint_count, top_category, total_priority_score,
+             anchor_status, transaction_hash, onchain_block_number, anchor_tx_hash
+      FROM block_metadata
+      WHERE block_number = ?
+    `, [blockNumber]);
+
+    if (blockResult.length === 0) {
+      throw new Error(`Block ${blockNumber} not found`);
+    }
+
+    const block = blockResult[0];
+    if (block.anchor_status === 'anchored') {
       return {
-        success: true,
-        blockId,
         blockNumber,
-        merkleRoot: merkleTree.root,
-        complaintCount: complaints.length,
-        topCategory: classificationResults.topCategory,
-        totalPriorityScore: classificationResults.totalPriorityScore,
-        processingTime,
-        ipfsMetadataHash,
-        merkleTree,
-        classificationResults
+        status: 'anchored',
+        transactionHash: block.transaction_hash,
+        onChainBlockNumber: block.onchain_block_number
+      };
+    }
+
+    try {
+      // An earlier attempt may have sent the transaction and died before its receipt
+      let receipt = await blockchainService.findBlockAnchor(block.merkle_root, block.anchor_tx_hash);
+
+      if (receipt && receipt.pending) {
+        throw new Error(`Anchor transaction ${receipt.transactionHash} is not mined yet`);
+      }
+
+      if (receipt) {
+        console.log(`⛓️ Block ${blockNumber} was already anchored by transaction ${receipt.transactionHash}`);
+      } else {
+        receipt = await blockchainService.anchorBlock({
+          merkleRoot: block.merkle_root,
+          complaintCount: block.complaint_count,
+          topCategory: block.top_category,
+          totalPriorityScore: block.total_priority_score,
+          onSubmitted: (transactionHash) => query(
+            'UPDATE block_metadata SET anchor_tx_hash = ? WHERE block_number = ?',
+            [transactionHash, blockNumber]
+          )
+        });
+      }
+
+      await query(`
+        UPDATE block_metadata
+        SET transaction_hash = ?, block_hash = ?, gas_used = ?, blockchain_timestamp = ?,
+            onchain_block_number = ?, anchor_status = 'anchored', anchor_error = NULL, anchor_tx_hash = ?,
+            anchor_attempts = COALESCE(anchor_attempts, 0) + 1, anchored_at = CURRENT_TIMESTAMP
+        WHERE block_number = ?
+      `, [
+        receipt.transactionHash,
+        receipt.blockHash,
+        receipt.gasUsed,
+        receipt.timestamp,
+        receipt.registryBlockNumber,
+        receipt.transactionHash,
+        blockNumber
+      ]);
+
+      console.log(`⛓️ Block ${blockNumber} anchored as registry block ${receipt.registryBlockNumber}`);
+
+      await complaintEventService.recordForBlock(blockNumber, {
+        eventType: COMPLAINT_EVENT_TYPES.CHAIN_ANCHORED,
+        actorType: 'system',
+        details: {
+          blockNumber,
+          onChainBlockNumber: receipt.registryBlockNumber,
+          transactionHash: receipt.transactionHash,
+          contractAddress: receipt.contractAddress
+        }
+      });
+
+      await this.sealRegistrySummary(blockNumber);
+
+      return {
+        blockNumber,
+        status: 'anchored',
+        transactionHash: receipt.transactionHash,
+        onChainBlockNumber: receipt.registryBlockNumber
       };
 
     } catch (error) {
-      console.error('❌ Error creating block:', error);
-      throw error;
+      await query(`
+        UPDATE block_metadata
+        SET anchor_status = 'pending', anchor_error = ?,
+            anchor_attempts = COALESCE(anchor_attempts, 0) + 1
+        WHERE block_number = ?
+      `, [error.message, blockNumber]);
+
+      console.warn(`⚠️ Block ${blockNumber} left pending anchor: ${error.message}`);
+
+      return {
+        blockNumber,
+        status: 'pending',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Seal a ComplaintRegistry block summary alongside an anchored block. The
+   * anchor stands either way; a summary that fails here is sealed with the next block.
+   * @param {number} blockNumber - Block that was just anchored
+   */
+  async sealRegistrySummary(blockNumber) {
+    if (!blockchainService.contract) {
+      return;
+    }
+
+    try {
+      const summary = await blockchainService.createBlockSummary();
+      if (summary) {
+        console.log(`⛓️ Block ${blockNumber} sealed ComplaintRegistry summary ${summary.blockId}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ ComplaintRegistry summary not sealed with block ${blockNumber}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Anchor every pending block in block order, stopping at the first failure
+   * @returns {Array} Anchor status for each block attempted
+   */
+  async anchorPendingBlocks() {
+    // Runs are serialized so two callers never submit the same block twice
+    const previousRun = this.anchoringRun || Promise.resolve();
+
+    const run = previousRun.catch(() => {}).then(async () => {
+      const pendingBlocks = await query(`
+        SELECT block_number FROM block_metadata
+        WHERE anchor_status IS NULL OR anchor_status != 'anchored'
+        ORDER BY block_number ASC
+      `);
+
+      const results = [];
+      for (const { block_number: blockNumber } of pendingBlocks) {
+        const result = await this.anchorBlock(blockNumber);
+        results.push(result);
+
+        if (result.status !== 'anchored') {
+          break;
+        }
+      }
+      return results;
+    });
+
+    this.anchoringRun = run;
+    return run;
+  }
+
+  /**
+   * Find blocks left half-written by crashes before block creation was transactional, and repair them.
+   * - Unanchored blocks missing complaints are removed, returning their complaints to the next block.
+   *   Anchored ones are only reported: their root is already on-chain.
+   * - Blocks without a block_creation_log row get one.
+   * - Sealed complaints without a block_included timeline event get one.
+   * - Complaints sealed in more than one block are reported.
+   * @param {Object} [options]
+   * @param {boolean} [options.repair] - Fix what can be fixed (default true)
+   * @returns {Promise<Object>} { checkedBlocks, issues: [{ type, blockNumber, complaintId, message, repaired }] }
+   */
+  async checkConsistency({ repair = true } = {}) {
+    const lock = repair
+      ? await lockService.acquire(BLOCK_CREATION_LOCK, 'consistency-check', BLOCK_CREATION_LOCK_TTL_MS)
+      : null;
+    const canRepair = repair && !!lock;
+
+    if (repair && !lock) {
+      console.warn('⚠️ Block creation in progress; consistency check will only report');
+    }
+
+    try {
+      const blocks = await query(`
+        SELECT bm.id, bm.block_number, bm.complaint_count, bm.anchor_status, bm.anchor_tx_hash,
+               (SELECT COUNT(*) FROM complaint_blocks cb WHERE cb.block_id = bm.id) AS recorded_complaints,
+               (SELECT COUNT(*) FROM block_creation_log l WHERE l.block_id = bm.id) AS log_entries
+        FROM block_metadata bm
+        ORDER BY bm.block_number ASC
+      `);
+
+      const issues = [];
+
+      for (const block of blocks) {
+        if (block.recorded_complaints !== block.complaint_count) {
+          // A sent anchor transaction may have been mined even though the block is still pending
+          const anchored = block.anchor_status === 'anchored' || !!block.anchor_tx_hash;
+          const issue = {
+            type: 'incomplete_block',
+            blockNumber: block.block_number,
+            message: `Block has ${block.recorded_complaints} of ${block.complaint_count} complaints recorded`,
+            repaired: false
+          };
+
+          if (anchored) {
+            issue.message += '; it is already anchored (or sent for anchoring) on-chain and needs manual review';
+          } else if (canRepair) {
+            await withTransaction(async (tx) => {
+              await tx.query(`
+                DELETE FROM complaint_events
+                WHERE event_type = ? AND json_extract(details, '$.blockNumber') = ?
+                  AND complaint_id IN (SELECT complaint_id FROM complaint_blocks WHERE block_id = ?)
+              `, [COMPLAINT_EVENT_TYPES.BLOCK_INCLUDED, block.block_number, block.id]);
+              await tx.query('DELETE FROM complaint_blocks WHERE block_id = ?', [block.id]);
+              await tx.query('DELETE FROM block_creation_log WHERE block_id = ?', [block.id]);
+              await tx.query('DELETE FROM block_metadata WHERE id = ?', [block.id]);
+            });
+            issue.repaired = true;
+            issue.message += '; removed so its complaints go into the next block';
+          }
+
+          issues.push(issue);
+          continue;
+        }
+
+        if (block.log_entries === 0) {
+          const issue = {
+            type: 'missing_creation_log',
+            blockNumber: block.block_number,
+            message: 'Block has no block_creation_log entry',
+            repaired: false
+          };
+
+          if (canRepair) {
+            await query(`
+              INSERT INTO block_creation_log (admin_id, block_id, complaints_processed, classification_summary)
+              SELECT created_by_admin_id, id, ?, ? FROM block_metadata WHERE id = ?
+            `, [block.recorded_complaints, JSON.stringify({ repaired: true }), block.id]);
+            issue.repaired = true;
+          }
+
+          issues.push(issue);
+        }
+      }
+
+      const missingEvents = await query(`
+        SELECT cb.complaint_id, bm.block_number
+        FROM complaint_blocks cb
+        JOIN block_metadata bm ON cb.block_id = bm.id
+        WHERE NOT EXISTS (
+          SELECT 1 FROM complaint_events e
+          WHERE e.complaint_id = cb.complaint_id AND e.event_type = ?
+        )
+      `, [COMPLAINT_EVENT_TYPES.BLOCK_INCLUDED]);
+
+      for (const row of missingEvents) {
+        const issue = {
+          type: 'missing_block_event',
+          blockNumber: row.block_number,
+          complaintId: row.complaint_id,
+          message: 'Sealed complaint has no block_included timeline event',
+          repaired: false
+        };
+
+        if (canRepair) {
+          await complaintEventService.record({
+            complaintId: row.complaint_id,
+            eventType: COMPLAINT_EVENT_TYPES.BLOCK_INCLUDED,
+            actorType: 'system',
+            details: { blockNumber: row.block_number, repaired: true }
+          });
+          issue.repaired = true;
+        }
+
+        issues.push(issue);
+      }
+
+      const duplicated = await query(`
+        SELECT complaint_id, GROUP_CONCAT(bm.block_number) AS block_numbers
+        FROM complaint_blocks cb
+        JOIN block_metadata bm ON cb.block_id = bm.id
+        GROUP BY complaint_id
+        HAVING COUNT(*) > 1
+      `);
+
+      for (const row of duplicated) {
+        issues.push({
+          type: 'complaint_in_multiple_blocks',
+          complaintId: row.complaint_id,
+          message: `Complaint is sealed in blocks ${row.block_numbers}; needs manual review`,
+          repaired: false
+        });
+      }
+
+      return { checkedBlocks: blocks.length, issues };
+    } finally {
+      if (lock) {
+        await lockService.release(lock);
+      }
+    }
+  }
+
+  /**
+   * Start the background worker that retries pending anchors
+   * @param {number} intervalMs - Delay between retry runs
+   */
+  startAnchorRetryWorker(intervalMs = ANCHOR_RETRY_INTERVAL_MS) {
+    if (this.anchorRetryTimer) {
+      return;
+    }
+
+    this.anchorRetryTimer = setInterval(() => {
+      this.anchorPendingBlocks()
+        .then(results => {
+          const anchored = results.filter(result => result.status === 'anchored').length;
+          if (anchored > 0) {
+            console.log(`⛓️ Anchor retry worker anchored ${anchored} pending block(s)`);
+          }
+        })
+        .catch(error => console.error('❌ Anchor retry run failed:', error.message));
+    }, intervalMs);
+
+    // Do not keep the process alive just for retries
+    this.anchorRetryTimer.unref();
+    console.log(`⛓️ Anchor retry worker started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop the anchor retry worker
+   */
+  stopAnchorRetryWorker() {
+    if (this.anchorRetryTimer) {
+      clearInterval(this.anchorRetryTimer);
+      this.anchorRetryTimer = null;
+      console.log('⛓️ Anchor retry worker stopped');
     }
   }
 
@@ -392,6 +832,86 @@ class BlockService {
     }
   }
 
+  /**
+   * Build a Merkle inclusion proof for a complaint in a sealed block
+   * @param {number} blockNumber - Block number the complaint was sealed in
+   * @param {number} complaintId - Complaint ID to prove
+   * @returns {Object} Proof, leaf data and verification arguments
+   */
+  async getInclusionProof(blockNumber, complaintId) {
+    try {
+      const blockResult = await query(
+        'SELECT id, block_number, merkle_root, merkle_scheme, anchor_status, onchain_block_number FROM block_metadata WHERE block_number = ?',
+        [blockNumber]
+      );
+
+      if (blockResult.length === 0) {
+        throw new Error(`Block ${blockNumber} not found`);
+      }
+
+      const block = blockResult[0];
+
+      const members = await query(`
+        SELECT complaint_id, complaint_hash, inclusion_order, leaf_encoding
+        FROM complaint_blocks
+        WHERE block_id = ?
+        ORDER BY inclusion_order ASC
+      `, [block.id]);
+
+      const leafIndex = members.findIndex(member => member.complaint_id === complaintId);
+      if (leafIndex === -1) {
+        throw new Error(`Complaint ${complaintId} not found in block ${blockNumber}`);
+      }
+
+      // Rebuild the tree from the sealed leaves and make sure it still matches the root
+      const treeService = merkleTreeService.forScheme(block.merkle_scheme || MERKLE_SCHEMES.SHA256_SORTED);
+      const merkleTree = treeService.buildTreeFromLeafHashes(members.map(member => member.complaint_hash));
+
+      if (merkleTree.root !== block.merkle_root) {
+        throw new Error(`Stored leaves of block ${blockNumber} do not reproduce its Merkle root`);
+      }
+
+      const leaf = members[leafIndex].complaint_hash;
+      const proof = treeService.generateMerkleProof(merkleTree, leafIndex);
+
+      // Compare the sealed leaf with the complaint as it is stored today
+      const complaintResult = await query(
+        'SELECT id, student_id, title, description, category, ipfs_hash, created_at FROM complaints WHERE id = ?',
+        [complaintId]
+      );
+      const contentMatches = complaintResult.length > 0 &&
+        treeService.hashComplaint(complaintResult[0]) === leaf;
+
+      return {
+        blockNumber: block.block_number,
+        complaintId,
+        scheme: treeService.scheme,
+        merkleRoot: block.merkle_root,
+        leaf,
+        leafIndex,
+        leafEncoding: members[leafIndex].leaf_encoding,
+        proof,
+        contentMatches,
+        anchorStatus: block.anchor_status,
+        onChainBlockNumber: block.onchain_block_number,
+        onChainVerifiable: treeService.isOnChainVerifiable(),
+        // The registry numbers blocks itself, so proofs are only checkable once anchored
+        verification: treeService.isOnChainVerifiable() && block.onchain_block_number
+          ? {
+              contract: 'ComplaintBlockRegistry',
+              address: blockchainService.blockRegistryAddress,
+              method: 'verifyComplaintInBlock',
+              args: [block.onchain_block_number, leaf, proof, leafIndex]
+            }
+          : null
+      };
+
+    } catch (error) {
+      console.error('❌ Error building inclusion proof:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all blocks with metadata
    * @param {number} limit - Maximum number of blocks to return
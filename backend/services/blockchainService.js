@@ -1,7 +1,52 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { CID } = require('multiformats/cid');
+const Digest = require('multiformats/hashes/digest');
+const { sha256 } = require('multiformats/hashes/sha2');
 const { ipfsService } = require('./ipfsService');
+const { query } = require('../config/sqlite');
+const {
+  DEFAULT_STATUS,
+  getCategoryCode,
+  getPriorityCode,
+  getStatusCode,
+  categoryFromCode,
+  statusFromCode,
+  priorityFromCode
+} = require('../config/taxonomy');
+
+// Contract addresses, ABIs and deployment blocks per chainId (written by scripts/deploy.js)
+const DEPLOYMENTS_PATH = path.join(__dirname, '../../blockchain/deployments.json');
+
+const DEFAULT_RPC_URL = 'http://127.0.0.1:7545';
+
+// EIP-712 request a student signs so the backend can relay their complaint
+// (ComplaintRegistry.submitComplaintFor)
+const SUBMISSION_DOMAIN = { name: 'ComplaintRegistry', version: '1' };
+const SUBMISSION_TYPES = {
+  SubmitComplaint: [
+    { name: 'student', type: 'address' },
+    { name: 'ipfsHash', type: 'bytes32' },
+    { name: 'priority', type: 'uint8' },
+    { name: 'category', type: 'uint16' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const SUBMISSION_REQUEST_TTL_SECONDS = parseInt(process.env.SUBMISSION_REQUEST_TTL_SECONDS, 10) || 15 * 60;
+
+const submissionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Values of ComplaintRegistry.SummaryEvent, hashed into the rolling summary hash
+const SUMMARY_EVENTS = {
+  ComplaintSubmitted: 0,
+  StatusUpdated: 1
+};
 
 class BlockchainService {
   constructor() {
@@ -11,6 +56,13 @@ class BlockchainService {
     this.isConnected = false;
     this.contractAddress = null;
     this.networkId = null;
+    this.blockRegistry = null;
+    this.blockRegistryAddress = null;
+    this.rpcUrl = process.env.BLOCKCHAIN_RPC_URL || DEFAULT_RPC_URL;
+    // First block that can hold ComplaintRegistry events
+    this.contractDeploymentBlock = 0;
+    // First block that can hold ComplaintBlockRegistry events
+    this.blockRegistryDeploymentBlock = 0;
     
     // Mock blockchain storage for development
     this.mockBlockchain = [];
@@ -53,32 +105,9 @@ class BlockchainService {
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        console.log(`🔍 Attempting to connect to Ganache at http://127.0.0.1:7545... (Attempt ${attempt}/${maxRetries})`);
+        console.log(`🔍 Attempting to connect to the blockchain at ${this.rpcUrl}... (Attempt ${attempt}/${maxRetries})`);
         
-        // Create provider with timeout settings
-        this.provider = new ethers.JsonRpcProvider('http://127.0.0.1:7545', undefined, {
-          staticNetwork: true,
-          polling: false
-        });
-        
-        // Test connection with timeout
-        const connectPromise = this.testConnection();
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Connection timeout')), 5000)
-        );
-        
-        await Promise.race([connectPromise, timeoutPromise]);
-        
-        // Load contract if deployed
-        const contractLoaded = await this.loadContract();
-        if (contractLoaded) {
-          console.log('✅ Contract loaded successfully');
-        } else {
-          console.log('⚠️ Contract not loaded, but connection established');
-        }
-        
-        this.isConnected = true;
-        console.log('🎉 Blockchain connection established successfully!');
+        await this.connect();
         return true;
         
       } catch (error) {
@@ -100,6 +129,46 @@ class BlockchainService {
     return false;
   }
 
+  /**
+   * Single connection attempt: create the provider, test it and load the contracts
+   */
+  async connect() {
+    // Create provider with timeout settings
+    this.provider = new ethers.JsonRpcProvider(this.rpcUrl, undefined, {
+      staticNetwork: true,
+      polling: false,
+      // Back-to-back anchors from one account must never reuse a cached nonce
+      cacheTimeout: -1
+    });
+    
+    // Test connection with timeout
+    const connectPromise = this.testConnection();
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Connection timeout')), 5000)
+    );
+    
+    try {
+      await Promise.race([connectPromise, timeoutPromise]);
+    } catch (error) {
+      this.provider.destroy();
+      this.provider = null;
+      throw error;
+    }
+    
+    // Load contracts deployed on this chain, if any
+    const contractLoaded = await this.loadContract();
+    if (contractLoaded) {
+      console.log('✅ Contract loaded successfully');
+    } else {
+      console.log('⚠️ Contract not loaded, but connection established');
+    }
+    await this.loadBlockRegistry();
+    
+    this.isConnected = true;
+    console.log('🎉 Blockchain connection established successfully!');
+    return true;
+  }
+
   /**
    * Test blockchain connection
    */
@@ -117,28 +186,55 @@ class BlockchainService {
   }
 
   /**
-   * Load smart contract
+   * Wallet the backend sends transactions with: BLOCKCHAIN_SIGNER_KEY, or the
+   * first development account (funded on Ganache and on `npx hardhat node`)
+   * @returns {ethers.Wallet}
+   */
+  getBackendSigner() {
+    return new ethers.Wallet(process.env.BLOCKCHAIN_SIGNER_KEY || this.predefinedAccounts[0].privateKey, this.provider);
+  }
+
+  /**
+   * Deployment record of the connected chain from blockchain/deployments.json
+   * @returns {Object|null} chainId, backendSigner and contracts ({ address, abi, blockNumber } by name), or null if nothing is deployed there
+   */
+  readDeploymentRecord() {
+    if (!fs.existsSync(DEPLOYMENTS_PATH)) {
+      return null;
+    }
+
+    const records = JSON.parse(fs.readFileSync(DEPLOYMENTS_PATH, 'utf8'));
+    const record = records[this.networkId] || null;
+
+    if (record && record.backendSigner) {
+      const signerAddress = this.getBackendSigner().address;
+      if (signerAddress.toLowerCase() !== record.backendSigner.toLowerCase()) {
+        console.warn(`⚠️ Contracts on chain ${this.networkId} were deployed for signer ${record.backendSigner}, but the backend signs with ${signerAddress}`);
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Load the ComplaintRegistry contract from the deployment record of the connected chain
    */
   async loadContract() {
     try {
-      // Try to load from deployment info
-      const deploymentPath = path.join(__dirname, '../../blockchain/deployment.json');
-      const abiPath = path.join(__dirname, '../../frontend/src/contracts/ComplaintRegistry.json');
+      const record = this.readDeploymentRecord();
+      const deployment = record && record.contracts.ComplaintRegistry;
       
-      if (fs.existsSync(deploymentPath) && fs.existsSync(abiPath)) {
-        const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-        const contractData = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
+      if (deployment) {
+        this.contractAddress = deployment.address;
+        this.contractDeploymentBlock = deployment.blockNumber || 0;
         
-        this.contractAddress = deployment.contractAddress;
-        
-        // Create contract instance with admin signer
-        const adminWallet = new ethers.Wallet(this.predefinedAccounts[0].privateKey, this.provider);
-        this.contract = new ethers.Contract(this.contractAddress, contractData.abi, adminWallet);
+        // Create contract instance with the backend signer
+        this.contract = new ethers.Contract(this.contractAddress, deployment.abi, this.getBackendSigner());
         
         console.log('✅ Smart contract loaded:', this.contractAddress);
         return true;
       } else {
-        console.log('⚠️ Contract not deployed yet. Run deployment first.');
+        console.log(`⚠️ Contract not deployed on chain ${this.networkId} yet. Run deployment first.`);
         return false;
       }
     } catch (error) {
@@ -148,25 +244,272 @@ class BlockchainService {
   }
 
   /**
-   * Get signer for specific account
+   * Load the ComplaintBlockRegistry contract used to anchor sealed complaint blocks
    */
-  getSigner(accountIndex = 0) {
+  async loadBlockRegistry() {
+    try {
+      const record = this.readDeploymentRecord();
+      const deployment = record && record.contracts.ComplaintBlockRegistry;
+      
+      if (deployment) {
+        this.blockRegistryAddress = deployment.address;
+        this.blockRegistryDeploymentBlock = deployment.blockNumber || 0;
+        
+        // Blocks are anchored by the backend signer, which the deployment authorizes
+        this.blockRegistry = new ethers.Contract(this.blockRegistryAddress, deployment.abi, this.getBackendSigner());
+        
+        console.log('✅ Block registry loaded:', this.blockRegistryAddress);
+        return true;
+      } else {
+        console.log('⚠️ Block registry not deployed yet. Blocks will stay pending until it is.');
+        return false;
+      }
+    } catch (error) {
+      console.error('❌ Block registry loading failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether sealed blocks can be anchored right now
+   */
+  isBlockRegistryReady() {
+    return this.isConnected && !!this.blockRegistry;
+  }
+
+  /**
+   * Reconnect if needed and make sure ComplaintBlockRegistry is loaded
+   */
+  async ensureBlockRegistry() {
     if (!this.isConnected || !this.provider) {
+      // Try to reach the chain again before giving up on this attempt
+      await this.connect();
+    }
+    
+    if (!this.blockRegistry) {
+      throw new Error('Block registry contract not loaded');
+    }
+  }
+
+  /**
+   * Anchor a sealed complaint block in ComplaintBlockRegistry and wait for the receipt
+   * @param {Object} block - Block summary to anchor
+   * @param {string} block.merkleRoot - Merkle root (hex, with or without 0x prefix)
+   * @param {number} block.complaintCount - Number of complaints in the block
+   * @param {string} block.topCategory - Category with the highest weighted score
+   * @param {number} block.totalPriorityScore - Sum of weighted priority scores
+   * @param {Function} [block.onSubmitted] - async (transactionHash) called once the transaction is sent,
+   *   before waiting for it, so the caller can record it in case the wait never returns
+   * @returns {Object} Transaction hash, block hash, gas used, timestamp and registry block number
+   */
+  async anchorBlock({ merkleRoot, complaintCount, topCategory, totalPriorityScore, onSubmitted }) {
+    await this.ensureBlockRegistry();
+    
+    const rootBytes32 = this.encodeMerkleRoot(merkleRoot);
+    
+    console.log('📤 Anchoring block on-chain...');
+    const tx = await this.blockRegistry.createBlock(
+      rootBytes32,
+      complaintCount,
+      topCategory || '',
+      Math.round(totalPriorityScore || 0)
+    );
+    
+    if (onSubmitted) {
+      await onSubmitted(tx.hash);
+    }
+    
+    // Wait for confirmation
+    const receipt = await tx.wait();
+    const anchor = await this.readAnchorReceipt(receipt);
+    
+    console.log('✅ Block anchored on-chain:', {
+      txHash: anchor.transactionHash,
+      registryBlockNumber: anchor.registryBlockNumber,
+      gasUsed: anchor.gasUsed
+    });
+    
+    return anchor;
+  }
+
+  /**
+   * Find an earlier anchor of a Merkle root, so a retry never sends a second createBlock
+   * for it: the transaction an earlier attempt sent, else a BlockCreated event for the root
+   * @param {string} merkleRoot - Merkle root (hex, with or without 0x prefix)
+   * @param {string} [transactionHash] - Transaction an earlier attempt sent
+   * @returns {Promise<Object|null>} The anchor as anchorBlock returns it; { pending: true, transactionHash }
+   *   while that transaction waits to be mined; null if the root was never anchored
+   */
+  async findBlockAnchor(merkleRoot, transactionHash = null) {
+    await this.ensureBlockRegistry();
+    
+    if (transactionHash) {
+      const receipt = await this.provider.getTransactionReceipt(transactionHash);
+      if (receipt && receipt.status === 1) {
+        return this.readAnchorReceipt(receipt);
+      }
+      // A reverted transaction anchored nothing; one the node no longer knows was dropped
+      if (!receipt && await this.provider.getTransaction(transactionHash)) {
+        return { pending: true, transactionHash };
+      }
+    }
+    
+    const rootBytes32 = this.encodeMerkleRoot(merkleRoot);
+    const events = await this.blockRegistry.queryFilter(
+      this.blockRegistry.filters.BlockCreated(null, rootBytes32),
+      this.blockRegistryDeploymentBlock
+    );
+    if (events.length === 0) {
       return null;
     }
     
-    const account = this.predefinedAccounts[accountIndex];
-    if (!account) {
+    return this.readAnchorReceipt(await this.provider.getTransactionReceipt(events[0].transactionHash));
+  }
+
+  /**
+   * Read the anchor data of a mined createBlock transaction
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} Transaction hash, block hash, gas used, timestamp and registry block number
+   */
+  async readAnchorReceipt(receipt) {
+    const chainBlock = await this.provider.getBlock(receipt.blockNumber);
+    
+    // Read the registry's own block number from the BlockCreated event
+    let registryBlockNumber = null;
+    for (const log of receipt.logs) {
+      try {
+        const parsed = this.blockRegistry.interface.parseLog(log);
+        if (parsed && parsed.name === 'BlockCreated') {
+          registryBlockNumber = Number(parsed.args.blockNumber);
+          break;
+        }
+      } catch (parseError) {
+        // Log from another contract
+      }
+    }
+    
+    if (registryBlockNumber === null) {
+      throw new Error(`No BlockCreated event in receipt ${receipt.hash}; is the registry deployed at ${this.blockRegistryAddress}?`);
+    }
+    
+    return {
+      transactionHash: receipt.hash,
+      blockHash: receipt.blockHash,
+      chainBlockNumber: receipt.blockNumber,
+      registryBlockNumber,
+      gasUsed: Number(receipt.gasUsed),
+      timestamp: new Date(chainBlock.timestamp * 1000).toISOString(),
+      contractAddress: this.blockRegistryAddress
+    };
+  }
+
+  /**
+   * Merkle root as the bytes32 value stored by ComplaintBlockRegistry
+   * @param {string} merkleRoot - Merkle root (hex, with or without 0x prefix)
+   * @returns {string} 0x-prefixed, lowercase bytes32
+   */
+  encodeMerkleRoot(merkleRoot) {
+    return ethers.zeroPadValue(
+      merkleRoot.startsWith('0x') ? merkleRoot : `0x${merkleRoot}`,
+      32
+    ).toLowerCase();
+  }
+
+  /**
+   * Read an anchored block back from ComplaintBlockRegistry
+   * @param {number} registryBlockNumber - Block number assigned by the registry
+   * @returns {Promise<Object>} Merkle root, complaint count, timestamp, creator, top category and priority score
+   */
+  async getRegistryBlock(registryBlockNumber) {
+    if (!this.isBlockRegistryReady()) {
+      throw new Error('Block registry contract not loaded');
+    }
+
+    const block = await this.blockRegistry.getBlock(registryBlockNumber);
+
+    return {
+      blockNumber: Number(block.blockNumber),
+      merkleRoot: block.merkleRoot.toLowerCase(),
+      complaintCount: Number(block.complaintCount),
+      timestamp: new Date(Number(block.timestamp) * 1000).toISOString(),
+      createdBy: block.createdBy,
+      topCategory: block.topCategory,
+      totalPriorityScore: Number(block.totalPriorityScore)
+    };
+  }
+
+  /**
+   * Encode a CIDv0 as bytes32 by keeping only its sha2-256 digest.
+   * The multihash prefix is fixed for CIDv0, so the CID can be rebuilt exactly.
+   * @param {string} ipfsHash - CIDv0 (Qm...) or a dag-pb CIDv1 using sha2-256
+   * @returns {string} 0x-prefixed bytes32 digest
+   */
+  encodeIpfsHash(ipfsHash) {
+    let cid;
+    try {
+      cid = CID.parse(ipfsHash);
+    } catch (error) {
+      throw new Error(`Invalid IPFS CID: ${ipfsHash}`);
+    }
+    
+    if (cid.version !== 0) {
+      cid = cid.toV0();
+    }
+    
+    if (cid.multihash.code !== sha256.code || cid.multihash.digest.length !== 32) {
+      throw new Error(`CID ${ipfsHash} does not use a 32-byte sha2-256 digest`);
+    }
+    
+    return ethers.hexlify(cid.multihash.digest);
+  }
+
+  /**
+   * Rebuild the CIDv0 from a bytes32 digest stored on-chain
+   * @param {string} ipfsHashBytes32 - 0x-prefixed bytes32 digest
+   * @returns {string|null} CIDv0 string, or null for an empty value
+   */
+  decodeIpfsHash(ipfsHashBytes32) {
+    if (!ipfsHashBytes32 || ipfsHashBytes32 === ethers.ZeroHash) {
       return null;
     }
     
-    return new ethers.Wallet(account.privateKey, this.provider);
+    const digest = Digest.create(sha256.code, ethers.getBytes(ipfsHashBytes32));
+    return CID.createV0(digest).toString();
   }
 
   /**
-   * Submit complaint to blockchain
+   * Compare an on-chain CID with the one recorded in SQLite for the same complaint
+   * @param {string|number} chainComplaintId - Complaint ID assigned by ComplaintRegistry
+   * @param {string} ipfsHash - CID decoded from the chain
+   * @returns {Promise<Object>} Database row ID, stored CID and whether they match
    */
-  async submitComplaint(complaintData, studentAccountIndex = 1) {
+  async crossCheckIpfsHash(chainComplaintId, ipfsHash) {
+    const rows = await query(
+      'SELECT id, ipfs_hash FROM complaints WHERE blockchain_id = ?',
+      [chainComplaintId.toString()]
+    );
+    
+    if (rows.length === 0) {
+      return { databaseId: null, databaseIpfsHash: null, ipfsHashMatches: false };
+    }
+    
+    return {
+      databaseId: rows[0].id,
+      databaseIpfsHash: rows[0].ipfs_hash,
+      ipfsHashMatches: !!ipfsHash && rows[0].ipfs_hash === ipfsHash
+    };
+  }
+
+  /**
+   * Submit a complaint with the backend signer, for students without a linked wallet.
+   * It is recorded under no student (address(0)); contracts deployed before
+   * submitUnattributedComplaint existed record it under the backend signer instead.
+   * Either way no account stands in for the student.
+   * @param {Object} complaintData - Complaint fields (ipfs_hash, priority, category, ...)
+   * @returns {Promise<Object>} Transaction hash, on-chain complaint ID, the address recorded as
+   *   student and the mode used ('unattributed', or 'backend_signer' on older contracts)
+   */
+  async submitComplaint(complaintData) {
     try {
       if (!this.isConnected || !this.contract) {
         // Mock mode - store in mock blockchain
@@ -180,11 +523,11 @@ class BlockchainService {
           description: complaintData.description,
           category: complaintData.category,
           priority: complaintData.priority,
-          status: 'SUBMITTED',
+          status: DEFAULT_STATUS,
           blockNumber: this.mockBlockNumber++,
           transactionHash: mockTxHash,
           blockHash: '0x' + Math.random().toString(16).substring(2, 66),
-          ipfsHash: `Qm${Math.random().toString(36).substring(2, 15)}`,
+          ipfsHash: complaintData.ipfs_hash || null,
           timestamp: new Date().toISOString(),
           gasUsed: (20000 + Math.floor(Math.random() * 5000)).toString(),
           studentId: complaintData.student_id
@@ -204,37 +547,26 @@ class BlockchainService {
         };
       }
 
-      // Upload to IPFS first
-      const ipfsHash = await ipfsService.uploadComplaint(complaintData);
-      
-      // Convert to bytes32
-      const ipfsHashBytes32 = ethers.encodeBytes32String(ipfsHash.substring(0, 31)); // Truncate for bytes32
+      // Reuse the CID already recorded for this complaint, uploading only if there is none
+      const ipfsHash = complaintData.ipfs_hash || await ipfsService.uploadComplaint(complaintData);
       
-      // Map priority to number
-      const priorityMap = { 'low': 0, 'medium': 1, 'high': 2 };
-      const priority = priorityMap[complaintData.priority.toLowerCase()] || 0;
+      // Store the raw sha2-256 digest so the CID can be rebuilt on read
+      const ipfsHashBytes32 = this.encodeIpfsHash(ipfsHash);
       
-      // Map category to number (you can extend this)
-      const categoryMap = { 
-        'academic': 1, 
-        'administrative': 2, 
-        'facilities': 3, 
-        'financial': 4, 
-        'other': 5 
-      };
-      const category = categoryMap[complaintData.category.toLowerCase()] || 5;
+      // Encode priority and category with the shared taxonomy codes
+      const priority = getPriorityCode(complaintData.priority);
+      const category = getCategoryCode(complaintData.category);
       
-      // Get student signer
-      const studentSigner = this.getSigner(studentAccountIndex);
-      const contractWithSigner = this.contract.connect(studentSigner);
+      // The contract is connected with the backend signer
+      const unattributed = !!this.contract.interface.getFunction('submitUnattributedComplaint');
       
       // Submit to blockchain
-      console.log('📤 Submitting complaint to blockchain...');
-      const tx = await contractWithSigner.submitComplaint(
-        ipfsHashBytes32,
-        priority,
-        category
-      );
+      console.log(unattributed
+        ? '📤 Submitting unattributed complaint to blockchain...'
+        : '📤 Submitting complaint to blockchain under the backend signer (contract has no submitUnattributedComplaint)...');
+      const tx = unattributed
+        ? await this.contract.submitUnattributedComplaint(ipfsHashBytes32, priority, category)
+        : await this.contract.submitComplaint(ipfsHashBytes32, priority, category);
       
       // Wait for confirmation
       const receipt = await tx.wait();
@@ -245,8 +577,10 @@ class BlockchainService {
       );
       
       let complaintId = null;
+      let student = null;
       if (complaintSubmittedEvent) {
         complaintId = complaintSubmittedEvent.args[0].toString();
+        student = complaintSubmittedEvent.args[1];
       }
       
       console.log('✅ Complaint submitted to blockchain:', {
@@ -259,6 +593,9 @@ class BlockchainService {
         success: true,
         transactionHash: receipt.hash,
         complaintId: complaintId,
+        student: student,
+        unattributed,
+        mode: unattributed ? 'unattributed' : 'backend_signer',
         gasUsed: receipt.gasUsed.toString(),
         ipfsHash: ipfsHash,
         blockNumber: receipt.blockNumber
@@ -274,6 +611,201 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Check whether complaints can be recorded under students' own wallets. Contracts
+   * deployed before submitComplaintFor existed only take backend submissions.
+   * @returns {boolean}
+   */
+  supportsStudentWallets() {
+    return this.isConnected && !!this.contract && !!this.contract.interface.getFunction('submitComplaintFor');
+  }
+
+  /**
+   * Everything a student needs to record a complaint from their own wallet: the
+   * arguments of submitComplaint (sent from MetaMask) and the EIP-712 request to
+   * sign instead when the backend relays it
+   * @param {string} studentAddress - users.wallet_address of the student
+   * @param {Object} complaint - Complaint row (ipfs_hash, priority, category)
+   * @param {number} [deadline] - Unix time the signature expires; defaults to now plus the request TTL
+   * @returns {Promise<Object>} contractAddress, chainId, call and typedData
+   */
+  async buildSubmissionRequest(studentAddress, complaint, deadline = null) {
+    if (!this.supportsStudentWallets()) {
+      throw submissionError('The deployed ComplaintRegistry cannot record complaints under student wallets', 'CHAIN_UNAVAILABLE');
+    }
+    if (!complaint.ipfs_hash) {
+      throw submissionError('Complaint has no IPFS record to submit', 'NO_IPFS_HASH');
+    }
+
+    const student = ethers.getAddress(studentAddress);
+    const call = {
+      ipfsHash: this.encodeIpfsHash(complaint.ipfs_hash),
+      priority: getPriorityCode(complaint.priority),
+      category: getCategoryCode(complaint.category)
+    };
+
+    // Chain time, which a local chain may not keep in step with the clock
+    const latestBlock = await this.provider.getBlock('latest');
+    const nonce = await this.contract.nonces(student);
+
+    return {
+      contractAddress: this.contractAddress,
+      chainId: Number(this.networkId),
+      student,
+      call,
+      typedData: {
+        domain: { ...SUBMISSION_DOMAIN, chainId: Number(this.networkId), verifyingContract: this.contractAddress },
+        types: SUBMISSION_TYPES,
+        primaryType: 'SubmitComplaint',
+        message: {
+          student,
+          ...call,
+          nonce: nonce.toString(),
+          deadline: deadline || latestBlock.timestamp + SUBMISSION_REQUEST_TTL_SECONDS
+        }
+      }
+    };
+  }
+
+  /**
+   * Relay a complaint signed by a student with submitComplaintFor. The request is
+   * rebuilt from the complaint and checked off-chain first, so a bad signature
+   * never costs gas.
+   * @param {string} studentAddress - users.wallet_address of the student
+   * @param {Object} complaint - Complaint row (ipfs_hash, priority, category)
+   * @param {Object} signed - { signature, deadline } returned by the wallet
+   * @returns {Promise<Object>} Transaction hash, on-chain complaint ID, block number and gas used
+   */
+  async relaySubmission(studentAddress, complaint, { signature, deadline }) {
+    const { typedData } = await this.buildSubmissionRequest(studentAddress, complaint, Number(deadline));
+    const { domain, types, message } = typedData;
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(domain, types, message, signature);
+    } catch (error) {
+      throw submissionError('Invalid signature', 'INVALID_SIGNATURE');
+    }
+    if (signer !== message.student) {
+      throw submissionError('Signature does not match the request for this complaint and wallet. Request a new one.', 'INVALID_SIGNATURE');
+    }
+
+    const latestBlock = await this.provider.getBlock('latest');
+    if (message.deadline < latestBlock.timestamp) {
+      throw submissionError('Signed request has expired. Request a new one.', 'REQUEST_EXPIRED');
+    }
+
+    console.log('📤 Relaying complaint signed by', message.student);
+    const tx = await this.contract.submitComplaintFor(
+      message.student,
+      message.ipfsHash,
+      message.priority,
+      message.category,
+      message.deadline,
+      signature
+    );
+    const receipt = await tx.wait();
+
+    return this.readComplaintSubmission(receipt, message.student, message.ipfsHash);
+  }
+
+  /**
+   * Check a submitComplaint transaction a student sent from their own wallet
+   * @param {string} transactionHash - Transaction sent from MetaMask
+   * @param {string} studentAddress - users.wallet_address of the student
+   * @param {Object} complaint - Complaint row (ipfs_hash)
+   * @returns {Promise<Object>} Transaction hash, on-chain complaint ID, block number and gas used
+   */
+  async confirmStudentSubmission(transactionHash, studentAddress, complaint) {
+    if (!this.supportsStudentWallets()) {
+      throw submissionError('The deployed ComplaintRegistry cannot record complaints under student wallets', 'CHAIN_UNAVAILABLE');
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+    if (!receipt) {
+      throw submissionError('Transaction is not mined yet', 'TX_PENDING');
+    }
+    if (receipt.status !== 1) {
+      throw submissionError('Transaction reverted', 'TX_FAILED');
+    }
+
+    return this.readComplaintSubmission(receipt, ethers.getAddress(studentAddress), this.encodeIpfsHash(complaint.ipfs_hash));
+  }
+
+  /**
+   * Find the ComplaintSubmitted event of a complaint in a receipt
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} student - Address the complaint must be recorded under
+   * @param {string} ipfsHashBytes32 - Encoded IPFS hash of the complaint
+   * @returns {Object} Transaction hash, on-chain complaint ID, block number and gas used
+   */
+  readComplaintSubmission(receipt, student, ipfsHashBytes32) {
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+      .map(log => this.contract.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === 'ComplaintSubmitted' &&
+        parsed.args.student === student && parsed.args.ipfsHash === ipfsHashBytes32);
+
+    if (!event) {
+      throw submissionError('Transaction did not submit this complaint from the linked wallet', 'TX_MISMATCH');
+    }
+
+    console.log('✅ Complaint recorded on blockchain under', student, {
+      txHash: receipt.hash,
+      complaintId: event.args.complaintId.toString()
+    });
+
+    return {
+      success: true,
+      transactionHash: receipt.hash,
+      complaintId: event.args.complaintId.toString(),
+      student,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
+
+  /**
+   * Update a complaint's status on-chain with the admin signer.
+   * The contract reverts on transitions outside its state machine.
+   * @param {string} chainComplaintId - Complaint ID assigned by the contract (or mock ID)
+   * @param {string} status - Canonical status value
+   * @returns {Promise<Object>} Transaction details
+   */
+  async updateComplaintStatus(chainComplaintId, status) {
+    const statusCode = getStatusCode(status);
+
+    if (!this.isConnected || !this.contract) {
+      const mockComplaint = this.mockBlockchain.find(c => c.complaintId === chainComplaintId);
+      if (!mockComplaint) {
+        throw new Error(`Complaint ${chainComplaintId} not found in mock blockchain`);
+      }
+
+      mockComplaint.status = status;
+      console.log('🔄 Mock blockchain: Complaint status updated:', chainComplaintId, status);
+
+      return {
+        success: true,
+        transactionHash: '0x' + Math.random().toString(16).substring(2, 66),
+        mock: true
+      };
+    }
+
+    if (!/^\d+$/.test(String(chainComplaintId))) {
+      throw new Error(`Complaint ${chainComplaintId} was not recorded on-chain`);
+    }
+
+    const tx = await this.contract.updateComplaintStatus(BigInt(chainComplaintId), statusCode);
+    const receipt = await tx.wait();
+
+    return {
+      success: true,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
+
   /**
    * Get predefined test accounts
    */
@@ -335,6 +867,11 @@ class BlockchainService {
         console.log('🔗 Contract reference cleared');
       }
       
+      if (this.blockRegistry) {
+        this.blockRegistry = null;
+        console.log('🔗 Block registry reference cleared');
+      }
+      
       // Clear signer
       if (this.signer) {
         this.signer = null;
@@ -355,6 +892,9 @@ class BlockchainService {
       this.isConnected = false;
       this.networkId = null;
       this.contractAddress = null;
+      this.contractDeploymentBlock = 0;
+      this.blockRegistryAddress = null;
+      this.blockRegistryDeploymentBlock = 0;
       
       console.log('🔗 Blockchain service shutdown completed');
     } catch (error) {
@@ -362,10 +902,14 @@ class BlockchainService {
       // Force cleanup even if there were errors
       this.isConnected = false;
       this.contract = null;
+      this.blockRegistry = null;
       this.provider = null;
       this.signer = null;
       this.networkId = null;
       this.contractAddress = null;
+      this.contractDeploymentBlock = 0;
+      this.blockRegistryAddress = null;
+      this.blockRegistryDeploymentBlock = 0;
     }
   }
 
@@ -378,10 +922,14 @@ class BlockchainService {
     // Immediate cleanup without waiting for promises
     this.isConnected = false;
     this.contract = null;
+    this.blockRegistry = null;
     this.provider = null;
     this.signer = null;
     this.networkId = null;
     this.contractAddress = null;
+    this.contractDeploymentBlock = 0;
+    this.blockRegistryAddress = null;
+    this.blockRegistryDeploymentBlock = 0;
     
     console.log('🚨 Emergency shutdown completed');
   }
@@ -396,6 +944,7 @@ class BlockchainService {
       hasContract: !!this.contract,
       hasNetworkId: !!this.networkId,
       hasContractAddress: !!this.contractAddress,
+      hasBlockRegistry: !!this.blockRegistry,
       timestamp: new Date().toISOString()
     };
   }
@@ -410,6 +959,8 @@ class BlockchainService {
       contractAddress: this.contractAddress,
       provider: !!this.provider,
       contract: !!this.contract,
+      blockRegistryAddress: this.blockRegistryAddress,
+      blockRegistry: !!this.blockRegistry,
       signer: !!this.signer,
       accountsCount: this.predefinedAccounts ? this.predefinedAccounts.length : 0,
       timestamp: new Date().toISOString()
@@ -449,9 +1000,9 @@ class BlockchainService {
             complaintId: 'DEMO_001',
             title: 'Demo: Academic Grading Issue',
             description: 'Sample complaint for demonstration purposes',
-            category: 'academic',
-            priority: 'HIGH',
-            status: 'SUBMITTED',
+            category: 'Academic',
+            priority: 'high',
+            status: 'PENDING',
             blockNumber: 1,
             transactionHash: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
             blockHash: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
@@ -464,9 +1015,9 @@ class BlockchainService {
             complaintId: 'DEMO_002',
             title: 'Demo: Facility Maintenance',
             description: 'Sample facility complaint for demonstration',
-            category: 'facilities',
-            priority: 'MEDIUM',
-            status: 'IN_PROGRESS',
+            category: 'Infrastructure',
+            priority: 'medium',
+            status: 'IN_REVIEW',
             blockNumber: 2,
             transactionHash: '0x2345678901bcdef12345678901cdef12345678901def12345678901ef123456',
             blockHash: '0xbcdef12345678901cdef12345678901def12345678901ef12345678901234567',
@@ -480,22 +1031,28 @@ class BlockchainService {
 
       // Get all events from the contract
       const filter = this.contract.filters.ComplaintSubmitted();
-      const events = await this.contract.queryFilter(filter);
+      const events = await this.contract.queryFilter(filter, this.contractDeploymentBlock);
 
       const complaints = [];
       for (const event of events) {
         const block = await this.provider.getBlock(event.blockNumber);
         const receipt = await this.provider.getTransactionReceipt(event.transactionHash);
+        const complaintId = event.args.complaintId.toString();
+        const ipfsHash = this.decodeIpfsHash(event.args.ipfsHash);
+        const onChain = await this.contract.getComplaint(event.args.complaintId);
         
         complaints.push({
-          complaintId: event.args.complaintId,
-          title: event.args.title || 'Blockchain Complaint',
+          complaintId,
+          title: 'Blockchain Complaint',
           blockNumber: event.blockNumber,
           transactionHash: event.transactionHash,
           blockHash: event.blockHash,
-          ipfsHash: event.args.ipfsHash,
-          status: event.args.status || 'SUBMITTED',
-          priority: event.args.priority || 'MEDIUM',
+          ipfsHash,
+          ...(await this.crossCheckIpfsHash(complaintId, ipfsHash)),
+          status: statusFromCode(onChain.status) || 'UNKNOWN',
+          priority: priorityFromCode(event.args.priority) || 'UNKNOWN',
+          category: categoryFromCode(event.args.category) || Number(event.args.category),
+          student: event.args.student,
           timestamp: new Date(block.timestamp * 1000).toISOString(),
           gasUsed: receipt.gasUsed.toString()
         });
@@ -512,8 +1069,8 @@ class BlockchainService {
             transactionHash: '0xabc123def456789012345678901234567890123456789012345678901234567890',
             blockHash: '0x123abc456def789012345678901234567890123456789012345678901234567abc',
             ipfsHash: 'QmDemoHash123456789',
-            status: 'SUBMITTED',
-            priority: 'HIGH',
+            status: 'PENDING',
+            priority: 'high',
             timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
             gasUsed: '21500'
           },
@@ -524,8 +1081,8 @@ class BlockchainService {
             transactionHash: '0xdef456abc789012345678901234567890123456789012345678901234567abc123',
             blockHash: '0x456def789abc012345678901234567890123456789012345678901234567def456',
             ipfsHash: 'QmDemoHash987654321',
-            status: 'IN_PROGRESS',
-            priority: 'MEDIUM',
+            status: 'IN_REVIEW',
+            priority: 'medium',
             timestamp: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
             gasUsed: '22000'
           },
@@ -537,7 +1094,7 @@ class BlockchainService {
             blockHash: '0x789abc123def456012345678901234567890123456789012345678901234def789',
             ipfsHash: 'QmDemoHash555666777',
             status: 'RESOLVED',
-            priority: 'LOW',
+            priority: 'low',
             timestamp: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString(),
             gasUsed: '20800'
           }
@@ -558,8 +1115,8 @@ class BlockchainService {
           transactionHash: '0x1111222233334444555566667777888899990000aaaabbbbccccddddeeeeffff',
           blockHash: '0xaaabbbbccccddddeeeeffff1111222233334444555566667777888899990000',
           ipfsHash: 'QmMockErrorHash123',
-          status: 'SUBMITTED',
-          priority: 'HIGH',
+          status: 'PENDING',
+          priority: 'high',
           timestamp: new Date().toISOString(),
           gasUsed: '21000',
           note: 'Mock data due to blockchain connection issue'
@@ -577,7 +1134,7 @@ class BlockchainService {
         address: this.contractAddress || 'Not deployed',
         isDeployed: !!this.contractAddress,
         isConnected: this.isConnected,
-        network: 'localhost:7545',
+        network: this.rpcUrl,
         status: this.isConnected ? 'connected' : 'disconnected'
       };
 
@@ -623,21 +1180,9 @@ class BlockchainService {
         };
       }
 
+      let complaint;
       try {
-        const complaint = await this.contract.getComplaint(complaintId);
-        
-        return {
-          verified: true,
-          exists: true,
-          onBlockchain: true,
-          complaint: {
-            id: complaintId,
-            ipfsHash: complaint.ipfsHash,
-            status: complaint.status,
-            submittedAt: new Date(Number(complaint.submittedAt) * 1000).toISOString(),
-            lastUpdated: new Date(Number(complaint.lastUpdated) * 1000).toISOString()
-          }
-        };
+        complaint = await this.contract.getComplaint(complaintId);
       } catch (contractError) {
         return {
           verified: false,
@@ -646,6 +1191,31 @@ class BlockchainService {
           reason: 'Complaint not found on blockchain'
         };
       }
+      
+      const ipfsHash = this.decodeIpfsHash(complaint.ipfsHash);
+      const crossCheck = await this.crossCheckIpfsHash(complaintId, ipfsHash);
+      
+      return {
+        // Verified only when the chain and SQLite agree on the complaint's content
+        verified: crossCheck.ipfsHashMatches,
+        exists: true,
+        onBlockchain: true,
+        ...crossCheck,
+        reason: crossCheck.ipfsHashMatches
+          ? undefined
+          : crossCheck.databaseId === null
+            ? 'Complaint not found in database'
+            : 'IPFS hash on-chain does not match the database record',
+        complaint: {
+          id: complaintId.toString(),
+          ipfsHash,
+          student: complaint.student,
+          status: statusFromCode(complaint.status) || 'UNKNOWN',
+          priority: priorityFromCode(complaint.priority) || 'UNKNOWN',
+          category: categoryFromCode(complaint.category) || Number(complaint.category),
+          submittedAt: new Date(Number(complaint.timestamp) * 1000).toISOString()
+        }
+      };
     } catch (error) {
       console.error('Error verifying complaint:', error);
       return {
@@ -681,7 +1251,7 @@ class BlockchainService {
         
         // Get complaint events for statistics
         const filter = this.contract.filters.ComplaintSubmitted();
-        const events = await this.contract.queryFilter(filter);
+        const events = await this.contract.queryFilter(filter, this.contractDeploymentBlock);
         
         let totalGasUsed = 0;
         for (const event of events) {
@@ -708,6 +1278,137 @@ class BlockchainService {
       throw error;
     }
   }
+
+  /**
+   * Seal the ComplaintRegistry rolling hash into a block summary. The backend
+   * signer needs BLOCK_SEALER; nothing is sent when no event happened since the
+   * latest summary.
+   * @returns {Promise<Object|null>} blockId, summaryHash and transactionHash, or null when there was nothing to seal
+   */
+  async createBlockSummary() {
+    if (!this.isConnected || !this.contract) {
+      throw new Error('ComplaintRegistry contract not loaded');
+    }
+
+    const [latestSummaryHash, nextBlockId] = await Promise.all([
+      this.contract.latestSummaryHash(),
+      this.contract.nextBlockId()
+    ]);
+    const { summaryHash: sealedHash } = await this.contract.getBlockSummary(nextBlockId - 1n);
+    if (latestSummaryHash === sealedHash) {
+      return null;
+    }
+
+    const tx = await this.contract.createBlockSummary();
+    const receipt = await tx.wait();
+
+    const created = receipt.logs
+      .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+      .map(log => this.contract.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === 'BlockSummaryCreated');
+
+    return {
+      blockId: Number(created.args.blockId),
+      summaryHash: created.args.summaryHash,
+      transactionHash: receipt.hash
+    };
+  }
+
+  /**
+   * Next ComplaintRegistry rolling hash, computed the way _extendSummaryHash does:
+   * keccak256(previous hash ++ abi.encode(event type, event fields))
+   * @param {string} previousHash - Previous rolling hash (ethers.ZeroHash before the first event)
+   * @param {Object} event - ComplaintSubmitted or StatusUpdated log from queryFilter
+   * @returns {string} Rolling hash after the event
+   */
+  computeSummaryHash(previousHash, event) {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const { args } = event;
+
+    const eventData = event.eventName === 'ComplaintSubmitted'
+      ? coder.encode(
+        ['uint8', 'uint256', 'address', 'bytes32', 'uint8', 'uint16'],
+        [SUMMARY_EVENTS.ComplaintSubmitted, args.complaintId, args.student, args.ipfsHash, args.priority, args.category]
+      )
+      : coder.encode(
+        ['uint8', 'uint256', 'uint8', 'uint8', 'address'],
+        [SUMMARY_EVENTS.StatusUpdated, args.complaintId, args.oldStatus, args.newStatus, args.updatedBy]
+      );
+
+    return ethers.keccak256(ethers.concat([previousHash, eventData]));
+  }
+
+  /**
+   * Recompute ComplaintRegistry block summaries off-chain by replaying
+   * ComplaintSubmitted and StatusUpdated events in chain order. Each
+   * BlockSummaryCreated event seals the hash of every event before it.
+   * @param {number} [upToBlockId] - Stop after this summary
+   * @returns {Promise<Array<Object>>} blockId, summaryHash, eventCount and transactionHash per summary
+   */
+  async replayBlockSummaries(upToBlockId = Infinity) {
+    if (!this.isConnected || !this.contract) {
+      throw new Error('ComplaintRegistry contract not loaded');
+    }
+
+    const [submitted, updated, sealed] = await Promise.all([
+      this.contract.queryFilter(this.contract.filters.ComplaintSubmitted(), this.contractDeploymentBlock),
+      this.contract.queryFilter(this.contract.filters.StatusUpdated(), this.contractDeploymentBlock),
+      this.contract.queryFilter(this.contract.filters.BlockSummaryCreated(), this.contractDeploymentBlock)
+    ]);
+    const events = [...submitted, ...updated, ...sealed]
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const summaries = [];
+    let summaryHash = ethers.ZeroHash;
+    let eventCount = 0;
+
+    for (const event of events) {
+      if (summaries.length >= upToBlockId) {
+        break;
+      }
+
+      if (event.eventName !== 'BlockSummaryCreated') {
+        summaryHash = this.computeSummaryHash(summaryHash, event);
+        eventCount++;
+        continue;
+      }
+
+      summaries.push({
+        blockId: Number(event.args.blockId),
+        summaryHash,
+        eventCount,
+        transactionHash: event.transactionHash
+      });
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Check a ComplaintRegistry block summary against the hash recomputed from events
+   * @param {number} blockId - Summary ID (starts at 1)
+   * @returns {Promise<Object>} Stored and recomputed hashes and whether they match
+   */
+  async verifyBlockSummary(blockId) {
+    if (!this.isConnected || !this.contract) {
+      throw new Error('ComplaintRegistry contract not loaded');
+    }
+
+    const onChain = await this.contract.getBlockSummary(blockId);
+    const summaries = await this.replayBlockSummaries(blockId);
+    const replayed = summaries[blockId - 1] || null;
+
+    return {
+      blockId,
+      summaryHash: onChain.summaryHash,
+      recomputedHash: replayed ? replayed.summaryHash : null,
+      matches: !!replayed && replayed.summaryHash === onChain.summaryHash,
+      eventsReplayed: replayed ? replayed.eventCount : null,
+      sealedBy: replayed ? replayed.transactionHash : null,
+      totalComplaints: Number(onChain.totalComplaints),
+      timestamp: new Date(Number(onChain.timestamp) * 1000).toISOString()
+    };
+  }
 }
 
 // Export singleton instance
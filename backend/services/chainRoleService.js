@@ -0,0 +1,274 @@
+const { ethers } = require('ethers');
+const { query } = require('../config/sqlite');
+const { PERMISSIONS, parsePermissions } = require('../middleware/auth');
+const { blockchainService } = require('./blockchainService');
+
+// On-chain roles, with the admin permission a holder must have
+const CHAIN_ROLES = {
+  // ComplaintRegistry role that may update complaint statuses
+  STATUS_MANAGER: { id: ethers.id('STATUS_MANAGER'), permission: PERMISSIONS.COMPLAINT_MANAGE },
+  // ComplaintRegistry role that may seal block summaries, mirrored as an
+  // authorized admin of ComplaintBlockRegistry, which may anchor blocks
+  BLOCK_SEALER: { id: ethers.id('BLOCK_SEALER'), permission: PERMISSIONS.BLOCK_CREATE }
+};
+
+const roleError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * On-chain roles of admin wallets. The contracts are the source of truth;
+ * admins.wallet_address records which wallet holds an admin's grants.
+ */
+class ChainRoleService {
+  /**
+   * Check a role list against CHAIN_ROLES
+   * @param {Array<string>} roles - Role names
+   * @returns {Array<string>} Distinct role names
+   */
+  validateRoles(roles) {
+    if (!Array.isArray(roles)) {
+      throw roleError('roles must be an array of role names', 'INVALID_ROLES');
+    }
+
+    const known = Object.keys(CHAIN_ROLES);
+    const unknown = roles.filter(role => !known.includes(role));
+    if (unknown.length > 0) {
+      throw roleError(`Unknown roles: ${unknown.join(', ')}. Must be among: ${known.join(', ')}`, 'INVALID_ROLES');
+    }
+
+    return [...new Set(roles)];
+  }
+
+  /**
+   * Accept admin of each contract that proposed the backend signer as its next
+   * admin. GrievanceSystemModule does so when the deployer is another account.
+   * @returns {Promise<Array<string>>} Names of the contracts taken over
+   */
+  async acceptPendingAdmin() {
+    const { contract, blockRegistry } = blockchainService;
+    if (!blockchainService.isConnected || !contract || !blockRegistry) {
+      return [];
+    }
+
+    const signer = blockchainService.getBackendSigner().address;
+    const accepted = [];
+
+    for (const [name, target] of [['ComplaintRegistry', contract], ['ComplaintBlockRegistry', blockRegistry]]) {
+      // Deployments from before the two-step handover have no pendingAdmin
+      if (!target.interface.getFunction('pendingAdmin') || (await target.pendingAdmin()) !== signer) {
+        continue;
+      }
+
+      const tx = await target.acceptAdmin();
+      await tx.wait();
+      accepted.push(name);
+      console.log(`👑 Backend signer ${signer} accepted admin of ${name}`);
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Make sure the backend can send role changes: both contracts are loaded and
+   * the backend signer is admin of each (accepting a pending handover first)
+   */
+  async assertCanManageRoles() {
+    const { contract, blockRegistry } = blockchainService;
+    if (!blockchainService.isConnected || !contract || !blockRegistry) {
+      throw roleError('ComplaintRegistry and ComplaintBlockRegistry must both be deployed and connected', 'CHAIN_UNAVAILABLE');
+    }
+
+    await this.acceptPendingAdmin();
+
+    const signer = blockchainService.getBackendSigner().address;
+    const [registryAdmin, blockRegistryAdmin] = await Promise.all([contract.admin(), blockRegistry.admin()]);
+
+    if (registryAdmin !== signer || blockRegistryAdmin !== signer) {
+      throw roleError(
+        `The backend signer ${signer} is not admin of both contracts (ComplaintRegistry: ${registryAdmin}, ` +
+        `ComplaintBlockRegistry: ${blockRegistryAdmin}). The current admin must call transferAdmin(${signer}) on each.`,
+        'NOT_ROLE_ADMIN'
+      );
+    }
+
+    return signer;
+  }
+
+  /**
+   * Roles a wallet holds on chain
+   * @param {string} walletAddress - Wallet to check
+   * @returns {Promise<Array<string>>} Role names
+   */
+  async getWalletRoles(walletAddress) {
+    const { contract, blockRegistry } = blockchainService;
+    const [isStatusManager, isBlockSealer, canAnchor] = await Promise.all([
+      contract.hasRole(CHAIN_ROLES.STATUS_MANAGER.id, walletAddress),
+      contract.hasRole(CHAIN_ROLES.BLOCK_SEALER.id, walletAddress),
+      blockRegistry.isAuthorizedAdmin(walletAddress)
+    ]);
+
+    const roles = [];
+    if (isStatusManager) roles.push('STATUS_MANAGER');
+    // Holding only one half cannot seal a block end to end
+    if (isBlockSealer && canAnchor) roles.push('BLOCK_SEALER');
+    return roles;
+  }
+
+  /**
+   * Grant or revoke one role and wait for the transactions. BLOCK_SEALER is
+   * set on ComplaintRegistry and as a ComplaintBlockRegistry authorized admin.
+   * @returns {Promise<Array<Object>>} { role, action, contract, transactionHash } per transaction
+   */
+  async setRole(role, walletAddress, grant) {
+    const { contract, blockRegistry } = blockchainService;
+    const sent = [];
+
+    const send = async (contractName, txPromise) => {
+      const tx = await txPromise;
+      await tx.wait();
+      sent.push({ role, action: grant ? 'grant' : 'revoke', contract: contractName, transactionHash: tx.hash });
+    };
+
+    if (role === 'BLOCK_SEALER' && (await blockRegistry.isAuthorizedAdmin(walletAddress)) !== grant) {
+      await send('ComplaintBlockRegistry', grant
+        ? blockRegistry.addAdmin(walletAddress)
+        : blockRegistry.removeAdmin(walletAddress));
+    }
+
+    if ((await contract.hasRole(CHAIN_ROLES[role].id, walletAddress)) !== grant) {
+      await send('ComplaintRegistry', grant
+        ? contract.grantRole(CHAIN_ROLES[role].id, walletAddress)
+        : contract.revokeRole(CHAIN_ROLES[role].id, walletAddress));
+    }
+
+    return sent;
+  }
+
+  /**
+   * Give an admin's wallet exactly the listed roles on chain and record the
+   * wallet in admins.wallet_address. A wallet the admin used before loses its
+   * roles; with no roles left the column is cleared.
+   * @param {Object} options
+   * @param {string} options.adminId - admins.admin_id
+   * @param {string|null} options.walletAddress - Wallet to hold the roles (null to revoke everything)
+   * @param {Array<string>} options.roles - Role names the wallet should end up with
+   * @returns {Promise<Object>} adminId, walletAddress, roles and the transactions sent
+   */
+  async syncAdminRoles({ adminId, walletAddress, roles }) {
+    const wanted = this.validateRoles(roles);
+
+    let wallet = null;
+    if (walletAddress) {
+      if (!ethers.isAddress(walletAddress)) {
+        throw roleError('walletAddress is not a valid address', 'INVALID_WALLET');
+      }
+      wallet = ethers.getAddress(walletAddress);
+    } else if (wanted.length > 0) {
+      throw roleError('walletAddress is required to grant roles', 'INVALID_WALLET');
+    }
+
+    const admins = await query(
+      'SELECT id, admin_id, full_name, permissions, is_active, wallet_address FROM admins WHERE admin_id = ?',
+      [adminId]
+    );
+    if (admins.length === 0) {
+      throw roleError('Admin not found', 'ADMIN_NOT_FOUND');
+    }
+    const admin = admins[0];
+
+    if (wanted.length > 0 && !admin.is_active) {
+      throw roleError('Inactive admins cannot hold on-chain roles', 'ADMIN_INACTIVE');
+    }
+
+    const permissions = parsePermissions(admin.permissions);
+    const missing = wanted.filter(role => !permissions.includes(CHAIN_ROLES[role].permission));
+    if (missing.length > 0) {
+      throw roleError(
+        `Admin ${adminId} lacks the permission for: ${missing.map(role => `${role} (${CHAIN_ROLES[role].permission})`).join(', ')}`,
+        'PERMISSION_MISSING'
+      );
+    }
+
+    const signer = await this.assertCanManageRoles();
+
+    if (wallet) {
+      if (wallet === signer) {
+        throw roleError('The backend signer cannot be assigned to an admin', 'INVALID_WALLET');
+      }
+
+      const owners = await query(
+        'SELECT admin_id FROM admins WHERE LOWER(wallet_address) = LOWER(?) AND id != ?',
+        [wallet, admin.id]
+      );
+      if (owners.length > 0) {
+        throw roleError(`Wallet is already assigned to admin ${owners[0].admin_id}`, 'WALLET_IN_USE');
+      }
+    }
+
+    const transactions = [];
+
+    // A replaced wallet must not keep the admin's grants
+    const previousWallet = admin.wallet_address && ethers.isAddress(admin.wallet_address)
+      ? ethers.getAddress(admin.wallet_address)
+      : null;
+    if (previousWallet && previousWallet !== wallet) {
+      for (const role of Object.keys(CHAIN_ROLES)) {
+        transactions.push(...await this.setRole(role, previousWallet, false));
+      }
+    }
+
+    if (wallet) {
+      for (const role of Object.keys(CHAIN_ROLES)) {
+        transactions.push(...await this.setRole(role, wallet, wanted.includes(role)));
+      }
+    }
+
+    const recordedWallet = wanted.length > 0 ? wallet : null;
+    await query(
+      'UPDATE admins SET wallet_address = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [recordedWallet, admin.id]
+    );
+
+    console.log(`🔐 On-chain roles of admin ${adminId} set to [${wanted.join(', ')}] (${transactions.length} transactions)`);
+
+    return {
+      adminId: admin.admin_id,
+      walletAddress: recordedWallet,
+      previousWalletAddress: previousWallet,
+      roles: wallet ? await this.getWalletRoles(wallet) : [],
+      transactions
+    };
+  }
+
+  /**
+   * Admins with a wallet and the roles that wallet holds on chain
+   * @returns {Promise<Array<Object>>} adminId, fullName, walletAddress and roles per admin
+   */
+  async listAdminRoles() {
+    if (!blockchainService.isConnected || !blockchainService.contract || !blockchainService.blockRegistry) {
+      throw roleError('ComplaintRegistry and ComplaintBlockRegistry must both be deployed and connected', 'CHAIN_UNAVAILABLE');
+    }
+
+    const admins = await query(
+      'SELECT admin_id, full_name, wallet_address FROM admins WHERE wallet_address IS NOT NULL ORDER BY admin_id'
+    );
+
+    return Promise.all(admins.map(async admin => ({
+      adminId: admin.admin_id,
+      fullName: admin.full_name,
+      walletAddress: admin.wallet_address,
+      roles: ethers.isAddress(admin.wallet_address) ? await this.getWalletRoles(admin.wallet_address) : []
+    })));
+  }
+}
+
+const chainRoleService = new ChainRoleService();
+
+module.exports = {
+  CHAIN_ROLES,
+  ChainRoleService,
+  chainRoleService
+};
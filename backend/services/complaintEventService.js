@@ -0,0 +1,135 @@
+const { query } = require('../config/sqlite');
+
+// Event types recorded in complaint_events
+const COMPLAINT_EVENT_TYPES = {
+  SUBMITTED: 'submitted',
+  STATUS_CHANGED: 'status_changed',
+  ESCALATED: 'escalated',
+  BLOCK_INCLUDED: 'block_included',
+  CHAIN_ANCHORED: 'chain_anchored',
+  CHAIN_SUBMITTED: 'chain_submitted'
+};
+
+/**
+ * Append-only history of everything that happens to a complaint.
+ * Recording is best-effort: a failed insert is logged and never fails the action itself.
+ */
+class ComplaintEventService {
+  /**
+   * Describe an authenticated principal as an event actor
+   * @param {Object} principal - Principal attached by authenticateToken (req.user)
+   * @returns {Object} Actor type and ID
+   */
+  actorFromPrincipal(principal) {
+    if (principal.type === 'admin') {
+      return { actorType: 'admin', actorId: String(principal.id) };
+    }
+    return { actorType: 'student', actorId: principal.studentId };
+  }
+
+  /**
+   * Record a single complaint event
+   * @param {Object} event - Event fields
+   * @param {number} event.complaintId - Complaint the event belongs to
+   * @param {string} event.eventType - One of COMPLAINT_EVENT_TYPES
+   * @param {string} event.actorType - 'student', 'admin' or 'system'
+   * @param {string} [event.actorId] - Student ID or admins.id
+   * @param {string} [event.fromValue] - Previous status or priority
+   * @param {string} [event.toValue] - New status or priority
+   * @param {string} [event.message] - Admin message
+   * @param {string} [event.imagePath] - Admin response image
+   * @param {Object} [event.details] - Extra data stored as JSON
+   * @returns {Promise<number|null>} Event ID, or null if it could not be recorded
+   */
+  async record({ complaintId, eventType, actorType, actorId = null, fromValue = null, toValue = null, message = null, imagePath = null, details = null }) {
+    try {
+      const result = await query(`
+        INSERT INTO complaint_events (
+          complaint_id, event_type, actor_type, actor_id, from_value, to_value,
+          message, image_path, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        complaintId,
+        eventType,
+        actorType,
+        actorId === null ? null : String(actorId),
+        fromValue,
+        toValue,
+        message,
+        imagePath,
+        details ? JSON.stringify(details) : null
+      ]);
+
+      return result.insertId;
+    } catch (error) {
+      console.warn(`⚠️ Failed to record ${eventType} event for complaint ${complaintId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the same event for every complaint in a block
+   * @param {number} blockNumber - Block whose complaints receive the event
+   * @param {Object} event - Event fields (see record), without complaintId
+   * @returns {Promise<number>} Number of events recorded
+   */
+  async recordForBlock(blockNumber, { eventType, actorType, actorId = null, details = null }) {
+    try {
+      const result = await query(`
+        INSERT INTO complaint_events (complaint_id, event_type, actor_type, actor_id, details)
+        SELECT cb.complaint_id, ?, ?, ?, ?
+        FROM complaint_blocks cb
+        JOIN block_metadata bm ON cb.block_id = bm.id
+        WHERE bm.block_number = ?
+        ORDER BY cb.inclusion_order
+      `, [
+        eventType,
+        actorType,
+        actorId === null ? null : String(actorId),
+        details ? JSON.stringify(details) : null,
+        blockNumber
+      ]);
+
+      return result.changes;
+    } catch (error) {
+      console.warn(`⚠️ Failed to record ${eventType} events for block ${blockNumber}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the timeline of a complaint, oldest event first
+   * @param {number} complaintId - Complaint ID
+   * @returns {Promise<Array>} Events with parsed details
+   */
+  async getTimeline(complaintId) {
+    const events = await query(`
+      SELECT id, event_type, actor_type, actor_id, from_value, to_value,
+             message, image_path, details, created_at
+      FROM complaint_events
+      WHERE complaint_id = ?
+      ORDER BY created_at ASC, id ASC
+    `, [complaintId]);
+
+    return events.map(event => ({
+      id: event.id,
+      eventType: event.event_type,
+      actorType: event.actor_type,
+      actorId: event.actor_id,
+      fromValue: event.from_value,
+      toValue: event.to_value,
+      message: event.message,
+      imagePath: event.image_path,
+      details: event.details ? JSON.parse(event.details) : null,
+      createdAt: event.created_at
+    }));
+  }
+}
+
+const complaintEventService = new ComplaintEventService();
+
+module.exports = {
+  ComplaintEventService,
+  complaintEventService,
+  COMPLAINT_EVENT_TYPES
+};
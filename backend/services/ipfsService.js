@@ -1,6 +1,7 @@
 const { create } = require('ipfs-http-client');
 const fs = require('fs');
 const path = require('path');
+const { localContentStore } = require('./localContentStore');
 
 class IPFSService {
   constructor() {
@@ -27,12 +28,74 @@ class IPFSService {
       
       return true;
     } catch (error) {
-      console.warn('⚠️ Local IPFS node not available, using mock for development');
+      console.warn('⚠️ Local IPFS node not available, using local content store:', localContentStore.storeDir);
       this.isConnected = false;
       return false;
     }
   }
 
+  /**
+   * Add content to IPFS, keeping a copy in the local content store.
+   * Without a node the local store alone computes the CID and serves the data.
+   * @param {Buffer|string} content - Content to add
+   * @param {string} [filename] - Optional file name for the IPFS node
+   * @returns {Promise<string>} CID of the content
+   */
+  async addContent(content, filename) {
+    const buffer = Buffer.from(content);
+    const localCid = await localContentStore.put(buffer);
+
+    if (this.isConnected) {
+      try {
+        const result = await this.ipfs.add(filename ? { content: buffer, path: filename } : buffer);
+        const cid = result.cid.toString();
+
+        if (cid !== localCid) {
+          console.warn(`⚠️ IPFS node returned ${cid}, local store computed ${localCid}`);
+        }
+        return cid;
+      } catch (error) {
+        console.warn('⚠️ IPFS node upload failed, serving from local content store:', error.message);
+      }
+    }
+
+    return localCid;
+  }
+
+  /**
+   * Fetch raw content by CID from the IPFS node, falling back to the local content store
+   * @param {string} hash - IPFS hash
+   * @returns {Promise<Buffer>} Content
+   */
+  async getContent(hash) {
+    if (this.isConnected) {
+      try {
+        const chunks = [];
+        for await (const chunk of this.ipfs.cat(hash)) {
+          chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+      } catch (error) {
+        console.warn(`⚠️ IPFS node could not provide ${hash}, trying local content store:`, error.message);
+      }
+    }
+
+    const content = await localContentStore.get(hash);
+    if (!content) {
+      throw new Error(`Content ${hash} not found on IPFS or in the local content store`);
+    }
+    return content;
+  }
+
+  /**
+   * Upload a JSON document to IPFS
+   * @param {Object} data - JSON-serializable data
+   * @returns {Promise<string>} IPFS hash
+   */
+  async uploadJSON(data) {
+    return this.addContent(JSON.stringify(data, null, 2));
+  }
+
   /**
    * Upload complaint data to IPFS
    * @param {Object} complaintData - The complaint data to upload
@@ -52,28 +115,13 @@ class IPFSService {
         version: '1.0'
       };
 
-      if (this.isConnected) {
-        // Real IPFS upload
-        const jsonString = JSON.stringify(metadata, null, 2);
-        const result = await this.ipfs.add(jsonString);
-        const hash = result.cid.toString();
-        
-        console.log('📤 Complaint uploaded to IPFS:', hash);
-        return hash;
-      } else {
-        // Mock IPFS for development
-        const mockHash = 'Qm' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-        console.log('🔄 Using mock IPFS hash for development:', mockHash);
-        console.log('📦 Data that would be uploaded:', JSON.stringify(metadata, null, 2).substring(0, 100) + '...');
-        return mockHash;
-      }
+      const hash = await this.uploadJSON(metadata);
+      console.log('📤 Complaint uploaded to IPFS:', hash);
+      return hash;
       
     } catch (error) {
       console.error('❌ IPFS upload failed:', error);
-      // Fallback to mock
-      const mockHash = 'Qm' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-      console.log('🔄 Using mock IPFS hash for development:', mockHash);
-      return mockHash;
+      throw error;
     }
   }
 
@@ -85,28 +133,13 @@ class IPFSService {
    */
   async uploadFile(fileBuffer, filename) {
     try {
-      if (this.isConnected) {
-        const result = await this.ipfs.add({
-          content: fileBuffer,
-          path: filename
-        });
-        
-        const hash = result.cid.toString();
-        console.log('📎 File uploaded to IPFS:', filename, '->', hash);
-        return hash;
-      } else {
-        // Mock file upload
-        const mockHash = 'Qm' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-        console.log('🔄 Mock file upload:', filename, '->', mockHash);
-        return mockHash;
-      }
+      const hash = await this.addContent(fileBuffer, filename);
+      console.log('📎 File uploaded to IPFS:', filename, '->', hash);
+      return hash;
       
     } catch (error) {
       console.error('❌ File upload to IPFS failed:', error);
-      // Fallback to mock
-      const mockHash = 'Qm' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-      console.log('🔄 Mock file upload fallback:', filename, '->', mockHash);
-      return mockHash;
+      throw error;
     }
   }
 
@@ -117,43 +150,15 @@ class IPFSService {
    */
   async getComplaint(hash) {
     try {
-      if (this.isConnected) {
-        const chunks = [];
-        for await (const chunk of this.ipfs.cat(hash)) {
-          chunks.push(chunk);
-        }
-        
-        const data = Buffer.concat(chunks).toString();
-        const complaintData = JSON.parse(data);
-        
-        console.log('📥 Complaint retrieved from IPFS:', hash);
-        return complaintData;
-      } else {
-        // Mock retrieval
-        console.log('🔄 Mock IPFS retrieval for hash:', hash);
-        return {
-          hash: hash,
-          mockData: true,
-          title: 'Mock Complaint Title',
-          description: 'This is mock complaint data for development purposes',
-          category: 'general',
-          priority: 'medium',
-          timestamp: new Date().toISOString(),
-          retrievedAt: new Date().toISOString()
-        };
-      }
+      const content = await this.getContent(hash);
+      const complaintData = JSON.parse(content.toString());
+      
+      console.log('📥 Complaint retrieved from IPFS:', hash);
+      return complaintData;
       
     } catch (error) {
       console.error('❌ IPFS retrieval failed:', error);
-      // Fallback to mock
-      return {
-        error: 'IPFS retrieval failed',
-        mockData: true,
-        hash: hash,
-        title: 'Error - Mock Data',
-        description: 'IPFS retrieval failed, showing mock data',
-        retrievedAt: new Date().toISOString()
-      };
+      throw error;
     }
   }
 
@@ -162,7 +167,7 @@ class IPFSService {
    */
   async getStatus() {
     if (!this.isConnected) {
-      return { connected: false, mode: 'mock' };
+      return { connected: false, mode: 'local', storeDir: localContentStore.storeDir };
     }
 
     try {
@@ -179,7 +184,8 @@ class IPFSService {
     } catch (error) {
       return { 
         connected: false, 
-        mode: 'mock',
+        mode: 'local',
+        storeDir: localContentStore.storeDir,
         error: error.message 
       };
     }
@@ -259,7 +265,7 @@ class IPFSService {
     return {
       connected: this.isConnected,
       hasIpfs: !!this.ipfs,
-      mode: this.isConnected ? 'real' : 'mock',
+      mode: this.isConnected ? 'real' : 'local',
       timestamp: new Date().toISOString()
     };
   }
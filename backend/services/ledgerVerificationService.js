@@ -0,0 +1,395 @@
+const { query } = require('../config/sqlite');
+const { merkleTreeService, MERKLE_SCHEMES } = require('./merkleTreeService');
+const { blockchainService } = require('./blockchainService');
+const { ipfsService } = require('./ipfsService');
+const { localContentStore } = require('./localContentStore');
+
+/**
+ * Outcome of a single check.
+ * - OK: the data matches
+ * - MISMATCH: the data differs from what was sealed (tampering)
+ * - UNAVAILABLE: the source could not be reached, so nothing was proven
+ * - NOT_COVERED: the block never committed to the data, so edits to it go unnoticed
+ * - SKIPPED: the check does not apply (e.g. block not anchored yet)
+ */
+const CHECK_STATUSES = {
+  OK: 'ok',
+  MISMATCH: 'mismatch',
+  UNAVAILABLE: 'unavailable',
+  NOT_COVERED: 'not_covered',
+  SKIPPED: 'skipped'
+};
+
+const LEDGER_STATUSES = {
+  OK: 'ok',
+  TAMPERED: 'tampered',
+  INCOMPLETE: 'incomplete'
+};
+
+// Immutable complaint fields committed to keccak leaves
+const LEAF_FIELDS = ['student_id', 'title', 'description', 'category', 'ipfs_hash', 'created_at'];
+
+// Fields of the complaint document uploaded to IPFS, mapped to complaint columns
+const IPFS_FIELDS = { title: 'title', description: 'description', category: 'category', studentId: 'student_id' };
+
+/**
+ * The most serious of several check statuses
+ * @param {Array<string>} statuses - CHECK_STATUSES values
+ * @returns {string} CHECK_STATUSES value
+ */
+const worstStatus = (statuses) => {
+  if (statuses.includes(CHECK_STATUSES.MISMATCH)) return CHECK_STATUSES.MISMATCH;
+  if (statuses.includes(CHECK_STATUSES.UNAVAILABLE)) return CHECK_STATUSES.UNAVAILABLE;
+  if (statuses.includes(CHECK_STATUSES.NOT_COVERED)) return CHECK_STATUSES.NOT_COVERED;
+  return statuses.includes(CHECK_STATUSES.OK) ? CHECK_STATUSES.OK : CHECK_STATUSES.SKIPPED;
+};
+
+/**
+ * Combine check statuses into a block status
+ * @param {Array<string>} statuses - CHECK_STATUSES values
+ * @returns {string} LEDGER_STATUSES value
+ */
+const summarize = (statuses) => ({
+  [CHECK_STATUSES.MISMATCH]: LEDGER_STATUSES.TAMPERED,
+  [CHECK_STATUSES.UNAVAILABLE]: LEDGER_STATUSES.INCOMPLETE,
+  [CHECK_STATUSES.NOT_COVERED]: LEDGER_STATUSES.INCOMPLETE
+})[worstStatus(statuses)] || LEDGER_STATUSES.OK;
+
+/**
+ * Independently re-checks every sealed block: the stored leaves, the complaint
+ * rows as they are today, the root anchored in ComplaintBlockRegistry and the
+ * content behind each IPFS hash. Read-only: nothing is repaired.
+ */
+class LedgerVerificationService {
+  /**
+   * Verify sealed blocks
+   * @param {Object} [options]
+   * @param {Array<number>} [options.blockNumbers] - Only verify these blocks
+   * @param {boolean} [options.checkChain] - Compare roots with ComplaintBlockRegistry (default true)
+   * @param {boolean} [options.checkIpfs] - Re-fetch IPFS content (default true)
+   * @returns {Promise<Object>} Report with a summary and one entry per block
+   */
+  async verifyLedger({ blockNumbers = null, checkChain = true, checkIpfs = true } = {}) {
+    const sources = {
+      chain: checkChain ? await this.connectChain() : { available: false, reason: 'skipped' },
+      ipfs: checkIpfs ? await this.connectIpfs() : { available: false, reason: 'skipped' }
+    };
+
+    const blocks = await query(`
+      SELECT id, block_number, merkle_root, merkle_scheme, complaint_count, ipfs_metadata_hash,
+             anchor_status, onchain_block_number
+      FROM block_metadata
+      ${blockNumbers ? `WHERE block_number IN (${blockNumbers.map(() => '?').join(',')})` : ''}
+      ORDER BY block_number ASC
+    `, blockNumbers || []);
+
+    const results = [];
+    for (const block of blocks) {
+      results.push(await this.verifyBlock(block, { checkChain, checkIpfs, sources }));
+    }
+
+    const missing = (blockNumbers || []).filter(number => !blocks.some(block => block.block_number === number));
+    const statuses = results.map(result => result.status);
+    let status = LEDGER_STATUSES.OK;
+    if (statuses.includes(LEDGER_STATUSES.TAMPERED)) {
+      status = LEDGER_STATUSES.TAMPERED;
+    } else if (statuses.includes(LEDGER_STATUSES.INCOMPLETE) || missing.length > 0) {
+      status = LEDGER_STATUSES.INCOMPLETE;
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      status,
+      summary: {
+        blocks: results.length,
+        ok: results.filter(result => result.status === LEDGER_STATUSES.OK).length,
+        tampered: results.filter(result => result.status === LEDGER_STATUSES.TAMPERED).length,
+        incomplete: results.filter(result => result.status === LEDGER_STATUSES.INCOMPLETE).length,
+        missingBlocks: missing
+      },
+      sources,
+      blocks: results
+    };
+  }
+
+  /**
+   * Connect to the chain once, without the retries the API server uses
+   * @returns {Promise<Object>} Whether the block registry can be read
+   */
+  async connectChain() {
+    try {
+      if (!blockchainService.isBlockRegistryReady()) {
+        await blockchainService.connect();
+      }
+    } catch (error) {
+      return { available: false, reason: error.message };
+    }
+
+    return blockchainService.isBlockRegistryReady()
+      ? { available: true, registryAddress: blockchainService.blockRegistryAddress, chainId: blockchainService.networkId }
+      : { available: false, reason: 'Block registry contract not loaded' };
+  }
+
+  /**
+   * Connect to the IPFS node if there is one; the local content store is always available
+   * @returns {Promise<Object>} Source description
+   */
+  async connectIpfs() {
+    if (!ipfsService.isConnected) {
+      await ipfsService.initialize();
+    }
+
+    return ipfsService.isConnected
+      ? { available: true, mode: 'node' }
+      : { available: true, mode: 'local', storeDir: localContentStore.storeDir };
+  }
+
+  /**
+   * Verify one block
+   * @param {Object} block - block_metadata row
+   * @returns {Promise<Object>} Block status and the result of each check
+   */
+  async verifyBlock(block, { checkChain, checkIpfs, sources }) {
+    const treeService = merkleTreeService.forScheme(block.merkle_scheme || MERKLE_SCHEMES.SHA256_SORTED);
+
+    const members = await query(`
+      SELECT cb.complaint_id, cb.complaint_hash, cb.inclusion_order, cb.leaf_encoding,
+             c.id, c.student_id, c.title, c.description, c.category, c.ipfs_hash, c.created_at
+      FROM complaint_blocks cb
+      LEFT JOIN complaints c ON c.id = cb.complaint_id
+      WHERE cb.block_id = ?
+      ORDER BY cb.inclusion_order ASC
+    `, [block.id]);
+
+    const checks = {
+      storedLeaves: this.checkStoredLeaves(block, members, treeService),
+      currentComplaints: this.checkCurrentComplaints(block, members, treeService),
+      contentCoverage: this.checkContentCoverage(treeService),
+      onChain: checkChain
+        ? await this.checkOnChain(block, sources.chain)
+        : { status: CHECK_STATUSES.SKIPPED, reason: 'Chain check disabled' },
+      ipfs: checkIpfs
+        ? await this.checkIpfs(block, members)
+        : { status: CHECK_STATUSES.SKIPPED, reason: 'IPFS check disabled' }
+    };
+
+    return {
+      blockNumber: block.block_number,
+      scheme: treeService.scheme,
+      storedRoot: block.merkle_root,
+      status: summarize(Object.values(checks).map(check => check.status)),
+      checks
+    };
+  }
+
+  /**
+   * Rebuild the tree from the sealed leaf hashes in complaint_blocks
+   */
+  checkStoredLeaves(block, members, treeService) {
+    if (members.length === 0) {
+      return { status: CHECK_STATUSES.MISMATCH, reason: 'Block has no complaint_blocks rows' };
+    }
+
+    const root = treeService.buildTreeFromLeafHashes(members.map(member => member.complaint_hash)).root;
+    const problems = [];
+
+    if (root !== block.merkle_root) {
+      problems.push('Stored leaves do not reproduce merkle_root');
+    }
+    if (members.length !== block.complaint_count) {
+      problems.push(`complaint_count is ${block.complaint_count} but the block has ${members.length} leaves`);
+    }
+
+    // Keccak leaves keep their preimage; it must still hash to the sealed leaf
+    members
+      .filter(member => member.leaf_encoding && treeService.hashLeafEncoding(member.leaf_encoding) !== member.complaint_hash)
+      .forEach(member => problems.push(`Leaf encoding of complaint ${member.complaint_id} does not match its leaf hash`));
+
+    return {
+      status: problems.length > 0 ? CHECK_STATUSES.MISMATCH : CHECK_STATUSES.OK,
+      root,
+      leafCount: members.length,
+      ...(problems.length > 0 && { problems })
+    };
+  }
+
+  /**
+   * Rebuild the tree from the complaint rows as they are today
+   */
+  checkCurrentComplaints(block, members, treeService) {
+    if (members.length === 0) {
+      return { status: CHECK_STATUSES.MISMATCH, reason: 'Block has no complaint_blocks rows' };
+    }
+
+    const mismatches = [];
+    const leaves = members.map(member => {
+      if (member.id === null) {
+        mismatches.push({ complaintId: member.complaint_id, reason: 'Complaint row was deleted' });
+        return member.complaint_hash;
+      }
+
+      const leaf = treeService.hashComplaint(member);
+      if (leaf !== member.complaint_hash) {
+        const mismatch = { complaintId: member.complaint_id, reason: 'Complaint no longer matches its sealed leaf' };
+
+        if (member.leaf_encoding) {
+          const sealed = treeService.decodeComplaintLeaf(member.leaf_encoding);
+          mismatch.changedFields = LEAF_FIELDS.filter(field => (sealed[field] || '') !== (member[field] || ''));
+        }
+        mismatches.push(mismatch);
+      }
+      return leaf;
+    });
+
+    const root = treeService.buildTreeFromLeafHashes(leaves).root;
+
+    return {
+      status: mismatches.length > 0 || root !== block.merkle_root ? CHECK_STATUSES.MISMATCH : CHECK_STATUSES.OK,
+      root,
+      ...(mismatches.length > 0 && { mismatches })
+    };
+  }
+
+  /**
+   * Report which complaint fields the block's leaves commit to. Legacy sha256-sorted
+   * leaves hash only the ID and IPFS hash, so currentComplaints cannot see edits to
+   * the rest; only the IPFS check, when it runs, compares them.
+   */
+  checkContentCoverage(treeService) {
+    if (treeService.scheme === MERKLE_SCHEMES.KECCAK256_INDEXED) {
+      return { status: CHECK_STATUSES.OK, coveredFields: LEAF_FIELDS };
+    }
+
+    return {
+      status: CHECK_STATUSES.NOT_COVERED,
+      reason: `${treeService.scheme} leaves do not commit to the complaint content`,
+      coveredFields: ['id', 'ipfs_hash'],
+      uncoveredFields: LEAF_FIELDS.filter(field => field !== 'ipfs_hash')
+    };
+  }
+
+  /**
+   * Compare the stored root with the root anchored in ComplaintBlockRegistry
+   */
+  async checkOnChain(block, chain) {
+    if (!block.onchain_block_number) {
+      return { status: CHECK_STATUSES.SKIPPED, reason: `Block is not anchored (anchor status: ${block.anchor_status})` };
+    }
+
+    if (!chain.available) {
+      return {
+        status: CHECK_STATUSES.UNAVAILABLE,
+        onChainBlockNumber: block.onchain_block_number,
+        reason: chain.reason
+      };
+    }
+
+    try {
+      const anchored = await blockchainService.getRegistryBlock(block.onchain_block_number);
+      const expectedRoot = blockchainService.encodeMerkleRoot(block.merkle_root);
+      const problems = [];
+
+      if (anchored.merkleRoot !== expectedRoot) {
+        problems.push('merkle_root differs from the anchored root');
+      }
+      if (anchored.complaintCount !== block.complaint_count) {
+        problems.push(`Anchored complaint count is ${anchored.complaintCount}, database has ${block.complaint_count}`);
+      }
+
+      return {
+        status: problems.length > 0 ? CHECK_STATUSES.MISMATCH : CHECK_STATUSES.OK,
+        onChainBlockNumber: block.onchain_block_number,
+        anchoredRoot: anchored.merkleRoot,
+        anchoredAt: anchored.timestamp,
+        ...(problems.length > 0 && { problems })
+      };
+    } catch (error) {
+      // A block the registry does not know about was never anchored there
+      const missing = /Block does not exist/.test(error.message);
+      return {
+        status: missing ? CHECK_STATUSES.MISMATCH : CHECK_STATUSES.UNAVAILABLE,
+        onChainBlockNumber: block.onchain_block_number,
+        reason: missing ? 'Anchored block does not exist in the registry' : error.message
+      };
+    }
+  }
+
+  /**
+   * Re-fetch the block metadata and every complaint document from IPFS
+   */
+  async checkIpfs(block, members) {
+    const items = [];
+
+    if (block.ipfs_metadata_hash) {
+      items.push(await this.checkIpfsItem('block_metadata', block.block_number, block.ipfs_metadata_hash, (document) =>
+        document.merkleTreeStats && document.merkleTreeStats.root !== block.merkle_root
+          ? ['merkleTreeStats.root']
+          : []
+      ));
+    }
+
+    for (const member of members.filter(candidate => candidate.ipfs_hash)) {
+      items.push(await this.checkIpfsItem('complaint', member.complaint_id, member.ipfs_hash, (document) =>
+        Object.entries(IPFS_FIELDS)
+          .filter(([documentField, column]) => document[documentField] !== undefined && document[documentField] !== member[column])
+          .map(([documentField]) => documentField)
+      ));
+    }
+
+    if (items.length === 0) {
+      return { status: CHECK_STATUSES.SKIPPED, reason: 'No IPFS content recorded for this block' };
+    }
+
+    return {
+      status: worstStatus(items.map(item => item.status)),
+      items
+    };
+  }
+
+  /**
+   * Fetch one IPFS document, re-hash it and compare it with the database
+   * @param {string} type - 'block_metadata' or 'complaint'
+   * @param {number} id - Block number or complaint ID
+   * @param {string} hash - CID recorded in the database
+   * @param {Function} compare - Returns the names of fields that differ from the database
+   * @returns {Promise<Object>} Item result
+   */
+  async checkIpfsItem(type, id, hash, compare) {
+    const item = { type, id, hash };
+
+    let content;
+    try {
+      content = await ipfsService.getContent(hash);
+    } catch (error) {
+      // The local store re-hashes what it reads; altered content is tampering, not an outage
+      const status = error.code === 'CONTENT_VERIFICATION_FAILED' ? CHECK_STATUSES.MISMATCH : CHECK_STATUSES.UNAVAILABLE;
+      return { ...item, status, reason: error.message };
+    }
+
+    // CIDv0 hashes can be recomputed exactly; other CIDs rely on the node having checked them
+    if (hash.startsWith('Qm') && await localContentStore.computeCid(content) !== hash) {
+      return { ...item, status: CHECK_STATUSES.MISMATCH, reason: 'Content does not hash to its CID' };
+    }
+
+    let document;
+    try {
+      document = JSON.parse(content.toString());
+    } catch (error) {
+      return { ...item, status: CHECK_STATUSES.MISMATCH, reason: 'Content is not a JSON document' };
+    }
+
+    const changedFields = compare(document);
+    return changedFields.length > 0
+      ? { ...item, status: CHECK_STATUSES.MISMATCH, reason: 'Database differs from the IPFS document', changedFields }
+      : { ...item, status: CHECK_STATUSES.OK };
+  }
+}
+
+const ledgerVerificationService = new LedgerVerificationService();
+
+module.exports = {
+  LedgerVerificationService,
+  ledgerVerificationService,
+  CHECK_STATUSES,
+  LEDGER_STATUSES
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { CID } = require('multiformats/cid');
+const { sha256 } = require('multiformats/hashes/sha2');
+const dagPB = require('@ipld/dag-pb');
+const { UnixFS } = require('ipfs-unixfs');
+
+// Same defaults as `ipfs add`: 256 KiB chunks, balanced DAG with up to 174 links per node
+const CHUNK_SIZE = 262144;
+const MAX_CHILDREN_PER_NODE = 174;
+
+/**
+ * Disk-backed, content-addressed store used when no IPFS daemon is running.
+ * Content is keyed by the CIDv0 `ipfs add` would assign it, so hashes stay
+ * valid once the data is published to a real node.
+ */
+class LocalContentStore {
+  constructor(storeDir = process.env.IPFS_LOCAL_STORE_DIR || path.join(__dirname, '../ipfs-store')) {
+    this.storeDir = storeDir;
+  }
+
+  /**
+   * Hash an encoded dag-pb node into a CIDv0
+   * @param {Object} node - dag-pb node with Data and Links
+   * @returns {Promise<Object>} CID, encoded size and cumulative DAG size
+   */
+  async encodeNode(node) {
+    const bytes = dagPB.encode(dagPB.prepare(node));
+    const digest = await sha256.digest(bytes);
+
+    return {
+      cid: CID.createV0(digest),
+      size: bytes.length + node.Links.reduce((total, link) => total + link.Tsize, 0)
+    };
+  }
+
+  /**
+   * Compute the CIDv0 of a buffer using the UnixFS balanced layout
+   * @param {Buffer} content - Content to hash
+   * @returns {Promise<string>} CIDv0 string (Qm...)
+   */
+  async computeCid(content) {
+    const buffer = Buffer.from(content);
+
+    // Leaf nodes, one per chunk (an empty file is a single empty leaf)
+    let level = [];
+    for (let offset = 0; offset < buffer.length || level.length === 0; offset += CHUNK_SIZE) {
+      const data = buffer.subarray(offset, offset + CHUNK_SIZE);
+      const unixfs = new UnixFS({ type: 'file', data });
+      const encoded = await this.encodeNode({ Data: unixfs.marshal(), Links: [] });
+      level.push({ ...encoded, fileSize: data.length });
+    }
+
+    // Group nodes into parents until a single root remains
+    while (level.length > 1) {
+      const parents = [];
+      for (let i = 0; i < level.length; i += MAX_CHILDREN_PER_NODE) {
+        const children = level.slice(i, i + MAX_CHILDREN_PER_NODE);
+        const unixfs = new UnixFS({ type: 'file' });
+        children.forEach(child => unixfs.addBlockSize(child.fileSize));
+
+        const encoded = await this.encodeNode({
+          Data: unixfs.marshal(),
+          Links: children.map(child => ({ Hash: child.cid, Name: '', Tsize: child.size }))
+        });
+        parents.push({
+          ...encoded,
+          fileSize: children.reduce((total, child) => total + child.fileSize, 0)
+        });
+      }
+      level = parents;
+    }
+
+    return level[0].cid.toString();
+  }
+
+  /**
+   * Get the on-disk path for a CID
+   * @param {string} cid - Content identifier
+   * @returns {string} File path inside the store
+   */
+  getPath(cid) {
+    if (!/^[1-9A-HJ-NP-Za-km-z]+$/.test(cid)) {
+      throw new Error(`Invalid CID: ${cid}`);
+    }
+    return path.join(this.storeDir, cid);
+  }
+
+  /**
+   * Store content under its CID
+   * @param {Buffer|string} content - Content to store
+   * @returns {Promise<string>} CIDv0 of the content
+   */
+  async put(content) {
+    const buffer = Buffer.from(content);
+    const cid = await this.computeCid(buffer);
+    const filePath = this.getPath(cid);
+
+    if (!fs.existsSync(filePath)) {
+      await fs.promises.mkdir(this.storeDir, { recursive: true });
+
+      // Write then rename so a crash never leaves a partial object under a valid CID
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+    }
+
+    return cid;
+  }
+
+  /**
+   * Read content by CID, re-hashing it to make sure it was not altered on disk
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Buffer|null>} Content, or null when the store does not have it
+   */
+  async get(cid) {
+    const filePath = this.getPath(cid);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const content = await fs.promises.readFile(filePath);
+    const actualCid = await this.computeCid(content);
+
+    if (actualCid !== cid) {
+      const error = new Error(`Local content for ${cid} failed verification (hashes to ${actualCid})`);
+      error.code = 'CONTENT_VERIFICATION_FAILED';
+      throw error;
+    }
+
+    return content;
+  }
+
+  /**
+   * Check whether the store holds a CID
+   * @param {string} cid - Content identifier
+   * @returns {boolean} True if present
+   */
+  has(cid) {
+    try {
+      return fs.existsSync(this.getPath(cid));
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+const localContentStore = new LocalContentStore();
+
+module.exports = {
+  LocalContentStore,
+  localContentStore
+};
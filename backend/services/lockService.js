@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { query } = require('../config/sqlite');
+
+/**
+ * Advisory locks stored in the advisory_locks table. Taking a lock is a single
+ * INSERT OR IGNORE, so two requests (or processes) can never both hold it.
+ * Timestamps are ISO strings so they compare correctly as text.
+ */
+class LockService {
+  /**
+   * Try to take a lock
+   * @param {string} name - Lock name
+   * @param {string} holder - Who is taking it, for diagnostics
+   * @param {number} ttlMs - Time after which the lock may be taken over
+   * @returns {Promise<Object|null>} Lock handle, or null if someone else holds it
+   */
+  async acquire(name, holder, ttlMs) {
+    const now = new Date();
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+
+    // A holder that crashed leaves an expired lock behind
+    await query('DELETE FROM advisory_locks WHERE name = ? AND expires_at < ?', [name, now.toISOString()]);
+
+    const result = await query(`
+      INSERT OR IGNORE INTO advisory_locks (name, token, holder, acquired_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [name, token, holder, now.toISOString(), expiresAt]);
+
+    return result.changes === 1 ? { name, token, holder, expiresAt } : null;
+  }
+
+  /**
+   * Release a lock taken with acquire. Does nothing if it expired and someone else took it.
+   * @param {Object} lock - Handle returned by acquire
+   */
+  async release(lock) {
+    await query('DELETE FROM advisory_locks WHERE name = ? AND token = ?', [lock.name, lock.token]);
+  }
+
+  /**
+   * Describe the current holder of a lock
+   * @param {string} name - Lock name
+   * @returns {Promise<Object|null>} Holder, acquiredAt and expiresAt, or null if free
+   */
+  async getHolder(name) {
+    const rows = await query(
+      'SELECT holder, acquired_at, expires_at FROM advisory_locks WHERE name = ? AND expires_at >= ?',
+      [name, new Date().toISOString()]
+    );
+
+    return rows.length > 0
+      ? { holder: rows[0].holder, acquiredAt: rows[0].acquired_at, expiresAt: rows[0].expires_at }
+      : null;
+  }
+}
+
+const lockService = new LockService();
+
+module.exports = {
+  LockService,
+  lockService
+};
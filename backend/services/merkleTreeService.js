@@ -1,14 +1,59 @@
 const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Supported tree constructions.
+ * - SHA256_SORTED: legacy scheme used by the first sealed blocks; sibling pairs are
+ *   sorted before hashing, so proofs cannot be checked by ComplaintBlockRegistry.
+ * - KECCAK256_INDEXED: keccak256 over index-ordered pairs, identical to
+ *   ComplaintBlockRegistry.verifyMerkleProof.
+ */
+const MERKLE_SCHEMES = {
+  SHA256_SORTED: 'sha256-sorted',
+  KECCAK256_INDEXED: 'keccak256-indexed'
+};
+
+/**
+ * ABI layout of a complaint leaf in the keccak scheme. Only fields that never
+ * change after submission are committed, so status updates keep proofs valid.
+ */
+const LEAF_ENCODING_TYPES = ['uint256', 'string', 'string', 'string', 'string', 'string', 'string'];
 
 /**
  * Merkle Tree Service for generating and verifying complaint blocks
- * Each leaf: hash(complaintId + ipfsHash + sqliteRowId)
+ * Legacy leaf: sha256(complaintId + ipfsHash + sqliteRowId)
+ * Keccak leaf: keccak256(abi.encode(id, studentId, title, description, category, ipfsHash, createdAt))
  */
 class MerkleTreeService {
-  constructor() {
+  constructor(scheme = MERKLE_SCHEMES.KECCAK256_INDEXED) {
+    if (!Object.values(MERKLE_SCHEMES).includes(scheme)) {
+      throw new Error(`Unsupported Merkle scheme: ${scheme}`);
+    }
+
+    this.scheme = scheme;
     this.hashFunction = 'sha256';
   }
 
+  /**
+   * Get a service instance for a specific tree scheme
+   * @param {string} scheme - One of MERKLE_SCHEMES
+   * @returns {MerkleTreeService} Service bound to the scheme
+   */
+  forScheme(scheme) {
+    if (!scheme || scheme === this.scheme) {
+      return this;
+    }
+    return new MerkleTreeService(scheme);
+  }
+
+  /**
+   * Whether proofs from this scheme can be checked by ComplaintBlockRegistry
+   * @returns {boolean} True for the keccak scheme
+   */
+  isOnChainVerifiable() {
+    return this.scheme === MERKLE_SCHEMES.KECCAK256_INDEXED;
+  }
+
   /**
    * Create a hash from complaint data
    * @param {string} complaintId - The complaint ID
@@ -26,6 +71,52 @@ class MerkleTreeService {
     }
   }
 
+  /**
+   * ABI-encode the immutable fields of a complaint for the keccak scheme
+   * @param {Object} complaint - Complaint row (id, student_id, title, description, category, ipfs_hash, created_at)
+   * @returns {string} 0x-prefixed ABI encoding stored alongside the leaf
+   */
+  encodeComplaintLeaf(complaint) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(LEAF_ENCODING_TYPES, [
+      complaint.id,
+      complaint.student_id || '',
+      complaint.title || '',
+      complaint.description || '',
+      complaint.category || '',
+      complaint.ipfs_hash || '',
+      complaint.created_at || ''
+    ]);
+  }
+
+  /**
+   * Decode a stored leaf encoding back into complaint fields
+   * @param {string} encoding - 0x-prefixed ABI encoding
+   * @returns {Object} Decoded complaint fields
+   */
+  decodeComplaintLeaf(encoding) {
+    const [id, studentId, title, description, category, ipfsHash, createdAt] =
+      ethers.AbiCoder.defaultAbiCoder().decode(LEAF_ENCODING_TYPES, encoding);
+
+    return {
+      id: Number(id),
+      student_id: studentId,
+      title,
+      description,
+      category,
+      ipfs_hash: ipfsHash,
+      created_at: createdAt
+    };
+  }
+
+  /**
+   * Hash a stored leaf encoding
+   * @param {string} encoding - 0x-prefixed ABI encoding
+   * @returns {string} 0x-prefixed keccak256 leaf hash
+   */
+  hashLeafEncoding(encoding) {
+    return ethers.keccak256(encoding);
+  }
+
   /**
    * Create a hash from two child hashes
    * @param {string} left - Left child hash
@@ -34,6 +125,11 @@ class MerkleTreeService {
    */
   combineHashes(left, right) {
     try {
+      if (this.scheme === MERKLE_SCHEMES.KECCAK256_INDEXED) {
+        // Same as keccak256(abi.encodePacked(left, right)) in the registry contract
+        return ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [left, right]);
+      }
+
       // Ensure consistent ordering for same hash pairs
       const sortedHashes = [left, right].sort();
       const combined = sortedHashes.join('');
@@ -55,19 +151,22 @@ class MerkleTreeService {
         throw new Error('No complaints provided for Merkle tree construction');
       }
 
-      console.log(`🌳 Building Merkle tree for ${complaints.length} complaints...`);
+      console.log(`🌳 Building ${this.scheme} Merkle tree for ${complaints.length} complaints...`);
 
       // Step 1: Create leaf hashes
-      const leaves = complaints.map((complaint, index) => ({
-        index,
-        complaintId: complaint.id,
-        hash: this.createComplaintHash(
-          complaint.id.toString(),
-          complaint.ipfs_hash || '',
-          complaint.sqlite_id || complaint.id
-        ),
-        originalData: complaint
-      }));
+      const leaves = complaints.map((complaint, index) => {
+        const encoding = this.scheme === MERKLE_SCHEMES.KECCAK256_INDEXED
+          ? this.encodeComplaintLeaf(complaint)
+          : null;
+
+        return {
+          index,
+          complaintId: complaint.id,
+          hash: encoding ? this.hashLeafEncoding(encoding) : this.hashComplaint(complaint),
+          encoding,
+          originalData: complaint
+        };
+      });
 
       // Step 2: Build tree levels bottom-up
       let currentLevel = leaves.map(leaf => leaf.hash);
@@ -100,6 +199,7 @@ class MerkleTreeService {
       console.log(`   🔐 Root: ${merkleRoot}`);
 
       return {
+        scheme: this.scheme,
         root: merkleRoot,
         leaves,
         tree,
@@ -113,6 +213,40 @@ class MerkleTreeService {
     }
   }
 
+  /**
+   * Rebuild a Merkle tree from already computed leaf hashes (e.g. complaint_blocks rows)
+   * @param {Array<string>} leafHashes - Leaf hashes in inclusion order
+   * @returns {Object} Merkle tree structure with root and levels
+   */
+  buildTreeFromLeafHashes(leafHashes) {
+    if (!leafHashes || leafHashes.length === 0) {
+      throw new Error('No leaf hashes provided for Merkle tree construction');
+    }
+
+    let currentLevel = [...leafHashes];
+    const tree = [currentLevel];
+
+    while (currentLevel.length > 1) {
+      const nextLevel = [];
+      for (let i = 0; i < currentLevel.length; i += 2) {
+        const left = currentLevel[i];
+        const right = currentLevel[i + 1] || left;
+        nextLevel.push(this.combineHashes(left, right));
+      }
+      currentLevel = nextLevel;
+      tree.push(currentLevel);
+    }
+
+    return {
+      scheme: this.scheme,
+      root: currentLevel[0],
+      leaves: leafHashes.map((hash, index) => ({ index, hash })),
+      tree,
+      depth: tree.length - 1,
+      leafCount: leafHashes.length
+    };
+  }
+
   /**
    * Generate Merkle proof for a specific complaint
    * @param {Object} merkleTree - The Merkle tree structure
@@ -133,10 +267,12 @@ class MerkleTreeService {
         const currentLevelNodes = merkleTree.tree[level];
         const siblingIndex = currentIndex % 2 === 0 ? currentIndex + 1 : currentIndex - 1;
         
-        // Add sibling hash if it exists
-        if (siblingIndex < currentLevelNodes.length) {
-          proof.push(currentLevelNodes[siblingIndex]);
-        }
+        // The last node of an odd level was paired with itself when building the tree
+        proof.push(
+          siblingIndex < currentLevelNodes.length
+            ? currentLevelNodes[siblingIndex]
+            : currentLevelNodes[currentIndex]
+        );
         
         // Move to parent index
         currentIndex = Math.floor(currentIndex / 2);
@@ -177,7 +313,7 @@ class MerkleTreeService {
         index = Math.floor(index / 2);
       }
 
-      const isValid = computedHash === root;
+      const isValid = computedHash.toLowerCase() === root.toLowerCase();
       console.log(`🔐 Merkle proof verification: ${isValid ? '✅ Valid' : '❌ Invalid'}`);
       
       return isValid;
@@ -194,6 +330,10 @@ class MerkleTreeService {
    * @returns {string} Complaint hash
    */
   hashComplaint(complaint) {
+    if (this.scheme === MERKLE_SCHEMES.KECCAK256_INDEXED) {
+      return this.hashLeafEncoding(this.encodeComplaintLeaf(complaint));
+    }
+
     return this.createComplaintHash(
       complaint.id.toString(),
       complaint.ipfs_hash || '',
@@ -247,6 +387,7 @@ class MerkleTreeService {
     }
 
     return {
+      scheme: merkleTree.scheme || this.scheme,
       leafCount: merkleTree.leafCount,
       depth: merkleTree.depth,
       root: merkleTree.root,
@@ -258,6 +399,7 @@ class MerkleTreeService {
 }
 
 module.exports = {
+  MERKLE_SCHEMES,
   MerkleTreeService,
   merkleTreeService: new MerkleTreeService()
 };
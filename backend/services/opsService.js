@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { query, closeDatabase } = require('../config/sqlite');
+const { ipfsService } = require('./ipfsService');
+const { blockchainService } = require('./blockchainService');
+const { blockService } = require('./blockService');
+const { backupService } = require('./backupService');
+const { sealingPolicyService } = require('./sealingPolicyService');
+
+const CONFIRMATION_TTL_SECONDS = parseInt(process.env.OPS_CONFIRMATION_TTL_SECONDS, 10) || 120;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const OPS_ACTIONS = {
+  SHUTDOWN: 'shutdown',
+  RESTART: 'restart',
+  EMERGENCY_STOP: 'emergency_stop',
+  CHAIN_ROLES: 'chain_roles'
+};
+
+// Actions that take the API or its services down need a confirmation token
+const DESTRUCTIVE_ACTIONS = [OPS_ACTIONS.SHUTDOWN, OPS_ACTIONS.EMERGENCY_STOP];
+
+const OPS_OUTCOMES = {
+  INITIATED: 'initiated',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  REJECTED: 'rejected'
+};
+
+const SERVICES = {
+  ipfs: ipfsService,
+  blockchain: blockchainService
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Operations control plane: shutdown, service restarts and emergency stops.
+ * Every action is attributed to an admin and written to ops_audit_log.
+ */
+class OpsService {
+  constructor() {
+    // token hash -> { action, adminId, expiresAt }; tokens do not outlive the process they would stop
+    this.confirmations = new Map();
+    this.shutdownPromise = null;
+  }
+
+  /**
+   * Check whether an action needs a confirmation token
+   * @param {string} action - Ops action
+   * @returns {boolean} True for destructive actions
+   */
+  requiresConfirmation(action) {
+    return DESTRUCTIVE_ACTIONS.includes(action);
+  }
+
+  /**
+   * Validate a list of service names
+   * @param {Array<string>} [services] - Requested services, defaults to all
+   * @returns {Array<string>} Service names
+   */
+  resolveServices(services) {
+    if (services === undefined || services === null) {
+      return Object.keys(SERVICES);
+    }
+
+    const list = Array.isArray(services) ? services : [services];
+    const unknown = list.filter(name => !SERVICES[name]);
+
+    if (list.length === 0) {
+      throw new Error('At least one service is required');
+    }
+    if (unknown.length > 0) {
+      throw new Error(`Unknown services: ${unknown.join(', ')}. Must be among: ${Object.keys(SERVICES).join(', ')}`);
+    }
+
+    return [...new Set(list)];
+  }
+
+  /**
+   * Issue a short-lived, single-use confirmation token for a destructive action
+   * @param {string} action - Ops action to confirm
+   * @param {number} adminId - admins.id of the admin who will run it
+   * @returns {Object} Token, action and expiry
+   */
+  createConfirmation(action, adminId) {
+    if (!this.requiresConfirmation(action)) {
+      throw new Error(`Action ${action} does not require confirmation`);
+    }
+
+    const now = Date.now();
+    for (const [hash, confirmation] of this.confirmations) {
+      if (confirmation.expiresAt <= now) {
+        this.confirmations.delete(hash);
+      }
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = now + CONFIRMATION_TTL_SECONDS * 1000;
+    this.confirmations.set(hashToken(token), { action, adminId, expiresAt });
+
+    return {
+      confirmationToken: token,
+      action,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Redeem a confirmation token. The token is consumed even if it does not match.
+   * @param {string} token - Raw confirmation token
+   * @param {string} action - Action being run
+   * @param {number} adminId - admins.id of the admin running it
+   */
+  consumeConfirmation(token, action, adminId) {
+    if (!token) {
+      throw new Error('Confirmation token required');
+    }
+
+    const hash = hashToken(String(token));
+    const confirmation = this.confirmations.get(hash);
+    this.confirmations.delete(hash);
+
+    if (!confirmation || confirmation.expiresAt <= Date.now()) {
+      throw new Error('Confirmation token is invalid or has expired');
+    }
+    if (confirmation.action !== action || confirmation.adminId !== adminId) {
+      throw new Error('Confirmation token was issued for a different action or admin');
+    }
+  }
+
+  /**
+   * Append an entry to the ops audit log
+   * @param {Object} entry - Action, admin, reason, parameters, outcome, details and request metadata
+   * @returns {Promise<number>} Audit log entry id
+   */
+  async recordAudit({ action, adminId, reason, parameters = null, outcome, details = null, ipAddress = null, userAgent = null }) {
+    const result = await query(`
+      INSERT INTO ops_audit_log (action, admin_id, reason, parameters, outcome, details, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      action,
+      adminId,
+      reason,
+      parameters ? JSON.stringify(parameters) : null,
+      outcome,
+      details ? JSON.stringify(details) : null,
+      ipAddress,
+      userAgent
+    ]);
+
+    return result.insertId;
+  }
+
+  /**
+   * List recent ops audit log entries
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum entries to return
+   * @param {string} [options.action] - Only this action
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getAuditLog({ limit = 50, action = null } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (action) {
+      conditions.push('l.action = ?');
+      params.push(action);
+    }
+
+    const rows = await query(`
+      SELECT l.*, a.admin_id AS admin_username, a.full_name AS admin_name
+      FROM ops_audit_log l
+      LEFT JOIN admins a ON a.id = l.admin_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY l.id DESC
+      LIMIT ?
+    `, [...params, limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      action: row.action,
+      adminId: row.admin_username,
+      adminName: row.admin_name,
+      reason: row.reason,
+      parameters: parseJson(row.parameters),
+      outcome: row.outcome,
+      details: parseJson(row.details),
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Restart services by shutting them down and initializing them again
+   * @param {Array<string>} services - Service names
+   * @returns {Promise<Object>} Per-service { success, message }
+   */
+  async restartServices(services) {
+    const results = {};
+
+    for (const name of services) {
+      const service = SERVICES[name];
+      try {
+        await service.shutdown();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const success = await service.initialize();
+        results[name] = {
+          success: !!success,
+          message: success ? `${name} restarted successfully` : `${name} restart failed`
+        };
+      } catch (error) {
+        results[name] = {
+          success: false,
+          message: `${name} restart error: ${error.message}`
+        };
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Halt services immediately without waiting for pending work
+   * @param {Array<string>} services - Service names
+   */
+  emergencyStop(services) {
+    services.forEach(name => SERVICES[name].emergencyShutdown());
+  }
+
+  /**
+   * Stop background work, shut services down and close the database.
+   * Concurrent callers share the same shutdown.
+   * @returns {Promise<void>}
+   */
+  gracefulShutdown() {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.performShutdown();
+    }
+    return this.shutdownPromise;
+  }
+
+  async performShutdown() {
+    try {
+      console.log('💾 Shutting down services...');
+
+      blockService.stopAnchorRetryWorker();
+      backupService.stopScheduler();
+      sealingPolicyService.stop();
+
+      // Start shutdown procedures in parallel for faster shutdown
+      const shutdownPromises = Object.entries(SERVICES).map(([name, service]) => {
+        console.log(`🔌 Shutting down ${name} service...`);
+        return service.shutdown().catch(error =>
+          console.error(`❌ ${name} shutdown error:`, error)
+        );
+      });
+
+      // Wait for all service shutdowns to complete (with timeout)
+      try {
+        await Promise.race([
+          Promise.all(shutdownPromises),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('Shutdown timeout')), SHUTDOWN_TIMEOUT_MS)
+          )
+        ]);
+        console.log('✅ All services shutdown completed');
+      } catch (timeoutError) {
+        console.warn('⚠️ Shutdown timeout reached, forcing emergency shutdown...');
+        this.emergencyStop(Object.keys(SERVICES));
+      }
+
+      // Back up while the database is still open
+      try {
+        await backupService.createBackup('shutdown');
+      } catch (backupError) {
+        console.warn('⚠️ Shutdown backup failed:', backupError.message);
+      }
+
+      console.log('💾 Closing database connections...');
+      await closeDatabase();
+
+      console.log('✅ Graceful shutdown completed');
+    } catch (error) {
+      console.error('❌ Error during graceful shutdown:', error);
+
+      // Emergency cleanup as last resort
+      try {
+        console.log('🚨 Performing emergency cleanup...');
+        this.emergencyStop(Object.keys(SERVICES));
+        console.log('🚨 Emergency cleanup completed');
+      } catch (emergencyError) {
+        console.error('❌ Emergency cleanup failed:', emergencyError);
+      }
+    }
+  }
+}
+
+const opsService = new OpsService();
+
+module.exports = {
+  OpsService,
+  opsService,
+  OPS_ACTIONS,
+  OPS_OUTCOMES
+};
@@ -0,0 +1,307 @@
+const { ethers } = require('ethers');
+const { query } = require('../config/sqlite');
+const { blockService } = require('./blockService');
+const { blockchainService } = require('./blockchainService');
+const { merkleTreeService } = require('./merkleTreeService');
+const { CHECK_STATUSES } = require('./ledgerVerificationService');
+
+const RECEIPT_TYPE = 'complaint-inclusion-receipt';
+const RECEIPT_VERSION = 1;
+
+/**
+ * Overall result of checking a receipt.
+ * - VALID: every check passed, including the root anchored on-chain
+ * - PENDING: the receipt matches this server, but the on-chain anchor is not
+ *   checked yet (not anchored or chain unreachable), so nothing is proven
+ * - INVALID: a check found a mismatch
+ */
+const RECEIPT_VERDICTS = {
+  VALID: 'valid',
+  PENDING: 'pending',
+  INVALID: 'invalid'
+};
+
+/**
+ * JSON with object keys sorted at every level, so a receipt signs and
+ * verifies the same way however it was re-serialized on the way back
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Signed inclusion receipts for sealed complaints. A receipt carries the leaf
+ * hash and everything needed to re-check the Merkle proof offline, plus the
+ * server's signature so the content cannot be altered after it was issued.
+ */
+class ReceiptService {
+  constructor() {
+    this.wallet = null;
+  }
+
+  /**
+   * Wallet that signs receipts, from RECEIPT_SIGNING_KEY.
+   * Outside production the well-known local admin key is used when none is set.
+   * @returns {ethers.Wallet}
+   */
+  getWallet() {
+    if (!this.wallet) {
+      let key = process.env.RECEIPT_SIGNING_KEY;
+
+      if (!key) {
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('RECEIPT_SIGNING_KEY is not set. Refusing to sign receipts with a development key.');
+        }
+        console.warn('⚠️ RECEIPT_SIGNING_KEY is not set; signing receipts with the local development admin key');
+        key = blockchainService.predefinedAccounts[0].privateKey;
+      }
+
+      this.wallet = new ethers.Wallet(key);
+    }
+    return this.wallet;
+  }
+
+  /**
+   * Block a complaint was sealed in
+   * @param {number} complaintId - Complaint ID
+   * @returns {Promise<number|null>} Block number, or null if not sealed yet
+   */
+  async getSealedBlockNumber(complaintId) {
+    const rows = await query(`
+      SELECT bm.block_number
+      FROM complaint_blocks cb
+      JOIN block_metadata bm ON bm.id = cb.block_id
+      WHERE cb.complaint_id = ?
+      ORDER BY bm.block_number ASC
+      LIMIT 1
+    `, [complaintId]);
+
+    return rows.length > 0 ? rows[0].block_number : null;
+  }
+
+  /**
+   * Issue a signed receipt for a sealed complaint
+   * @param {number} complaintId - Complaint ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeLeafEncoding] - Also carry the leaf preimage (the complaint's
+   *   sealed fields, ABI-encoded); left out by default so a shared receipt does not disclose them
+   * @returns {Promise<Object>} Receipt fields plus signer and signature
+   */
+  async issueReceipt(complaintId, { includeLeafEncoding = false } = {}) {
+    const blockNumber = await this.getSealedBlockNumber(complaintId);
+    if (blockNumber === null) {
+      const error = new Error('Complaint is not sealed in a block yet');
+      error.code = 'NOT_SEALED';
+      throw error;
+    }
+
+    const inclusion = await blockService.getInclusionProof(blockNumber, complaintId);
+    const wallet = this.getWallet();
+
+    const receipt = {
+      type: RECEIPT_TYPE,
+      version: RECEIPT_VERSION,
+      complaintId,
+      complaintHash: inclusion.leaf,
+      leafIndex: inclusion.leafIndex,
+      leafEncoding: includeLeafEncoding ? inclusion.leafEncoding || null : undefined,
+      scheme: inclusion.scheme,
+      blockNumber: inclusion.blockNumber,
+      merkleRoot: inclusion.merkleRoot,
+      proof: inclusion.proof,
+      onChainBlockNumber: inclusion.onChainBlockNumber || null,
+      contract: {
+        name: 'ComplaintBlockRegistry',
+        address: blockchainService.blockRegistryAddress || null,
+        chainId: blockchainService.isConnected ? blockchainService.networkId : null
+      },
+      issuedAt: new Date().toISOString(),
+      signer: wallet.address
+    };
+
+    return {
+      ...receipt,
+      signature: await wallet.signMessage(canonicalize(receipt))
+    };
+  }
+
+  /**
+   * Check a receipt against its signature, its own proof, SQLite and the registry contract
+   * @param {Object} receipt - Receipt as issued by issueReceipt
+   * @returns {Promise<Object>} Verdict (valid only once the contract check passed) and the result of each check
+   */
+  async verifyReceipt(receipt) {
+    if (!receipt || receipt.type !== RECEIPT_TYPE || !receipt.signature) {
+      const error = new Error('Not a complaint inclusion receipt');
+      error.code = 'INVALID_RECEIPT';
+      throw error;
+    }
+
+    const checks = {
+      signature: this.checkSignature(receipt),
+      proof: this.checkProof(receipt),
+      database: await this.checkDatabase(receipt),
+      contract: await this.checkContract(receipt)
+    };
+
+    // Local checks only show the receipt matches this server; proof needs the anchored root
+    let verdict = RECEIPT_VERDICTS.VALID;
+    if (![checks.signature, checks.proof, checks.database].every(check => check.status === CHECK_STATUSES.OK) ||
+      checks.contract.status === CHECK_STATUSES.MISMATCH) {
+      verdict = RECEIPT_VERDICTS.INVALID;
+    } else if (checks.contract.status !== CHECK_STATUSES.OK) {
+      verdict = RECEIPT_VERDICTS.PENDING;
+    }
+
+    return {
+      valid: verdict === RECEIPT_VERDICTS.VALID,
+      verdict,
+      complaintId: receipt.complaintId,
+      blockNumber: receipt.blockNumber,
+      anchored: checks.contract.status === CHECK_STATUSES.OK,
+      checks
+    };
+  }
+
+  checkSignature(receipt) {
+    const { signature, ...fields } = receipt;
+
+    try {
+      const recovered = ethers.verifyMessage(canonicalize(fields), signature);
+      const expected = this.getWallet().address;
+
+      if (recovered !== fields.signer) {
+        return { status: CHECK_STATUSES.MISMATCH, reason: 'Receipt was altered after it was signed' };
+      }
+      if (recovered !== expected) {
+        return { status: CHECK_STATUSES.MISMATCH, reason: `Signed by ${recovered}, not by this server (${expected})` };
+      }
+      return { status: CHECK_STATUSES.OK, signer: recovered };
+    } catch (error) {
+      return { status: CHECK_STATUSES.MISMATCH, reason: `Invalid signature: ${error.message}` };
+    }
+  }
+
+  checkProof(receipt) {
+    try {
+      const treeService = merkleTreeService.forScheme(receipt.scheme);
+      const problems = [];
+
+      if (!treeService.verifyMerkleProof(receipt.proof, receipt.merkleRoot, receipt.complaintHash, receipt.leafIndex)) {
+        problems.push('Proof does not lead from the complaint hash to the Merkle root');
+      }
+      if (receipt.leafEncoding && treeService.hashLeafEncoding(receipt.leafEncoding) !== receipt.complaintHash) {
+        problems.push('Leaf encoding does not hash to the complaint hash');
+      }
+
+      return problems.length > 0
+        ? { status: CHECK_STATUSES.MISMATCH, problems }
+        : { status: CHECK_STATUSES.OK };
+    } catch (error) {
+      return { status: CHECK_STATUSES.MISMATCH, reason: error.message };
+    }
+  }
+
+  async checkDatabase(receipt) {
+    const rows = await query(`
+      SELECT bm.merkle_root, cb.complaint_hash, cb.inclusion_order
+      FROM block_metadata bm
+      LEFT JOIN complaint_blocks cb ON cb.block_id = bm.id AND cb.complaint_id = ?
+      WHERE bm.block_number = ?
+    `, [receipt.complaintId, receipt.blockNumber]);
+
+    if (rows.length === 0) {
+      return { status: CHECK_STATUSES.MISMATCH, reason: `Block ${receipt.blockNumber} does not exist` };
+    }
+
+    const [row] = rows;
+    const problems = [];
+    if (row.merkle_root !== receipt.merkleRoot) {
+      problems.push('Block root differs from the receipt');
+    }
+    if (row.complaint_hash === null) {
+      problems.push(`Complaint ${receipt.complaintId} is not recorded in block ${receipt.blockNumber}`);
+    } else if (row.complaint_hash !== receipt.complaintHash || row.inclusion_order !== receipt.leafIndex) {
+      problems.push('Recorded complaint hash or position differs from the receipt');
+    }
+
+    return problems.length > 0
+      ? { status: CHECK_STATUSES.MISMATCH, problems }
+      : { status: CHECK_STATUSES.OK };
+  }
+
+  async checkContract(receipt) {
+    // Receipts issued before anchoring can still be checked once the block is anchored
+    const [block] = await query(
+      'SELECT onchain_block_number FROM block_metadata WHERE block_number = ? AND merkle_root = ?',
+      [receipt.blockNumber, receipt.merkleRoot]
+    );
+    const onChainBlockNumber = receipt.onChainBlockNumber || (block && block.onchain_block_number);
+
+    if (!onChainBlockNumber) {
+      return { status: CHECK_STATUSES.SKIPPED, reason: 'Block is not anchored on-chain yet' };
+    }
+
+    if (!blockchainService.isBlockRegistryReady()) {
+      return { status: CHECK_STATUSES.UNAVAILABLE, onChainBlockNumber, reason: 'Blockchain is not reachable' };
+    }
+
+    if (receipt.contract && receipt.contract.address &&
+      receipt.contract.address.toLowerCase() !== blockchainService.blockRegistryAddress.toLowerCase()) {
+      return {
+        status: CHECK_STATUSES.UNAVAILABLE,
+        onChainBlockNumber,
+        reason: `Receipt refers to registry ${receipt.contract.address}; this server uses ${blockchainService.blockRegistryAddress}`
+      };
+    }
+
+    try {
+      const anchored = await blockchainService.getRegistryBlock(onChainBlockNumber);
+      if (anchored.merkleRoot !== blockchainService.encodeMerkleRoot(receipt.merkleRoot)) {
+        return { status: CHECK_STATUSES.MISMATCH, onChainBlockNumber, reason: 'Anchored root differs from the receipt' };
+      }
+
+      // Only keccak proofs can be replayed by the contract itself
+      if (merkleTreeService.forScheme(receipt.scheme).isOnChainVerifiable()) {
+        const included = await blockchainService.blockRegistry.verifyComplaintInBlock(
+          onChainBlockNumber, receipt.complaintHash, receipt.proof, receipt.leafIndex
+        );
+        if (!included) {
+          return { status: CHECK_STATUSES.MISMATCH, onChainBlockNumber, reason: 'Contract rejected the inclusion proof' };
+        }
+      }
+
+      return {
+        status: CHECK_STATUSES.OK,
+        onChainBlockNumber,
+        contractAddress: blockchainService.blockRegistryAddress,
+        anchoredAt: anchored.timestamp
+      };
+    } catch (error) {
+      if (/Block does not exist/.test(error.message)) {
+        return { status: CHECK_STATUSES.MISMATCH, onChainBlockNumber, reason: 'Block does not exist in the registry' };
+      }
+      return { status: CHECK_STATUSES.UNAVAILABLE, onChainBlockNumber, reason: error.message };
+    }
+  }
+}
+
+const receiptService = new ReceiptService();
+
+module.exports = {
+  ReceiptService,
+  receiptService,
+  RECEIPT_VERDICTS,
+  canonicalize
+};
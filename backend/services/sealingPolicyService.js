@@ -0,0 +1,329 @@
+const { query } = require('../config/sqlite');
+const { blockService } = require('./blockService');
+
+// How often the scheduler checks whether a rule is due
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.SEALING_POLICY_CHECK_SECONDS, 10) || 30;
+
+// admins.admin_id of the principal that automatic blocks are attributed to
+const SYSTEM_ADMIN_ID = 'system';
+
+const SEAL_TRIGGERS = {
+  INTERVAL: 'interval',
+  THRESHOLD: 'threshold',
+  CRITICAL_SENTIMENT: 'critical_sentiment'
+};
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value, which is UTC without a zone suffix
+ * @param {string|null} value - e.g. 2024-01-31 12:00:00
+ * @returns {Date|null}
+ */
+const parseTimestamp = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`) : null);
+
+/**
+ * Check that an optional rule value is a positive whole number
+ */
+const isPositiveIntegerOrNull = (value) => value === null || (Number.isInteger(value) && value > 0);
+
+const formatPolicy = (row) => ({
+  enabled: !!row.enabled,
+  intervalMinutes: row.interval_minutes,
+  complaintThreshold: row.complaint_threshold,
+  sealOnCritical: !!row.seal_on_critical,
+  updatedBy: row.updated_by_admin_id,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Seals blocks automatically according to the policy in block_sealing_policy:
+ * every N minutes, once N complaints are waiting, or as soon as a
+ * critical-sentiment complaint arrives. Blocks are attributed to the system principal.
+ */
+class SealingPolicyService {
+  constructor() {
+    this.timer = null;
+    this.sealing = null;
+    this.systemPrincipalId = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * admins.id of the system principal
+   * @returns {Promise<number>}
+   */
+  async getSystemPrincipalId() {
+    if (this.systemPrincipalId === null) {
+      const rows = await query('SELECT id FROM admins WHERE admin_id = ?', [SYSTEM_ADMIN_ID]);
+      if (rows.length === 0) {
+        throw new Error('System principal is missing; run the database migrations');
+      }
+      this.systemPrincipalId = rows[0].id;
+    }
+    return this.systemPrincipalId;
+  }
+
+  /**
+   * Current sealing policy
+   * @returns {Promise<Object>} enabled, intervalMinutes, complaintThreshold, sealOnCritical, updatedBy, updatedAt
+   */
+  async getPolicy() {
+    const rows = await query('SELECT * FROM block_sealing_policy WHERE id = 1');
+    return formatPolicy(rows[0]);
+  }
+
+  /**
+   * Validate a policy update
+   * @param {Object} changes - Fields to change
+   * @returns {Array<string>} Validation errors
+   */
+  validatePolicy(changes) {
+    const errors = [];
+
+    ['enabled', 'sealOnCritical'].forEach(field => {
+      if (changes[field] !== undefined && typeof changes[field] !== 'boolean') {
+        errors.push(`${field} must be true or false`);
+      }
+    });
+
+    ['intervalMinutes', 'complaintThreshold'].forEach(field => {
+      if (changes[field] !== undefined && !isPositiveIntegerOrNull(changes[field])) {
+        errors.push(`${field} must be a positive whole number, or null to turn the rule off`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Change the sealing policy. Fields that are not given keep their value.
+   * @param {Object} changes - enabled, intervalMinutes, complaintThreshold, sealOnCritical
+   * @param {number} adminId - admins.id of the admin making the change
+   * @returns {Promise<Object>} Updated policy
+   */
+  async updatePolicy(changes, adminId) {
+    const errors = this.validatePolicy(changes);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.code = 'INVALID_POLICY';
+      throw error;
+    }
+
+    const current = await this.getPolicy();
+    const policy = { ...current };
+    Object.entries(changes)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => { policy[field] = value; });
+
+    if (policy.enabled && !policy.intervalMinutes && !policy.complaintThreshold && !policy.sealOnCritical) {
+      const error = new Error('An enabled policy needs at least one rule');
+      error.code = 'INVALID_POLICY';
+      throw error;
+    }
+
+    await query(`
+      UPDATE block_sealing_policy
+      SET enabled = ?, interval_minutes = ?, complaint_threshold = ?, seal_on_critical = ?,
+          updated_by_admin_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = 1
+    `, [
+      policy.enabled ? 1 : 0,
+      policy.intervalMinutes,
+      policy.complaintThreshold,
+      policy.sealOnCritical ? 1 : 0,
+      adminId
+    ]);
+
+    console.log(`⏱️ Sealing policy updated by admin ${adminId}: ${policy.enabled ? 'enabled' : 'disabled'}`);
+
+    // A lowered threshold or interval may already be due
+    this.runScheduledCheck();
+
+    return this.getPolicy();
+  }
+
+  /**
+   * Where the policy stands right now
+   * @param {Object} [policy] - Policy to evaluate (read from the database when omitted)
+   * @returns {Promise<Object>} pendingComplaints, lastBlockAt, nextSealAt, dueTrigger and lastRun
+   */
+  async getSchedule(policy = null) {
+    const currentPolicy = policy || await this.getPolicy();
+
+    const [pending] = await query(`
+      SELECT COUNT(*) AS count
+      FROM complaints c
+      WHERE NOT EXISTS (SELECT 1 FROM complaint_blocks cb WHERE cb.complaint_id = c.id)
+    `);
+    const [latest] = await query('SELECT MAX(created_at) AS created_at FROM block_metadata');
+
+    const lastBlockAt = parseTimestamp(latest.created_at);
+
+    // The interval counts from the latest block, manual or automatic
+    let nextSealAt = null;
+    if (currentPolicy.enabled && currentPolicy.intervalMinutes) {
+      const base = lastBlockAt || parseTimestamp(currentPolicy.updatedAt);
+      nextSealAt = new Date(base.getTime() + currentPolicy.intervalMinutes * 60 * 1000);
+    }
+
+    let dueTrigger = null;
+    if (currentPolicy.enabled && pending.count > 0) {
+      if (currentPolicy.complaintThreshold && pending.count >= currentPolicy.complaintThreshold) {
+        dueTrigger = SEAL_TRIGGERS.THRESHOLD;
+      } else if (nextSealAt && nextSealAt.getTime() <= Date.now()) {
+        dueTrigger = SEAL_TRIGGERS.INTERVAL;
+      }
+    }
+
+    return {
+      pendingComplaints: pending.count,
+      lastBlockAt: lastBlockAt ? lastBlockAt.toISOString() : null,
+      nextSealAt: nextSealAt ? nextSealAt.toISOString() : null,
+      dueTrigger,
+      checkIntervalSeconds: CHECK_INTERVAL_SECONDS,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Seal a block as the system principal. Runs one seal at a time; a block
+   * being created by an admin at the same moment is not an error.
+   * @param {string} trigger - One of SEAL_TRIGGERS
+   * @returns {Promise<Object|null>} Block creation result, or null if nothing was sealed
+   */
+  seal(trigger) {
+    if (!this.sealing) {
+      this.sealing = this.performSeal(trigger).finally(() => {
+        this.sealing = null;
+      });
+    }
+    return this.sealing;
+  }
+
+  /**
+   * Seal the unsealed critical-sentiment complaints. A seal already in flight may
+   * have read the unprocessed complaints before the new one was stored, so wait
+   * for it and seal again if any critical complaint was left out.
+   * @returns {Promise<Object|null>} Block creation result, or null if nothing was sealed
+   */
+  async sealCritical() {
+    while (this.sealing) {
+      await this.sealing;
+    }
+
+    const unsealed = await blockService.getUnprocessedComplaints();
+    const critical = unsealed.filter(complaint => this.isCritical(complaint));
+    if (critical.length === 0) {
+      return null;
+    }
+
+    return this.seal(SEAL_TRIGGERS.CRITICAL_SENTIMENT);
+  }
+
+  /**
+   * Whether a complaint's sentiment is in the critical band
+   * @param {Object} complaint - Complaint row including ai_sentiment
+   * @returns {boolean}
+   */
+  isCritical(complaint) {
+    return complaint.ai_sentiment !== null && complaint.ai_sentiment !== undefined &&
+      blockService.getSentimentMultiplier(complaint.ai_sentiment) === blockService.sentimentMultipliers.critical;
+  }
+
+  async performSeal(trigger) {
+    try {
+      const systemId = await this.getSystemPrincipalId();
+      console.log(`⏱️ Automatic block sealing (${trigger})...`);
+
+      const result = await blockService.createBlock(systemId, { actorType: 'system' });
+
+      this.lastRun = {
+        at: new Date().toISOString(),
+        trigger,
+        blockNumber: result.blockNumber,
+        complaintCount: result.complaintCount
+      };
+      console.log(`⏱️ Sealed block ${result.blockNumber} automatically (${trigger})`);
+      return result;
+
+    } catch (error) {
+      if (error.code === 'BLOCK_CREATION_IN_PROGRESS' || error.message.includes('No unprocessed complaints')) {
+        return null;
+      }
+
+      this.lastRun = { at: new Date().toISOString(), trigger, error: error.message };
+      console.error(`❌ Automatic block sealing (${trigger}) failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Seal a block if the interval or threshold rule is due. Never throws.
+   * @returns {Promise<Object|null>} Block creation result, or null if nothing was sealed
+   */
+  async runScheduledCheck() {
+    try {
+      const { dueTrigger } = await this.getSchedule();
+      return dueTrigger ? await this.seal(dueTrigger) : null;
+    } catch (error) {
+      console.error('❌ Sealing policy check failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Apply the policy to a newly submitted complaint. Never throws.
+   * @param {Object} complaint - Complaint row including ai_sentiment
+   * @returns {Promise<Object|null>} Block creation result, or null if nothing was sealed
+   */
+  async onComplaintSubmitted(complaint) {
+    try {
+      const policy = await this.getPolicy();
+      if (!policy.enabled) {
+        return null;
+      }
+
+      if (policy.sealOnCritical && this.isCritical(complaint)) {
+        return await this.sealCritical();
+      }
+
+      return await this.runScheduledCheck();
+    } catch (error) {
+      console.error('❌ Sealing policy check failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Start checking the policy in the background
+   * @param {number} [intervalSeconds] - Seconds between checks
+   */
+  start(intervalSeconds = CHECK_INTERVAL_SECONDS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runScheduledCheck(), intervalSeconds * 1000);
+    this.timer.unref();
+    console.log(`⏱️ Sealing policy checked every ${intervalSeconds}s`);
+  }
+
+  /**
+   * Stop the background checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏱️ Sealing policy scheduler stopped');
+    }
+  }
+}
+
+const sealingPolicyService = new SealingPolicyService();
+
+module.exports = {
+  SealingPolicyService,
+  sealingPolicyService,
+  SEAL_TRIGGERS,
+  SYSTEM_ADMIN_ID
+};
@@ -0,0 +1,294 @@
+const { query } = require('../config/sqlite');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Search terms beyond this are ignored
+const MAX_SEARCH_TERMS = 10;
+
+// Markers FTS5 puts around matched terms; user text is stripped of them first
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+const SNIPPET_TOKENS = 24;
+
+// complaint_search columns in index order
+const COMPLAINT_COLUMNS = ['title', 'description', 'category', 'admin_messages'];
+
+// bm25 weights for COMPLAINT_COLUMNS: a hit in the title counts most
+const COMPLAINT_RANK_WEIGHTS = [10.0, 1.0, 5.0, 2.0];
+
+const COMPLAINT_FACETS = ['category', 'status', 'priority'];
+const BLOCK_FACETS = ['top_category', 'anchor_status'];
+
+/**
+ * Turn free text into an FTS5 query: every word must appear, as a word or a
+ * word prefix. Quoting each word keeps FTS5 operators in user input literal.
+ * @param {string} text - Text typed by the user
+ * @param {Array<string>} [columns] - Only match in these columns
+ * @returns {string|null} MATCH expression, or null if the text has no words
+ */
+const buildMatchExpression = (text, columns = null) => {
+  const terms = (String(text || '').match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const expression = terms.map(term => `"${term}"*`).join(' ');
+  return columns ? `{${columns.join(' ')}} : (${expression})` : expression;
+};
+
+/**
+ * Split FTS5 snippet output into plain and highlighted parts, so clients can
+ * render matches without interpreting stored text as HTML
+ * @param {string|null} snippet - Text with HIGHLIGHT_START/HIGHLIGHT_END markers
+ * @returns {Array<Object>|null} [{ text, highlighted }], or null if nothing matched
+ */
+const parseSnippet = (snippet) => {
+  if (!snippet || !snippet.includes(HIGHLIGHT_START)) {
+    return null;
+  }
+
+  const segments = [];
+  snippet.split(HIGHLIGHT_START).forEach((part, index) => {
+    if (index === 0) {
+      if (part) segments.push({ text: part, highlighted: false });
+      return;
+    }
+    const [match, rest] = part.split(HIGHLIGHT_END);
+    segments.push({ text: match, highlighted: true });
+    if (rest) segments.push({ text: rest, highlighted: false });
+  });
+  return segments;
+};
+
+/**
+ * Normalize page and page size from query string values
+ * @param {*} page - Requested page (1-based)
+ * @param {*} limit - Requested page size
+ * @returns {Object} page, limit and offset
+ */
+const parsePagination = (page, limit) => {
+  const safePage = Math.max(parseInt(page, 10) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page: safePage, limit: safeLimit, offset: (safePage - 1) * safeLimit };
+};
+
+const formatPagination = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+  hasMore: page * limit < total
+});
+
+/**
+ * Filters shared by the result, count and facet queries. Each facet is counted
+ * with every filter except its own, so the other values stay selectable.
+ */
+class FilterSet {
+  constructor() {
+    this.conditions = [];
+  }
+
+  add(condition, params, facet = null) {
+    this.conditions.push({ condition, params, facet });
+    return this;
+  }
+
+  build(exceptFacet = null) {
+    const applied = this.conditions.filter(({ facet }) => !facet || facet !== exceptFacet);
+    return {
+      where: applied.length > 0 ? `WHERE ${applied.map(({ condition }) => condition).join(' AND ')}` : '',
+      params: applied.flatMap(({ params }) => params)
+    };
+  }
+}
+
+/**
+ * Full-text search over complaints and sealed blocks, backed by the FTS5
+ * tables complaint_search and block_search (see migration 005)
+ */
+class SearchService {
+  /**
+   * Search complaints by text and filters
+   * @param {Object} options - Search options
+   * @param {string} [options.q] - Free text matched against title, description, category and admin messages
+   * @param {string} [options.category] - Exact category
+   * @param {string} [options.status] - Exact status
+   * @param {string} [options.priority] - Exact priority
+   * @param {string} [options.fromDate] - Submitted on or after (YYYY-MM-DD)
+   * @param {string} [options.toDate] - Submitted on or before (YYYY-MM-DD)
+   * @param {boolean} [options.includeAdminMessages] - Match and return admin messages (admins only)
+   * @param {number} [options.page] - Page, starting at 1
+   * @param {number} [options.limit] - Results per page
+   * @returns {Promise<Object>} results, facets and pagination
+   */
+  async searchComplaints({ q, category, status, priority, fromDate, toDate, includeAdminMessages = false, page, limit } = {}) {
+    const pagination = parsePagination(page, limit);
+    const searchColumns = includeAdminMessages ? null : COMPLAINT_COLUMNS.filter(column => column !== 'admin_messages');
+    const match = buildMatchExpression(q, searchColumns);
+
+    const from = `
+      FROM complaints c
+      LEFT JOIN users u ON c.student_id = u.student_id
+      ${match ? 'JOIN complaint_search ON complaint_search.rowid = c.id' : ''}
+    `;
+
+    const filters = new FilterSet();
+    if (match) filters.add('complaint_search MATCH ?', [match]);
+    if (category) filters.add('c.category = ?', [category], 'category');
+    if (status) filters.add('c.status = ?', [status], 'status');
+    if (priority) filters.add('c.priority = ?', [priority], 'priority');
+    if (fromDate) filters.add('c.created_at >= ?', [fromDate]);
+    if (toDate) filters.add("c.created_at < date(?, '+1 day')", [toDate]);
+
+    const { where, params } = filters.build();
+
+    const highlightColumns = match ? `,
+      highlight(complaint_search, 0, char(2), char(3)) AS title_highlight,
+      snippet(complaint_search, 1, char(2), char(3), '…', ${SNIPPET_TOKENS}) AS description_snippet
+      ${includeAdminMessages ? `, snippet(complaint_search, 3, char(2), char(3), '…', ${SNIPPET_TOKENS}) AS admin_messages_snippet` : ''}` : '';
+
+    const rows = await query(`
+      SELECT c.*, u.full_name, u.student_id AS student_identifier,
+             (SELECT MIN(bm.block_number) FROM complaint_blocks cb
+              JOIN block_metadata bm ON bm.id = cb.block_id
+              WHERE cb.complaint_id = c.id) AS block_number
+             ${highlightColumns}
+      ${from}
+      ${where}
+      ORDER BY ${match ? `bm25(complaint_search, ${COMPLAINT_RANK_WEIGHTS.join(', ')}),` : ''} c.created_at DESC, c.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, pagination.limit, pagination.offset]);
+
+    const [{ total }] = await query(`SELECT COUNT(*) AS total ${from} ${where}`, params);
+
+    const results = rows.map(({ title_highlight, description_snippet, admin_messages_snippet, ...complaint }) => ({
+      ...complaint,
+      highlights: match ? {
+        title: parseSnippet(title_highlight),
+        description: parseSnippet(description_snippet),
+        adminMessages: parseSnippet(admin_messages_snippet)
+      } : null
+    }));
+
+    return {
+      results,
+      facets: await this.countFacets(COMPLAINT_FACETS, 'c', from, filters),
+      pagination: formatPagination(pagination, total)
+    };
+  }
+
+  /**
+   * Search sealed blocks by text and filters. A block matches the text when its
+   * metadata does, or when any complaint sealed in it does.
+   * @param {Object} options - Search options
+   * @param {string} [options.q] - Free text matched against block metadata and its complaints
+   * @param {string} [options.category] - Exact top category
+   * @param {string} [options.adminId] - admin_id of the creator
+   * @param {string} [options.anchorStatus] - Exact anchor status
+   * @param {string} [options.fromDate] - Sealed on or after (YYYY-MM-DD)
+   * @param {string} [options.toDate] - Sealed on or before (YYYY-MM-DD)
+   * @param {number} [options.minComplaints] - At least this many complaints
+   * @param {number} [options.maxComplaints] - At most this many complaints
+   * @param {number} [options.page] - Page, starting at 1
+   * @param {number} [options.limit] - Results per page
+   * @returns {Promise<Object>} results, facets and pagination
+   */
+  async searchBlocks({ q, category, adminId, anchorStatus, fromDate, toDate, minComplaints, maxComplaints, page, limit } = {}) {
+    const pagination = parsePagination(page, limit);
+    const match = buildMatchExpression(q);
+
+    const from = `
+      FROM block_metadata bm
+      LEFT JOIN admins a ON bm.created_by_admin_id = a.id
+    `;
+
+    // Complaints of one block that match the text
+    const matchingComplaints = `
+      FROM complaint_blocks cb
+      JOIN complaint_search ON complaint_search.rowid = cb.complaint_id
+      WHERE cb.block_id = bm.id AND complaint_search MATCH ?
+    `;
+
+    const filters = new FilterSet();
+    if (match) {
+      filters.add(`(
+        bm.id IN (SELECT rowid FROM block_search WHERE block_search MATCH ?)
+        OR EXISTS (SELECT 1 ${matchingComplaints})
+      )`, [match, match]);
+    }
+    if (category) filters.add('bm.top_category = ?', [category], 'top_category');
+    if (anchorStatus) filters.add('bm.anchor_status = ?', [anchorStatus], 'anchor_status');
+    if (adminId) filters.add('a.admin_id = ?', [adminId]);
+    if (fromDate) filters.add('bm.created_at >= ?', [fromDate]);
+    if (toDate) filters.add("bm.created_at < date(?, '+1 day')", [toDate]);
+    if (minComplaints) filters.add('bm.complaint_count >= ?', [parseInt(minComplaints, 10)]);
+    if (maxComplaints) filters.add('bm.complaint_count <= ?', [parseInt(maxComplaints, 10)]);
+
+    const { where, params } = filters.build();
+
+    const matchColumns = match ? `,
+      (SELECT snippet(block_search, -1, char(2), char(3), '…', ${SNIPPET_TOKENS})
+       FROM block_search WHERE block_search MATCH ? AND rowid = bm.id) AS metadata_snippet,
+      (SELECT group_concat(cb.complaint_id) ${matchingComplaints}) AS matched_complaint_ids` : '';
+
+    const rows = await query(`
+      SELECT bm.*, a.admin_id, a.full_name AS admin_name
+             ${matchColumns}
+      ${from}
+      ${where}
+      ORDER BY bm.block_number DESC
+      LIMIT ? OFFSET ?
+    `, [...(match ? [match, match] : []), ...params, pagination.limit, pagination.offset]);
+
+    const [{ total }] = await query(`SELECT COUNT(*) AS total ${from} ${where}`, params);
+
+    const results = rows.map(({ metadata_snippet, matched_complaint_ids, ...block }) => ({
+      ...block,
+      highlights: match ? { metadata: parseSnippet(metadata_snippet) } : null,
+      matchedComplaintIds: matched_complaint_ids ? matched_complaint_ids.split(',').map(Number) : []
+    }));
+
+    return {
+      results,
+      facets: await this.countFacets(BLOCK_FACETS, 'bm', from, filters),
+      pagination: formatPagination(pagination, total)
+    };
+  }
+
+  /**
+   * Count matching rows per value of each facet column
+   * @param {Array<string>} facets - Column names
+   * @param {string} alias - Table alias the columns belong to
+   * @param {string} from - FROM clause of the search
+   * @param {FilterSet} filters - Filters of the search
+   * @returns {Promise<Object>} { column: [{ value, count }] }
+   */
+  async countFacets(facets, alias, from, filters) {
+    const counts = {};
+
+    for (const facet of facets) {
+      const { where, params } = filters.build(facet);
+      counts[facet] = await query(`
+        SELECT ${alias}.${facet} AS value, COUNT(*) AS count
+        ${from}
+        ${where}
+        GROUP BY ${alias}.${facet}
+        HAVING value IS NOT NULL
+        ORDER BY count DESC, value ASC
+      `, params);
+    }
+
+    return counts;
+  }
+}
+
+const searchService = new SearchService();
+
+module.exports = {
+  SearchService,
+  searchService,
+  buildMatchExpression,
+  parseSnippet
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { query } = require('../config/sqlite');
+
+const NONCE_TTL_MS = parseInt(process.env.SIWE_NONCE_TTL_MS, 10) || 5 * 60 * 1000;
+const DEFAULT_CHAIN_ID = parseInt(process.env.SIWE_CHAIN_ID, 10) || 1337;
+const SIWE_STATEMENT = 'Sign in to the Student Grievance System.';
+
+/**
+ * Sign-In with Ethereum (EIP-4361) challenges for MetaMask login.
+ * The server issues the exact message to sign; a nonce can be redeemed once before it expires.
+ */
+class SiweService {
+  constructor() {
+    const frontendUrl = new URL(process.env.FRONTEND_URL || 'http://localhost:3000');
+    this.domain = process.env.SIWE_DOMAIN || frontendUrl.host;
+    this.uri = process.env.SIWE_URI || frontendUrl.origin;
+  }
+
+  /**
+   * Build an EIP-4361 message
+   * @param {Object} fields - Message fields
+   * @returns {string} Message text
+   */
+  buildMessage({ address, chainId, nonce, issuedAt, expirationTime }) {
+    return [
+      `${this.domain} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      SIWE_STATEMENT,
+      '',
+      `URI: ${this.uri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expiration Time: ${expirationTime}`
+    ].join('\n');
+  }
+
+  /**
+   * Read the fields of an EIP-4361 message
+   * @param {string} message - Message text
+   * @returns {Object} Parsed fields (domain, address, nonce, ...)
+   */
+  parseMessage(message) {
+    const lines = message.split('\n');
+    const header = lines[0] && lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+
+    if (!header || !lines[1]) {
+      throw new Error('Message is not a Sign-In with Ethereum message');
+    }
+
+    const field = (name) => {
+      const line = lines.find(candidate => candidate.startsWith(`${name}: `));
+      return line ? line.slice(name.length + 2) : null;
+    };
+
+    return {
+      domain: header[1],
+      address: lines[1],
+      uri: field('URI'),
+      version: field('Version'),
+      chainId: field('Chain ID'),
+      nonce: field('Nonce'),
+      issuedAt: field('Issued At'),
+      expirationTime: field('Expiration Time')
+    };
+  }
+
+  /**
+   * Issue a sign-in challenge for a wallet
+   * @param {string} walletAddress - Wallet requesting to sign in
+   * @param {number} [chainId] - Chain the wallet is connected to
+   * @returns {Promise<Object>} Nonce, message to sign and expiry
+   */
+  async createChallenge(walletAddress, chainId = DEFAULT_CHAIN_ID) {
+    const address = ethers.getAddress(walletAddress);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+
+    const message = this.buildMessage({
+      address,
+      chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+
+    // Drop challenges nobody can redeem any more
+    await query('DELETE FROM auth_nonces WHERE expires_at < ? OR used_at IS NOT NULL', [issuedAt.toISOString()]);
+
+    await query(
+      'INSERT INTO auth_nonces (nonce, wallet_address, message, expires_at) VALUES (?, ?, ?, ?)',
+      [nonce, address, message, expiresAt.toISOString()]
+    );
+
+    return {
+      nonce,
+      message,
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Verify a signed challenge and consume its nonce
+   * @param {string} message - Message that was signed
+   * @param {string} signature - personal_sign signature
+   * @returns {Promise<string>} Checksummed wallet address that signed in
+   */
+  async verifyLogin(message, signature) {
+    const fields = this.parseMessage(message);
+
+    const challenges = await query('SELECT * FROM auth_nonces WHERE nonce = ?', [fields.nonce]);
+    if (challenges.length === 0 || challenges[0].message !== message) {
+      throw new Error('Unknown sign-in challenge. Request a new nonce.');
+    }
+
+    const challenge = challenges[0];
+    if (challenge.used_at) {
+      throw new Error('Sign-in nonce has already been used');
+    }
+    if (new Date(challenge.expires_at) < new Date()) {
+      throw new Error('Sign-in nonce has expired. Request a new nonce.');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new Error('Invalid signature');
+    }
+
+    if (signer !== challenge.wallet_address) {
+      throw new Error('Signature does not match the wallet address');
+    }
+
+    // Consume the nonce; only one concurrent request can win this update
+    const consumed = await query(
+      'UPDATE auth_nonces SET used_at = CURRENT_TIMESTAMP WHERE nonce = ? AND used_at IS NULL',
+      [challenge.nonce]
+    );
+    if (consumed.changes !== 1) {
+      throw new Error('Sign-in nonce has already been used');
+    }
+
+    return signer;
+  }
+}
+
+const siweService = new SiweService();
+
+module.exports = {
+  SiweService,
+  siweService
+};
@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startDatabase, query } = require('./helpers/app');
+const { dbPath } = require('../config/sqlite');
+const { BackupService } = require('../services/backupService');
+
+const pidPath = `${dbPath}.pid`;
+
+describe('backupService.restoreBackup', () => {
+  let database;
+  let backupDir;
+  let backupService;
+  let backup;
+
+  before(async () => {
+    database = await startDatabase();
+    backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grievance-backups-'));
+    backupService = new BackupService(backupDir);
+    backup = await backupService.createBackup('manual');
+  });
+
+  after(async () => {
+    await database.close();
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  });
+
+  it('refuses while the API owns the database', async () => {
+    // The test runner that started this file stands in for the API
+    fs.writeFileSync(pidPath, `${process.ppid} api\n`);
+
+    await assert.rejects(
+      backupService.restoreBackup(backup.name),
+      error => error.code === 'DATABASE_IN_USE' && error.message.includes(`pid ${process.ppid}`)
+    );
+
+    assert.deepStrictEqual((await backupService.listBackups()).map(entry => entry.name), [backup.name]);
+    assert.strictEqual(fs.readFileSync(pidPath, 'utf8'), `${process.ppid} api\n`);
+    await query('SELECT 1');
+  });
+
+  it('takes over a PID file left by a crashed API and hands it back after restoring', async () => {
+    const { pid: exitedPid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(pidPath, `${exitedPid} api\n`);
+
+    const result = await backupService.restoreBackup(backup.name);
+
+    assert.strictEqual(result.restored, true);
+    assert.match(result.safetyBackup, /_pre-restore\.db$/);
+    assert.strictEqual(fs.existsSync(pidPath), false);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { startDatabase, query } = require('./helpers/app');
+const { blockService } = require('../services/blockService');
+const { blockchainService } = require('../services/blockchainService');
+
+const MERKLE_ROOT = '0x' + '42'.repeat(32);
+const SENT_TX = '0x' + 'aa'.repeat(32);
+
+const anchorReceipt = (transactionHash) => ({
+  transactionHash,
+  blockHash: '0x' + 'bb'.repeat(32),
+  chainBlockNumber: 12,
+  registryBlockNumber: 3,
+  gasUsed: 150000,
+  timestamp: '2026-10-19T00:00:00.000Z',
+  contractAddress: '0x' + '33'.repeat(20)
+});
+
+describe('blockService.anchorBlock', () => {
+  let database;
+
+  before(async () => {
+    database = await startDatabase();
+  });
+
+  after(() => database.close());
+
+  beforeEach(async () => {
+    mock.restoreAll();
+    await query('DELETE FROM block_metadata');
+    await query(
+      `INSERT INTO block_metadata (block_number, merkle_root, merkle_scheme, complaint_count, top_category, created_by_admin_id)
+       VALUES (1, ?, 'keccak-indexed', 2, 'academic', 1)`,
+      [MERKLE_ROOT]
+    );
+  });
+
+  const loadBlock = async () => (await query('SELECT * FROM block_metadata WHERE block_number = 1'))[0];
+
+  it('records the transaction before waiting and does not resend it when the wait fails', async () => {
+    mock.method(blockchainService, 'findBlockAnchor', async () => null);
+    mock.method(blockchainService, 'anchorBlock', async ({ onSubmitted }) => {
+      await onSubmitted(SENT_TX);
+      throw new Error('timeout waiting for receipt');
+    });
+
+    const first = await blockService.anchorBlock(1);
+    assert.strictEqual(first.status, 'pending');
+    assert.strictEqual((await loadBlock()).anchor_tx_hash, SENT_TX);
+
+    // The transaction was mined after all
+    blockchainService.findBlockAnchor.mock.mockImplementation(async () => anchorReceipt(SENT_TX));
+
+    const retry = await blockService.anchorBlock(1);
+    assert.strictEqual(retry.status, 'anchored');
+    assert.strictEqual(blockchainService.anchorBlock.mock.callCount(), 1);
+    assert.deepStrictEqual(blockchainService.findBlockAnchor.mock.calls[1].arguments, [MERKLE_ROOT, SENT_TX]);
+
+    const block = await loadBlock();
+    assert.strictEqual(block.anchor_status, 'anchored');
+    assert.strictEqual(block.transaction_hash, SENT_TX);
+    assert.strictEqual(block.onchain_block_number, 3);
+  });
+
+  it('waits for a sent transaction that is not mined yet', async () => {
+    await query('UPDATE block_metadata SET anchor_tx_hash = ? WHERE block_number = 1', [SENT_TX]);
+    mock.method(blockchainService, 'findBlockAnchor', async () => ({ pending: true, transactionHash: SENT_TX }));
+    mock.method(blockchainService, 'anchorBlock', async () => anchorReceipt('0x' + 'cc'.repeat(32)));
+
+    const result = await blockService.anchorBlock(1);
+
+    assert.strictEqual(result.status, 'pending');
+    assert.match(result.error, /not mined yet/);
+    assert.strictEqual(blockchainService.anchorBlock.mock.callCount(), 0);
+  });
+
+  it('adopts a BlockCreated event for the root when no transaction was recorded', async () => {
+    const earlierTx = '0x' + 'dd'.repeat(32);
+    mock.method(blockchainService, 'findBlockAnchor', async () => anchorReceipt(earlierTx));
+    mock.method(blockchainService, 'anchorBlock', async () => anchorReceipt('0x' + 'cc'.repeat(32)));
+
+    const result = await blockService.anchorBlock(1);
+
+    assert.strictEqual(result.status, 'anchored');
+    assert.strictEqual(result.transactionHash, earlierTx);
+    assert.strictEqual(blockchainService.anchorBlock.mock.callCount(), 0);
+  });
+
+  it('sends the transaction when the root was never anchored', async () => {
+    mock.method(blockchainService, 'findBlockAnchor', async () => null);
+    mock.method(blockchainService, 'anchorBlock', async ({ onSubmitted }) => {
+      await onSubmitted(SENT_TX);
+      return anchorReceipt(SENT_TX);
+    });
+
+    const result = await blockService.anchorBlock(1);
+
+    assert.strictEqual(result.status, 'anchored');
+    assert.strictEqual(blockchainService.anchorBlock.mock.callCount(), 1);
+    assert.strictEqual((await loadBlock()).anchor_tx_hash, SENT_TX);
+  });
+
+  describe('with ComplaintRegistry connected', () => {
+    let savedContract;
+
+    beforeEach(() => {
+      savedContract = blockchainService.contract;
+      blockchainService.contract = {};
+      mock.method(blockchainService, 'findBlockAnchor', async () => anchorReceipt(SENT_TX));
+    });
+
+    afterEach(() => {
+      blockchainService.contract = savedContract;
+    });
+
+    it('seals a registry summary once the block is anchored', async () => {
+      mock.method(blockchainService, 'createBlockSummary', async () => ({ blockId: 1 }));
+
+      const result = await blockService.anchorBlock(1);
+
+      assert.strictEqual(result.status, 'anchored');
+      assert.strictEqual(blockchainService.createBlockSummary.mock.callCount(), 1);
+    });
+
+    it('keeps the block anchored when the summary cannot be sealed', async () => {
+      mock.method(blockchainService, 'createBlockSummary', async () => {
+        throw new Error('Missing required role');
+      });
+
+      const result = await blockService.anchorBlock(1);
+
+      assert.strictEqual(result.status, 'anchored');
+      assert.strictEqual((await loadBlock()).anchor_status, 'anchored');
+    });
+  });
+});
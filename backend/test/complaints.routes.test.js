@@ -0,0 +1,164 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { startApp, createStudent, createAdmin, query } = require('./helpers/app');
+const complaintRoutes = require('../routes/complaints');
+const { blockchainService } = require('../services/blockchainService');
+
+describe('complaint routes', () => {
+  let app;
+  let student;
+  let admin;
+
+  before(async () => {
+    app = await startApp({ '/api/complaints': complaintRoutes });
+
+    // Admin and student ids are separate sequences; give both the same id
+    admin = await createAdmin({ adminId: 'ADMIN_VIEW', permissions: ['block_view'] });
+    student = await createStudent({ studentId: '23MID0031', id: admin.id });
+
+    await query(
+      "INSERT INTO complaints (student_id, title, description, category) VALUES (?, 'Wifi', 'Hostel wifi is down', 'infrastructure')",
+      [student.studentId]
+    );
+  });
+
+  after(() => app.close());
+
+  describe('GET /my-complaints', () => {
+    it('lists the complaints of the student', async () => {
+      const { status, body } = await app.request('GET', '/api/complaints/my-complaints', { token: student.token });
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.complaints.length, 1);
+    });
+
+    it('rejects an admin token with the same id as the student', async () => {
+      const { status, body } = await app.request('GET', '/api/complaints/my-complaints', { token: admin.token });
+
+      assert.strictEqual(status, 403);
+      assert.strictEqual(body.complaints, undefined);
+    });
+  });
+
+  describe('POST /submit', () => {
+    it('rejects an admin token without filing a complaint', async () => {
+      const { status } = await app.request('POST', '/api/complaints/submit', {
+        token: admin.token,
+        body: { title: 'Admin filed', description: 'Filed with an admin token', category: 'infrastructure' }
+      });
+
+      assert.strictEqual(status, 403);
+      const complaints = await query("SELECT id FROM complaints WHERE title = 'Admin filed'");
+      assert.strictEqual(complaints.length, 0);
+    });
+  });
+
+  describe('complaints the student never records from their wallet', () => {
+    const walletStudent = { studentId: '23MID0032', walletAddress: '0x' + '11'.repeat(20) };
+    let manager;
+    let complaintId;
+    let connection;
+
+    // Insert a complaint waiting for the student's wallet, created minutesAgo minutes ago
+    const insertWalletComplaint = async (minutesAgo) => {
+      const result = await query(
+        `INSERT INTO complaints (student_id, title, description, category, ipfs_hash, blockchain_id, created_at)
+         VALUES (?, 'Library', 'Library closes early', 'facilities', 'QmPending', NULL, datetime('now', ?))`,
+        [walletStudent.studentId, `-${minutesAgo} minutes`]
+      );
+      return result.insertId;
+    };
+
+    before(async () => {
+      await createStudent(walletStudent);
+      manager = await createAdmin({ adminId: 'ADMIN_MANAGE', permissions: ['complaint_manage'] });
+
+      connection = { isConnected: blockchainService.isConnected, contract: blockchainService.contract };
+      Object.assign(blockchainService, { isConnected: true, contract: {} });
+      mock.method(blockchainService, 'submitComplaint', async () => ({
+        success: true,
+        transactionHash: '0x' + 'ab'.repeat(32),
+        complaintId: '41',
+        student: '0x0000000000000000000000000000000000000000',
+        unattributed: true,
+        mode: 'unattributed'
+      }));
+      mock.method(blockchainService, 'updateComplaintStatus', async () => ({ success: true }));
+    });
+
+    after(() => {
+      mock.restoreAll();
+      Object.assign(blockchainService, connection);
+    });
+
+    it('blocks status changes while the complaint is not on chain', async () => {
+      complaintId = await insertWalletComplaint(120);
+
+      const { status, body } = await app.request('PATCH', `/api/complaints/${complaintId}/status`, {
+        token: manager.token,
+        body: { status: 'IN_REVIEW' }
+      });
+
+      assert.strictEqual(status, 409);
+      assert.strictEqual(body.code, 'AWAITING_CHAIN_SUBMISSION');
+    });
+
+    it('leaves the student the grace period to record it', async () => {
+      const recentId = await insertWalletComplaint(5);
+
+      const { status, body } = await app.request('POST', `/api/complaints/${recentId}/chain-submission/unattributed`, {
+        token: manager.token
+      });
+
+      assert.strictEqual(status, 409);
+      assert.strictEqual(body.code, 'WALLET_SUBMISSION_GRACE');
+      assert.strictEqual(blockchainService.submitComplaint.mock.callCount(), 0);
+    });
+
+    it('needs complaint_manage', async () => {
+      const { status } = await app.request('POST', `/api/complaints/${complaintId}/chain-submission/unattributed`, {
+        token: admin.token
+      });
+
+      assert.strictEqual(status, 403);
+    });
+
+    it('lets an admin record it unattributed after the grace period, unlocking status changes', async () => {
+      const { status, body } = await app.request('POST', `/api/complaints/${complaintId}/chain-submission/unattributed`, {
+        token: manager.token
+      });
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.mode, 'unattributed');
+      assert.strictEqual(blockchainService.submitComplaint.mock.callCount(), 1);
+      assert.strictEqual(blockchainService.submitComplaint.mock.calls[0].arguments[0].ipfs_hash, 'QmPending');
+
+      const [complaint] = await query('SELECT blockchain_id, blockchain_hash FROM complaints WHERE id = ?', [complaintId]);
+      assert.strictEqual(String(complaint.blockchain_id), '41');
+
+      const events = await query(
+        "SELECT actor_type, actor_id, details FROM complaint_events WHERE complaint_id = ? AND event_type = 'chain_submitted'",
+        [complaintId]
+      );
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].actor_type, 'admin');
+      assert.strictEqual(events[0].actor_id, String(manager.id));
+      assert.strictEqual(JSON.parse(events[0].details).mode, 'unattributed');
+
+      const update = await app.request('PATCH', `/api/complaints/${complaintId}/status`, {
+        token: manager.token,
+        body: { status: 'IN_REVIEW' }
+      });
+      assert.strictEqual(update.status, 200);
+    });
+
+    it('does not record a complaint twice', async () => {
+      const { status } = await app.request('POST', `/api/complaints/${complaintId}/chain-submission/unattributed`, {
+        token: manager.token
+      });
+
+      assert.strictEqual(status, 409);
+      assert.strictEqual(blockchainService.submitComplaint.mock.callCount(), 1);
+    });
+  });
+});
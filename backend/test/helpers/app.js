@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// node --test reads results from each test file's stdout, and service logs written
+// there can corrupt them (Node 20); send them to stderr instead
+console.log = console.error;
+console.info = console.error;
+
+// Route tests run against a scratch database; set it before config/sqlite is loaded
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grievance-test-'));
+process.env.SQLITE_DB_PATH = path.join(scratchDir, 'grievance_system.db');
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-test-secret';
+
+const { db, initializeDatabase, query, closeDatabase } = require('../../config/sqlite');
+const { issueToken, PRINCIPAL_TYPES } = require('../../middleware/auth');
+
+/**
+ * Migrate the scratch database, for tests of services without routes
+ * @returns {Promise<Object>} { close }
+ */
+const startDatabase = async () => {
+  await initializeDatabase();
+
+  const close = async () => {
+    // A restore closes the connection itself
+    if (db.open) {
+      await closeDatabase();
+    }
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  };
+
+  return { close };
+};
+
+/**
+ * Start an app with the given routers mounted on a fresh, migrated database
+ * @param {Object} routes - Mount path => router
+ * @returns {Promise<Object>} { request, close }
+ */
+const startApp = async (routes) => {
+  const database = await startDatabase();
+
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a JSON request to the app
+   * @returns {Promise<Object>} { status, body }
+   */
+  const request = async (method, url, { token, body } = {}) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(() => resolve()));
+    await database.close();
+  };
+
+  return { request, close };
+};
+
+/**
+ * Insert a student (with users.id, when given) and return a session token for it
+ * @returns {Promise<Object>} { id, studentId, token }
+ */
+const createStudent = async ({ studentId, walletAddress = null, id = null }) => {
+  const result = await query(
+    'INSERT INTO users (id, student_id, email, password_hash, full_name, wallet_address) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, studentId, `${studentId.toLowerCase()}@test.local`, 'x', `Student ${studentId}`, walletAddress]
+  );
+  const { token } = await issueToken(PRINCIPAL_TYPES.STUDENT, result.insertId);
+  return { id: result.insertId, studentId, token };
+};
+
+/**
+ * Insert an admin with the given permissions and return a session token for it
+ * @returns {Promise<Object>} { id, token }
+ */
+const createAdmin = async ({ adminId, permissions }) => {
+  const result = await query(
+    'INSERT INTO admins (admin_id, email, password_hash, full_name, permissions) VALUES (?, ?, ?, ?, ?)',
+    [adminId, `${adminId.toLowerCase()}@test.local`, 'x', `Admin ${adminId}`, permissions.join(',')]
+  );
+  const { token } = await issueToken(PRINCIPAL_TYPES.ADMIN, result.insertId);
+  return { id: result.insertId, token };
+};
+
+module.exports = {
+  startDatabase,
+  startApp,
+  createStudent,
+  createAdmin,
+  query
+};
@@ -22,6 +22,7 @@ contract ComplaintBlockRegistry {
     
     // State variables
     address public admin;
+    address public pendingAdmin; // Proposed main admin until it calls acceptAdmin
     uint256 public currentBlockNumber;
     uint256 public totalBlocks;
     uint256 public totalComplaints;
@@ -42,6 +43,8 @@ contract ComplaintBlockRegistry {
     
     event AdminAdded(address indexed admin, address indexed addedBy);
     event AdminRemoved(address indexed admin, address indexed removedBy);
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
     
     // Modifiers
     modifier onlyAdmin() {
@@ -122,7 +125,13 @@ contract ComplaintBlockRegistry {
     /**
      * @dev Get block information by block number
      * @param _blockNumber The block number to query
-     * @return Block information
+     * @return blockNumber Block number
+     * @return merkleRoot Merkle root of the block
+     * @return complaintCount Number of complaints in the block
+     * @return timestamp Time the block was created
+     * @return createdBy Address that created the block
+     * @return topCategory Category with highest priority score
+     * @return totalPriorityScore Sum of all weighted priority scores
      */
     function getBlock(uint256 _blockNumber) 
         external 
@@ -230,9 +239,34 @@ contract ComplaintBlockRegistry {
         emit AdminRemoved(_admin, msg.sender);
     }
     
+    /**
+     * @dev Propose a new main admin (step 1 of 2). Nothing changes until the new
+     * admin calls acceptAdmin; proposing again replaces the pending admin.
+     * @param _newAdmin Address of the proposed main admin
+     */
+    function transferAdmin(address _newAdmin) external onlyMainAdmin {
+        require(_newAdmin != address(0), "Invalid admin address");
+        pendingAdmin = _newAdmin;
+        emit AdminTransferStarted(admin, _newAdmin);
+    }
+    
+    /**
+     * @dev Accept main admin rights (step 2 of 2, pending admin only). The previous
+     * admin stays an authorized admin until the new one removes it.
+     */
+    function acceptAdmin() external {
+        require(msg.sender == pendingAdmin, "Only pending admin can accept");
+        emit AdminTransferred(admin, msg.sender);
+        admin = msg.sender;
+        pendingAdmin = address(0);
+    }
+    
     /**
      * @dev Get contract statistics
-     * @return Various contract statistics
+     * @return _currentBlockNumber Number of the latest block
+     * @return _totalBlocks Total number of blocks created
+     * @return _totalComplaints Total number of complaints across all blocks
+     * @return _admin Address of the main admin
      */
     function getContractStats() 
         external 
@@ -249,7 +283,13 @@ contract ComplaintBlockRegistry {
     
     /**
      * @dev Get the latest block information
-     * @return Latest block data
+     * @return blockNumber Block number
+     * @return merkleRoot Merkle root of the block
+     * @return complaintCount Number of complaints in the block
+     * @return timestamp Time the block was created
+     * @return createdBy Address that created the block
+     * @return topCategory Category with highest priority score
+     * @return totalPriorityScore Sum of all weighted priority scores
      */
     function getLatestBlock() 
         external 
@@ -6,9 +6,12 @@ pragma solidity ^0.8.28;
  * @dev Gas-optimized smart contract for storing student complaints on blockchain
  * Features:
  * - IPFS hash storage for complaint data
+ * - Complaints submitted by the student's wallet, directly or relayed with an EIP-712 signature,
+ *   or recorded by the admin without a student (address(0)) when the student has no wallet
  * - Immutable complaint records
- * - Status tracking with admin controls
- * - Block summaries for complaint history
+ * - Status tracking by accounts holding the STATUS_MANAGER role
+ * - AccessControl-style roles managed by a single admin, handed over in two steps
+ * - Rolling hash of complaint history, sealed into block summaries by BLOCK_SEALER accounts
  * - Event-based logging for efficiency
  */
 contract ComplaintRegistry {
@@ -17,6 +20,7 @@ contract ComplaintRegistry {
     
     enum Priority { LOW, MEDIUM, HIGH }
     enum Status { PENDING, IN_REVIEW, RESOLVED, REJECTED, CLOSED }
+    enum SummaryEvent { COMPLAINT_SUBMITTED, STATUS_UPDATED }
     
     struct Complaint {
         bytes32 ipfsHash;        // IPFS hash of complaint details (32 bytes)
@@ -29,24 +33,48 @@ contract ComplaintRegistry {
     }
     
     struct BlockSummary {
-        bytes32 summaryHash;     // Hash of all complaints in this block
+        bytes32 summaryHash;     // Rolling hash of every event up to this block
         uint32 timestamp;        // Block creation time
         uint32 totalComplaints; // Total complaints at this block
         uint16 pendingCount;     // Pending complaints count
         uint16 resolvedCount;    // Resolved complaints count
     }
     
+    // ============ ROLES ============
+    
+    // May update complaint statuses
+    bytes32 public constant STATUS_MANAGER = keccak256("STATUS_MANAGER");
+    // May seal block summaries. Anchoring in ComplaintBlockRegistry is authorized
+    // by that contract (authorizedAdmins), which the backend keeps in step with this role.
+    bytes32 public constant BLOCK_SEALER = keccak256("BLOCK_SEALER");
+    
+    // ============ EIP-712 ============
+    
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    // What a student signs so a relayer can submit on their behalf
+    bytes32 public constant SUBMIT_COMPLAINT_TYPEHASH = keccak256(
+        "SubmitComplaint(address student,bytes32 ipfsHash,uint8 priority,uint16 category,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant NAME_HASH = keccak256("ComplaintRegistry");
+    bytes32 private constant VERSION_HASH = keccak256("1");
+    
     // ============ STATE VARIABLES ============
     
-    address public admin;
+    address public admin;        // Grants and revokes roles
+    address public pendingAdmin; // Proposed admin until it calls acceptAdmin
     uint256 public nextComplaintId;
     uint256 public nextBlockId;
+    bytes32 public latestSummaryHash; // Rolling hash of every event so far (zero before the first event)
     
     // Mappings for efficient storage
     mapping(uint256 => Complaint) public complaints;
     mapping(uint256 => BlockSummary) public blockSummaries;
     mapping(address => uint256[]) public studentComplaints;
     mapping(uint8 => uint256) public statusCounts; // Track complaint counts by status
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    mapping(address => uint256) public nonces; // Next SubmitComplaint nonce per student
     
     // ============ EVENTS ============
     
@@ -71,6 +99,11 @@ contract ComplaintRegistry {
         uint32 totalComplaints
     );
     
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    
     // ============ MODIFIERS ============
     
     modifier onlyAdmin() {
@@ -78,6 +111,16 @@ contract ComplaintRegistry {
         _;
     }
     
+    modifier onlyRole(bytes32 _role) {
+        require(roles[_role][msg.sender], "Missing required role");
+        _;
+    }
+    
+    modifier validRole(bytes32 _role) {
+        require(_role == STATUS_MANAGER || _role == BLOCK_SEALER, "Unknown role");
+        _;
+    }
+    
     modifier validComplaintId(uint256 _complaintId) {
         require(_complaintId < nextComplaintId, "Invalid complaint ID");
         _;
@@ -87,6 +130,8 @@ contract ComplaintRegistry {
     
     constructor() {
         admin = msg.sender;
+        _grantRole(STATUS_MANAGER, msg.sender);
+        _grantRole(BLOCK_SEALER, msg.sender);
         nextComplaintId = 1; // Start from 1 (0 reserved for null)
         nextBlockId = 1;
         
@@ -110,6 +155,82 @@ contract ComplaintRegistry {
         uint8 _priority,
         uint16 _category
     ) external returns (uint256) {
+        return _submitComplaint(msg.sender, _ipfsHash, _priority, _category);
+    }
+    
+    /**
+     * @dev Submit a complaint signed by a student (EIP-712 SubmitComplaint).
+     * Anyone may relay the signature; the complaint is recorded under the student.
+     * @param _student Student who signed the request
+     * @param _ipfsHash IPFS hash containing complaint details
+     * @param _priority Priority level (0=LOW, 1=MEDIUM, 2=HIGH)
+     * @param _category Complaint category identifier
+     * @param _deadline Last timestamp the signature is valid at
+     * @param _signature 65-byte signature of the student
+     * @return complaintId The ID of the newly created complaint
+     */
+    function submitComplaintFor(
+        address _student,
+        bytes32 _ipfsHash,
+        uint8 _priority,
+        uint16 _category,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external returns (uint256) {
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        bytes32 structHash = keccak256(abi.encode(
+            SUBMIT_COMPLAINT_TYPEHASH,
+            _student,
+            _ipfsHash,
+            _priority,
+            _category,
+            nonces[_student],
+            _deadline
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        
+        address signer = _recoverSigner(digest, _signature);
+        require(signer != address(0) && signer == _student, "Invalid signature");
+        
+        nonces[_student]++;
+        return _submitComplaint(_student, _ipfsHash, _priority, _category);
+    }
+    
+    /**
+     * @dev Submit a complaint that belongs to no wallet (student address(0)), admin only.
+     * Used by the backend for students who have not linked a wallet, so that
+     * no account is recorded as the student without having signed anything.
+     * @param _ipfsHash IPFS hash containing complaint details
+     * @param _priority Priority level (0=LOW, 1=MEDIUM, 2=HIGH)
+     * @param _category Complaint category identifier
+     * @return complaintId The ID of the newly created complaint
+     */
+    function submitUnattributedComplaint(
+        bytes32 _ipfsHash,
+        uint8 _priority,
+        uint16 _category
+    ) external onlyAdmin returns (uint256) {
+        return _submitComplaint(address(0), _ipfsHash, _priority, _category);
+    }
+
+    /**
+     * @dev EIP-712 domain separator for SubmitComplaint signatures
+     * @return bytes32 Domain separator of this contract on the current chain
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, block.chainid, address(this)));
+    }
+    
+    /**
+     * @dev Record a complaint for a student
+     */
+    function _submitComplaint(
+        address _student,
+        bytes32 _ipfsHash,
+        uint8 _priority,
+        uint16 _category
+    ) internal returns (uint256) {
         require(_ipfsHash != bytes32(0), "IPFS hash cannot be empty");
         require(_priority <= uint8(Priority.HIGH), "Invalid priority level");
         
@@ -118,7 +239,7 @@ contract ComplaintRegistry {
         // Create complaint struct
         complaints[complaintId] = Complaint({
             ipfsHash: _ipfsHash,
-            student: msg.sender,
+            student: _student,
             timestamp: uint32(block.timestamp),
             priority: _priority,
             status: uint8(Status.PENDING),
@@ -126,13 +247,13 @@ contract ComplaintRegistry {
         });
         
         // Update mappings
-        studentComplaints[msg.sender].push(complaintId);
+        studentComplaints[_student].push(complaintId);
         statusCounts[uint8(Status.PENDING)]++;
         
         // Emit event
         emit ComplaintSubmitted(
             complaintId,
-            msg.sender,
+            _student,
             _ipfsHash,
             _priority,
             _category
@@ -140,21 +261,27 @@ contract ComplaintRegistry {
         
         nextComplaintId++;
         
-        // Create block summary after every complaint
-        _createBlockSummary();
+        _extendSummaryHash(abi.encode(
+            SummaryEvent.COMPLAINT_SUBMITTED,
+            complaintId,
+            _student,
+            _ipfsHash,
+            _priority,
+            _category
+        ));
         
         return complaintId;
     }
     
     /**
-     * @dev Update complaint status (admin only)
+     * @dev Update complaint status (STATUS_MANAGER only)
      * @param _complaintId ID of the complaint to update
      * @param _newStatus New status for the complaint
      */
     function updateComplaintStatus(
         uint256 _complaintId,
         uint8 _newStatus
-    ) external onlyAdmin validComplaintId(_complaintId) {
+    ) external onlyRole(STATUS_MANAGER) validComplaintId(_complaintId) {
         require(_newStatus <= uint8(Status.CLOSED), "Invalid status");
         
         Complaint storage complaint = complaints[_complaintId];
@@ -172,8 +299,45 @@ contract ComplaintRegistry {
         
         emit StatusUpdated(_complaintId, oldStatus, _newStatus, msg.sender);
         
-        // Create block summary after status update
-        _createBlockSummary();
+        _extendSummaryHash(abi.encode(
+            SummaryEvent.STATUS_UPDATED,
+            _complaintId,
+            oldStatus,
+            _newStatus,
+            msg.sender
+        ));
+    }
+    
+    /**
+     * @dev Seal the rolling hash into a new block summary (BLOCK_SEALER only).
+     * Reverts when no complaint was submitted or updated since the last summary.
+     * @return blockId ID of the new block summary
+     */
+    function createBlockSummary() external onlyRole(BLOCK_SEALER) returns (uint256) {
+        require(latestSummaryHash != blockSummaries[nextBlockId - 1].summaryHash, "No events since last summary");
+        
+        uint256 blockId = nextBlockId;
+        blockSummaries[blockId] = BlockSummary({
+            summaryHash: latestSummaryHash,
+            timestamp: uint32(block.timestamp),
+            totalComplaints: uint32(nextComplaintId - 1),
+            pendingCount: uint16(statusCounts[uint8(Status.PENDING)]),
+            resolvedCount: uint16(statusCounts[uint8(Status.RESOLVED)])
+        });
+        
+        emit BlockSummaryCreated(blockId, latestSummaryHash, uint32(nextComplaintId - 1));
+        nextBlockId++;
+        return blockId;
+    }
+    
+    /**
+     * @dev Check whether an account holds a role
+     * @param _role STATUS_MANAGER or BLOCK_SEALER
+     * @param _account Address to check
+     * @return bool True if the account holds the role
+     */
+    function hasRole(bytes32 _role, address _account) external view returns (bool) {
+        return roles[_role][_account];
     }
     
     /**
@@ -276,43 +440,57 @@ contract ComplaintRegistry {
     // ============ INTERNAL FUNCTIONS ============
     
     /**
-     * @dev Create a block summary with hash of all current complaints
+     * @dev Extend the rolling hash by one event.
+     * latestSummaryHash = keccak256(previous hash ++ event data), so the cost is
+     * the same for the first complaint and the millionth, and any block summary
+     * can be recomputed off-chain by replaying ComplaintSubmitted/StatusUpdated events.
+     * @param _eventData abi.encode of the SummaryEvent type and the fields of the emitted event
      */
-    function _createBlockSummary() internal {
-        bytes32 summaryHash = _calculateSummaryHash();
-        
-        blockSummaries[nextBlockId] = BlockSummary({
-            summaryHash: summaryHash,
-            timestamp: uint32(block.timestamp),
-            totalComplaints: uint32(nextComplaintId - 1),
-            pendingCount: uint16(statusCounts[uint8(Status.PENDING)]),
-            resolvedCount: uint16(statusCounts[uint8(Status.RESOLVED)])
-        });
-        
-        emit BlockSummaryCreated(nextBlockId, summaryHash, uint32(nextComplaintId - 1));
-        nextBlockId++;
+    function _extendSummaryHash(bytes memory _eventData) internal {
+        latestSummaryHash = keccak256(abi.encodePacked(latestSummaryHash, _eventData));
     }
     
     /**
-     * @dev Calculate hash of all complaint data for block summary
+     * @dev Recover the signer of a digest, or address(0) for a malformed or
+     * malleable (high s) signature
      */
-    function _calculateSummaryHash() internal view returns (bytes32) {
-        bytes memory data;
+    function _recoverSigner(bytes32 _digest, bytes calldata _signature) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+        
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
         
-        for (uint256 i = 1; i < nextComplaintId; i++) {
-            Complaint memory complaint = complaints[i];
-            data = abi.encodePacked(
-                data,
-                complaint.ipfsHash,
-                complaint.student,
-                complaint.timestamp,
-                complaint.priority,
-                complaint.status,
-                complaint.category
-            );
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        if (v != 27 && v != 28) {
+            return address(0);
         }
         
-        return keccak256(data);
+        return ecrecover(_digest, v, r, s);
+    }
+    
+    /**
+     * @dev Grant a role, emitting RoleGranted if the account did not hold it yet
+     */
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (!roles[_role][_account]) {
+            roles[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Revoke a role, emitting RoleRevoked if the account held it
+     */
+    function _revokeRole(bytes32 _role, address _account) internal {
+        if (roles[_role][_account]) {
+            roles[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
     }
     
     /**
@@ -346,11 +524,52 @@ contract ComplaintRegistry {
     // ============ ADMIN FUNCTIONS ============
     
     /**
-     * @dev Transfer admin rights (emergency only)
+     * @dev Grant a role (admin only). Granting a role the account holds is a no-op.
+     * @param _role STATUS_MANAGER or BLOCK_SEALER
+     * @param _account Address receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) external onlyAdmin validRole(_role) {
+        require(_account != address(0), "Invalid account address");
+        _grantRole(_role, _account);
+    }
+    
+    /**
+     * @dev Revoke a role (admin only). Revoking a role the account lacks is a no-op.
+     * @param _role STATUS_MANAGER or BLOCK_SEALER
+     * @param _account Address losing the role
+     */
+    function revokeRole(bytes32 _role, address _account) external onlyAdmin validRole(_role) {
+        _revokeRole(_role, _account);
+    }
+    
+    /**
+     * @dev Give up a role held by the caller
+     * @param _role STATUS_MANAGER or BLOCK_SEALER
+     */
+    function renounceRole(bytes32 _role) external validRole(_role) {
+        _revokeRole(_role, msg.sender);
+    }
+    
+    /**
+     * @dev Propose a new admin (step 1 of 2). Nothing changes until the new admin
+     * calls acceptAdmin; proposing again replaces the pending admin.
+     * @param _newAdmin Address of the proposed admin
      */
     function transferAdmin(address _newAdmin) external onlyAdmin {
         require(_newAdmin != address(0), "Invalid admin address");
-        admin = _newAdmin;
+        pendingAdmin = _newAdmin;
+        emit AdminTransferStarted(admin, _newAdmin);
+    }
+    
+    /**
+     * @dev Accept admin rights (step 2 of 2, pending admin only). Roles are not
+     * transferred: the new admin grants itself any it needs.
+     */
+    function acceptAdmin() external {
+        require(msg.sender == pendingAdmin, "Only pending admin can accept");
+        emit AdminTransferred(admin, msg.sender);
+        admin = msg.sender;
+        pendingAdmin = address(0);
     }
     
     /**
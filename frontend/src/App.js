@@ -9,6 +9,7 @@ import SubmitComplaint from './pages/SubmitComplaint';
 import Ledger from './pages/Ledger';
 import MyComplaints from './pages/MyComplaints';
 import BlockManagement from './pages/BlockManagement';
+import VerifyReceipt from './pages/VerifyReceipt';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { Web3Provider } from './context/Web3Context';
 import { initializeShutdownHandlers, removeShutdownHandlers } from './services/shutdownService';
@@ -92,6 +93,10 @@ function AppContent() {
           path="/admin/complaints" 
           element={user && user.role === 'admin' ? <ManageComplaints /> : <Navigate to="/login" />} 
         />
+        <Route 
+          path="/verify" 
+          element={<VerifyReceipt />} 
+        />
         <Route 
           path="/" 
           element={<Navigate to={user ? "/dashboard" : "/login"} />} 
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { ListGroup, Badge, Spinner, Alert } from 'react-bootstrap';
+import api from '../services/api';
+import {
+  getComplaintTimeline,
+  getStatusColor,
+  getStatusLabel,
+  getPriorityColor,
+  getPriorityLabel,
+  formatDate
+} from '../services/complaintService';
+
+const EVENT_ICONS = {
+  submitted: '📝',
+  status_changed: '🔄',
+  escalated: '⬆️',
+  block_included: '📦',
+  chain_anchored: '⛓️',
+  chain_submitted: '👛'
+};
+
+const describeActor = (event) => {
+  if (event.actorType === 'system') return 'System';
+  if (event.actorType === 'admin') return `Admin #${event.actorId}`;
+  return `Student ${event.actorId}`;
+};
+
+const EventSummary = ({ event }) => {
+  switch (event.eventType) {
+    case 'submitted':
+      return <span>Complaint submitted</span>;
+    case 'status_changed':
+      return (
+        <span>
+          Status changed{' '}
+          <Badge bg={getStatusColor(event.fromValue)}>{getStatusLabel(event.fromValue)}</Badge>
+          {' → '}
+          <Badge bg={getStatusColor(event.toValue)}>{getStatusLabel(event.toValue)}</Badge>
+        </span>
+      );
+    case 'escalated':
+      return (
+        <span>
+          Priority escalated{' '}
+          <Badge bg={getPriorityColor(event.fromValue)}>{getPriorityLabel(event.fromValue)}</Badge>
+          {' → '}
+          <Badge bg={getPriorityColor(event.toValue)}>{getPriorityLabel(event.toValue)}</Badge>
+        </span>
+      );
+    case 'block_included':
+      return <span>Included in block #{event.details?.blockNumber}</span>;
+    case 'chain_anchored':
+      return (
+        <span>
+          Block #{event.details?.blockNumber} anchored on-chain
+          {event.details?.transactionHash && (
+            <code className="small d-block">{event.details.transactionHash}</code>
+          )}
+        </span>
+      );
+    case 'chain_submitted':
+      return (
+        <span>
+          Recorded on-chain under wallet {event.details?.walletAddress}
+          {event.details?.mode === 'relayed' ? ' (relayed)' : ''}
+          {event.details?.transactionHash && (
+            <code className="small d-block">{event.details.transactionHash}</code>
+          )}
+        </span>
+      );
+    default:
+      return <span>{event.eventType}</span>;
+  }
+};
+
+/**
+ * Chronological audit timeline of a complaint: submission, status changes,
+ * escalations, on-chain recording, block inclusion and on-chain anchoring.
+ */
+const ComplaintTimeline = ({ complaintId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+
+    setLoading(true);
+    setError('');
+    getComplaintTimeline(complaintId)
+      .then(result => {
+        if (active) setEvents(result.events || []);
+      })
+      .catch(err => {
+        console.error('Error loading complaint timeline:', err);
+        if (active) setError(err.response?.data?.error || 'Failed to load timeline');
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [complaintId]);
+
+  if (loading) {
+    return <Spinner animation="border" size="sm" />;
+  }
+
+  if (error) {
+    return <Alert variant="warning" className="mb-0">{error}</Alert>;
+  }
+
+  if (events.length === 0) {
+    return <p className="text-muted mb-0">No history recorded yet.</p>;
+  }
+
+  return (
+    <ListGroup variant="flush">
+      {events.map(event => (
+        <ListGroup.Item key={event.id} className="px-0">
+          <div className="d-flex justify-content-between">
+            <div>
+              <span className="me-2">{EVENT_ICONS[event.eventType] || '•'}</span>
+              <EventSummary event={event} />
+            </div>
+            <small className="text-muted text-nowrap ms-2">{formatDate(event.createdAt)}</small>
+          </div>
+          <small className="text-muted">by {describeActor(event)}</small>
+          {event.message && (
+            <p className="mb-0 mt-1 small">💬 {event.message}</p>
+          )}
+          {event.imagePath && (
+            <a
+              href={`${api.defaults.baseURL}/complaints/admin-response-image/${event.imagePath.split('/').pop()}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="small"
+            >
+              📎 View attached image
+            </a>
+          )}
+        </ListGroup.Item>
+      ))}
+    </ListGroup>
+  );
+};
+
+export default ComplaintTimeline;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Renders search snippets returned by the API as [{ text, highlighted }] segments
+const HighlightedText = ({ segments, fallback = '' }) => {
+  if (!segments || segments.length === 0) {
+    return <>{fallback}</>;
+  }
+
+  return (
+    <>
+      {segments.map((segment, index) => (
+        segment.highlighted
+          ? <mark key={index} className="px-0">{segment.text}</mark>
+          : <React.Fragment key={index}>{segment.text}</React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default HighlightedText;
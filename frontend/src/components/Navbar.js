@@ -129,6 +129,13 @@ const Navbar = () => {
                 >
                   🔍 Ledger
                 </Nav.Link>
+                <Nav.Link 
+                  as={Link} 
+                  to="/verify"
+                  style={navLinkStyle('/verify')}
+                >
+                  🧾 Verify Receipt
+                </Nav.Link>
               </>
             )}
           </Nav>
@@ -31,35 +31,17 @@ export const AuthProvider = ({ children }) => {
         const validateEndpoint = userType === 'admin' ? '/admin/auth/validate-session' : '/auth/validate-session';
         const profileEndpoint = userType === 'admin' ? '/admin/auth/profile' : '/auth/profile';
         
-        try {
-          const response = await api.get(validateEndpoint);
-          if (response.data.valid) {
-            const profileResponse = await api.get(profileEndpoint);
-            setUser(profileResponse.data.user || profileResponse.data.admin);
-          } else {
-            // Session invalid, clear storage
-            sessionStorage.removeItem('token');
-            sessionStorage.removeItem('sessionId');
-            sessionStorage.removeItem('userType');
-          }
-        } catch (error) {
-          // If admin validation fails, try regular validation
-          if (userType === 'admin') {
-            try {
-              const response = await api.get('/auth/validate-session');
-              if (response.data.valid) {
-                const profileResponse = await api.get('/auth/profile');
-                setUser(profileResponse.data.user);
-                sessionStorage.setItem('userType', 'student');
-              }
-            } catch (e) {
-              sessionStorage.removeItem('token');
-              sessionStorage.removeItem('sessionId');
-              sessionStorage.removeItem('userType');
-            }
-          } else {
-            throw error;
-          }
+        // Revoked or expired sessions fail with 401 and are cleared below
+        const response = await api.get(validateEndpoint);
+        if (response.data.valid) {
+          const profileResponse = await api.get(profileEndpoint);
+          const { user: profileUser, admin } = profileResponse.data;
+          setUser(profileUser || { ...admin, role: 'admin' });
+        } else {
+          // Session invalid, clear storage
+          sessionStorage.removeItem('token');
+          sessionStorage.removeItem('sessionId');
+          sessionStorage.removeItem('userType');
         }
       }
     } catch (error) {
@@ -93,10 +75,10 @@ export const AuthProvider = ({ children }) => {
   const adminLogin = async (credentials) => {
     try {
       const response = await api.post('/admin/auth/login', credentials);
-      const { token, admin } = response.data;
+      const { token, admin, sessionId } = response.data;
       
       sessionStorage.setItem('token', token);
-      sessionStorage.setItem('sessionId', `admin_${Date.now()}`);
+      sessionStorage.setItem('sessionId', sessionId);
       sessionStorage.setItem('userType', 'admin');
       setUser({ ...admin, role: 'admin' });
       toast.success('Admin login successful!');
@@ -115,6 +97,7 @@ export const AuthProvider = ({ children }) => {
       
       sessionStorage.setItem('token', token);
       sessionStorage.setItem('sessionId', sessionId);
+      sessionStorage.setItem('userType', 'student');
       setUser(user);
       toast.success('Registration successful!');
       return { success: true };
@@ -125,13 +108,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const getWalletChallenge = async (walletAddress, chainId) => {
+    const response = await api.get(`/auth/nonce/${walletAddress}`, {
+      params: chainId ? { chainId } : {}
+    });
+    return response.data;
+  };
+
   const loginWithMetaMask = async (walletData) => {
     try {
-      const response = await api.post('/auth/metamask', walletData);
+      const response = await api.post('/auth/metamask-login', walletData);
       const { token, user, sessionId } = response.data;
       
       sessionStorage.setItem('token', token);
       sessionStorage.setItem('sessionId', sessionId);
+      sessionStorage.setItem('userType', 'student');
       setUser(user);
       toast.success('MetaMask login successful!');
       return { success: true };
@@ -142,6 +133,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Link the wallet that signed a challenge to the signed-in student
+  const linkWallet = async (walletData) => {
+    try {
+      const response = await api.post('/auth/wallet', walletData);
+      const { walletAddress } = response.data;
+
+      setUser(prev => ({ ...prev, walletAddress }));
+      toast.success('Wallet linked to your account');
+      return { success: true, walletAddress };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to link wallet';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const logout = async (silent = false) => {
     try {
       const userType = sessionStorage.getItem('userType') || 'student';
@@ -166,10 +173,8 @@ export const AuthProvider = ({ children }) => {
 
   const logoutAll = async () => {
     try {
-      const userType = sessionStorage.getItem('userType') || 'student';
-      const logoutEndpoint = userType === 'admin' ? '/admin/auth/logout' : '/auth/logout-all';
-      
-      await api.post(logoutEndpoint);
+      // Revokes every session of the signed-in student or admin
+      await api.post('/auth/logout-all');
       sessionStorage.removeItem('token');
       sessionStorage.removeItem('sessionId');
       sessionStorage.removeItem('userType');
@@ -188,7 +193,9 @@ export const AuthProvider = ({ children }) => {
     login,
     adminLogin,
     register,
+    getWalletChallenge,
     loginWithMetaMask,
+    linkWallet,
     logout,
     logoutAll,
     checkAuthStatus
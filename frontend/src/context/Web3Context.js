@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import detectEthereumProvider from '@metamask/detect-provider';
+import { BrowserProvider, Contract, hexlify, toUtf8Bytes } from 'ethers';
 import { toast } from 'react-toastify';
+import ComplaintRegistry from '../contracts/ComplaintRegistry.json';
 
 const Web3Context = createContext();
 
@@ -115,9 +117,10 @@ export const Web3Provider = ({ children }) => {
     }
 
     try {
+      // Hex-encode so MetaMask signs the exact UTF-8 text and recognizes sign-in messages
       const signature = await provider.request({
         method: 'personal_sign',
-        params: [message, account],
+        params: [hexlify(toUtf8Bytes(message)), account],
       });
       
       return signature;
@@ -127,6 +130,40 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
+  // Signer for the student's wallet, checked against the chain a request targets
+  const getChainSigner = async ({ chainId: expectedChainId, student }) => {
+    if (!provider) {
+      throw new Error('MetaMask not installed');
+    }
+
+    const browserProvider = new BrowserProvider(provider);
+    const { chainId: walletChainId } = await browserProvider.getNetwork();
+    if (Number(walletChainId) !== Number(expectedChainId)) {
+      throw new Error(`Switch MetaMask to chain ${expectedChainId} to record your complaint`);
+    }
+
+    return browserProvider.getSigner(student);
+  };
+
+  // Sign the EIP-712 request the backend relays to ComplaintRegistry.submitComplaintFor
+  const signComplaintSubmission = async (chainSubmission) => {
+    const signer = await getChainSigner(chainSubmission);
+    const { domain, types, message } = chainSubmission.typedData;
+
+    return signer.signTypedData(domain, types, message);
+  };
+
+  // Send ComplaintRegistry.submitComplaint from the connected wallet; resolves once mined
+  const sendComplaintSubmission = async (chainSubmission) => {
+    const signer = await getChainSigner(chainSubmission);
+    const registry = new Contract(chainSubmission.contractAddress, ComplaintRegistry.abi, signer);
+    const { ipfsHash, priority, category } = chainSubmission.call;
+
+    const tx = await registry.submitComplaint(ipfsHash, priority, category);
+    await tx.wait();
+    return tx.hash;
+  };
+
   const switchToGanache = async () => {
     if (!provider) {
       throw new Error('MetaMask not installed');
@@ -195,6 +232,8 @@ export const Web3Provider = ({ children }) => {
     connectWallet,
     disconnectWallet,
     signMessage,
+    signComplaintSubmission,
+    sendComplaintSubmission,
     switchToGanache,
     getNetworkName,
     isMetaMaskInstalled: !!provider
@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { getTaxonomy, getCachedTaxonomy } from '../services/complaintService';
+
+const EMPTY_TAXONOMY = { categories: [], statuses: [], priorities: [] };
+
+/**
+ * React hook exposing the complaint taxonomy served by the backend
+ * (categories, statuses and priorities). The taxonomy is fetched once per page load.
+ */
+export const useTaxonomy = () => {
+  const [taxonomy, setTaxonomy] = useState(getCachedTaxonomy() || EMPTY_TAXONOMY);
+  const [loading, setLoading] = useState(!getCachedTaxonomy());
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    getTaxonomy()
+      .then(result => {
+        if (active) setTaxonomy(result);
+      })
+      .catch(err => {
+        console.error('Failed to load complaint taxonomy:', err);
+        if (active) setError(err);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return { ...taxonomy, loading, error };
+};
+
+export default useTaxonomy;
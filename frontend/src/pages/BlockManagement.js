@@ -5,6 +5,13 @@ import {
 } from 'react-bootstrap';
 import { useAuth } from '../context/AuthContext';
 import { blockManagementAPI } from '../services/api';
+import HighlightedText from '../components/HighlightedText';
+
+// Facet columns returned by the search API and the filter each one sets
+const SEARCH_FACETS = {
+  blocks: { top_category: 'category', anchor_status: 'anchor_status' },
+  complaints: { category: 'category', status: 'status', priority: 'priority' }
+};
 
 const BlockManagement = () => {
   const { user } = useAuth();
@@ -28,15 +35,28 @@ const BlockManagement = () => {
   // Statistics state
   const [statistics, setStatistics] = useState(null);
 
+  // Automatic sealing state
+  const [sealing, setSealing] = useState(null);
+  const [showPolicyModal, setShowPolicyModal] = useState(false);
+  const [policyForm, setPolicyForm] = useState(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+
   // Search state
-  const [searchFilters, setSearchFilters] = useState({
+  const emptySearchFilters = {
+    q: '',
+    type: 'blocks',
     category: '',
+    status: '',
+    priority: '',
+    anchor_status: '',
     admin_id: '',
     from_date: '',
     to_date: '',
     min_complaints: '',
     max_complaints: ''
-  });
+  };
+  const [searchFilters, setSearchFilters] = useState(emptySearchFilters);
+  const [searchResults, setSearchResults] = useState(null);
 
   // Fetch block creation preview
   const fetchBlockPreview = async () => {
@@ -80,6 +100,52 @@ const BlockManagement = () => {
     }
   };
 
+  // Fetch automatic sealing policy and schedule
+  const fetchSealingPolicy = async () => {
+    try {
+      const response = await blockManagementAPI.getSealingPolicy();
+      setSealing({ policy: response.policy, schedule: response.schedule });
+    } catch (err) {
+      console.error('Error fetching sealing policy:', err);
+      setError('Failed to fetch sealing policy');
+    }
+  };
+
+  // Open the policy editor with the current values
+  const openPolicyModal = () => {
+    setPolicyForm({
+      enabled: sealing.policy.enabled,
+      intervalMinutes: sealing.policy.intervalMinutes || '',
+      complaintThreshold: sealing.policy.complaintThreshold || '',
+      sealOnCritical: sealing.policy.sealOnCritical
+    });
+    setShowPolicyModal(true);
+  };
+
+  // Save sealing policy; an empty number field turns that rule off
+  const handleSavePolicy = async () => {
+    try {
+      setSavingPolicy(true);
+      setError('');
+
+      const response = await blockManagementAPI.updateSealingPolicy({
+        enabled: policyForm.enabled,
+        intervalMinutes: policyForm.intervalMinutes === '' ? null : parseInt(policyForm.intervalMinutes, 10),
+        complaintThreshold: policyForm.complaintThreshold === '' ? null : parseInt(policyForm.complaintThreshold, 10),
+        sealOnCritical: policyForm.sealOnCritical
+      });
+
+      setSealing({ policy: response.policy, schedule: response.schedule });
+      setSuccess('Sealing policy updated');
+      setShowPolicyModal(false);
+    } catch (err) {
+      console.error('Error updating sealing policy:', err);
+      setError(err.response?.data?.details || err.response?.data?.error || 'Failed to update sealing policy');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
   // Create block
   const handleCreateBlock = async () => {
     try {
@@ -96,7 +162,8 @@ const BlockManagement = () => {
       await Promise.all([
         fetchBlockPreview(),
         fetchBlocks(),
-        fetchStatistics()
+        fetchStatistics(),
+        fetchSealingPolicy()
       ]);
 
     } catch (err) {
@@ -122,12 +189,15 @@ const BlockManagement = () => {
     }
   };
 
-  // Search blocks
-  const handleSearch = async () => {
+  // Search blocks or complaints; changes are applied to the current filters first
+  const handleSearch = async (page = 1, changes = {}) => {
+    const filters = { ...searchFilters, ...changes };
+    setSearchFilters(filters);
+
     try {
       setLoading(true);
-      const response = await blockManagementAPI.searchBlocks(searchFilters);
-      setBlocks(response.results);
+      const response = await blockManagementAPI.searchBlocks({ ...filters, page });
+      setSearchResults(response);
     } catch (err) {
       console.error('Error searching blocks:', err);
       setError('Failed to search blocks');
@@ -166,7 +236,8 @@ const BlockManagement = () => {
       await Promise.all([
         fetchBlockPreview(),
         fetchBlocks(),
-        fetchStatistics()
+        fetchStatistics(),
+        fetchSealingPolicy()
       ]);
     };
 
@@ -280,6 +351,57 @@ const BlockManagement = () => {
             )}
           </Card.Body>
         </Card>
+
+        <Card className="mb-4">
+          <Card.Header className="d-flex justify-content-between align-items-center">
+            <h5 className="mb-0">⏱️ Automatic Sealing</h5>
+            <Button variant="outline-primary" size="sm" onClick={openPolicyModal} disabled={!sealing}>
+              <i className="fas fa-cog"></i> Edit
+            </Button>
+          </Card.Header>
+          <Card.Body>
+            {sealing ? (
+              sealing.policy.enabled ? (
+                <>
+                  <ul className="list-unstyled mb-3">
+                    {sealing.policy.intervalMinutes && (
+                      <li>Every <strong>{sealing.policy.intervalMinutes}</strong> minutes</li>
+                    )}
+                    {sealing.policy.complaintThreshold && (
+                      <li>When <strong>{sealing.policy.complaintThreshold}</strong> complaints are waiting</li>
+                    )}
+                    {sealing.policy.sealOnCritical && (
+                      <li>Immediately for critical complaints</li>
+                    )}
+                  </ul>
+                  <div className="stat-item mb-2">
+                    <h6 className="text-info mb-0">
+                      {sealing.schedule.nextSealAt
+                        ? new Date(sealing.schedule.nextSealAt).toLocaleString()
+                        : 'When a rule is met'}
+                    </h6>
+                    <small className="text-muted">
+                      Next Scheduled Seal
+                      {sealing.schedule.nextSealAt && sealing.schedule.pendingComplaints === 0 && ' (if complaints are waiting)'}
+                    </small>
+                  </div>
+                  {sealing.schedule.lastRun && (
+                    <small className="text-muted">
+                      Last automatic seal: {new Date(sealing.schedule.lastRun.at).toLocaleString()}
+                      {sealing.schedule.lastRun.error
+                        ? ` failed (${sealing.schedule.lastRun.error})`
+                        : ` → block #${sealing.schedule.lastRun.blockNumber}`}
+                    </small>
+                  )}
+                </>
+              ) : (
+                <small className="text-muted">Disabled. Blocks are only created manually.</small>
+              )
+            ) : (
+              <Spinner animation="border" size="sm" />
+            )}
+          </Card.Body>
+        </Card>
       </Col>
     </Row>
   );
@@ -350,6 +472,162 @@ const BlockManagement = () => {
     </Card>
   );
 
+  const SearchResults = () => {
+    const { type, results, facets, pagination } = searchResults;
+    const facetFilters = SEARCH_FACETS[type];
+
+    return (
+      <Card className="mt-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">
+            {pagination.total} {type === 'blocks' ? 'block' : 'complaint'}{pagination.total === 1 ? '' : 's'} found
+          </h5>
+          {pagination.totalPages > 1 && (
+            <div>
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                disabled={pagination.page <= 1 || loading}
+                onClick={() => handleSearch(pagination.page - 1)}
+              >
+                ‹ Previous
+              </Button>
+              <small className="text-muted mx-2">Page {pagination.page} of {pagination.totalPages}</small>
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                disabled={!pagination.hasMore || loading}
+                onClick={() => handleSearch(pagination.page + 1)}
+              >
+                Next ›
+              </Button>
+            </div>
+          )}
+        </Card.Header>
+        <Card.Body>
+          {/* Facets: click a value to filter by it, click the active value to clear it */}
+          {Object.entries(facetFilters).map(([facet, filter]) => facets[facet] && facets[facet].length > 0 && (
+            <div key={facet} className="mb-2">
+              <small className="text-muted me-2">{facet.replace('_', ' ')}:</small>
+              {facets[facet].map(({ value, count }) => {
+                const active = searchFilters[filter] === value;
+                return (
+                  <Badge
+                    key={value}
+                    bg={active ? 'primary' : 'light'}
+                    text={active ? undefined : 'dark'}
+                    className="me-2 border"
+                    style={{ cursor: 'pointer' }}
+                    onClick={() => handleSearch(1, { [filter]: active ? '' : value })}
+                  >
+                    {value} ({count}){active && ' ×'}
+                  </Badge>
+                );
+              })}
+            </div>
+          ))}
+
+          {results.length === 0 ? (
+            <p className="text-muted text-center mt-3">Nothing matches this search</p>
+          ) : type === 'blocks' ? (
+            <Table responsive striped hover className="mt-3">
+              <thead>
+                <tr>
+                  <th>Block #</th>
+                  <th>Complaints</th>
+                  <th>Top Category</th>
+                  <th>Match</th>
+                  <th>Created</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((block) => (
+                  <tr key={block.block_number}>
+                    <td><Badge bg="info">#{block.block_number}</Badge></td>
+                    <td>{block.complaint_count}</td>
+                    <td><Badge bg="secondary">{block.top_category}</Badge></td>
+                    <td>
+                      {block.highlights && block.highlights.metadata && (
+                        <div className="small"><HighlightedText segments={block.highlights.metadata} /></div>
+                      )}
+                      {block.matchedComplaintIds.length > 0 && (
+                        <small className="text-muted">
+                          Matching complaints: {block.matchedComplaintIds.map(id => `#${id}`).join(', ')}
+                        </small>
+                      )}
+                    </td>
+                    <td>{new Date(block.created_at).toLocaleDateString()}</td>
+                    <td>
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        onClick={() => handleViewDetails(block.block_number)}
+                      >
+                        <i className="fas fa-eye"></i> View
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <Table responsive striped hover className="mt-3">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Complaint</th>
+                  <th>Category</th>
+                  <th>Status</th>
+                  <th>Block</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((complaint) => (
+                  <tr key={complaint.id}>
+                    <td>{complaint.id}</td>
+                    <td>
+                      <strong>
+                        <HighlightedText segments={complaint.highlights && complaint.highlights.title} fallback={complaint.title} />
+                      </strong>
+                      {complaint.highlights && complaint.highlights.description && (
+                        <div className="small text-muted">
+                          <HighlightedText segments={complaint.highlights.description} />
+                        </div>
+                      )}
+                      {complaint.highlights && complaint.highlights.adminMessages && (
+                        <div className="small">
+                          <span className="text-muted">Admin: </span>
+                          <HighlightedText segments={complaint.highlights.adminMessages} />
+                        </div>
+                      )}
+                    </td>
+                    <td><Badge bg="secondary">{complaint.category}</Badge></td>
+                    <td>{complaint.status}</td>
+                    <td>
+                      {complaint.block_number ? (
+                        <Button
+                          variant="link"
+                          size="sm"
+                          className="p-0"
+                          onClick={() => handleViewDetails(complaint.block_number)}
+                        >
+                          #{complaint.block_number}
+                        </Button>
+                      ) : (
+                        <small className="text-muted">Not sealed</small>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    );
+  };
+
   return (
     <Container fluid className="mt-4">
       <Row>
@@ -379,30 +657,60 @@ const BlockManagement = () => {
                   <h5 className="mb-0">Search Blocks</h5>
                 </Card.Header>
                 <Card.Body>
-                  <Form>
+                  <Form onSubmit={(e) => { e.preventDefault(); handleSearch(); }}>
                     <Row>
-                      <Col md={6}>
+                      <Col md={8}>
                         <Form.Group className="mb-3">
-                          <Form.Label>Category</Form.Label>
+                          <Form.Label>Search</Form.Label>
                           <Form.Control
-                            type="text"
-                            placeholder="e.g. Academic, Hostel"
-                            value={searchFilters.category}
-                            onChange={(e) => setSearchFilters(prev => ({ ...prev, category: e.target.value }))}
+                            type="search"
+                            placeholder="Words in complaint titles, descriptions, admin messages, categories or hashes"
+                            value={searchFilters.q}
+                            onChange={(e) => setSearchFilters(prev => ({ ...prev, q: e.target.value }))}
                           />
                         </Form.Group>
                       </Col>
+                      <Col md={4}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Show</Form.Label>
+                          <Form.Select
+                            value={searchFilters.type}
+                            onChange={(e) => {
+                              setSearchResults(null);
+                              setSearchFilters({ ...emptySearchFilters, q: searchFilters.q, type: e.target.value });
+                            }}
+                          >
+                            <option value="blocks">Blocks</option>
+                            <option value="complaints">Complaints</option>
+                          </Form.Select>
+                        </Form.Group>
+                      </Col>
+                    </Row>
+                    <Row>
                       <Col md={6}>
                         <Form.Group className="mb-3">
-                          <Form.Label>Admin ID</Form.Label>
+                          <Form.Label>Category</Form.Label>
                           <Form.Control
                             type="text"
-                            placeholder="Created by admin"
-                            value={searchFilters.admin_id}
-                            onChange={(e) => setSearchFilters(prev => ({ ...prev, admin_id: e.target.value }))}
+                            placeholder="e.g. Academic, Hostel"
+                            value={searchFilters.category}
+                            onChange={(e) => setSearchFilters(prev => ({ ...prev, category: e.target.value }))}
                           />
                         </Form.Group>
                       </Col>
+                      {searchFilters.type === 'blocks' && (
+                        <Col md={6}>
+                          <Form.Group className="mb-3">
+                            <Form.Label>Admin ID</Form.Label>
+                            <Form.Control
+                              type="text"
+                              placeholder="Created by admin"
+                              value={searchFilters.admin_id}
+                              onChange={(e) => setSearchFilters(prev => ({ ...prev, admin_id: e.target.value }))}
+                            />
+                          </Form.Group>
+                        </Col>
+                      )}
                     </Row>
                     <Row>
                       <Col md={6}>
@@ -426,36 +734,50 @@ const BlockManagement = () => {
                         </Form.Group>
                       </Col>
                     </Row>
-                    <Row>
-                      <Col md={6}>
-                        <Form.Group className="mb-3">
-                          <Form.Label>Min Complaints</Form.Label>
-                          <Form.Control
-                            type="number"
-                            placeholder="0"
-                            value={searchFilters.min_complaints}
-                            onChange={(e) => setSearchFilters(prev => ({ ...prev, min_complaints: e.target.value }))}
-                          />
-                        </Form.Group>
-                      </Col>
-                      <Col md={6}>
-                        <Form.Group className="mb-3">
-                          <Form.Label>Max Complaints</Form.Label>
-                          <Form.Control
-                            type="number"
-                            placeholder="100"
-                            value={searchFilters.max_complaints}
-                            onChange={(e) => setSearchFilters(prev => ({ ...prev, max_complaints: e.target.value }))}
-                          />
-                        </Form.Group>
-                      </Col>
-                    </Row>
-                    <Button variant="primary" onClick={handleSearch} disabled={loading}>
+                    {searchFilters.type === 'blocks' && (
+                      <Row>
+                        <Col md={6}>
+                          <Form.Group className="mb-3">
+                            <Form.Label>Min Complaints</Form.Label>
+                            <Form.Control
+                              type="number"
+                              placeholder="0"
+                              value={searchFilters.min_complaints}
+                              onChange={(e) => setSearchFilters(prev => ({ ...prev, min_complaints: e.target.value }))}
+                            />
+                          </Form.Group>
+                        </Col>
+                        <Col md={6}>
+                          <Form.Group className="mb-3">
+                            <Form.Label>Max Complaints</Form.Label>
+                            <Form.Control
+                              type="number"
+                              placeholder="100"
+                              value={searchFilters.max_complaints}
+                              onChange={(e) => setSearchFilters(prev => ({ ...prev, max_complaints: e.target.value }))}
+                            />
+                          </Form.Group>
+                        </Col>
+                      </Row>
+                    )}
+                    <Button variant="primary" type="submit" disabled={loading}>
                       {loading ? <Spinner animation="border" size="sm" /> : <i className="fas fa-search"></i>} Search
                     </Button>
+                    <Button
+                      variant="outline-secondary"
+                      className="ms-2"
+                      onClick={() => {
+                        setSearchFilters({ ...emptySearchFilters, type: searchFilters.type });
+                        setSearchResults(null);
+                      }}
+                    >
+                      Clear
+                    </Button>
                   </Form>
                 </Card.Body>
               </Card>
+
+              {searchResults && <SearchResults />}
             </Tab>
           </Tabs>
 
@@ -519,6 +841,62 @@ const BlockManagement = () => {
             </Modal.Footer>
           </Modal>
 
+          {/* Sealing Policy Modal */}
+          <Modal show={showPolicyModal} onHide={() => setShowPolicyModal(false)}>
+            <Modal.Header closeButton>
+              <Modal.Title>⏱️ Automatic Sealing Policy</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {policyForm && (
+                <Form>
+                  <Form.Check
+                    type="switch"
+                    id="sealing-enabled"
+                    className="mb-3"
+                    label="Seal blocks automatically"
+                    checked={policyForm.enabled}
+                    onChange={(e) => setPolicyForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                  />
+                  <Form.Group className="mb-3">
+                    <Form.Label>Seal every (minutes)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="1"
+                      placeholder="Off"
+                      value={policyForm.intervalMinutes}
+                      onChange={(e) => setPolicyForm(prev => ({ ...prev, intervalMinutes: e.target.value }))}
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Seal when this many complaints are waiting</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="1"
+                      placeholder="Off"
+                      value={policyForm.complaintThreshold}
+                      onChange={(e) => setPolicyForm(prev => ({ ...prev, complaintThreshold: e.target.value }))}
+                    />
+                  </Form.Group>
+                  <Form.Check
+                    type="checkbox"
+                    id="sealing-critical"
+                    label="Seal immediately when a critical-sentiment complaint arrives"
+                    checked={policyForm.sealOnCritical}
+                    onChange={(e) => setPolicyForm(prev => ({ ...prev, sealOnCritical: e.target.checked }))}
+                  />
+                </Form>
+              )}
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setShowPolicyModal(false)}>
+                Cancel
+              </Button>
+              <Button variant="primary" onClick={handleSavePolicy} disabled={savingPolicy}>
+                {savingPolicy ? <Spinner animation="border" size="sm" /> : <i className="fas fa-save"></i>} Save Policy
+              </Button>
+            </Modal.Footer>
+          </Modal>
+
           {/* Block Details Modal */}
           <Modal show={showDetailsModal} onHide={() => setShowDetailsModal(false)} size="xl">
             <Modal.Header closeButton>
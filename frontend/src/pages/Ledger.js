@@ -1,30 +1,39 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Table, Badge, Button, Form, Alert, Spinner } from 'react-bootstrap';
 import { 
-  getAllComplaints,
+  searchComplaints,
   getPriorityColor,
   getStatusColor,
   getCategoryBadgeClass,
-  formatDate,
-  COMPLAINT_CATEGORIES 
+  formatDate
 } from '../services/complaintService';
+import { useTaxonomy } from '../hooks/useTaxonomy';
 import { getBlockchainLedger, truncateHash, copyToClipboard } from '../services/blockchainService';
+import HighlightedText from '../components/HighlightedText';
+
+const PAGE_SIZE = 25;
 
 const Ledger = () => {
+  const { categories, priorities, statuses } = useTaxonomy();
   const [complaints, setComplaints] = useState([]);
   const [blockchainData, setBlockchainData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('database');
   const [filters, setFilters] = useState({
+    q: '',
     category: '',
     priority: '',
     status: ''
   });
+  const [searchText, setSearchText] = useState('');
+  const [page, setPage] = useState(1);
+  const [facets, setFacets] = useState(null);
+  const [pagination, setPagination] = useState(null);
   const [error, setError] = useState('');
 
   useEffect(() => {
     loadLedgerData();
-  }, [filters]);
+  }, [filters, page]);
 
   const loadLedgerData = async () => {
     try {
@@ -32,8 +41,10 @@ const Ledger = () => {
       setError('');
 
       // Load database complaints
-      const dbResult = await getAllComplaints(filters);
+      const dbResult = await searchComplaints({ ...filters, page, limit: PAGE_SIZE });
       setComplaints(dbResult.complaints || []);
+      setFacets(dbResult.facets);
+      setPagination(dbResult.pagination);
 
       // Load blockchain ledger
       if (activeTab === 'blockchain') {
@@ -71,10 +82,24 @@ const Ledger = () => {
 
   const handleFilterChange = (field, value) => {
     setFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    handleFilterChange('q', searchText.trim());
   };
 
   const clearFilters = () => {
-    setFilters({ category: '', priority: '', status: '' });
+    setSearchText('');
+    setFilters({ q: '', category: '', priority: '', status: '' });
+    setPage(1);
+  };
+
+  // Option label with the number of matching complaints, e.g. "Hostel (3)"
+  const facetLabel = (facet, option) => {
+    const entry = facets && facets[facet] && facets[facet].find(({ value }) => value === option.value);
+    return facets ? `${option.label} (${entry ? entry.count : 0})` : option.label;
   };
 
   const handleCopyHash = (hash) => {
@@ -125,7 +150,7 @@ const Ledger = () => {
                 <div>
                   <small className="text-muted">
                     {activeTab === 'database' 
-                      ? `${complaints.length} complaints in database`
+                      ? `${pagination ? pagination.total : complaints.length} ${filters.q ? 'matching complaints' : 'complaints in database'}`
                       : `${blockchainData.length} blocks in blockchain`
                     }
                   </small>
@@ -145,6 +170,23 @@ const Ledger = () => {
                 <h6 className="mb-0">🔍 Filters</h6>
               </Card.Header>
               <Card.Body>
+                <Form onSubmit={handleSearch} className="mb-3">
+                  <Row>
+                    <Col md={9}>
+                      <Form.Control
+                        type="search"
+                        placeholder="Search titles, descriptions and categories"
+                        value={searchText}
+                        onChange={(e) => setSearchText(e.target.value)}
+                      />
+                    </Col>
+                    <Col md={3}>
+                      <Button variant="primary" type="submit" className="w-100">
+                        Search
+                      </Button>
+                    </Col>
+                  </Row>
+                </Form>
                 <Row>
                   <Col md={3}>
                     <Form.Group>
@@ -154,9 +196,9 @@ const Ledger = () => {
                         onChange={(e) => handleFilterChange('category', e.target.value)}
                       >
                         <option value="">All Categories</option>
-                        {COMPLAINT_CATEGORIES.map(category => (
+                        {categories.map(category => (
                           <option key={category.value} value={category.value}>
-                            {category.label}
+                            {facetLabel('category', category)}
                           </option>
                         ))}
                       </Form.Select>
@@ -170,10 +212,11 @@ const Ledger = () => {
                         onChange={(e) => handleFilterChange('priority', e.target.value)}
                       >
                         <option value="">All Priorities</option>
-                        <option value="Low">Low</option>
-                        <option value="Medium">Medium</option>
-                        <option value="High">High</option>
-                        <option value="Critical">Critical</option>
+                        {priorities.map(priority => (
+                          <option key={priority.value} value={priority.value}>
+                            {facetLabel('priority', priority)}
+                          </option>
+                        ))}
                       </Form.Select>
                     </Form.Group>
                   </Col>
@@ -185,10 +228,11 @@ const Ledger = () => {
                         onChange={(e) => handleFilterChange('status', e.target.value)}
                       >
                         <option value="">All Statuses</option>
-                        <option value="Pending">Pending</option>
-                        <option value="InProgress">In Progress</option>
-                        <option value="Resolved">Resolved</option>
-                        <option value="Closed">Closed</option>
+                        {statuses.map(status => (
+                          <option key={status.value} value={status.value}>
+                            {facetLabel('status', status)}
+                          </option>
+                        ))}
                       </Form.Select>
                     </Form.Group>
                   </Col>
@@ -217,10 +261,35 @@ const Ledger = () => {
               ) : (
                 <>
                   {activeTab === 'database' ? (
-                    <DatabaseView 
-                      complaints={complaints} 
-                      onCopyHash={handleCopyHash}
-                    />
+                    <>
+                      <DatabaseView 
+                        complaints={complaints} 
+                        onCopyHash={handleCopyHash}
+                      />
+                      {pagination && pagination.totalPages > 1 && (
+                        <div className="d-flex justify-content-center align-items-center">
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            disabled={page <= 1}
+                            onClick={() => setPage(page - 1)}
+                          >
+                            ‹ Previous
+                          </Button>
+                          <small className="text-muted mx-3">
+                            Page {pagination.page} of {pagination.totalPages}
+                          </small>
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            disabled={!pagination.hasMore}
+                            onClick={() => setPage(page + 1)}
+                          >
+                            Next ›
+                          </Button>
+                        </div>
+                      )}
+                    </>
                   ) : (
                     <BlockchainView 
                       blockchainData={blockchainData} 
@@ -279,12 +348,27 @@ const DatabaseView = ({ complaints, onCopyHash }) => {
                 </Badge>
               </td>
               <td>
-                <strong>{complaint.title}</strong>
-                {complaint.description && (
+                <strong>
+                  <HighlightedText
+                    segments={complaint.highlights && complaint.highlights.title}
+                    fallback={complaint.title}
+                  />
+                </strong>
+                {complaint.highlights && complaint.highlights.description ? (
+                  <div className="small text-muted mt-1">
+                    <HighlightedText segments={complaint.highlights.description} />
+                  </div>
+                ) : complaint.description && (
                   <div className="small text-muted mt-1">
                     {complaint.description.substring(0, 100)}...
                   </div>
                 )}
+                {complaint.highlights && complaint.highlights.adminMessages && (
+                  <div className="small mt-1">
+                    <span className="text-muted">Admin: </span>
+                    <HighlightedText segments={complaint.highlights.adminMessages} />
+                  </div>
+                )}
               </td>
               <td>
                 <Badge bg={getPriorityColor(complaint.priority)}>
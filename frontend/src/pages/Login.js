@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
 import { Container, Row, Col, Card, Form, Button, Alert, Tabs, Tab, ButtonGroup } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useWeb3 } from '../context/Web3Context';
 
 const Login = () => {
-  const { login, register, loginWithMetaMask, adminLogin } = useAuth();
-  const { connectWallet, signMessage, account } = useWeb3();
+  const { login, register, getWalletChallenge, loginWithMetaMask, adminLogin } = useAuth();
+  const { connectWallet, signMessage, account, chainId } = useWeb3();
   
   const [activeTab, setActiveTab] = useState('login');
   const [userType, setUserType] = useState('student'); // 'student' or 'admin'
@@ -97,15 +98,17 @@ const Login = () => {
         walletAccount = connectResult.account;
       }
 
-      // Create message to sign
-      const message = `Login to Student Grievance System\nWallet: ${walletAccount}\nTimestamp: ${Date.now()}`;
+      // Ask the backend for a single-use Sign-In with Ethereum challenge
+      const { message } = await getWalletChallenge(
+        walletAccount,
+        chainId ? parseInt(chainId, 16) : undefined
+      );
       
-      // Sign message
+      // Sign the challenge exactly as issued
       const signature = await signMessage(message);
       
       // Send to backend for authentication
       const result = await loginWithMetaMask({
-        walletAddress: walletAccount,
         signature,
         message
       });
@@ -115,7 +118,7 @@ const Login = () => {
       }
     } catch (err) {
       console.error('MetaMask login error:', err);
-      setError('MetaMask login failed. Please try again.');
+      setError(err.response?.data?.error || 'MetaMask login failed. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -339,6 +342,10 @@ const Login = () => {
                     </p>
                   </div>
                 )}
+
+                <p className="mt-3 mb-0 text-center small">
+                  <Link to="/verify">🧾 Verify a complaint receipt</Link>
+                </p>
               </Card.Body>
             </Card>
           </Col>
@@ -2,9 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Table, Button, Form, Alert, Spinner, Badge, Modal } from 'react-bootstrap';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import { getPriorityColor, getStatusColor, getStatusLabel, getStatusTransitions } from '../services/complaintService';
+import { useTaxonomy } from '../hooks/useTaxonomy';
+import ComplaintTimeline from '../components/ComplaintTimeline';
 
 const ManageComplaints = () => {
   const { user } = useAuth();
+  const { transitions } = useTaxonomy();
   const [complaints, setComplaints] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -12,27 +16,14 @@ const ManageComplaints = () => {
   const [updatingComplaint, setUpdatingComplaint] = useState(null);
   const [showUpdateModal, setShowUpdateModal] = useState(false);
   const [selectedComplaint, setSelectedComplaint] = useState(null);
+  const [nextStatuses, setNextStatuses] = useState([]);
+  const [loadingTransitions, setLoadingTransitions] = useState(false);
   const [updateData, setUpdateData] = useState({
     status: '',
     adminMessage: '',
     adminImage: null
   });
 
-  const statusOptions = [
-    { value: 'SUBMITTED', label: 'Submitted', variant: 'secondary' },
-    { value: 'IN_PROGRESS', label: 'In Progress', variant: 'warning' },
-    { value: 'UNDER_REVIEW', label: 'Under Review', variant: 'info' },
-    { value: 'RESOLVED', label: 'Resolved', variant: 'success' },
-    { value: 'CLOSED', label: 'Closed', variant: 'dark' },
-    { value: 'REJECTED', label: 'Rejected', variant: 'danger' }
-  ];
-
-  const priorityColors = {
-    'HIGH': 'danger',
-    'MEDIUM': 'warning',
-    'LOW': 'info'
-  };
-
   useEffect(() => {
     loadComplaints();
   }, []);
@@ -57,11 +48,6 @@ const ManageComplaints = () => {
     }
   };
 
-  const getStatusVariant = (status) => {
-    const statusObj = statusOptions.find(s => s.value === status);
-    return statusObj ? statusObj.variant : 'secondary';
-  };
-
   const formatDate = (dateString) => {
     try {
       return new Date(dateString).toLocaleDateString('en-US', {
@@ -76,19 +62,38 @@ const ManageComplaints = () => {
     }
   };
 
-  const openUpdateModal = (complaint) => {
+  const canTransition = (complaint, status) => {
+    return (transitions?.[complaint.status] || []).includes(status);
+  };
+
+  const openUpdateModal = async (complaint) => {
     setSelectedComplaint(complaint);
+    setNextStatuses([]);
     setUpdateData({
-      status: complaint.status,
+      status: '',
       adminMessage: '',
       adminImage: null
     });
     setShowUpdateModal(true);
+
+    try {
+      setLoadingTransitions(true);
+      const result = await getStatusTransitions(complaint.id);
+      const options = result.transitions || [];
+      setNextStatuses(options);
+      setUpdateData(prev => ({ ...prev, status: options.length > 0 ? options[0].value : '' }));
+    } catch (err) {
+      console.error('Error loading status transitions:', err);
+      setError('Failed to load the allowed status changes for this complaint.');
+    } finally {
+      setLoadingTransitions(false);
+    }
   };
 
   const closeUpdateModal = () => {
     setShowUpdateModal(false);
     setSelectedComplaint(null);
+    setNextStatuses([]);
     setUpdateData({
       status: '',
       adminMessage: '',
@@ -249,9 +254,9 @@ const ManageComplaints = () => {
           <Card className="text-center h-100 border-warning">
             <Card.Body>
               <h4 className="text-warning">
-                {complaints.filter(c => c.status === 'IN_PROGRESS').length}
+                {complaints.filter(c => c.status === 'IN_REVIEW').length}
               </h4>
-              <small className="text-muted">In Progress</small>
+              <small className="text-muted">In Review</small>
             </Card.Body>
           </Card>
         </Col>
@@ -269,7 +274,7 @@ const ManageComplaints = () => {
           <Card className="text-center h-100 border-secondary">
             <Card.Body>
               <h4 className="text-secondary">
-                {complaints.filter(c => ['SUBMITTED', 'UNDER_REVIEW'].includes(c.status)).length}
+                {complaints.filter(c => c.status === 'PENDING').length}
               </h4>
               <small className="text-muted">Pending Review</small>
             </Card.Body>
@@ -337,13 +342,13 @@ const ManageComplaints = () => {
                             </Badge>
                           </td>
                           <td>
-                            <Badge bg={priorityColors[complaint.priority] || 'secondary'}>
+                            <Badge bg={getPriorityColor(complaint.priority)}>
                               {complaint.priority}
                             </Badge>
                           </td>
                           <td>
-                            <Badge bg={getStatusVariant(complaint.status)}>
-                              {complaint.status.replace('_', ' ')}
+                            <Badge bg={getStatusColor(complaint.status)}>
+                              {getStatusLabel(complaint.status)}
                             </Badge>
                           </td>
                           <td>
@@ -364,7 +369,7 @@ const ManageComplaints = () => {
                                 )}
                               </Button>
                               
-                              {complaint.status !== 'RESOLVED' && (
+                              {canTransition(complaint, 'RESOLVED') && (
                                 <Button
                                   variant="outline-success"
                                   size="sm"
@@ -376,13 +381,13 @@ const ManageComplaints = () => {
                                 </Button>
                               )}
                               
-                              {complaint.status === 'SUBMITTED' && (
+                              {canTransition(complaint, 'IN_REVIEW') && (
                                 <Button
                                   variant="outline-warning"
                                   size="sm"
-                                  onClick={() => quickStatusUpdate(complaint.id, 'IN_PROGRESS')}
+                                  onClick={() => quickStatusUpdate(complaint.id, 'IN_REVIEW')}
                                   disabled={updatingComplaint === complaint.id}
-                                  title="Start Processing"
+                                  title="Start Review"
                                 >
                                   🔄
                                 </Button>
@@ -427,7 +432,7 @@ const ManageComplaints = () => {
                 <Col md={6}>
                   <strong>Priority:</strong>
                   <p>
-                    <Badge bg={priorityColors[selectedComplaint.priority] || 'secondary'}>
+                    <Badge bg={getPriorityColor(selectedComplaint.priority)}>
                       {selectedComplaint.priority}
                     </Badge>
                   </p>
@@ -449,13 +454,19 @@ const ManageComplaints = () => {
                       <Form.Select
                         value={updateData.status}
                         onChange={(e) => setUpdateData(prev => ({ ...prev, status: e.target.value }))}
+                        disabled={loadingTransitions || nextStatuses.length === 0}
                       >
-                        {statusOptions.map(option => (
+                        {nextStatuses.map(option => (
                           <option key={option.value} value={option.value}>
                             {option.label}
                           </option>
                         ))}
                       </Form.Select>
+                      {!loadingTransitions && nextStatuses.length === 0 && (
+                        <Form.Text className="text-muted">
+                          {getStatusLabel(selectedComplaint.status)} is a final status; it cannot be changed.
+                        </Form.Text>
+                      )}
                     </Form.Group>
                   </Col>
                   <Col md={6}>
@@ -491,6 +502,11 @@ const ManageComplaints = () => {
                   </Col>
                 </Row>
               </Form>
+
+              <div className="mt-3">
+                <h6>Timeline</h6>
+                <ComplaintTimeline complaintId={selectedComplaint.id} />
+              </div>
             </>
           )}
         </Modal.Body>
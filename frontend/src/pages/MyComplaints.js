@@ -5,17 +5,24 @@ import { useAuth } from '../context/AuthContext';
 import { 
   getMyComplaints, 
   escalateComplaint,
+  getComplaintReceipt,
   getPriorityColor,
   getStatusColor,
+  getStatusLabel,
+  getPriorityLabel,
   getCategoryBadgeClass,
   formatDate 
 } from '../services/complaintService';
+import { useTaxonomy } from '../hooks/useTaxonomy';
+import ComplaintTimeline from '../components/ComplaintTimeline';
 
 const MyComplaints = () => {
   const { user } = useAuth();
+  useTaxonomy(); // loads badge colours and labels
   const [complaints, setComplaints] = useState([]);
   const [loading, setLoading] = useState(true);
   const [escalating, setEscalating] = useState(null);
+  const [downloadingReceipt, setDownloadingReceipt] = useState(null);
   const [selectedComplaint, setSelectedComplaint] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [error, setError] = useState('');
@@ -61,14 +68,41 @@ const MyComplaints = () => {
     }
   };
 
+  const handleDownloadReceipt = async (complaintId) => {
+    try {
+      setDownloadingReceipt(complaintId);
+      const result = await getComplaintReceipt(complaintId);
+
+      // Create and trigger download
+      const blob = new Blob([JSON.stringify(result.receipt, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = url;
+      a.download = `complaint_${complaintId}_receipt.json`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+
+      toast.success('Receipt downloaded. Anyone can check it on the Verify page.');
+    } catch (err) {
+      console.error('Error downloading receipt:', err);
+      const message = err.response?.data?.message || err.response?.data?.error || 'Failed to download receipt';
+      toast.error(message);
+    } finally {
+      setDownloadingReceipt(null);
+    }
+  };
+
   const handleViewDetails = (complaint) => {
     setSelectedComplaint(complaint);
     setShowModal(true);
   };
 
   const canEscalate = (complaint) => {
-    return complaint.priority !== 'Critical' && 
-           (complaint.status === 'Pending' || complaint.status === 'InProgress');
+    return complaint.priority !== 'high' && 
+           (complaint.status === 'PENDING' || complaint.status === 'IN_REVIEW');
   };
 
   if (loading) {
@@ -86,7 +120,8 @@ const MyComplaints = () => {
         <Col>
           <h2 className="text-primary">📋 My Complaints</h2>
           <p className="text-muted">
-            Track and manage your submitted grievances
+            Track and manage your submitted grievances. Sealed complaints come with a signed receipt
+            you can check on the <a href="/verify">Verify page</a>.
           </p>
         </Col>
       </Row>
@@ -141,11 +176,11 @@ const MyComplaints = () => {
                       </div>
                       <div className="text-end">
                         <Badge bg={getPriorityColor(complaint.priority)} className="mb-1">
-                          {complaint.priority} Priority
+                          {getPriorityLabel(complaint.priority)} Priority
                         </Badge>
                         <br />
                         <Badge bg={getStatusColor(complaint.status)}>
-                          {complaint.status}
+                          {getStatusLabel(complaint.status)}
                         </Badge>
                       </div>
                     </div>
@@ -166,6 +201,12 @@ const MyComplaints = () => {
                             <strong>Escalated:</strong> {complaint.escalation_count} time(s)
                           </>
                         )}
+                        {complaint.block_number && (
+                          <>
+                            <br />
+                            <strong>Sealed in:</strong> Block #{complaint.block_number}
+                          </>
+                        )}
                         {complaint.blockchain_hash && (
                           <>
                             <br />
@@ -187,6 +228,24 @@ const MyComplaints = () => {
                         View Details
                       </Button>
                       
+                      {complaint.block_number && (
+                        <Button
+                          variant="outline-success"
+                          size="sm"
+                          onClick={() => handleDownloadReceipt(complaint.id)}
+                          disabled={downloadingReceipt === complaint.id}
+                        >
+                          {downloadingReceipt === complaint.id ? (
+                            <>
+                              <Spinner animation="border" size="sm" className="me-1" />
+                              Preparing...
+                            </>
+                          ) : (
+                            '🧾 Download Receipt'
+                          )}
+                        </Button>
+                      )}
+
                       {canEscalate(complaint) && (
                         <Button
                           variant="warning"
@@ -238,10 +297,10 @@ const MyComplaints = () => {
                   {selectedComplaint.category}
                 </Badge>
                 <Badge bg={getPriorityColor(selectedComplaint.priority)} className="me-2">
-                  {selectedComplaint.priority} Priority
+                  {getPriorityLabel(selectedComplaint.priority)} Priority
                 </Badge>
                 <Badge bg={getStatusColor(selectedComplaint.status)}>
-                  {selectedComplaint.status}
+                  {getStatusLabel(selectedComplaint.status)}
                 </Badge>
               </div>
 
@@ -305,6 +364,11 @@ const MyComplaints = () => {
                 </div>
               )}
 
+              <div className="mt-4">
+                <h6>Timeline</h6>
+                <ComplaintTimeline complaintId={selectedComplaint.id} />
+              </div>
+
               {selectedComplaint.sentiment_score && (
                 <div className="mt-3">
                   <h6>AI Analysis</h6>
@@ -332,6 +396,15 @@ const MyComplaints = () => {
               {escalating === selectedComplaint.id ? 'Escalating...' : 'Escalate Priority'}
             </Button>
           )}
+          {selectedComplaint && selectedComplaint.block_number && (
+            <Button
+              variant="outline-success"
+              onClick={() => handleDownloadReceipt(selectedComplaint.id)}
+              disabled={downloadingReceipt === selectedComplaint.id}
+            >
+              🧾 Download Receipt
+            </Button>
+          )}
           <Button variant="secondary" onClick={() => setShowModal(false)}>
             Close
           </Button>
@@ -6,15 +6,26 @@ import { useAuth } from '../context/AuthContext';
 import { useWeb3 } from '../context/Web3Context';
 import { 
   submitComplaint, 
+  recordChainSubmission,
   findSimilarComplaints,
-  analyzeSentiment,
-  COMPLAINT_CATEGORIES 
+  analyzeSentiment
 } from '../services/complaintService';
+import { useTaxonomy } from '../hooks/useTaxonomy';
 
 const SubmitComplaint = () => {
-  const { user } = useAuth();
-  const { isConnected } = useWeb3();
+  const { user, getWalletChallenge, linkWallet } = useAuth();
+  const {
+    isConnected,
+    isMetaMaskInstalled,
+    account,
+    chainId,
+    connectWallet,
+    signMessage,
+    signComplaintSubmission,
+    sendComplaintSubmission
+  } = useWeb3();
   const navigate = useNavigate();
+  const { categories } = useTaxonomy();
 
   const [formData, setFormData] = useState({
     category: '',
@@ -23,6 +34,9 @@ const SubmitComplaint = () => {
   });
 
   const [loading, setLoading] = useState(false);
+  const [linkingWallet, setLinkingWallet] = useState(false);
+  // 'relay': sign and let the backend pay for the transaction, 'direct': send it from the wallet
+  const [walletMode, setWalletMode] = useState('relay');
   const [checkingSimilar, setCheckingSimilar] = useState(false);
   const [analyzingSentiment, setAnalyzingSentiment] = useState(false);
   const [similarComplaints, setSimilarComplaints] = useState([]);
@@ -78,6 +92,41 @@ const SubmitComplaint = () => {
     }
   };
 
+  const walletLinked = !!user?.walletAddress;
+  const walletMismatch = walletLinked && isConnected && account?.toLowerCase() !== user.walletAddress.toLowerCase();
+
+  const handleLinkWallet = async () => {
+    setLinkingWallet(true);
+    try {
+      const { message } = await getWalletChallenge(account, chainId ? parseInt(chainId, 16) : undefined);
+      const signature = await signMessage(message);
+      await linkWallet({ message, signature });
+    } catch (err) {
+      console.error('Error linking wallet:', err);
+      toast.error(err.response?.data?.error || 'Failed to link wallet');
+    } finally {
+      setLinkingWallet(false);
+    }
+  };
+
+  // Record a stored complaint under the student's wallet
+  const recordUnderWallet = async (complaintId, chainSubmission, walletAccount) => {
+    if (!walletAccount || walletAccount.toLowerCase() !== chainSubmission.student.toLowerCase()) {
+      throw new Error(`Select your linked wallet ${chainSubmission.student} in MetaMask`);
+    }
+
+    if (walletMode === 'direct') {
+      const transactionHash = await sendComplaintSubmission(chainSubmission);
+      return recordChainSubmission(complaintId, { transactionHash });
+    }
+
+    const signature = await signComplaintSubmission(chainSubmission);
+    return recordChainSubmission(complaintId, {
+      signature,
+      deadline: chainSubmission.typedData.message.deadline
+    });
+  };
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     setError('');
@@ -101,10 +150,28 @@ const SubmitComplaint = () => {
     setError('');
 
     try {
+      // The linked wallet records the complaint, so connect it before anything is stored
+      let walletAccount = account;
+      if (walletLinked && isMetaMaskInstalled && !isConnected) {
+        walletAccount = (await connectWallet()).account;
+      }
+
       const result = await submitComplaint(formData);
+
+      if (result.chainSubmission) {
+        try {
+          await recordUnderWallet(result.complaint.id, result.chainSubmission, walletAccount);
+          toast.success('Complaint submitted and recorded on blockchain under your wallet!');
+        } catch (walletError) {
+          console.error('Error recording complaint under wallet:', walletError);
+          const reason = walletError.response?.data?.error || walletError.shortMessage || walletError.message;
+          toast.warning(`Complaint saved, but not recorded on blockchain yet: ${reason}`);
+        }
+      } else {
+        toast.success('Complaint submitted and recorded on blockchain!');
+      }
       
       setSuccess('Complaint submitted successfully!');
-      toast.success('Complaint submitted and recorded on blockchain!');
       
       // Reset form
       setFormData({ category: '', title: '', description: '' });
@@ -157,6 +224,49 @@ const SubmitComplaint = () => {
                 </Alert>
               )}
 
+              {/* Wallet the complaint is recorded under */}
+              {isConnected && !walletLinked && (
+                <Alert variant="info" className="mb-4">
+                  <Alert.Heading>👛 Link Your Wallet</Alert.Heading>
+                  <p>
+                    Link {account} to your account to record your complaints on the blockchain 
+                    under your own address instead of the shared system account.
+                  </p>
+                  <Button variant="outline-primary" size="sm" onClick={handleLinkWallet} disabled={linkingWallet}>
+                    {linkingWallet ? 'Waiting for signature...' : 'Link This Wallet'}
+                  </Button>
+                </Alert>
+              )}
+
+              {walletLinked && (
+                <Alert variant={walletMismatch ? 'warning' : 'light'} className="mb-4">
+                  <p className="mb-2">
+                    Your complaint will be recorded under your wallet <code>{user.walletAddress}</code>.
+                  </p>
+                  {walletMismatch && (
+                    <p className="mb-2">
+                      MetaMask is using {account}. Switch to your linked wallet before submitting.
+                    </p>
+                  )}
+                  <Form.Check
+                    type="radio"
+                    id="wallet-mode-relay"
+                    name="walletMode"
+                    label="Sign the complaint and let the grievance system submit it (no gas needed)"
+                    checked={walletMode === 'relay'}
+                    onChange={() => setWalletMode('relay')}
+                  />
+                  <Form.Check
+                    type="radio"
+                    id="wallet-mode-direct"
+                    name="walletMode"
+                    label="Submit it from my wallet (you pay the gas)"
+                    checked={walletMode === 'direct'}
+                    onChange={() => setWalletMode('direct')}
+                  />
+                </Alert>
+              )}
+
               {error && <Alert variant="danger">{error}</Alert>}
               {success && <Alert variant="success">{success}</Alert>}
 
@@ -172,7 +282,7 @@ const SubmitComplaint = () => {
                     required
                   >
                     <option value="">Select a category...</option>
-                    {COMPLAINT_CATEGORIES.map(category => (
+                    {categories.map(category => (
                       <option key={category.value} value={category.value}>
                         {category.label}
                       </option>
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert, Badge, Spinner, ListGroup } from 'react-bootstrap';
+import { verifyReceipt } from '../services/complaintService';
+
+const CHECK_LABELS = {
+  signature: 'Signed by this server',
+  proof: 'Merkle proof leads to the block root',
+  database: 'Recorded in the grievance database',
+  contract: 'Anchored in the ComplaintBlockRegistry contract'
+};
+
+const STATUS_VARIANTS = {
+  ok: 'success',
+  mismatch: 'danger',
+  unavailable: 'warning',
+  skipped: 'secondary'
+};
+
+const VERDICT_VARIANTS = {
+  valid: 'success',
+  pending: 'warning',
+  invalid: 'danger'
+};
+
+// Public page: anyone holding a receipt can check it, no login needed
+const VerifyReceipt = () => {
+  const [receiptText, setReceiptText] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setReceiptText(reader.result);
+    reader.readAsText(file);
+  };
+
+  const handleVerify = async () => {
+    setError('');
+    setResult(null);
+
+    let receipt;
+    try {
+      receipt = JSON.parse(receiptText);
+    } catch (err) {
+      setError('The receipt is not valid JSON. Upload the file you downloaded from My Complaints.');
+      return;
+    }
+
+    try {
+      setVerifying(true);
+      const response = await verifyReceipt(receipt);
+      setResult(response);
+    } catch (err) {
+      console.error('Error verifying receipt:', err);
+      setError(err.response?.data?.details || err.response?.data?.error || 'Failed to verify receipt');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <h2 className="text-primary">🧾 Verify a Complaint Receipt</h2>
+          <p className="text-muted">
+            Check that a grievance was recorded in a sealed block. The receipt is checked against
+            the grievance database and the blockchain.
+          </p>
+        </Col>
+      </Row>
+
+      <Row>
+        <Col lg={6} className="mb-4">
+          <Card>
+            <Card.Body>
+              <Form>
+                <Form.Group className="mb-3">
+                  <Form.Label>Receipt file</Form.Label>
+                  <Form.Control type="file" accept=".json,application/json" onChange={handleFileChange} />
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Or paste the receipt</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={10}
+                    className="font-monospace small"
+                    value={receiptText}
+                    onChange={(e) => setReceiptText(e.target.value)}
+                  />
+                </Form.Group>
+                <Button variant="primary" onClick={handleVerify} disabled={verifying || !receiptText.trim()}>
+                  {verifying ? <Spinner animation="border" size="sm" /> : '🔍'} Verify Receipt
+                </Button>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={6}>
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          {result && (
+            <Card>
+              <Card.Header>
+                <Alert variant={VERDICT_VARIANTS[result.verdict] || 'danger'} className="mb-0">
+                  {result.verdict === 'valid' && `✅ Complaint #${result.complaintId} is recorded in block #${result.blockNumber}`}
+                  {result.verdict === 'pending' && `⏳ Complaint #${result.complaintId} matches block #${result.blockNumber} on this server`}
+                  {result.verdict !== 'valid' && result.verdict !== 'pending' && `❌ This receipt could not be verified`}
+                  {result.verdict === 'pending' && (
+                    <div className="small mt-1">
+                      The block root could not be checked on-chain yet, so the receipt is not proven. Check again later.
+                    </div>
+                  )}
+                </Alert>
+              </Card.Header>
+              <ListGroup variant="flush">
+                {Object.entries(result.checks).map(([name, check]) => (
+                  <ListGroup.Item key={name}>
+                    <div className="d-flex justify-content-between align-items-center">
+                      <span>{CHECK_LABELS[name] || name}</span>
+                      <Badge bg={STATUS_VARIANTS[check.status] || 'secondary'}>{check.status}</Badge>
+                    </div>
+                    {check.reason && <small className="text-muted">{check.reason}</small>}
+                    {check.problems && check.problems.map(problem => (
+                      <div key={problem}><small className="text-danger">{problem}</small></div>
+                    ))}
+                  </ListGroup.Item>
+                ))}
+              </ListGroup>
+            </Card>
+          )}
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default VerifyReceipt;
@@ -35,6 +35,7 @@ api.interceptors.response.use(
       // Token expired or invalid - clear session storage
       sessionStorage.removeItem('token');
       sessionStorage.removeItem('sessionId');
+      sessionStorage.removeItem('userType');
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -55,6 +56,18 @@ export const blockManagementAPI = {
     return response.data;
   },
 
+  // Get the automatic sealing policy and the next scheduled seal
+  getSealingPolicy: async () => {
+    const response = await api.get('/admin/blocks/policy');
+    return response.data;
+  },
+
+  // Update the automatic sealing policy
+  updateSealingPolicy: async (policy) => {
+    const response = await api.put('/admin/blocks/policy', policy);
+    return response.data;
+  },
+
   // Get all blocks with pagination
   getBlocks: async (page = 1, limit = 10) => {
     const response = await api.get(`/admin/blocks?page=${page}&limit=${limit}`);
@@ -10,6 +10,27 @@ export const submitComplaint = async (complaintData) => {
   }
 };
 
+// Get the request for recording a complaint under the student's wallet
+export const getChainSubmission = async (complaintId) => {
+  try {
+    const response = await api.get(`/complaints/${complaintId}/chain-submission`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Record a complaint under the student's wallet: { signature, deadline } to have it
+// relayed, or { transactionHash } of a submission sent from the wallet
+export const recordChainSubmission = async (complaintId, submission) => {
+  try {
+    const response = await api.post(`/complaints/${complaintId}/chain-submission`, submission);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 // Analyze sentiment in real-time
 export const analyzeSentiment = async (text) => {
   try {
@@ -42,6 +63,23 @@ export const getAllComplaints = async (filters = {}) => {
   }
 };
 
+// Full-text search for the ledger, with facet counts and pagination
+export const searchComplaints = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.keys(filters).forEach(key => {
+      if (filters[key]) {
+        params.append(key, filters[key]);
+      }
+    });
+
+    const response = await api.get(`/complaints/search?${params}`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 // Get user's complaints
 export const getMyComplaints = async () => {
   try {
@@ -72,6 +110,46 @@ export const escalateComplaint = async (id) => {
   }
 };
 
+// Get the statuses a complaint can move to next
+export const getStatusTransitions = async (id) => {
+  try {
+    const response = await api.get(`/complaints/${id}/transitions`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get the audit timeline of a complaint
+export const getComplaintTimeline = async (id) => {
+  try {
+    const response = await api.get(`/complaints/${id}/timeline`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Get a signed inclusion receipt for a sealed complaint
+export const getComplaintReceipt = async (id) => {
+  try {
+    const response = await api.get(`/complaints/${id}/receipt`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Check an inclusion receipt (public, no login needed)
+export const verifyReceipt = async (receipt) => {
+  try {
+    const response = await api.post('/verify/receipt', { receipt });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 // Find similar complaints
 export const findSimilarComplaints = async (description, category) => {
   try {
@@ -95,44 +173,61 @@ export const getComplaintStats = async () => {
   }
 };
 
-// Categories for complaints
-export const COMPLAINT_CATEGORIES = [
-  { value: 'Academic', label: 'Academic Issues' },
-  { value: 'Harassment', label: 'Harassment' },
-  { value: 'Infrastructure', label: 'Infrastructure' },
-  { value: 'FoodServices', label: 'Food Services' },
-  { value: 'HostelIssues', label: 'Hostel Issues' },
-  { value: 'FinancialIssues', label: 'Financial Issues' },
-  { value: 'AdministrativeIssues', label: 'Administrative Issues' },
-  { value: 'TechnicalIssues', label: 'Technical Issues' },
-  { value: 'Other', label: 'Other' }
-];
-
-// Priority levels
-export const PRIORITY_LEVELS = [
-  { value: 'Low', label: 'Low', color: 'success' },
-  { value: 'Medium', label: 'Medium', color: 'warning' },
-  { value: 'High', label: 'High', color: 'danger' },
-  { value: 'Critical', label: 'Critical', color: 'dark' }
-];
-
-// Status types
-export const STATUS_TYPES = [
-  { value: 'Pending', label: 'Pending', color: 'warning' },
-  { value: 'InProgress', label: 'In Progress', color: 'info' },
-  { value: 'Resolved', label: 'Resolved', color: 'success' },
-  { value: 'Closed', label: 'Closed', color: 'secondary' }
-];
+// Complaint taxonomy (categories, statuses, priorities) served by the backend
+let taxonomyCache = null;
+let taxonomyRequest = null;
+
+export const getTaxonomy = async () => {
+  if (taxonomyCache) {
+    return taxonomyCache;
+  }
+
+  if (!taxonomyRequest) {
+    taxonomyRequest = api.get('/meta/taxonomy')
+      .then(response => {
+        taxonomyCache = response.data.taxonomy;
+        return taxonomyCache;
+      })
+      .catch(error => {
+        taxonomyRequest = null;
+        throw error;
+      });
+  }
+
+  return taxonomyRequest;
+};
+
+export const getCachedTaxonomy = () => taxonomyCache;
+
+const findTaxonomyEntry = (listName, value) => {
+  if (!taxonomyCache || typeof value !== 'string') return null;
+  return taxonomyCache[listName].find(entry => entry.value.toLowerCase() === value.toLowerCase()) || null;
+};
 
 // Utility functions
 export const getPriorityColor = (priority) => {
-  const priorityObj = PRIORITY_LEVELS.find(p => p.value === priority);
-  return priorityObj ? priorityObj.color : 'secondary';
+  const priorityObj = findTaxonomyEntry('priorities', priority);
+  return priorityObj ? priorityObj.variant : 'secondary';
 };
 
 export const getStatusColor = (status) => {
-  const statusObj = STATUS_TYPES.find(s => s.value === status);
-  return statusObj ? statusObj.color : 'secondary';
+  const statusObj = findTaxonomyEntry('statuses', status);
+  return statusObj ? statusObj.variant : 'secondary';
+};
+
+export const getStatusLabel = (status) => {
+  const statusObj = findTaxonomyEntry('statuses', status);
+  return statusObj ? statusObj.label : status;
+};
+
+export const getPriorityLabel = (priority) => {
+  const priorityObj = findTaxonomyEntry('priorities', priority);
+  return priorityObj ? priorityObj.label : priority;
+};
+
+export const getCategoryLabel = (category) => {
+  const categoryObj = findTaxonomyEntry('categories', category);
+  return categoryObj ? categoryObj.label : category;
 };
 
 export const getCategoryBadgeClass = (category) => {
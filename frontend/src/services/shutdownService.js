@@ -1,16 +1,5 @@
 import api from './api';
 
-// System shutdown service
-export const initiateShutdown = async () => {
-  try {
-    const response = await api.post('/system/shutdown');
-    return response.data;
-  } catch (error) {
-    console.error('Error initiating shutdown:', error);
-    throw error;
-  }
-};
-
 // Logout user session before shutdown
 export const logoutBeforeShutdown = async () => {
   try {
@@ -148,7 +137,7 @@ const handleBeforeUnload = (event) => {
   performSynchronousShutdown();
   
   // Show confirmation dialog
-  const message = 'Are you sure you want to close the application? This will shutdown both frontend and backend servers.';
+  const message = 'Are you sure you want to close the application? You will be logged out.';
   event.preventDefault();
   event.returnValue = message;
   return message;
@@ -202,21 +191,8 @@ const performSynchronousShutdown = () => {
     };
     localStorage.setItem('pendingShutdownData', JSON.stringify(pendingData));
     
-    // Send shutdown signal using sendBeacon (most reliable for page unload)
-    if (navigator.sendBeacon) {
-      const shutdownData = new FormData();
-      shutdownData.append('action', 'shutdown');
-      navigator.sendBeacon('http://localhost:5000/api/system/shutdown', shutdownData);
-      console.log('✅ Shutdown signal sent via sendBeacon');
-    } else {
-      // Fallback for older browsers - use synchronous XHR (not recommended but works)
-      const xhr = new XMLHttpRequest();
-      xhr.open('POST', 'http://localhost:5000/api/system/shutdown', false); // false = synchronous
-      xhr.setRequestHeader('Content-Type', 'application/json');
-      xhr.send(JSON.stringify({ action: 'shutdown' }));
-      console.log('✅ Shutdown signal sent via synchronous XHR');
-    }
-    
+    // Stopping the backend is an audited admin action (POST /api/admin/ops/shutdown),
+    // so closing a tab only ends this browser's session
   } catch (error) {
     console.error('❌ Error during synchronous shutdown:', error);
   }
@@ -12,6 +12,13 @@ module.exports = {
     }
   },
   networks: {
+    // `npx hardhat node` serves the same accounts as Ganache's deterministic mode,
+    // so the backend's development keys are funded on either chain
+    hardhat: {
+      accounts: {
+        mnemonic: "myth like bonus scare over problem client lizard pioneer submit female collect"
+      }
+    },
     ganache: {
       url: "http://127.0.0.1:7545",
       chainId: 1337,
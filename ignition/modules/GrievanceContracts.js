@@ -0,0 +1,11 @@
+// Deploys both registries. The deploying account becomes admin of each, so
+// deploy from the backend signer or use GrievanceSystemModule to hand it over.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("GrievanceContractsModule", (m) => {
+  const complaintRegistry = m.contract("ComplaintRegistry");
+  const complaintBlockRegistry = m.contract("ComplaintBlockRegistry");
+
+  return { complaintRegistry, complaintBlockRegistry };
+});
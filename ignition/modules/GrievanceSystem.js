@@ -0,0 +1,27 @@
+// Deploys both registries and gives the account the backend signs with the
+// rights it needs: STATUS_MANAGER and BLOCK_SEALER on ComplaintRegistry and
+// authorized admin of ComplaintBlockRegistry (block anchoring). It is also
+// proposed as admin of both; the backend accepts on startup and then manages roles
+// (POST /api/admin/chain/roles). The deployer keeps its own grants until the
+// new admin revokes them.
+//
+// backendSigner must differ from the deployer, which already holds every
+// right; scripts/deploy.js deploys GrievanceContractsModule alone in that case.
+
+const { id } = require("ethers");
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const GrievanceContractsModule = require("./GrievanceContracts");
+
+module.exports = buildModule("GrievanceSystemModule", (m) => {
+  const { complaintRegistry, complaintBlockRegistry } = m.useModule(GrievanceContractsModule);
+
+  const backendSigner = m.getParameter("backendSigner");
+
+  m.call(complaintRegistry, "grantRole", [id("STATUS_MANAGER"), backendSigner], { id: "grantStatusManager" });
+  m.call(complaintRegistry, "grantRole", [id("BLOCK_SEALER"), backendSigner], { id: "grantBlockSealer" });
+  m.call(complaintBlockRegistry, "addAdmin", [backendSigner]);
+  m.call(complaintRegistry, "transferAdmin", [backendSigner], { id: "proposeRegistryAdmin" });
+  m.call(complaintBlockRegistry, "transferAdmin", [backendSigner], { id: "proposeBlockRegistryAdmin" });
+
+  return { complaintRegistry, complaintBlockRegistry };
+});
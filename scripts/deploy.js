@@ -1,89 +1,90 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const GrievanceContractsModule = require("../ignition/modules/GrievanceContracts");
+const GrievanceSystemModule = require("../ignition/modules/GrievanceSystem");
+const { ignitionDeploymentDir, recordDeployment } = require("./deployment-record");
 
 async function main() {
-  console.log("🚀 Starting ComplaintRegistry deployment...");
-  
-  // Get the contract factory
-  const ComplaintRegistry = await ethers.getContractFactory("ComplaintRegistry");
-  
-  // Deploy the contract
-  console.log("📄 Deploying ComplaintRegistry contract...");
-  const complaintRegistry = await ComplaintRegistry.deploy();
-  
-  // Wait for deployment to complete
-  await complaintRegistry.waitForDeployment();
-  
-  const contractAddress = await complaintRegistry.getAddress();
-  
-  console.log("✅ ComplaintRegistry deployed successfully!");
-  console.log("📍 Contract Address:", contractAddress);
-  
-  // Get deployer info
+  if (hre.network.name === "hardhat") {
+    throw new Error("The in-process Hardhat network is discarded when this script ends. Use --network localhost (npx hardhat node) or --network ganache.");
+  }
+
   const [deployer] = await ethers.getSigners();
-  console.log("👤 Deployed by:", deployer.address);
+  const { chainId } = await ethers.provider.getNetwork();
+  const deploymentDir = ignitionDeploymentDir(chainId);
+
+  // Account the backend signs with; defaults to the deployer
+  const backendSigner = process.env.BACKEND_SIGNER_ADDRESS || deployer.address;
+  if (!ethers.isAddress(backendSigner)) {
+    throw new Error(`BACKEND_SIGNER_ADDRESS is not an address: ${backendSigner}`);
+  }
+
+  console.log(`🚀 Deploying grievance contracts to ${hre.network.name} (chain ${chainId})...`);
+  console.log("👤 Deployer:", deployer.address);
   console.log("💰 Deployer balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH");
-  
+  console.log("🔑 Backend signer:", backendSigner);
+
+  // A restarted Ganache or Hardhat node keeps its chainId but loses every contract
+  if (process.env.RESET_DEPLOYMENT === "true" && fs.existsSync(deploymentDir)) {
+    fs.rmSync(deploymentDir, { recursive: true, force: true });
+    console.log("🧹 Previous Ignition deployment removed:", deploymentDir);
+  }
+
+  const sameAccount = backendSigner.toLowerCase() === deployer.address.toLowerCase();
+  const { complaintRegistry, complaintBlockRegistry } = sameAccount
+    ? await hre.ignition.deploy(GrievanceContractsModule)
+    : await hre.ignition.deploy(GrievanceSystemModule, {
+      parameters: { GrievanceSystemModule: { backendSigner } }
+    });
+
+  const contractAddress = await complaintRegistry.getAddress();
+  const blockRegistryAddress = await complaintBlockRegistry.getAddress();
+  console.log("✅ ComplaintRegistry:", contractAddress);
+  console.log("✅ ComplaintBlockRegistry:", blockRegistryAddress);
+
   // Verify deployment
-  console.log("🔍 Verifying deployment...");
-  const totalComplaints = await complaintRegistry.getTotalComplaints();
-  const admin = await complaintRegistry.admin();
-  
-  console.log("📊 Initial total complaints:", totalComplaints.toString());
-  console.log("👑 Contract admin:", admin);
-  
-  // Save deployment info for frontend
-  const deploymentInfo = {
-    contractAddress: contractAddress,
-    deployedAt: new Date().toISOString(),
-    network: "ganache",
-    deployer: deployer.address,
-    blockNumber: await ethers.provider.getBlockNumber()
-  };
-  
-  // Write deployment info to file
-  const fs = require('fs');
-  const path = require('path');
-  
-  const deploymentPath = path.join(__dirname, '../blockchain/deployment.json');
-  
-  // Create blockchain directory if it doesn't exist
-  const blockchainDir = path.dirname(deploymentPath);
-  if (!fs.existsSync(blockchainDir)) {
-    fs.mkdirSync(blockchainDir, { recursive: true });
+  console.log("🔍 Verifying backend signer rights...");
+  const canUpdateStatuses = await complaintRegistry.hasRole(await complaintRegistry.STATUS_MANAGER(), backendSigner);
+  const canSealSummaries = await complaintRegistry.hasRole(await complaintRegistry.BLOCK_SEALER(), backendSigner);
+  const canAnchor = await complaintBlockRegistry.isAuthorizedAdmin(backendSigner);
+  console.log("👑 ComplaintRegistry admin:", await complaintRegistry.admin());
+  if (!sameAccount) {
+    console.log("👑 Backend signer proposed as admin of both contracts; the backend accepts when it starts");
+  }
+  console.log("👑 Backend signer can update statuses:", canUpdateStatuses);
+  console.log("👑 Backend signer can seal block summaries:", canSealSummaries);
+  console.log("👑 Backend signer can anchor blocks:", canAnchor);
+
+  if (!canUpdateStatuses || !canSealSummaries || !canAnchor) {
+    throw new Error(`Backend signer ${backendSigner} is missing rights on the deployed contracts`);
   }
-  
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-  console.log("💾 Deployment info saved to:", deploymentPath);
-  
-  // Copy ABI for frontend
-  const artifactPath = path.join(__dirname, '../artifacts/contracts/ComplaintRegistry.sol/ComplaintRegistry.json');
-  const frontendAbiPath = path.join(__dirname, '../frontend/src/contracts/ComplaintRegistry.json');
-  
-  if (fs.existsSync(artifactPath)) {
-    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-    
-    // Create contracts directory in frontend
-    const frontendContractsDir = path.dirname(frontendAbiPath);
-    if (!fs.existsSync(frontendContractsDir)) {
-      fs.mkdirSync(frontendContractsDir, { recursive: true });
-    }
-    
-    // Save ABI and contract info for frontend
-    const frontendContractInfo = {
-      abi: artifact.abi,
+
+  const record = await recordDeployment(deploymentDir, backendSigner);
+
+  // Copy ABIs for the frontend
+  for (const [contractName, { address, abi }] of Object.entries(record.contracts)) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const frontendAbiPath = path.join(__dirname, `../frontend/src/contracts/${contractName}.json`);
+
+    fs.mkdirSync(path.dirname(frontendAbiPath), { recursive: true });
+    fs.writeFileSync(frontendAbiPath, JSON.stringify({
+      abi,
       bytecode: artifact.bytecode,
-      contractAddress: contractAddress,
-      deploymentInfo: deploymentInfo
-    };
-    
-    fs.writeFileSync(frontendAbiPath, JSON.stringify(frontendContractInfo, null, 2));
-    console.log("📄 Contract ABI copied to frontend:", frontendAbiPath);
+      contractAddress: address,
+      deploymentInfo: {
+        chainId: record.chainId,
+        network: record.network,
+        deployedAt: record.deployedAt,
+        blockNumber: record.contracts[contractName].blockNumber
+      }
+    }, null, 2));
+    console.log(`📄 ${contractName} ABI copied to frontend:`, frontendAbiPath);
   }
-  
+
   console.log("\n🎉 Deployment completed successfully!");
-  console.log("🔗 You can now use the contract at:", contractAddress);
-  console.log("📚 Check the frontend/src/contracts/ directory for ABI and contract info");
-  
   return contractAddress;
 }
 
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { status, listTransactions } = require("@nomicfoundation/ignition-core");
+
+// Deployed contracts per chainId; the backend loads its contracts from here
+const RECORD_PATH = path.join(__dirname, "../blockchain/deployments.json");
+
+// Contracts the backend needs, by contract name
+const RECORDED_CONTRACTS = ["ComplaintRegistry", "ComplaintBlockRegistry"];
+
+/**
+ * Directory Ignition keeps the deployment of a chain in
+ * @param {number|string} chainId - Chain ID
+ * @returns {string} Deployment directory
+ */
+function ignitionDeploymentDir(chainId) {
+  return path.join(hre.config.paths.ignition, "deployments", `chain-${chainId}`);
+}
+
+/**
+ * Read blockchain/deployments.json
+ * @returns {Object} Records keyed by chainId (empty if nothing was deployed yet)
+ */
+function readDeploymentRecords() {
+  return fs.existsSync(RECORD_PATH) ? JSON.parse(fs.readFileSync(RECORD_PATH, "utf8")) : {};
+}
+
+/**
+ * Store the contracts of an Ignition deployment in blockchain/deployments.json
+ * under its chainId, replacing any earlier record for that chain
+ * @param {string} deploymentDir - Ignition deployment directory
+ * @param {string} backendSigner - Address the backend signs with
+ * @returns {Promise<Object>} The record written for the chain
+ */
+async function recordDeployment(deploymentDir, backendSigner) {
+  const artifactResolver = { loadArtifact: (contractName) => hre.artifacts.readArtifact(contractName) };
+  const { chainId, contracts } = await status(deploymentDir, artifactResolver);
+  const transactions = await listTransactions(deploymentDir, artifactResolver);
+
+  const record = {
+    chainId,
+    network: hre.network.name,
+    deploymentId: path.basename(deploymentDir),
+    deployedAt: new Date().toISOString(),
+    backendSigner,
+    contracts: {}
+  };
+
+  for (const contractName of RECORDED_CONTRACTS) {
+    const contract = Object.values(contracts).find(deployed => deployed.contractName === contractName);
+    if (!contract) {
+      throw new Error(`${contractName} is not part of the deployment in ${deploymentDir}`);
+    }
+
+    const deployment = transactions.find(tx =>
+      tx.type === "DEPLOYMENT_EXECUTION_STATE" && tx.name === contractName && tx.address === contract.address
+    );
+    const receipt = deployment ? await hre.ethers.provider.getTransactionReceipt(deployment.txHash) : null;
+
+    record.contracts[contractName] = {
+      address: contract.address,
+      transactionHash: deployment ? deployment.txHash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      abi: contract.abi
+    };
+  }
+
+  const records = readDeploymentRecords();
+  records[chainId] = record;
+  fs.mkdirSync(path.dirname(RECORD_PATH), { recursive: true });
+  fs.writeFileSync(RECORD_PATH, JSON.stringify(records, null, 2) + "\n");
+
+  console.log(`💾 Deployment for chain ${chainId} recorded in:`, RECORD_PATH);
+  return record;
+}
+
+// `npx hardhat run scripts/deployment-record.js --network <name>` records a
+// deployment made with `npx hardhat ignition deploy`
+if (require.main === module) {
+  (async () => {
+    const [deployer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    await recordDeployment(ignitionDeploymentDir(chainId), process.env.BACKEND_SIGNER_ADDRESS || deployer.address);
+  })()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Recording the deployment failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  RECORD_PATH,
+  ignitionDeploymentDir,
+  readDeploymentRecords,
+  recordDeployment
+};
@@ -0,0 +1,291 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+const { MERKLE_SCHEMES, merkleTreeService } = require("../backend/services/merkleTreeService");
+
+// Same scheme the backend uses when sealing blocks that are anchored on chain
+const merkle = merkleTreeService.forScheme(MERKLE_SCHEMES.KECCAK256_INDEXED);
+
+const sampleComplaints = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    student_id: `23MID00${String(i + 1).padStart(2, "0")}`,
+    title: `Complaint ${i + 1}`,
+    description: `Description of complaint ${i + 1}`,
+    category: i % 2 === 0 ? "Academic" : "Hostel",
+    ipfs_hash: `Qm${String(i + 1).padStart(44, "0")}`,
+    created_at: `2024-01-${String(i + 1).padStart(2, "0")} 10:00:00`
+  }));
+
+describe("ComplaintBlockRegistry", function () {
+  async function deployBlockRegistryFixture() {
+    const [admin, otherAdmin, outsider] = await ethers.getSigners();
+
+    const ComplaintBlockRegistry = await ethers.getContractFactory("ComplaintBlockRegistry");
+    const blockRegistry = await ComplaintBlockRegistry.deploy();
+
+    return { blockRegistry, admin, otherAdmin, outsider };
+  }
+
+  describe("Deployment", function () {
+    it("Should make the deployer main admin and authorized", async function () {
+      const { blockRegistry, admin } = await loadFixture(deployBlockRegistryFixture);
+
+      expect(await blockRegistry.admin()).to.equal(admin.address);
+      expect(await blockRegistry.isAuthorizedAdmin(admin.address)).to.equal(true);
+    });
+
+    it("Should start without blocks", async function () {
+      const { blockRegistry, admin } = await loadFixture(deployBlockRegistryFixture);
+
+      expect(await blockRegistry.getContractStats()).to.deep.equal([0n, 0n, 0n, admin.address]);
+      expect(await blockRegistry.blockExists(1)).to.equal(false);
+      await expect(blockRegistry.getLatestBlock()).to.be.revertedWith("No blocks created yet");
+      await expect(blockRegistry.getBlock(1)).to.be.revertedWith("Block does not exist");
+    });
+  });
+
+  describe("createBlock", function () {
+    it("Should store the block and emit BlockCreated", async function () {
+      const { blockRegistry, admin } = await loadFixture(deployBlockRegistryFixture);
+      const root = ethers.id("root-1");
+
+      await expect(blockRegistry.createBlock(root, 3, "Academic", 12))
+        .to.emit(blockRegistry, "BlockCreated")
+        .withArgs(1, root, 3, admin.address, "Academic", 12);
+
+      const block = await blockRegistry.getBlock(1);
+      expect(block.blockNumber).to.equal(1);
+      expect(block.merkleRoot).to.equal(root);
+      expect(block.complaintCount).to.equal(3);
+      expect(block.createdBy).to.equal(admin.address);
+      expect(block.topCategory).to.equal("Academic");
+      expect(block.totalPriorityScore).to.equal(12);
+      expect(await blockRegistry.blockExists(1)).to.equal(true);
+    });
+
+    it("Should number blocks and add up complaint counts", async function () {
+      const { blockRegistry, admin } = await loadFixture(deployBlockRegistryFixture);
+
+      await blockRegistry.createBlock(ethers.id("root-1"), 3, "Academic", 12);
+      await blockRegistry.createBlock(ethers.id("root-2"), 5, "Hostel", 9);
+
+      expect(await blockRegistry.getContractStats()).to.deep.equal([2n, 2n, 8n, admin.address]);
+      expect(await blockRegistry.getLatestBlock()).to.deep.equal(await blockRegistry.getBlock(2));
+    });
+
+    it("Should refuse an empty Merkle root", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+
+      await expect(
+        blockRegistry.createBlock(ethers.ZeroHash, 1, "Academic", 1)
+      ).to.be.revertedWith("Invalid Merkle root");
+    });
+
+    it("Should refuse a block without complaints", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+
+      await expect(
+        blockRegistry.createBlock(ethers.id("root-1"), 0, "Academic", 1)
+      ).to.be.revertedWith("Complaint count must be positive");
+    });
+
+    it("Should only let authorized admins create blocks", async function () {
+      const { blockRegistry, outsider } = await loadFixture(deployBlockRegistryFixture);
+
+      await expect(
+        blockRegistry.connect(outsider).createBlock(ethers.id("root-1"), 1, "Academic", 1)
+      ).to.be.revertedWith("Not authorized admin");
+    });
+  });
+
+  describe("Admin management", function () {
+    it("Should let an added admin create blocks", async function () {
+      const { blockRegistry, admin, otherAdmin } = await loadFixture(deployBlockRegistryFixture);
+
+      await expect(blockRegistry.addAdmin(otherAdmin.address))
+        .to.emit(blockRegistry, "AdminAdded")
+        .withArgs(otherAdmin.address, admin.address);
+
+      expect(await blockRegistry.isAuthorizedAdmin(otherAdmin.address)).to.equal(true);
+      await expect(blockRegistry.connect(otherAdmin).createBlock(ethers.id("root-1"), 1, "Academic", 1))
+        .to.emit(blockRegistry, "BlockCreated")
+        .withArgs(1, anyValue, 1, otherAdmin.address, "Academic", 1);
+    });
+
+    it("Should take block creation away from a removed admin", async function () {
+      const { blockRegistry, admin, otherAdmin } = await loadFixture(deployBlockRegistryFixture);
+      await blockRegistry.addAdmin(otherAdmin.address);
+
+      await expect(blockRegistry.removeAdmin(otherAdmin.address))
+        .to.emit(blockRegistry, "AdminRemoved")
+        .withArgs(otherAdmin.address, admin.address);
+
+      expect(await blockRegistry.isAuthorizedAdmin(otherAdmin.address)).to.equal(false);
+      await expect(
+        blockRegistry.connect(otherAdmin).createBlock(ethers.id("root-1"), 1, "Academic", 1)
+      ).to.be.revertedWith("Not authorized admin");
+    });
+
+    it("Should only let the main admin add and remove admins", async function () {
+      const { blockRegistry, otherAdmin, outsider } = await loadFixture(deployBlockRegistryFixture);
+      await blockRegistry.addAdmin(otherAdmin.address);
+
+      await expect(
+        blockRegistry.connect(otherAdmin).addAdmin(outsider.address)
+      ).to.be.revertedWith("Only main admin allowed");
+      await expect(
+        blockRegistry.connect(otherAdmin).removeAdmin(otherAdmin.address)
+      ).to.be.revertedWith("Only main admin allowed");
+    });
+
+    it("Should refuse the zero address and existing admins", async function () {
+      const { blockRegistry, admin, otherAdmin } = await loadFixture(deployBlockRegistryFixture);
+      await blockRegistry.addAdmin(otherAdmin.address);
+
+      await expect(blockRegistry.addAdmin(ethers.ZeroAddress)).to.be.revertedWith("Invalid admin address");
+      await expect(blockRegistry.addAdmin(otherAdmin.address)).to.be.revertedWith("Admin already exists");
+      await expect(blockRegistry.addAdmin(admin.address)).to.be.revertedWith("Admin already exists");
+    });
+
+    it("Should refuse removing the main admin or an unknown address", async function () {
+      const { blockRegistry, admin, outsider } = await loadFixture(deployBlockRegistryFixture);
+
+      await expect(blockRegistry.removeAdmin(admin.address)).to.be.revertedWith("Cannot remove main admin");
+      await expect(blockRegistry.removeAdmin(outsider.address)).to.be.revertedWith("Admin does not exist");
+    });
+  });
+
+  describe("Main admin transfer", function () {
+    it("Should only let the main admin propose a new one", async function () {
+      const { blockRegistry, otherAdmin, outsider } = await loadFixture(deployBlockRegistryFixture);
+      await blockRegistry.addAdmin(otherAdmin.address);
+
+      await expect(
+        blockRegistry.connect(otherAdmin).transferAdmin(outsider.address)
+      ).to.be.revertedWith("Only main admin allowed");
+      await expect(blockRegistry.transferAdmin(ethers.ZeroAddress)).to.be.revertedWith("Invalid admin address");
+    });
+
+    it("Should keep the current main admin until the new one accepts", async function () {
+      const { blockRegistry, admin, otherAdmin, outsider } = await loadFixture(deployBlockRegistryFixture);
+
+      await expect(blockRegistry.transferAdmin(otherAdmin.address))
+        .to.emit(blockRegistry, "AdminTransferStarted")
+        .withArgs(admin.address, otherAdmin.address);
+
+      expect(await blockRegistry.admin()).to.equal(admin.address);
+      expect(await blockRegistry.pendingAdmin()).to.equal(otherAdmin.address);
+      await expect(blockRegistry.connect(outsider).acceptAdmin()).to.be.revertedWith("Only pending admin can accept");
+      await expect(
+        blockRegistry.connect(otherAdmin).addAdmin(outsider.address)
+      ).to.be.revertedWith("Only main admin allowed");
+    });
+
+    it("Should hand admin management to the new main admin", async function () {
+      const { blockRegistry, admin, otherAdmin, outsider } = await loadFixture(deployBlockRegistryFixture);
+      await blockRegistry.transferAdmin(otherAdmin.address);
+
+      await expect(blockRegistry.connect(otherAdmin).acceptAdmin())
+        .to.emit(blockRegistry, "AdminTransferred")
+        .withArgs(admin.address, otherAdmin.address);
+
+      expect(await blockRegistry.admin()).to.equal(otherAdmin.address);
+      expect(await blockRegistry.pendingAdmin()).to.equal(ethers.ZeroAddress);
+      await expect(blockRegistry.addAdmin(outsider.address)).to.be.revertedWith("Only main admin allowed");
+      await expect(blockRegistry.connect(otherAdmin).addAdmin(outsider.address)).to.emit(blockRegistry, "AdminAdded");
+    });
+
+    it("Should leave the previous main admin authorized until it is removed", async function () {
+      const { blockRegistry, admin, otherAdmin } = await loadFixture(deployBlockRegistryFixture);
+      await blockRegistry.transferAdmin(otherAdmin.address);
+      await blockRegistry.connect(otherAdmin).acceptAdmin();
+
+      expect(await blockRegistry.isAuthorizedAdmin(admin.address)).to.equal(true);
+      await blockRegistry.connect(otherAdmin).removeAdmin(admin.address);
+      await expect(
+        blockRegistry.createBlock(ethers.id("root-1"), 1, "Academic", 1)
+      ).to.be.revertedWith("Not authorized admin");
+    });
+  });
+
+  describe("verifyComplaintInBlock", function () {
+    // Seal a block the way blockService does and keep the tree for proofs
+    const sealBlock = async (blockRegistry, complaints) => {
+      const tree = merkle.buildMerkleTree(complaints);
+      await blockRegistry.createBlock(tree.root, tree.leafCount, "Academic", complaints.length);
+      const [blockNumber] = await blockRegistry.getContractStats();
+      return { tree, blockNumber };
+    };
+
+    for (const count of [1, 2, 3, 5, 8]) {
+      it(`Should accept backend proofs for every leaf of a ${count}-complaint block`, async function () {
+        const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+        const { tree, blockNumber } = await sealBlock(blockRegistry, sampleComplaints(count));
+
+        for (const leaf of tree.leaves) {
+          const proof = merkle.generateMerkleProof(tree, leaf.index);
+          expect(await blockRegistry.verifyComplaintInBlock(blockNumber, leaf.hash, proof, leaf.index)).to.equal(true);
+        }
+      });
+    }
+
+    it("Should verify leaves rebuilt from stored encodings", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+      const { tree, blockNumber } = await sealBlock(blockRegistry, sampleComplaints(4));
+      const leaf = tree.leaves[2];
+
+      const leafHash = merkle.hashLeafEncoding(merkle.encodeComplaintLeaf(merkle.decodeComplaintLeaf(leaf.encoding)));
+      const proof = merkle.generateMerkleProof(tree, leaf.index);
+
+      expect(await blockRegistry.verifyComplaintInBlock(blockNumber, leafHash, proof, leaf.index)).to.equal(true);
+    });
+
+    it("Should reject a tampered complaint", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+      const complaints = sampleComplaints(5);
+      const { tree, blockNumber } = await sealBlock(blockRegistry, complaints);
+
+      const tampered = merkle.hashLeafEncoding(merkle.encodeComplaintLeaf({ ...complaints[1], title: "Edited title" }));
+      const proof = merkle.generateMerkleProof(tree, 1);
+
+      expect(await blockRegistry.verifyComplaintInBlock(blockNumber, tampered, proof, 1)).to.equal(false);
+    });
+
+    it("Should reject a proof used at the wrong index", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+      const { tree, blockNumber } = await sealBlock(blockRegistry, sampleComplaints(5));
+      const proof = merkle.generateMerkleProof(tree, 1);
+
+      expect(await blockRegistry.verifyComplaintInBlock(blockNumber, tree.leaves[1].hash, proof, 2)).to.equal(false);
+    });
+
+    it("Should reject a tampered proof", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+      const { tree, blockNumber } = await sealBlock(blockRegistry, sampleComplaints(5));
+      const proof = merkle.generateMerkleProof(tree, 3);
+      proof[1] = ethers.id("not a sibling");
+
+      expect(await blockRegistry.verifyComplaintInBlock(blockNumber, tree.leaves[3].hash, proof, 3)).to.equal(false);
+    });
+
+    it("Should reject a proof checked against another block", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+      const { tree } = await sealBlock(blockRegistry, sampleComplaints(3));
+      await sealBlock(blockRegistry, sampleComplaints(4));
+      const proof = merkle.generateMerkleProof(tree, 0);
+
+      expect(await blockRegistry.verifyComplaintInBlock(1, tree.leaves[0].hash, proof, 0)).to.equal(true);
+      expect(await blockRegistry.verifyComplaintInBlock(2, tree.leaves[0].hash, proof, 0)).to.equal(false);
+    });
+
+    it("Should refuse blocks that do not exist", async function () {
+      const { blockRegistry } = await loadFixture(deployBlockRegistryFixture);
+
+      await expect(
+        blockRegistry.verifyComplaintInBlock(1, ethers.id("leaf"), [], 0)
+      ).to.be.revertedWith("Block does not exist");
+    });
+  });
+});
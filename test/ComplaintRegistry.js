@@ -0,0 +1,704 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+const Status = { PENDING: 0, IN_REVIEW: 1, RESOLVED: 2, REJECTED: 3, CLOSED: 4 };
+const Priority = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+const SummaryEvent = { COMPLAINT_SUBMITTED: 0, STATUS_UPDATED: 1 };
+
+const ipfsHash = (label) => ethers.id(`complaint:${label}`);
+
+// Rolling hash the contract should store after an event, as in _extendSummaryHash
+const nextSummaryHash = (previousHash, types, values) =>
+  ethers.keccak256(ethers.concat([previousHash, ethers.AbiCoder.defaultAbiCoder().encode(types, values)]));
+
+// EIP-712 SubmitComplaint request signed by a student, as the backend relayer receives it
+async function signSubmission(registry, student, { hash = ipfsHash(1), priority = Priority.MEDIUM, category = 1, nonce, deadline } = {}) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const message = {
+    student: student.address,
+    ipfsHash: hash,
+    priority,
+    category,
+    nonce: nonce ?? await registry.nonces(student.address),
+    deadline: deadline ?? (await time.latest()) + 3600
+  };
+  const domain = { name: "ComplaintRegistry", version: "1", chainId, verifyingContract: await registry.getAddress() };
+  const types = {
+    SubmitComplaint: [
+      { name: "student", type: "address" },
+      { name: "ipfsHash", type: "bytes32" },
+      { name: "priority", type: "uint8" },
+      { name: "category", type: "uint16" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  return { ...message, signature: await student.signTypedData(domain, types, message) };
+}
+
+const relay = (registry, relayer, request) => registry.connect(relayer).submitComplaintFor(
+  request.student, request.ipfsHash, request.priority, request.category, request.deadline, request.signature
+);
+
+describe("ComplaintRegistry", function () {
+  async function deployRegistryFixture() {
+    const [admin, student, otherStudent, outsider] = await ethers.getSigners();
+
+    const ComplaintRegistry = await ethers.getContractFactory("ComplaintRegistry");
+    const registry = await ComplaintRegistry.deploy();
+
+    return { registry, admin, student, otherStudent, outsider };
+  }
+
+  // Three complaints from two students
+  async function registryWithComplaintsFixture() {
+    const fixture = await deployRegistryFixture();
+    const { registry, student, otherStudent } = fixture;
+
+    await registry.connect(student).submitComplaint(ipfsHash(1), Priority.LOW, 1);
+    await registry.connect(student).submitComplaint(ipfsHash(2), Priority.MEDIUM, 2);
+    await registry.connect(otherStudent).submitComplaint(ipfsHash(3), Priority.HIGH, 3);
+
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should make the deployer admin", async function () {
+      const { registry, admin } = await loadFixture(deployRegistryFixture);
+
+      expect(await registry.admin()).to.equal(admin.address);
+    });
+
+    it("Should start empty", async function () {
+      const { registry, admin } = await loadFixture(deployRegistryFixture);
+
+      expect(await registry.getTotalComplaints()).to.equal(0);
+      expect(await registry.latestSummaryHash()).to.equal(ethers.ZeroHash);
+      expect(await registry.getContractStats()).to.deep.equal([0n, 0n, admin.address]);
+    });
+  });
+
+  describe("Submission", function () {
+    it("Should store the complaint and emit ComplaintSubmitted", async function () {
+      const { registry, student } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.connect(student).submitComplaint(ipfsHash(1), Priority.HIGH, 7))
+        .to.emit(registry, "ComplaintSubmitted")
+        .withArgs(1, student.address, ipfsHash(1), Priority.HIGH, 7);
+
+      const complaint = await registry.getComplaint(1);
+      expect(complaint.ipfsHash).to.equal(ipfsHash(1));
+      expect(complaint.student).to.equal(student.address);
+      expect(complaint.priority).to.equal(Priority.HIGH);
+      expect(complaint.status).to.equal(Status.PENDING);
+      expect(complaint.category).to.equal(7);
+      expect(await registry.getTotalComplaints()).to.equal(1);
+    });
+
+    it("Should list complaints per student", async function () {
+      const { registry, student, otherStudent, outsider } = await loadFixture(registryWithComplaintsFixture);
+
+      expect(await registry.getStudentComplaints(student.address)).to.deep.equal([1n, 2n]);
+      expect(await registry.getStudentComplaints(otherStudent.address)).to.deep.equal([3n]);
+      expect(await registry.getStudentComplaints(outsider.address)).to.deep.equal([]);
+    });
+
+    it("Should reject an empty IPFS hash", async function () {
+      const { registry, student } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(student).submitComplaint(ethers.ZeroHash, Priority.LOW, 1)
+      ).to.be.revertedWith("IPFS hash cannot be empty");
+    });
+
+    it("Should reject an unknown priority", async function () {
+      const { registry, student } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(student).submitComplaint(ipfsHash(1), 3, 1)
+      ).to.be.revertedWith("Invalid priority level");
+    });
+
+    it("Should reject reads past the last complaint", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.getComplaint(4)).to.be.revertedWith("Invalid complaint ID");
+    });
+
+    it("Should read the empty record for complaint ID 0", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      // IDs start at 1; the ID check only bounds them from above
+      const complaint = await registry.getComplaint(0);
+      expect(complaint.ipfsHash).to.equal(ethers.ZeroHash);
+      expect(complaint.student).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Relayed submission", function () {
+    it("Should record the complaint under the student who signed it", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+      const request = await signSubmission(registry, student, { priority: Priority.HIGH, category: 4 });
+
+      await expect(relay(registry, admin, request))
+        .to.emit(registry, "ComplaintSubmitted")
+        .withArgs(1, student.address, ipfsHash(1), Priority.HIGH, 4);
+
+      expect((await registry.getComplaint(1)).student).to.equal(student.address);
+      expect(await registry.getStudentComplaints(student.address)).to.deep.equal([1n]);
+      expect(await registry.getStudentComplaints(admin.address)).to.deep.equal([]);
+      expect(await registry.nonces(student.address)).to.equal(1);
+    });
+
+    it("Should hash the student into the summary hash", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+      const request = await signSubmission(registry, student);
+      await relay(registry, admin, request);
+
+      expect(await registry.latestSummaryHash()).to.equal(nextSummaryHash(
+        ethers.ZeroHash,
+        ["uint8", "uint256", "address", "bytes32", "uint8", "uint16"],
+        [SummaryEvent.COMPLAINT_SUBMITTED, 1, student.address, request.ipfsHash, request.priority, request.category]
+      ));
+    });
+
+    it("Should let anyone relay", async function () {
+      const { registry, student, outsider } = await loadFixture(deployRegistryFixture);
+
+      await relay(registry, outsider, await signSubmission(registry, student));
+
+      expect((await registry.getComplaint(1)).student).to.equal(student.address);
+    });
+
+    it("Should refuse a replayed signature", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+      const request = await signSubmission(registry, student);
+      await relay(registry, admin, request);
+
+      await expect(relay(registry, admin, request)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should refuse requests signed for another nonce", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+
+      await expect(relay(registry, admin, await signSubmission(registry, student, { nonce: 1 })))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should refuse a signature from someone other than the student", async function () {
+      const { registry, admin, student, otherStudent } = await loadFixture(deployRegistryFixture);
+      const request = await signSubmission(registry, student);
+      const forged = await signSubmission(registry, otherStudent);
+
+      await expect(relay(registry, admin, { ...request, signature: forged.signature }))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should refuse fields that differ from what was signed", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+      const request = await signSubmission(registry, student);
+
+      await expect(relay(registry, admin, { ...request, ipfsHash: ipfsHash(2) })).to.be.revertedWith("Invalid signature");
+      await expect(relay(registry, admin, { ...request, priority: Priority.HIGH })).to.be.revertedWith("Invalid signature");
+      await expect(relay(registry, admin, { ...request, category: 2 })).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should refuse expired requests", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+      const request = await signSubmission(registry, student, { deadline: (await time.latest()) + 60 });
+      await time.increase(120);
+
+      await expect(relay(registry, admin, request)).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should refuse malformed and malleable signatures", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+      const request = await signSubmission(registry, student);
+      const { r, s, v } = ethers.Signature.from(request.signature);
+      const n = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+      const highS = ethers.concat([r, ethers.toBeHex(n - BigInt(s), 32), ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+
+      await expect(relay(registry, admin, { ...request, signature: "0x1234" })).to.be.revertedWith("Invalid signature");
+      await expect(relay(registry, admin, { ...request, signature: highS })).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("Unattributed submission", function () {
+    it("Should record the complaint under no student", async function () {
+      const { registry, admin } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.connect(admin).submitUnattributedComplaint(ipfsHash(1), Priority.MEDIUM, 2))
+        .to.emit(registry, "ComplaintSubmitted")
+        .withArgs(1, ethers.ZeroAddress, ipfsHash(1), Priority.MEDIUM, 2);
+
+      expect((await registry.getComplaint(1)).student).to.equal(ethers.ZeroAddress);
+      expect(await registry.getStudentComplaints(ethers.ZeroAddress)).to.deep.equal([1n]);
+      expect(await registry.getStudentComplaints(admin.address)).to.deep.equal([]);
+    });
+
+    it("Should hash the zero address into the summary hash", async function () {
+      const { registry, admin } = await loadFixture(deployRegistryFixture);
+      await registry.connect(admin).submitUnattributedComplaint(ipfsHash(1), Priority.LOW, 1);
+
+      expect(await registry.latestSummaryHash()).to.equal(nextSummaryHash(
+        ethers.ZeroHash,
+        ["uint8", "uint256", "address", "bytes32", "uint8", "uint16"],
+        [SummaryEvent.COMPLAINT_SUBMITTED, 1, ethers.ZeroAddress, ipfsHash(1), Priority.LOW, 1]
+      ));
+    });
+
+    it("Should apply the same checks as other submissions", async function () {
+      const { registry, admin } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.connect(admin).submitUnattributedComplaint(ethers.ZeroHash, Priority.LOW, 1))
+        .to.be.revertedWith("IPFS hash cannot be empty");
+      await expect(registry.connect(admin).submitUnattributedComplaint(ipfsHash(1), 3, 1))
+        .to.be.revertedWith("Invalid priority level");
+    });
+
+    it("Should only accept unattributed complaints from the admin", async function () {
+      const { registry, student, outsider } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.connect(outsider).submitUnattributedComplaint(ipfsHash(1), Priority.LOW, 1))
+        .to.be.revertedWith("Only admin can perform this action");
+      await expect(registry.connect(student).submitUnattributedComplaint(ipfsHash(1), Priority.LOW, 1))
+        .to.be.revertedWith("Only admin can perform this action");
+
+      expect(await registry.getTotalComplaints()).to.equal(0);
+      expect(await registry.latestSummaryHash()).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("Status transitions", function () {
+    const allowed = [
+      [Status.PENDING, Status.IN_REVIEW],
+      [Status.PENDING, Status.REJECTED],
+      [Status.IN_REVIEW, Status.RESOLVED],
+      [Status.IN_REVIEW, Status.REJECTED],
+      [Status.RESOLVED, Status.CLOSED],
+      [Status.REJECTED, Status.CLOSED]
+    ];
+
+    // Shortest route from PENDING to each status
+    const routeTo = {
+      [Status.PENDING]: [],
+      [Status.IN_REVIEW]: [Status.IN_REVIEW],
+      [Status.RESOLVED]: [Status.IN_REVIEW, Status.RESOLVED],
+      [Status.REJECTED]: [Status.REJECTED],
+      [Status.CLOSED]: [Status.REJECTED, Status.CLOSED]
+    };
+
+    const moveTo = async (registry, complaintId, status) => {
+      for (const step of routeTo[status]) {
+        await registry.updateComplaintStatus(complaintId, step);
+      }
+    };
+
+    for (const [from, to] of allowed) {
+      it(`Should allow ${from} -> ${to}`, async function () {
+        const { registry, admin } = await loadFixture(registryWithComplaintsFixture);
+        await moveTo(registry, 1, from);
+
+        await expect(registry.updateComplaintStatus(1, to))
+          .to.emit(registry, "StatusUpdated")
+          .withArgs(1, from, to, admin.address);
+        expect((await registry.getComplaint(1)).status).to.equal(to);
+      });
+    }
+
+    for (const from of Object.values(Status)) {
+      for (const to of Object.values(Status)) {
+        if (from === to || allowed.some(([a, b]) => a === from && b === to)) continue;
+
+        it(`Should refuse ${from} -> ${to}`, async function () {
+          const { registry } = await loadFixture(registryWithComplaintsFixture);
+          await moveTo(registry, 1, from);
+
+          await expect(registry.updateComplaintStatus(1, to)).to.be.revertedWith("Invalid status transition");
+        });
+      }
+    }
+
+    it("Should refuse setting the current status again", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.updateComplaintStatus(1, Status.PENDING)).to.be.revertedWith("Status already set");
+    });
+
+    it("Should refuse statuses outside the enum", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.updateComplaintStatus(1, 5)).to.be.revertedWith("Invalid status");
+    });
+
+    it("Should refuse complaints past the last one", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.updateComplaintStatus(4, Status.IN_REVIEW)).to.be.revertedWith("Invalid complaint ID");
+    });
+
+    it("Should keep status counts in step", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await registry.updateComplaintStatus(1, Status.IN_REVIEW);
+      await registry.updateComplaintStatus(1, Status.RESOLVED);
+      await registry.updateComplaintStatus(2, Status.REJECTED);
+      await registry.updateComplaintStatus(2, Status.CLOSED);
+
+      expect(await registry.getStatusCounts()).to.deep.equal([1n, 0n, 1n, 0n, 1n]);
+    });
+  });
+
+  describe("Roles", function () {
+    const STATUS_MANAGER = ethers.id("STATUS_MANAGER");
+    const BLOCK_SEALER = ethers.id("BLOCK_SEALER");
+
+    it("Should expose the role identifiers", async function () {
+      const { registry } = await loadFixture(deployRegistryFixture);
+
+      expect(await registry.STATUS_MANAGER()).to.equal(STATUS_MANAGER);
+      expect(await registry.BLOCK_SEALER()).to.equal(BLOCK_SEALER);
+    });
+
+    it("Should give the deployer both roles", async function () {
+      const { registry, admin, outsider } = await loadFixture(deployRegistryFixture);
+
+      expect(await registry.hasRole(STATUS_MANAGER, admin.address)).to.equal(true);
+      expect(await registry.hasRole(BLOCK_SEALER, admin.address)).to.equal(true);
+      expect(await registry.hasRole(STATUS_MANAGER, outsider.address)).to.equal(false);
+      expect(await registry.hasRole(BLOCK_SEALER, outsider.address)).to.equal(false);
+    });
+
+    it("Should only let status managers update statuses", async function () {
+      const { registry, student } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(
+        registry.connect(student).updateComplaintStatus(1, Status.IN_REVIEW)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should let several status managers update statuses", async function () {
+      const { registry, admin, outsider } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.grantRole(STATUS_MANAGER, outsider.address))
+        .to.emit(registry, "RoleGranted")
+        .withArgs(STATUS_MANAGER, outsider.address, admin.address);
+
+      await expect(registry.connect(outsider).updateComplaintStatus(1, Status.IN_REVIEW))
+        .to.emit(registry, "StatusUpdated")
+        .withArgs(1, Status.PENDING, Status.IN_REVIEW, outsider.address);
+      await expect(registry.updateComplaintStatus(2, Status.IN_REVIEW)).to.emit(registry, "StatusUpdated");
+    });
+
+    it("Should stop a revoked status manager", async function () {
+      const { registry, admin, outsider } = await loadFixture(registryWithComplaintsFixture);
+      await registry.grantRole(STATUS_MANAGER, outsider.address);
+
+      await expect(registry.revokeRole(STATUS_MANAGER, outsider.address))
+        .to.emit(registry, "RoleRevoked")
+        .withArgs(STATUS_MANAGER, outsider.address, admin.address);
+
+      expect(await registry.hasRole(STATUS_MANAGER, outsider.address)).to.equal(false);
+      await expect(
+        registry.connect(outsider).updateComplaintStatus(1, Status.IN_REVIEW)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should only let block sealers create block summaries", async function () {
+      const { registry, outsider } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.connect(outsider).createBlockSummary()).to.be.revertedWith("Missing required role");
+
+      await registry.grantRole(BLOCK_SEALER, outsider.address);
+      await expect(registry.connect(outsider).createBlockSummary()).to.emit(registry, "BlockSummaryCreated");
+    });
+
+    it("Should keep the two roles apart", async function () {
+      const { registry, outsider } = await loadFixture(registryWithComplaintsFixture);
+      await registry.grantRole(BLOCK_SEALER, outsider.address);
+
+      await expect(
+        registry.connect(outsider).updateComplaintStatus(1, Status.IN_REVIEW)
+      ).to.be.revertedWith("Missing required role");
+
+      await registry.revokeRole(BLOCK_SEALER, outsider.address);
+      await registry.grantRole(STATUS_MANAGER, outsider.address);
+      await expect(registry.connect(outsider).createBlockSummary()).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should stop a revoked block sealer", async function () {
+      const { registry, admin, outsider } = await loadFixture(registryWithComplaintsFixture);
+      await registry.grantRole(BLOCK_SEALER, outsider.address);
+
+      await expect(registry.revokeRole(BLOCK_SEALER, outsider.address))
+        .to.emit(registry, "RoleRevoked")
+        .withArgs(BLOCK_SEALER, outsider.address, admin.address);
+
+      await expect(registry.connect(outsider).createBlockSummary()).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should treat repeated grants and revokes as no-ops", async function () {
+      const { registry, outsider } = await loadFixture(deployRegistryFixture);
+      await registry.grantRole(STATUS_MANAGER, outsider.address);
+
+      await expect(registry.grantRole(STATUS_MANAGER, outsider.address)).to.not.emit(registry, "RoleGranted");
+      await registry.revokeRole(STATUS_MANAGER, outsider.address);
+      await expect(registry.revokeRole(STATUS_MANAGER, outsider.address)).to.not.emit(registry, "RoleRevoked");
+    });
+
+    it("Should let an account renounce its own role", async function () {
+      const { registry, outsider } = await loadFixture(deployRegistryFixture);
+      await registry.grantRole(STATUS_MANAGER, outsider.address);
+
+      await expect(registry.connect(outsider).renounceRole(STATUS_MANAGER))
+        .to.emit(registry, "RoleRevoked")
+        .withArgs(STATUS_MANAGER, outsider.address, outsider.address);
+      expect(await registry.hasRole(STATUS_MANAGER, outsider.address)).to.equal(false);
+    });
+
+    it("Should only let the admin grant and revoke roles", async function () {
+      const { registry, admin, outsider } = await loadFixture(deployRegistryFixture);
+      await registry.grantRole(STATUS_MANAGER, outsider.address);
+
+      await expect(
+        registry.connect(outsider).grantRole(STATUS_MANAGER, outsider.address)
+      ).to.be.revertedWith("Only admin can perform this action");
+      await expect(
+        registry.connect(outsider).revokeRole(STATUS_MANAGER, admin.address)
+      ).to.be.revertedWith("Only admin can perform this action");
+    });
+
+    it("Should refuse unknown roles and the zero address", async function () {
+      const { registry, outsider } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.grantRole(ethers.id("SUPER_USER"), outsider.address)).to.be.revertedWith("Unknown role");
+      await expect(registry.renounceRole(ethers.id("SUPER_USER"))).to.be.revertedWith("Unknown role");
+      await expect(registry.revokeRole(ethers.ZeroHash, outsider.address)).to.be.revertedWith("Unknown role");
+      await expect(registry.grantRole(STATUS_MANAGER, ethers.ZeroAddress)).to.be.revertedWith("Invalid account address");
+    });
+  });
+
+  describe("Admin transfer", function () {
+    it("Should only let the admin propose a new admin", async function () {
+      const { registry, outsider } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(outsider).transferAdmin(outsider.address)
+      ).to.be.revertedWith("Only admin can perform this action");
+    });
+
+    it("Should refuse the zero address as admin", async function () {
+      const { registry } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.transferAdmin(ethers.ZeroAddress)).to.be.revertedWith("Invalid admin address");
+    });
+
+    it("Should keep the current admin until the new one accepts", async function () {
+      const { registry, admin, outsider } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.transferAdmin(outsider.address))
+        .to.emit(registry, "AdminTransferStarted")
+        .withArgs(admin.address, outsider.address);
+
+      expect(await registry.admin()).to.equal(admin.address);
+      expect(await registry.pendingAdmin()).to.equal(outsider.address);
+      await expect(registry.grantRole(ethers.id("STATUS_MANAGER"), outsider.address)).to.emit(registry, "RoleGranted");
+    });
+
+    it("Should only let the pending admin accept", async function () {
+      const { registry, student, outsider } = await loadFixture(deployRegistryFixture);
+      await registry.transferAdmin(outsider.address);
+
+      await expect(registry.connect(student).acceptAdmin()).to.be.revertedWith("Only pending admin can accept");
+      await expect(registry.acceptAdmin()).to.be.revertedWith("Only pending admin can accept");
+    });
+
+    it("Should replace the pending admin when proposing again", async function () {
+      const { registry, student, outsider } = await loadFixture(deployRegistryFixture);
+      await registry.transferAdmin(outsider.address);
+      await registry.transferAdmin(student.address);
+
+      await expect(registry.connect(outsider).acceptAdmin()).to.be.revertedWith("Only pending admin can accept");
+      await expect(registry.connect(student).acceptAdmin()).to.emit(registry, "AdminTransferred");
+    });
+
+    it("Should hand role management to the new admin and keep existing roles", async function () {
+      const { registry, admin, student, outsider } = await loadFixture(registryWithComplaintsFixture);
+      const STATUS_MANAGER = ethers.id("STATUS_MANAGER");
+      await registry.transferAdmin(outsider.address);
+
+      await expect(registry.connect(outsider).acceptAdmin())
+        .to.emit(registry, "AdminTransferred")
+        .withArgs(admin.address, outsider.address);
+
+      expect(await registry.admin()).to.equal(outsider.address);
+      expect(await registry.pendingAdmin()).to.equal(ethers.ZeroAddress);
+      await expect(registry.grantRole(STATUS_MANAGER, student.address))
+        .to.be.revertedWith("Only admin can perform this action");
+      await expect(registry.connect(outsider).grantRole(STATUS_MANAGER, student.address))
+        .to.emit(registry, "RoleGranted");
+
+      // Roles are separate from admin rights
+      expect(await registry.hasRole(STATUS_MANAGER, admin.address)).to.equal(true);
+      expect(await registry.hasRole(STATUS_MANAGER, outsider.address)).to.equal(false);
+    });
+  });
+
+  describe("getComplaintsInRange", function () {
+    it("Should return the complaint IDs of a range of indexes", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      expect(await registry.getComplaintsInRange(0, 3)).to.deep.equal([1n, 2n, 3n]);
+      expect(await registry.getComplaintsInRange(1, 2)).to.deep.equal([2n]);
+      expect(await registry.getComplaintsInRange(2, 3)).to.deep.equal([3n]);
+    });
+
+    it("Should bound indexes by nextComplaintId", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      // Index i maps to ID i + 1, so the last allowed index yields nextComplaintId itself
+      expect(await registry.nextComplaintId()).to.equal(4);
+      expect(await registry.getComplaintsInRange(3, 4)).to.deep.equal([4n]);
+      expect(await registry.getComplaintsInRange(0, 4)).to.deep.equal([1n, 2n, 3n, 4n]);
+    });
+
+    it("Should refuse a start at or past nextComplaintId", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.getComplaintsInRange(4, 5)).to.be.revertedWith("Start index out of bounds");
+    });
+
+    it("Should refuse an end past nextComplaintId", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.getComplaintsInRange(0, 5)).to.be.revertedWith("End index out of bounds");
+    });
+
+    it("Should refuse empty and reversed ranges", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.getComplaintsInRange(1, 1)).to.be.revertedWith("Invalid range");
+      await expect(registry.getComplaintsInRange(2, 1)).to.be.revertedWith("Invalid range");
+    });
+
+    it("Should only allow index 0 while there are no complaints", async function () {
+      const { registry } = await loadFixture(deployRegistryFixture);
+
+      expect(await registry.getComplaintsInRange(0, 1)).to.deep.equal([1n]);
+      await expect(registry.getComplaintsInRange(1, 2)).to.be.revertedWith("Start index out of bounds");
+    });
+  });
+
+  describe("Block summaries", function () {
+    it("Should not have a latest summary before the first one is created", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+
+      await expect(registry.getLatestBlockSummary()).to.be.revertedWith("No block summaries exist");
+      await expect(registry.getBlockSummary(1)).to.be.revertedWith("Invalid block ID");
+    });
+
+    it("Should read the empty summary for block ID 0", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+      await registry.createBlockSummary();
+
+      // Summary IDs start at 1; the ID check only bounds them from above
+      const summary = await registry.getBlockSummary(0);
+      expect(summary.summaryHash).to.equal(ethers.ZeroHash);
+      expect(summary.totalComplaints).to.equal(0);
+    });
+
+    it("Should only create summaries when asked", async function () {
+      const { registry, student } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.connect(student).submitComplaint(ipfsHash(1), Priority.LOW, 1))
+        .to.not.emit(registry, "BlockSummaryCreated");
+      await expect(registry.updateComplaintStatus(1, Status.IN_REVIEW))
+        .to.not.emit(registry, "BlockSummaryCreated");
+
+      await expect(registry.createBlockSummary())
+        .to.emit(registry, "BlockSummaryCreated")
+        .withArgs(1, await registry.latestSummaryHash(), 1);
+
+      const [, totalBlocks] = await registry.getContractStats();
+      expect(totalBlocks).to.equal(1);
+    });
+
+    it("Should refuse a summary without new events", async function () {
+      const { registry, student } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.createBlockSummary()).to.be.revertedWith("No events since last summary");
+
+      await registry.connect(student).submitComplaint(ipfsHash(1), Priority.LOW, 1);
+      await registry.createBlockSummary();
+      await expect(registry.createBlockSummary()).to.be.revertedWith("No events since last summary");
+
+      await registry.updateComplaintStatus(1, Status.IN_REVIEW);
+      await expect(registry.createBlockSummary())
+        .to.emit(registry, "BlockSummaryCreated")
+        .withArgs(2, anyValue, 1);
+    });
+
+    it("Should record counts at the time of each summary", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+      await registry.createBlockSummary();
+
+      await registry.updateComplaintStatus(1, Status.IN_REVIEW);
+      await registry.updateComplaintStatus(1, Status.RESOLVED);
+      await registry.createBlockSummary();
+
+      const afterSubmissions = await registry.getBlockSummary(1);
+      expect(afterSubmissions.totalComplaints).to.equal(3);
+      expect(afterSubmissions.pendingCount).to.equal(3);
+      expect(afterSubmissions.resolvedCount).to.equal(0);
+
+      const latest = await registry.getLatestBlockSummary();
+      expect(latest.totalComplaints).to.equal(3);
+      expect(latest.pendingCount).to.equal(2);
+      expect(latest.resolvedCount).to.equal(1);
+      expect(latest).to.deep.equal(await registry.getBlockSummary(2));
+    });
+
+    it("Should chain each event onto the rolling hash", async function () {
+      const { registry, admin, student } = await loadFixture(deployRegistryFixture);
+
+      await registry.connect(student).submitComplaint(ipfsHash(1), Priority.MEDIUM, 4);
+      await registry.createBlockSummary();
+      await registry.updateComplaintStatus(1, Status.IN_REVIEW);
+      await registry.updateComplaintStatus(1, Status.RESOLVED);
+      await registry.createBlockSummary();
+
+      const first = nextSummaryHash(
+        ethers.ZeroHash,
+        ["uint8", "uint256", "address", "bytes32", "uint8", "uint16"],
+        [SummaryEvent.COMPLAINT_SUBMITTED, 1, student.address, ipfsHash(1), Priority.MEDIUM, 4]
+      );
+      const second = nextSummaryHash(
+        first,
+        ["uint8", "uint256", "uint8", "uint8", "address"],
+        [SummaryEvent.STATUS_UPDATED, 1, Status.PENDING, Status.IN_REVIEW, admin.address]
+      );
+      const third = nextSummaryHash(
+        second,
+        ["uint8", "uint256", "uint8", "uint8", "address"],
+        [SummaryEvent.STATUS_UPDATED, 1, Status.IN_REVIEW, Status.RESOLVED, admin.address]
+      );
+
+      expect((await registry.getBlockSummary(1)).summaryHash).to.equal(first);
+      expect((await registry.getBlockSummary(2)).summaryHash).to.equal(third);
+      expect(await registry.latestSummaryHash()).to.equal(third);
+    });
+
+    it("Should not change earlier summaries", async function () {
+      const { registry } = await loadFixture(registryWithComplaintsFixture);
+      await registry.createBlockSummary();
+      const before = await registry.getBlockSummary(1);
+
+      await registry.updateComplaintStatus(2, Status.REJECTED);
+      await registry.createBlockSummary();
+
+      expect(await registry.getBlockSummary(1)).to.deep.equal(before);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { merkleTreeService } = require("../backend/services/merkleTreeService");
+
+// Gas used by each operation, checked in so cost changes show up in review.
+// Refresh after an intended change with: UPDATE_GAS_SNAPSHOT=1 npx hardhat test
+const SNAPSHOT_FILE = path.join(__dirname, "gas-snapshot.json");
+const UPDATE_SNAPSHOT = process.env.UPDATE_GAS_SNAPSHOT === "1";
+
+const snapshot = fs.existsSync(SNAPSHOT_FILE) ? JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8")) : {};
+const measured = {};
+
+const ipfsHash = (label) => ethers.id(`complaint:${label}`);
+
+const gasUsed = async (txPromise) => (await (await txPromise).wait()).gasUsed;
+
+const deploymentGas = async (contract) => (await contract.deploymentTransaction().wait()).gasUsed;
+
+const matchSnapshot = (name, gas) => {
+  measured[name] = Number(gas);
+  if (UPDATE_SNAPSHOT) return;
+
+  expect(snapshot[name], `No gas snapshot for "${name}", run with UPDATE_GAS_SNAPSHOT=1`).to.not.equal(undefined);
+  expect(
+    measured[name],
+    `Gas for "${name}" changed from ${snapshot[name]} to ${measured[name]}, run with UPDATE_GAS_SNAPSHOT=1 if intended`
+  ).to.equal(snapshot[name]);
+};
+
+describe("Gas snapshots", function () {
+  async function deployContractsFixture() {
+    const [admin, student, otherStudent, otherAdmin] = await ethers.getSigners();
+
+    const registry = await ethers.deployContract("ComplaintRegistry");
+    const blockRegistry = await ethers.deployContract("ComplaintBlockRegistry");
+
+    return { registry, blockRegistry, admin, student, otherStudent, otherAdmin };
+  }
+
+  after(function () {
+    if (UPDATE_SNAPSHOT) {
+      const sorted = Object.fromEntries(Object.keys(measured).sort().map(name => [name, measured[name]]));
+      fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(sorted, null, 2) + "\n");
+      console.log(`    Gas snapshot written to ${path.relative(process.cwd(), SNAPSHOT_FILE)}`);
+    }
+  });
+
+  describe("ComplaintRegistry", function () {
+    it("deploy", async function () {
+      const { registry } = await loadFixture(deployContractsFixture);
+
+      matchSnapshot("ComplaintRegistry.deploy", await deploymentGas(registry));
+    });
+
+    it("submitComplaint", async function () {
+      const { registry, student, otherStudent } = await loadFixture(deployContractsFixture);
+
+      matchSnapshot("ComplaintRegistry.submitComplaint (first complaint)",
+        await gasUsed(registry.connect(student).submitComplaint(ipfsHash(1), 1, 1)));
+      matchSnapshot("ComplaintRegistry.submitComplaint (new student)",
+        await gasUsed(registry.connect(otherStudent).submitComplaint(ipfsHash(2), 1, 1)));
+      matchSnapshot("ComplaintRegistry.submitComplaint (returning student)",
+        await gasUsed(registry.connect(student).submitComplaint(ipfsHash(3), 1, 1)));
+    });
+
+    it("submitComplaintFor", async function () {
+      const { registry, admin, student } = await loadFixture(deployContractsFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+      const message = { student: student.address, ipfsHash: ipfsHash(1), priority: 1, category: 1, nonce: 0, deadline: 2n ** 32n };
+      const signature = await student.signTypedData(
+        { name: "ComplaintRegistry", version: "1", chainId, verifyingContract: await registry.getAddress() },
+        {
+          SubmitComplaint: [
+            { name: "student", type: "address" },
+            { name: "ipfsHash", type: "bytes32" },
+            { name: "priority", type: "uint8" },
+            { name: "category", type: "uint16" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        message
+      );
+
+      matchSnapshot("ComplaintRegistry.submitComplaintFor (first complaint)",
+        await gasUsed(registry.connect(admin).submitComplaintFor(student.address, ipfsHash(1), 1, 1, message.deadline, signature)));
+    });
+
+    it("submitUnattributedComplaint", async function () {
+      const { registry, admin } = await loadFixture(deployContractsFixture);
+
+      matchSnapshot("ComplaintRegistry.submitUnattributedComplaint (first complaint)",
+        await gasUsed(registry.connect(admin).submitUnattributedComplaint(ipfsHash(1), 1, 1)));
+    });
+
+    it("submitComplaint costs the same however many complaints exist", async function () {
+      const { registry, student } = await loadFixture(deployContractsFixture);
+      await registry.connect(student).submitComplaint(ipfsHash(0), 1, 1);
+
+      const costs = [];
+      for (let i = 1; i <= 20; i++) {
+        costs.push(await gasUsed(registry.connect(student).submitComplaint(ipfsHash(i), 1, 1)));
+      }
+
+      expect(new Set(costs).size).to.equal(1);
+    });
+
+    it("updateComplaintStatus", async function () {
+      const { registry, student } = await loadFixture(deployContractsFixture);
+      await registry.connect(student).submitComplaint(ipfsHash(1), 1, 1);
+
+      matchSnapshot("ComplaintRegistry.updateComplaintStatus (PENDING -> IN_REVIEW)",
+        await gasUsed(registry.updateComplaintStatus(1, 1)));
+      matchSnapshot("ComplaintRegistry.updateComplaintStatus (IN_REVIEW -> RESOLVED)",
+        await gasUsed(registry.updateComplaintStatus(1, 2)));
+    });
+
+    it("createBlockSummary", async function () {
+      const { registry, student } = await loadFixture(deployContractsFixture);
+      await registry.connect(student).submitComplaint(ipfsHash(1), 1, 1);
+
+      matchSnapshot("ComplaintRegistry.createBlockSummary",
+        await gasUsed(registry.createBlockSummary()));
+    });
+
+    it("grantRole and revokeRole", async function () {
+      const { registry, otherAdmin } = await loadFixture(deployContractsFixture);
+      const STATUS_MANAGER = ethers.id("STATUS_MANAGER");
+
+      matchSnapshot("ComplaintRegistry.grantRole",
+        await gasUsed(registry.grantRole(STATUS_MANAGER, otherAdmin.address)));
+      matchSnapshot("ComplaintRegistry.revokeRole",
+        await gasUsed(registry.revokeRole(STATUS_MANAGER, otherAdmin.address)));
+    });
+  });
+
+  describe("ComplaintBlockRegistry", function () {
+    it("deploy", async function () {
+      const { blockRegistry } = await loadFixture(deployContractsFixture);
+
+      matchSnapshot("ComplaintBlockRegistry.deploy", await deploymentGas(blockRegistry));
+    });
+
+    it("createBlock", async function () {
+      const { blockRegistry } = await loadFixture(deployContractsFixture);
+
+      matchSnapshot("ComplaintBlockRegistry.createBlock (first block)",
+        await gasUsed(blockRegistry.createBlock(ethers.id("root-1"), 10, "Academic", 25)));
+      matchSnapshot("ComplaintBlockRegistry.createBlock (later block)",
+        await gasUsed(blockRegistry.createBlock(ethers.id("root-2"), 10, "Academic", 25)));
+    });
+
+    it("addAdmin and removeAdmin", async function () {
+      const { blockRegistry, otherAdmin } = await loadFixture(deployContractsFixture);
+
+      matchSnapshot("ComplaintBlockRegistry.addAdmin", await gasUsed(blockRegistry.addAdmin(otherAdmin.address)));
+      matchSnapshot("ComplaintBlockRegistry.removeAdmin", await gasUsed(blockRegistry.removeAdmin(otherAdmin.address)));
+    });
+
+    it("verifyComplaintInBlock", async function () {
+      const { blockRegistry } = await loadFixture(deployContractsFixture);
+      const complaints = Array.from({ length: 16 }, (_, i) => ({ id: i + 1, title: `Complaint ${i + 1}` }));
+      const tree = merkleTreeService.buildMerkleTree(complaints);
+      await blockRegistry.createBlock(tree.root, tree.leafCount, "Academic", 16);
+
+      const proof = merkleTreeService.generateMerkleProof(tree, 5);
+      matchSnapshot("ComplaintBlockRegistry.verifyComplaintInBlock (16 leaves)",
+        await blockRegistry.verifyComplaintInBlock.estimateGas(1, tree.leaves[5].hash, proof, 5));
+    });
+  });
+});